@@ -0,0 +1,89 @@
+const logger = require('../utils/logger');
+const FixedDepositService = require('../services/fixedDepositService');
+const RecurringDepositService = require('../services/recurringDepositService');
+const InterestService = require('../services/interestService');
+const NpaService = require('../services/npaService');
+const StatementService = require('../services/statementService');
+
+// Background jobs; each run must be safe to repeat because the scheduler retries hourly
+const JOBS = [
+  {
+    name: 'fixed-deposit-maturity',
+    run: () => FixedDepositService.processMaturities()
+  },
+  {
+    name: 'recurring-deposit-installments',
+    run: () => RecurringDepositService.processInstallments()
+  },
+  {
+    name: 'savings-interest',
+    run: () => InterestService.runScheduled()
+  },
+  {
+    name: 'loan-npa-ageing',
+    run: () => NpaService.runAgeing()
+  },
+  {
+    name: 'monthly-e-statements',
+    run: () => StatementService.sendMonthlyEStatements()
+  }
+];
+
+const running = new Set();
+let timer = null;
+
+// Run a single job, skipping it if the previous run has not finished
+const runJob = async (job) => {
+  if (running.has(job.name)) {
+    return;
+  }
+
+  running.add(job.name);
+  try {
+    const result = await job.run();
+    logger.info(`Scheduled job ${job.name} completed`, result);
+  } catch (error) {
+    logger.error(`Scheduled job ${job.name} failed:`, error);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+const runAll = async () => {
+  for (const job of JOBS) {
+    await runJob(job);
+  }
+};
+
+// Start the scheduler on one process only (PM2 cluster instance 0)
+const startScheduler = () => {
+  if (timer || process.env.NODE_ENV === 'test' || process.env.ENABLE_SCHEDULER === 'false') {
+    return false;
+  }
+
+  if (process.env.NODE_APP_INSTANCE && process.env.NODE_APP_INSTANCE !== '0') {
+    return false;
+  }
+
+  const intervalMinutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 60;
+  timer = setInterval(runAll, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  runAll();
+  logger.info(`Scheduler started with ${JOBS.length} job(s), running every ${intervalMinutes} minutes`);
+  return true;
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  JOBS,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -1,17 +1,12 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const CooperativeBank = require('../models/CooperativeBank');
-
-// Generate JWT token
-const generateToken = (userId, cooperativeBankId = null, expiresIn = null) => {
-  const payload = { userId };
-  if (cooperativeBankId) {
-    payload.cooperativeBankId = cooperativeBankId;
-  }
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: expiresIn || process.env.JWT_EXPIRE || '7d'
-  });
-};
+const SessionService = require('../services/sessionService');
+const PermissionService = require('../services/permissionService');
+const ApiClientService = require('../services/apiClientService');
+const ImpersonationService = require('../services/impersonationService');
+const TenantContext = require('../utils/tenantContext');
 
 // Verify JWT token middleware
 const authenticateToken = async (req, res, next) => {
@@ -27,6 +22,35 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const impersonating = decoded.type === 'impersonation';
+
+    if (impersonating) {
+      await ImpersonationService.assertActive(decoded);
+
+      if (!ImpersonationService.isReadOnlyRequest(req)) {
+        return res.status(403).json({
+          success: false,
+          code: 'IMPERSONATION_READ_ONLY',
+          message: 'Impersonation sessions are read-only'
+        });
+      }
+    } else {
+      // Access tokens carry the session they were issued for; anything else is not an access token
+      if (!decoded.sid || decoded.type) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token'
+        });
+      }
+
+      if (!(await SessionService.isSessionActive(decoded.sid, decoded.userId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+    }
+
     const user = await User.findById(decoded.userId)
       .populate('cooperativeBankId', 'bankName bankCode status isActive')
       .select('-password');
@@ -45,6 +69,14 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // A password change invalidates every token issued before it
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed, please sign in again'
+      });
+    }
+
     // Check if cooperative bank is active (except for super_admin)
     if (user.role !== 'super_admin' && user.cooperativeBankId && !user.cooperativeBankId.isActive) {
       return res.status(401).json({
@@ -55,7 +87,20 @@ const authenticateToken = async (req, res, next) => {
 
     req.user = user;
     req.cooperativeBankId = user.cooperativeBankId?._id;
-    next();
+    req.sessionId = decoded.sid;
+    // Audit entries record the session through req.sessionID
+    req.sessionID = decoded.sid;
+
+    if (impersonating) {
+      req.impersonation = { id: decoded.iid, impersonatorId: decoded.impersonatorId };
+      req.sessionId = `impersonation:${decoded.iid}`;
+      req.sessionID = req.sessionId;
+      res.set('X-Impersonated-By', String(decoded.impersonatorId));
+      res.on('finish', () => ImpersonationService.recordRequest(req, res.statusCode));
+    }
+
+    // Everything after authentication runs confined to the user's bank
+    TenantContext.run(TenantContext.fromRequest(req), next);
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -69,6 +114,12 @@ const authenticateToken = async (req, res, next) => {
         message: 'Token expired'
       });
     }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       message: 'Token verification failed'
@@ -76,29 +127,88 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
+// Authenticate a partner integration by its X-API-Key; the client acts within its own bank and scopes
+const authenticateApiClient = async (req, res, next) => {
+  try {
+    const client = await ApiClientService.authenticate(req.headers['x-api-key'], req);
+
+    const limit = await ApiClientService.checkRateLimit(client);
+    res.set({
+      'X-RateLimit-Limit': limit.limit,
+      'X-RateLimit-Remaining': limit.remaining
+    });
+    if (!limit.allowed) {
+      ApiClientService.recordUsage(client, req, 429);
+      return res.status(429).json({
         success: false,
-        message: 'Authentication required'
+        message: 'API client rate limit exceeded, please try again later.',
+        retryAfter: Math.ceil(limit.windowMs / 1000)
       });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+    res.on('finish', () => ApiClientService.recordUsage(client, req, res.statusCode));
+
+    // Route handlers see the client as a bank-scoped principal holding only its scopes
+    req.apiClient = client;
+    req.user = {
+      _id: client._id,
+      role: 'api_client',
+      cooperativeBankId: client.cooperativeBankId,
+      isApiClient: true
+    };
+    req.permissions = new Set(client.scopes);
+    req.cooperativeBankId = client.cooperativeBankId;
+    TenantContext.run(TenantContext.fromRequest(req), next);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'API key verification failed'
+    });
+  }
+};
+
+// For routes partner integrations may call: API keys when X-API-Key is sent, user tokens otherwise
+const authenticateTokenOrApiClient = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateApiClient(req, res, next);
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Permission-based authorization middleware; every listed permission is required
+const authorizePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
         success: false,
-        message: 'Insufficient permissions'
+        message: 'Authentication required'
       });
     }
 
-    next();
+    try {
+      const granted = await PermissionService.getPermissions(req);
+      if (!permissions.every(permission => granted.has(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
-// Check if user can access their own data or is admin
-const authorizeUserAccess = (req, res, next) => {
+// Check if user can access their own data or may view other users
+const authorizeUserAccess = async (req, res, next) => {
   const userId = req.params.userId || req.params.id;
   
   if (!req.user) {
@@ -108,27 +218,50 @@ const authorizeUserAccess = (req, res, next) => {
     });
   }
 
-  // Super admin can access any user's data
-  if (req.user.role === 'super_admin') {
+  // Users can always access their own data
+  if (req.user._id.toString() === userId) {
     return next();
   }
 
-  // Admin and managers can access users from their cooperative bank
-  if (['admin', 'manager'].includes(req.user.role)) {
-    return next();
+  // Staff with users.view can access users from their cooperative bank
+  try {
+    if (await PermissionService.hasPermission(req, 'users.view')) {
+      return next();
+    }
+  } catch (error) {
+    return next(error);
   }
 
-  // Users can only access their own data
-  if (req.user._id.toString() === userId) {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied - you can only access your own data'
+  });
+};
+
+// Members must verify their email and phone before opening accounts or moving money
+const requireVerifiedContact = (req, res, next) => {
+  if (!req.user || PermissionService.isStaffRole(req.user.role) || (req.user.emailVerified && req.user.phoneVerified)) {
     return next();
   }
 
   return res.status(403).json({
     success: false,
-    message: 'Access denied - you can only access your own data'
+    code: 'VERIFICATION_REQUIRED',
+    message: 'Verify your email address and phone number to continue',
+    emailVerified: Boolean(req.user.emailVerified),
+    phoneVerified: Boolean(req.user.phoneVerified)
   });
 };
 
+// Lets super admins query across banks for the rest of this route; everyone else stays in their bank.
+// A super admin who picked a bank with X-Bank-Id stays in that bank.
+const allowCrossBank = (req, res, next) => {
+  if (req.user && req.user.role === 'super_admin' && !req.bankContext) {
+    return TenantContext.crossBank(next);
+  }
+  next();
+};
+
 // Check if user belongs to the same cooperative bank
 const authorizeBankAccess = (req, res, next) => {
   if (!req.user) {
@@ -153,7 +286,9 @@ const authorizeBankAccess = (req, res, next) => {
     });
   }
 
-  if (req.user.cooperativeBankId && req.user.cooperativeBankId.toString() === bankId.toString()) {
+  // authenticateToken populates the user's bank, so compare its _id rather than the document
+  const userBankId = req.user.cooperativeBankId && (req.user.cooperativeBankId._id || req.user.cooperativeBankId);
+  if (userBankId && userBankId.toString() === bankId.toString()) {
     return next();
   }
 
@@ -163,29 +298,68 @@ const authorizeBankAccess = (req, res, next) => {
   });
 };
 
-// Switch cooperative bank context (for super admin)
-const switchBankContext = (req, res, next) => {
+// Switch cooperative bank context with the X-Bank-Id header (for super admin).
+// Other users may only name their own bank; without the header nothing changes.
+const switchBankContext = async (req, res, next) => {
+  const bankId = req.get('X-Bank-Id');
+  if (!bankId) {
+    return next();
+  }
+
+  if (!mongoose.isValidObjectId(bankId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid X-Bank-Id header'
+    });
+  }
+
   if (req.user.role !== 'super_admin') {
+    if (req.cooperativeBankId && req.cooperativeBankId.toString() === bankId) {
+      return next();
+    }
     return res.status(403).json({
       success: false,
       message: 'Only super admin can switch bank context'
     });
   }
 
-  const bankId = req.headers['x-bank-id'] || req.body.bankId;
-  
-  if (bankId) {
-    req.cooperativeBankId = bankId;
-  }
+  try {
+    const bank = await CooperativeBank.findById(bankId).select('bankName bankCode status isActive');
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cooperative bank not found'
+      });
+    }
+    if (!bank.isActive || bank.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Cooperative bank is not active'
+      });
+    }
 
-  next();
+    req.bankContext = {
+      cooperativeBankId: bank._id,
+      homeBankId: req.cooperativeBankId || null,
+      bankName: bank.bankName
+    };
+    req.cooperativeBankId = bank._id;
+    res.set('X-Bank-Id', bank._id.toString());
+
+    // Re-scope the rest of the request to the selected bank
+    TenantContext.run(TenantContext.fromRequest(req), next);
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
-  generateToken,
   authenticateToken,
-  authorizeRoles,
+  authenticateTokenOrApiClient,
+  authorizePermission,
   authorizeUserAccess,
+  requireVerifiedContact,
   authorizeBankAccess,
+  allowCrossBank,
   switchBankContext
 };
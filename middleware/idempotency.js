@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const redisService = require('../services/redisService');
+const logger = require('../utils/logger');
+const { errorResponse } = require('./validation');
+
+const getTtlSeconds = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60;
+
+// JSON with sorted object keys so equivalent bodies hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Fingerprint of the request an idempotency key is bound to
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.baseUrl}${req.path}:${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Reserve a key for this request; fails with a duplicate key error if already used
+const reserveKey = (scope, req, requestHash) => {
+  return IdempotencyKey.create({
+    ...scope,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    requestHash,
+    expiresAt: new Date(Date.now() + getTtlSeconds() * 1000)
+  });
+};
+
+// Send the stored response for a repeated request, or reject a mismatched one
+const replayResponse = (res, record, requestHash) => {
+  if (record.requestHash !== requestHash) {
+    return errorResponse(res, 422, 'Idempotency-Key has already been used with a different request payload');
+  }
+
+  if (record.status !== 'completed') {
+    return errorResponse(res, 409, 'A request with this Idempotency-Key is still being processed');
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+// Only successful responses are final. A 4xx (limit exceeded, insufficient balance) may succeed once the
+// member fixes the cause, and a 5xx may be transient, so both free the key for a retry with the same key
+const isFinal = (statusCode) => statusCode < 400;
+
+// Forget a key whose request did not complete, so the client can retry with it
+const releaseKey = async (record, cacheKey) => {
+  try {
+    await IdempotencyKey.deleteOne({ _id: record._id });
+    await redisService.deleteIdempotencyRecord(cacheKey);
+  } catch (error) {
+    logger.error('Failed to release idempotency key:', error);
+  }
+};
+
+// Store the first successful response for a key so retries can be replayed
+const storeResponse = async (record, cacheKey, statusCode, body) => {
+  try {
+    record.status = 'completed';
+    record.responseStatus = statusCode;
+    record.responseBody = JSON.parse(JSON.stringify(body));
+    await record.save();
+
+    const ttlSeconds = Math.max(Math.ceil((record.expiresAt.getTime() - Date.now()) / 1000), 1);
+    await redisService.setIdempotencyRecord(cacheKey, {
+      requestHash: record.requestHash,
+      status: record.status,
+      responseStatus: record.responseStatus,
+      responseBody: record.responseBody
+    }, ttlSeconds);
+  } catch (error) {
+    logger.error('Failed to store idempotent response:', error);
+    await releaseKey(record, cacheKey);
+  }
+};
+
+// Idempotency-Key support for endpoints that must not be applied twice
+const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key || !req.user) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return errorResponse(res, 400, 'Idempotency-Key cannot exceed 255 characters');
+    }
+
+    const scope = {
+      cooperativeBankId: req.cooperativeBankId || null,
+      userId: req.user._id,
+      key
+    };
+    const cacheKey = `${scope.cooperativeBankId || 'none'}:${scope.userId}:${key}`;
+    const requestHash = hashRequest(req);
+
+    try {
+      // Fast path: completed responses are cached in Redis
+      const cached = await redisService.getIdempotencyRecord(cacheKey);
+      if (cached) {
+        return replayResponse(res, cached, requestHash);
+      }
+
+      let record;
+      try {
+        record = await reserveKey(scope, req, requestHash);
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        const existing = await IdempotencyKey.findOne(scope);
+        if (existing && existing.expiresAt > new Date()) {
+          return replayResponse(res, existing, requestHash);
+        }
+
+        // The previous use has expired but not been swept yet
+        await IdempotencyKey.deleteOne(scope);
+        record = await reserveKey(scope, req, requestHash);
+      }
+
+      const originalJson = res.json;
+      res.json = function(body) {
+        if (isFinal(res.statusCode)) {
+          storeResponse(record, cacheKey, res.statusCode, body);
+        }
+        return originalJson.call(this, body);
+      };
+
+      // Error responses, errors thrown past the handler and dropped connections all end here unstored
+      res.on('close', () => {
+        if (record.status !== 'completed') {
+          releaseKey(record, cacheKey);
+        }
+      });
+
+      next();
+    } catch (error) {
+      logger.error('Idempotency check failed:', error);
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotency
+};
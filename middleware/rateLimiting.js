@@ -2,6 +2,7 @@ const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const redisService = require('../services/redisService');
 const logger = require('../utils/logger');
+const { isStaffRole } = require('../services/permissionService');
 
 // Global rate limiter
 const globalLimiter = rateLimit({
@@ -144,6 +145,29 @@ const loginRateLimiter = rateLimit({
   }
 });
 
+// Two-factor code attempt rate limiter
+const twoFactorRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 code attempts per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip;
+  },
+  handler: (req, res) => {
+    logger.security('Two-factor rate limit exceeded', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(429).json({
+      success: false,
+      message: 'Too many authentication code attempts, please try again later.',
+      retryAfter: 900
+    });
+  }
+});
+
 // Password reset rate limiter
 const passwordResetRateLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -209,7 +233,7 @@ const slowDownMiddleware = slowDown({
 // Admin operations rate limiter
 const adminRateLimiter = (windowMs = 60 * 1000, maxRequests = 30) => {
   return async (req, res, next) => {
-    if (!req.user || !['admin', 'manager', 'super_admin'].includes(req.user.role)) {
+    if (!req.user || !isStaffRole(req.user.role)) {
       return next();
     }
 
@@ -254,6 +278,7 @@ module.exports = {
   userRateLimiter,
   transactionRateLimiter,
   loginRateLimiter,
+  twoFactorRateLimiter,
   passwordResetRateLimiter,
   fileUploadRateLimiter,
   slowDownMiddleware,
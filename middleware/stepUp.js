@@ -0,0 +1,39 @@
+const CooperativeBank = require('../models/CooperativeBank');
+const StepUpService = require('../services/stepUpService');
+
+// Require a recent step-up when isRequired(req, bank) holds; clients react to code STEP_UP_REQUIRED
+const requireStepUp = (isRequired = () => true) => {
+  return async (req, res, next) => {
+    try {
+      const bank = req.cooperativeBankId
+        ? await CooperativeBank.findById(req.cooperativeBankId).select('settings.security')
+        : null;
+
+      if (!(await isRequired(req, bank))) {
+        return next();
+      }
+
+      if (await StepUpService.isVerified(req.sessionId)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        code: 'STEP_UP_REQUIRED',
+        message: 'Please confirm your identity to continue',
+        methods: StepUpService.getMethods(req.user),
+        windowMinutes: StepUpService.getSettings(bank).windowMinutes
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Money leaving an account above the bank's step-up threshold
+const amountAboveThreshold = (req, bank) => StepUpService.isAmountAboveThreshold(req.body.amount, bank);
+
+module.exports = {
+  requireStepUp,
+  amountAboveThreshold
+};
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+const Branch = require('./Branch');
+const Counter = require('./Counter');
 
 const accountSchema = new mongoose.Schema({
   accountNumber: {
@@ -49,6 +52,11 @@ const accountSchema = new mongoose.Schema({
   lastTransactionDate: {
     type: Date
   },
+  // Branch holding the account's books; branchCode is kept alongside for account numbers and reports
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   branchCode: {
     type: String,
     required: true,
@@ -59,18 +67,132 @@ const accountSchema = new mongoose.Schema({
     relationship: String,
     phone: String,
     aadharNumber: String
+  },
+  // Term details for fixed_deposit accounts
+  fixedDeposit: {
+    principal: {
+      type: Number,
+      min: [0.01, 'Principal must be greater than 0']
+    },
+    interestRate: {
+      type: Number,
+      min: [0, 'Interest rate cannot be negative']
+    },
+    tenureMonths: {
+      type: Number,
+      min: [1, 'Tenure must be at least one month']
+    },
+    compoundingFrequency: {
+      type: String,
+      enum: ['monthly', 'quarterly', 'half_yearly', 'yearly']
+    },
+    startDate: Date,
+    maturityDate: Date,
+    maturityAmount: Number,
+    // Savings or current account that funded the deposit and receives the payout
+    linkedAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    maturityInstruction: {
+      type: String,
+      enum: ['payout', 'renew_principal', 'renew_with_interest']
+    },
+    status: {
+      type: String,
+      enum: ['active', 'matured', 'closed_premature']
+    },
+    renewalCount: Number,
+    // Loan the deposit is pledged against; blocks closure and maturity payout
+    lienLoan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    closedAt: Date,
+    payoutAmount: Number
+  },
+  // Installment schedule for recurring_deposit accounts
+  recurringDeposit: {
+    installmentAmount: {
+      type: Number,
+      min: [0.01, 'Installment amount must be greater than 0']
+    },
+    interestRate: {
+      type: Number,
+      min: [0, 'Interest rate cannot be negative']
+    },
+    tenureMonths: {
+      type: Number,
+      min: [1, 'Tenure must be at least one month']
+    },
+    startDate: Date,
+    maturityDate: Date,
+    maturityAmount: Number,
+    // Savings or current account installments are auto-debited from
+    linkedAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    status: {
+      type: String,
+      enum: ['active', 'matured']
+    },
+    installments: {
+      type: [{
+        _id: false,
+        number: { type: Number, required: true },
+        dueDate: { type: Date, required: true },
+        status: {
+          type: String,
+          enum: ['due', 'paid', 'missed'],
+          default: 'due'
+        },
+        paidAt: Date,
+        transaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Transaction'
+        },
+        lateFee: Number,
+        lateFeeTransaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Transaction'
+        }
+      }],
+      default: undefined
+    },
+    closedAt: Date,
+    payoutAmount: Number
   }
 }, {
   timestamps: true
 });
 
-// Generate account number before saving
-accountSchema.pre('save', async function(next) {
+// Generate account number before validation so the required check passes.
+// New accounts without a branch are booked at the bank's head office, if it has one.
+accountSchema.pre('validate', async function(next) {
   if (!this.accountNumber) {
-    const count = await mongoose.model('Account').countDocuments({ cooperativeBankId: this.cooperativeBankId });
+    const branch = this.branchId
+      ? await Branch.findById(this.branchId).select('branchCode')
+      : await Branch.findOne({ cooperativeBankId: this.cooperativeBankId, isHeadOffice: true, isActive: true }).select('branchCode');
+    if (branch) {
+      this.branchId = branch._id;
+      this.branchCode = branch.branchCode;
+    }
+
+    // <bank prefix (3)><branch code (3)><running number within the branch (6)>.
+    // The running number comes from a counter, not a count, because accounts can move branch.
     const bankCode = await mongoose.model('CooperativeBank').findById(this.cooperativeBankId).select('bankCode');
     const bankCodePrefix = bankCode ? bankCode.bankCode.substring(0, 3) : '001';
-    this.accountNumber = `${bankCodePrefix}${String(count + 1).padStart(9, '0')}`;
+    const prefix = `${bankCodePrefix}${this.branchCode}`;
+
+    const sequence = await Counter.next(`account:${this.cooperativeBankId}:${this.branchCode}`, async () => {
+      const last = await mongoose.model('Account').findOne({
+        cooperativeBankId: this.cooperativeBankId,
+        accountNumber: { $regex: `^${prefix}[0-9]{6}$` }
+      }).sort({ accountNumber: -1 }).select('accountNumber');
+      return last ? parseInt(last.accountNumber.slice(prefix.length), 10) : 0;
+    });
+    this.accountNumber = `${prefix}${String(sequence).padStart(6, '0')}`;
   }
   next();
 });
@@ -79,5 +201,11 @@ accountSchema.pre('save', async function(next) {
 accountSchema.index({ userId: 1 });
 accountSchema.index({ accountNumber: 1 });
 accountSchema.index({ cooperativeBankId: 1 });
+accountSchema.index({ cooperativeBankId: 1, branchId: 1 });
+accountSchema.index({ 'fixedDeposit.status': 1, 'fixedDeposit.maturityDate': 1 });
+accountSchema.index({ 'recurringDeposit.status': 1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+accountSchema.plugin(tenantScope);
 
 module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// Machine credentials for partner integrations, scoped to one cooperative bank
+const apiClientSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: [true, 'Cooperative bank is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+  },
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The secret replaced by the last rotation stays valid until previousSecretExpiresAt
+  previousSecretHash: {
+    type: String,
+    select: false
+  },
+  previousSecretExpiresAt: Date,
+  // Permissions the client may use; see ApiClientService.CLIENT_SCOPES
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // IP addresses or CIDR ranges; empty allows any address
+  ipAllowlist: {
+    type: [String],
+    default: []
+  },
+  expiresAt: Date,
+  rateLimit: {
+    maxRequests: {
+      type: Number,
+      min: [1, 'Rate limit must allow at least one request'],
+      default: 600
+    },
+    windowSeconds: {
+      type: Number,
+      min: [1, 'Rate limit window must be at least one second'],
+      default: 60
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiClientSchema.index({ cooperativeBankId: 1, createdAt: -1 });
+
+apiClientSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secretHash;
+    delete ret.previousSecretHash;
+    return ret;
+  }
+});
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+apiClientSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ApiClient', apiClientSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const auditLogSchema = new mongoose.Schema({
   userId: {
@@ -6,27 +7,46 @@ const auditLogSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Staff member acting through a read-only impersonation of userId
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   cooperativeBankId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CooperativeBank',
     required: true
   },
+  // Super admin's own bank when acting in cooperativeBankId through X-Bank-Id
+  switchedFromBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank'
+  },
   action: {
     type: String,
     required: true,
     enum: [
-      'LOGIN', 'LOGOUT', 'REGISTER', 'PASSWORD_CHANGE', 'PASSWORD_RESET',
+      'LOGIN', 'LOGOUT', 'LOGOUT_ALL', 'TOKEN_REFRESH', 'TOKEN_REUSE_DETECTED',
+      'TWO_FACTOR_ENABLE', 'TWO_FACTOR_DISABLE', 'TWO_FACTOR_RECOVERY_USED', 'TWO_FACTOR_RECOVERY_REGENERATE',
+      'STEP_UP_VERIFY',
+      'IMPERSONATION_START', 'IMPERSONATION_END', 'IMPERSONATION_REQUEST',
+      'REGISTER', 'PASSWORD_CHANGE', 'PASSWORD_RESET', 'EMAIL_VERIFY', 'PHONE_VERIFY',
       'ACCOUNT_CREATE', 'ACCOUNT_UPDATE', 'ACCOUNT_DEACTIVATE',
-      'TRANSACTION_DEPOSIT', 'TRANSACTION_WITHDRAWAL', 'TRANSACTION_TRANSFER',
-      'USER_CREATE', 'USER_UPDATE', 'USER_DEACTIVATE', 'USER_ROLE_CHANGE',
+      'TRANSACTION_DEPOSIT', 'TRANSACTION_WITHDRAWAL', 'TRANSACTION_TRANSFER', 'TRANSACTION_REVERSAL',
+      'TRANSACTION_APPROVAL_REQUEST', 'TRANSACTION_APPROVE', 'TRANSACTION_REJECT',
+      'USER_CREATE', 'USER_UPDATE', 'USER_DEACTIVATE', 'USER_ROLE_CHANGE', 'USER_UNLOCK',
       'BANK_CREATE', 'BANK_UPDATE', 'BANK_SETTINGS_UPDATE',
-      'PROFILE_UPDATE', 'KYC_UPLOAD', 'STATEMENT_REQUEST'
+      'BRANCH_CREATE', 'BRANCH_UPDATE', 'BRANCH_DEACTIVATE', 'BRANCH_ASSIGN',
+      'API_CLIENT_CREATE', 'API_CLIENT_UPDATE', 'API_CLIENT_ROTATE', 'API_CLIENT_REVOKE', 'API_CLIENT_REQUEST',
+      'PROFILE_UPDATE', 'KYC_UPLOAD', 'STATEMENT_REQUEST',
+      'LOAN_APPLY', 'LOAN_SANCTION', 'LOAN_REJECT', 'LOAN_DISBURSE', 'LOAN_REPAYMENT', 'LOAN_PRODUCT_UPDATE',
+      'SHARE_PURCHASE', 'SHARE_REDEMPTION', 'DIVIDEND_DECLARE'
     ]
   },
   resourceType: {
     type: String,
     required: true,
-    enum: ['USER', 'ACCOUNT', 'TRANSACTION', 'BANK', 'PROFILE', 'KYC']
+    enum: ['USER', 'ACCOUNT', 'TRANSACTION', 'BANK', 'PROFILE', 'KYC', 'LOAN', 'SHARE', 'API_CLIENT', 'BRANCH']
   },
   resourceId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -67,9 +87,13 @@ const auditLogSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 auditLogSchema.index({ userId: 1, timestamp: -1 });
+auditLogSchema.index({ impersonatorId: 1, timestamp: -1 }, { sparse: true });
 auditLogSchema.index({ cooperativeBankId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
 auditLogSchema.index({ resourceType: 1, resourceId: 1 });
 auditLogSchema.index({ timestamp: -1 });
 
+// Reads and writes inside a request are confined to the request's cooperative bank
+auditLogSchema.plugin(tenantScope);
+
 module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// A branch of a cooperative bank; staff and accounts are assigned to one
+const branchSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: [true, 'Cooperative bank is required']
+  },
+  // Three digits, unique within the bank; part of every account number opened at the branch
+  branchCode: {
+    type: String,
+    required: [true, 'Branch code is required'],
+    match: [/^[0-9]{3}$/, 'Branch code must be 3 digits']
+  },
+  branchName: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    trim: true,
+    maxlength: [100, 'Branch name cannot exceed 100 characters']
+  },
+  ifscCode: {
+    type: String,
+    required: [true, 'IFSC code is required'],
+    unique: true,
+    uppercase: true,
+    match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Please provide a valid IFSC code']
+  },
+  address: {
+    street: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    pincode: {
+      type: String,
+      required: true,
+      match: [/^[0-9]{6}$/, 'Please provide a valid 6-digit pincode']
+    },
+    country: { type: String, default: 'India' }
+  },
+  contactDetails: {
+    phone: {
+      type: String,
+      match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number']
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    }
+  },
+  workingHours: {
+    start: {
+      type: String,
+      required: true,
+      match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Working hours must be in HH:MM format']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Working hours must be in HH:MM format']
+    }
+  },
+  workingDays: [{
+    type: String,
+    enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+  }],
+  managerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Accounts opened without a branch are booked at the head office
+  isHeadOffice: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+branchSchema.pre('validate', function(next) {
+  if (this.workingHours && this.workingHours.start && this.workingHours.end &&
+      this.workingHours.end <= this.workingHours.start) {
+    this.invalidate('workingHours.end', 'Branch must close after it opens');
+  }
+  next();
+});
+
+// Indexes for better query performance
+branchSchema.index({ cooperativeBankId: 1, branchCode: 1 }, { unique: true });
+branchSchema.index({ cooperativeBankId: 1, isHeadOffice: 1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+branchSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Branch', branchSchema);
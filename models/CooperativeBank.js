@@ -126,9 +126,95 @@ const cooperativeBankSchema = new mongoose.Schema({
       current: { type: Number, default: 5000 }
     },
     transactionLimits: {
+      dailyDeposit: { type: Number, default: 100000 },
       dailyWithdrawal: { type: Number, default: 50000 },
       dailyTransfer: { type: Number, default: 100000 },
-      monthlyTransaction: { type: Number, default: 500000 }
+      monthlyTransaction: { type: Number, default: 500000 },
+      // Per account type limits that take precedence over the bank defaults
+      accountTypeOverrides: [{
+        _id: false,
+        accountType: {
+          type: String,
+          enum: ['savings', 'current', 'fixed_deposit', 'recurring_deposit'],
+          required: true
+        },
+        dailyDeposit: { type: Number, min: 0 },
+        dailyWithdrawal: { type: Number, min: 0 },
+        dailyTransfer: { type: Number, min: 0 },
+        monthlyTransaction: { type: Number, min: 0 }
+      }]
+    },
+    // Savings interest accrues daily and is credited at the end of each posting period
+    interest: {
+      postingFrequency: {
+        type: String,
+        enum: ['monthly', 'quarterly', 'half_yearly', 'yearly'],
+        default: 'quarterly'
+      },
+      daysInYear: { type: Number, enum: [360, 365], default: 365 }
+    },
+    fixedDeposit: {
+      compoundingFrequency: {
+        type: String,
+        enum: ['monthly', 'quarterly', 'half_yearly', 'yearly'],
+        default: 'quarterly'
+      },
+      minimumPrincipal: { type: Number, default: 1000 },
+      minTenureMonths: { type: Number, default: 1 },
+      maxTenureMonths: { type: Number, default: 120 },
+      // Percentage points deducted from the contracted rate on premature closure
+      prematurePenaltyRate: { type: Number, default: 1.0, min: 0 }
+    },
+    recurringDeposit: {
+      minimumInstallment: { type: Number, default: 100 },
+      minTenureMonths: { type: Number, default: 6 },
+      maxTenureMonths: { type: Number, default: 120 },
+      // Flat fee charged to the linked account for each missed installment
+      lateFeePerInstallment: { type: Number, default: 50, min: 0 },
+      gracePeriodDays: { type: Number, default: 5, min: 0 }
+    },
+    // Share capital held by members
+    shares: {
+      faceValue: { type: Number, default: 100, min: 1 },
+      minimumShares: { type: Number, default: 1, min: 1 },
+      maximumSharesPerMember: { type: Number, default: 10000, min: 1 }
+    },
+    // Days past due at which a loan moves into each asset classification
+    npa: {
+      subStandardDays: { type: Number, default: 90, min: 1 },
+      doubtfulDays: { type: Number, default: 455, min: 1 },
+      lossDays: { type: Number, default: 1185, min: 1 }
+    },
+    // Overrides of built-in roles and custom roles, as role name to permission names
+    rolePermissions: {
+      type: Map,
+      of: [String],
+      default: undefined
+    },
+    passwordPolicy: {
+      minLength: { type: Number, default: 8, min: 6, max: 128 },
+      requireUppercase: { type: Boolean, default: true },
+      requireLowercase: { type: Boolean, default: true },
+      requireNumber: { type: Boolean, default: true },
+      requireSymbol: { type: Boolean, default: false },
+      // Number of most recent passwords, including the current one, that cannot be reused
+      historyCount: { type: Number, default: 5, min: 0, max: 24 },
+      // Staff must change their password after this many days; 0 turns expiry off
+      staffMaxAgeDays: { type: Number, default: 90, min: 0 }
+    },
+    security: {
+      // Every staff role must enrol in TOTP before signing in
+      requireTwoFactorForStaff: { type: Boolean, default: false },
+      // Large withdrawals and transfers need a re-verification within the last few minutes
+      stepUp: {
+        amountThreshold: { type: Number, default: 25000, min: 0 },
+        windowMinutes: { type: Number, default: 5, min: 1, max: 60 }
+      }
+    },
+    // Maker-checker rules for deposits, withdrawals and transfers
+    approval: {
+      highValueThreshold: { type: Number, default: 50000, min: 0 },
+      requireForStaffInitiated: { type: Boolean, default: true }
     },
     fees: {
       accountOpening: { type: Number, default: 500 },
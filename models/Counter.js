@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named running numbers, incremented atomically so concurrent requests never get the same value
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Next value of the counter; seed() gives the last value already used when the counter does not exist yet
+counterSchema.statics.next = async function(key, seed) {
+  const counter = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) {
+    return counter.seq;
+  }
+
+  try {
+    await this.create({ _id: key, seq: await seed() });
+  } catch (error) {
+    // Another request created it first; its seed is as good as ours
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const seeded = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+  return seeded.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const dividendRunSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  // Financial year the dividend is declared for, e.g. 2024-25
+  financialYear: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}$/, 'Financial year must look like 2024-25']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Dividend rate must be greater than 0'],
+    max: [100, 'Dividend rate cannot exceed 100']
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  membersPaid: {
+    type: Number,
+    default: 0
+  },
+  totalDividend: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    _id: false,
+    holding: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShareHolding'
+    },
+    message: String
+  }],
+  declaredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refreshed while members are being paid; a running run that stops beating was abandoned
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+dividendRunSchema.index({ cooperativeBankId: 1, financialYear: 1 }, { unique: true });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+dividendRunSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('DividendRun', dividendRunSchema);
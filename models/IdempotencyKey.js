@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank'
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request the key was first used with
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user and per cooperative bank
+idempotencyKeySchema.index({ cooperativeBankId: 1, userId: 1, key: 1 }, { unique: true });
+// Let MongoDB remove keys once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+idempotencyKeySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const interestAccrualSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Start of the day the accrual is for
+  date: {
+    type: Date,
+    required: true
+  },
+  endOfDayBalance: {
+    type: Number,
+    required: true
+  },
+  interestRate: {
+    type: Number,
+    required: true
+  },
+  // Kept to four decimals; rounded to paise only when posted
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  posted: {
+    type: Boolean,
+    default: false
+  },
+  postedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterestRun'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+interestAccrualSchema.index({ account: 1, date: 1 }, { unique: true });
+interestAccrualSchema.index({ cooperativeBankId: 1, posted: 1, date: 1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+interestAccrualSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('InterestAccrual', interestAccrualSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const interestRunSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  runType: {
+    type: String,
+    enum: ['accrual', 'posting'],
+    required: true
+  },
+  fromDate: {
+    type: Date
+  },
+  toDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  accountsProcessed: {
+    type: Number,
+    default: 0
+  },
+  accrualsCreated: {
+    type: Number,
+    default: 0
+  },
+  totalAccrued: {
+    type: Number,
+    default: 0
+  },
+  postingsCreated: {
+    type: Number,
+    default: 0
+  },
+  totalPosted: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    _id: false,
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    message: String
+  }],
+  // Null for scheduled runs
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+interestRunSchema.index({ cooperativeBankId: 1, startedAt: -1 });
+interestRunSchema.index({ cooperativeBankId: 1, runType: 1, status: 1, toDate: -1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+interestRunSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('InterestRun', interestRunSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { toPaise } = require('../utils/money');
+const tenantScope = require('./plugins/tenantScope');
+
+const postingSchema = new mongoose.Schema({
+  // Member account (sub-ledger) affected by this posting
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Bank-level general ledger account affected by this posting
+  ledgerAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  },
+  balanceAfter: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  journalNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  entryType: {
+    type: String,
+    required: true
+  },
+  narration: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Narration cannot exceed 200 characters']
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2,
+      message: 'A journal entry needs at least two postings'
+    }
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  }
+}, {
+  timestamps: true
+});
+
+// Difference between total debits and total credits, in paise
+journalEntrySchema.statics.getImbalance = function(postings) {
+  return postings.reduce((sum, posting) => {
+    return sum + toPaise(posting.debit || 0) - toPaise(posting.credit || 0);
+  }, 0);
+};
+
+// Generate journal number and enforce the double-entry invariant before validation
+journalEntrySchema.pre('validate', function(next) {
+  if (!this.journalNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.journalNumber = `JRN${timestamp}${random}`;
+  }
+
+  this.postings.forEach((posting, index) => {
+    if (Boolean(posting.account) === Boolean(posting.ledgerAccount)) {
+      this.invalidate(`postings.${index}`, 'Each posting must target exactly one member or ledger account');
+    }
+    if ((posting.debit > 0) === (posting.credit > 0)) {
+      this.invalidate(`postings.${index}`, 'Each posting must be either a debit or a credit');
+    }
+  });
+
+  const imbalance = this.constructor.getImbalance(this.postings);
+  if (imbalance !== 0) {
+    this.invalidate('postings', `Journal entry does not balance (difference: ${imbalance / 100})`);
+  }
+
+  next();
+});
+
+// Indexes for better query performance
+journalEntrySchema.index({ cooperativeBankId: 1, postedAt: -1 });
+journalEntrySchema.index({ transaction: 1 });
+journalEntrySchema.index({ 'postings.account': 1, postedAt: -1 });
+journalEntrySchema.index({ 'postings.ledgerAccount': 1, postedAt: -1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+journalEntrySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const kycDocumentSchema = new mongoose.Schema({
   userId: {
@@ -88,4 +89,7 @@ kycDocumentSchema.virtual('fileUrl').get(function() {
 // Ensure virtual fields are serialized
 kycDocumentSchema.set('toJSON', { virtuals: true });
 
+// Reads and writes inside a request are confined to the request's cooperative bank
+kycDocumentSchema.plugin(tenantScope);
+
 module.exports = mongoose.model('KYCDocument', kycDocumentSchema);
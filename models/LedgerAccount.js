@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Ledger account code is required'],
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Ledger account name is required'],
+    trim: true,
+    maxlength: [100, 'Ledger account name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'income', 'expense'],
+    required: true
+  },
+  // Balance on the account's normal side (debit for assets/expenses, credit otherwise)
+  balance: {
+    type: Number,
+    default: 0
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Normal balance side of the account
+ledgerAccountSchema.virtual('normalBalance').get(function() {
+  return ['asset', 'expense'].includes(this.type) ? 'debit' : 'credit';
+});
+
+// Ensure virtual fields are serialized
+ledgerAccountSchema.set('toJSON', { virtuals: true });
+
+// Indexes for better query performance
+ledgerAccountSchema.index({ cooperativeBankId: 1, code: 1 }, { unique: true });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+ledgerAccountSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
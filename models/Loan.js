@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const installmentSchema = new mongoose.Schema({
+  number: { type: Number, required: true },
+  dueDate: { type: Date, required: true },
+  emi: { type: Number, required: true },
+  principal: { type: Number, required: true },
+  interest: { type: Number, required: true },
+  openingBalance: { type: Number, required: true },
+  closingBalance: { type: Number, required: true },
+  principalPaid: { type: Number, default: 0 },
+  interestPaid: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['due', 'partially_paid', 'paid', 'prepaid'],
+    default: 'due'
+  },
+  paidAt: Date
+}, { _id: false });
+
+const loanSchema = new mongoose.Schema({
+  loanNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanProduct',
+    required: true
+  },
+  productType: {
+    type: String,
+    enum: ['personal', 'gold', 'loan_against_fd'],
+    required: true
+  },
+  principal: {
+    type: Number,
+    required: [true, 'Loan amount is required'],
+    min: [1, 'Loan amount must be positive']
+  },
+  interestRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tenureMonths: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  emiAmount: {
+    type: Number,
+    required: true
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Purpose cannot exceed 200 characters']
+  },
+  // Savings account the loan is disbursed to and EMIs are paid from
+  disbursementAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  collateral: {
+    description: String,
+    value: Number,
+    fixedDepositAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    }
+  },
+  // Eligibility snapshot taken when the member applied
+  eligibility: {
+    monthlyIncome: Number,
+    existingEmi: Number,
+    emiToIncomeRatio: Number,
+    maxEligibleAmount: Number
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'sanctioned', 'rejected', 'disbursed', 'closed'],
+    default: 'applied'
+  },
+  sanctionedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sanctionedAt: Date,
+  sanctionRemarks: {
+    type: String,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  disbursedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  disbursedAt: Date,
+  disbursementTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  schedule: [installmentSchema],
+  outstandingPrincipal: {
+    type: Number,
+    default: 0
+  },
+  totalInterestPaid: {
+    type: Number,
+    default: 0
+  },
+  lastRepaymentDate: Date,
+  // Latest result of the nightly ageing run
+  assetClassification: {
+    category: {
+      type: String,
+      enum: ['standard', 'sub_standard', 'doubtful', 'loss'],
+      default: 'standard'
+    },
+    daysPastDue: {
+      type: Number,
+      default: 0
+    },
+    bucket: {
+      type: String,
+      enum: ['current', 'sma_0', 'sma_1', 'sma_2', '91_180', '181_365', 'over_365'],
+      default: 'current'
+    },
+    npaSince: Date,
+    classifiedAt: Date
+  },
+  closedAt: Date
+}, {
+  timestamps: true,
+  // Concurrent repayments on the same loan fail instead of overwriting each other
+  optimisticConcurrency: true
+});
+
+// Generate loan number before validation so the required check passes
+loanSchema.pre('validate', function(next) {
+  if (!this.loanNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.loanNumber = `LN${timestamp}${random}`;
+  }
+  next();
+});
+
+// Indexes for better query performance
+loanSchema.index({ cooperativeBankId: 1, status: 1 });
+loanSchema.index({ userId: 1, status: 1 });
+loanSchema.index({ cooperativeBankId: 1, 'assetClassification.category': 1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+loanSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Loan', loanSchema);
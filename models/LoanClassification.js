@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// One row per change in a loan's asset classification or DPD bucket
+const loanClassificationSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  asOf: {
+    type: Date,
+    required: true
+  },
+  daysPastDue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  bucket: {
+    type: String,
+    enum: ['current', 'sma_0', 'sma_1', 'sma_2', '91_180', '181_365', 'over_365'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['standard', 'sub_standard', 'doubtful', 'loss'],
+    required: true
+  },
+  previousCategory: {
+    type: String,
+    enum: ['standard', 'sub_standard', 'doubtful', 'loss']
+  },
+  overdueAmount: {
+    type: Number,
+    default: 0
+  },
+  outstandingPrincipal: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+loanClassificationSchema.index({ loan: 1, asOf: -1 });
+loanClassificationSchema.index({ cooperativeBankId: 1, asOf: -1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+loanClassificationSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('LoanClassification', loanClassificationSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const loanProductSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Product code is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Product code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot exceed 100 characters']
+  },
+  productType: {
+    type: String,
+    enum: ['personal', 'gold', 'loan_against_fd'],
+    required: true
+  },
+  // Annual rate, reducing balance
+  interestRate: {
+    type: Number,
+    required: [true, 'Interest rate is required'],
+    min: [0, 'Interest rate cannot be negative']
+  },
+  minAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Minimum amount must be positive']
+  },
+  maxAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Maximum amount must be positive']
+  },
+  minTenureMonths: {
+    type: Number,
+    required: true,
+    min: [1, 'Minimum tenure must be at least one month']
+  },
+  maxTenureMonths: {
+    type: Number,
+    required: true,
+    min: [1, 'Maximum tenure must be at least one month']
+  },
+  // Largest share of monthly income all EMIs together may take
+  maxEmiToIncomeRatio: {
+    type: Number,
+    default: 0.5,
+    min: 0,
+    max: 1
+  },
+  // Largest loan as a share of collateral value (gold and loan against FD)
+  loanToValueRatio: {
+    type: Number,
+    default: 0.75,
+    min: 0,
+    max: 1
+  },
+  // Charged on outstanding principal when a loan is closed early
+  prepaymentChargeRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  requiredKycDocuments: {
+    type: [String],
+    default: ['AADHAR_FRONT', 'PAN_CARD']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loanProductSchema.pre('validate', function(next) {
+  if (this.minAmount > this.maxAmount) {
+    this.invalidate('minAmount', 'Minimum amount cannot exceed maximum amount');
+  }
+  if (this.minTenureMonths > this.maxTenureMonths) {
+    this.invalidate('minTenureMonths', 'Minimum tenure cannot exceed maximum tenure');
+  }
+  next();
+});
+
+// Indexes for better query performance
+loanProductSchema.index({ cooperativeBankId: 1, code: 1 }, { unique: true });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+loanProductSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
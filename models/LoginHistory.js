@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// One row per sign-in attempt, successful or not
+const loginHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'invalid_password', 'invalid_two_factor', 'locked', 'inactive', 'unknown_user'],
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Hash of the user agent, used to recognise a returning device
+  deviceId: String,
+  // Country from the edge proxy when available, otherwise the client's network
+  location: String,
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  newLocation: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+loginHistorySchema.index({ userId: 1, createdAt: -1 });
+loginHistorySchema.index({ userId: 1, outcome: 1, deviceId: 1 });
+loginHistorySchema.index({ cooperativeBankId: 1, createdAt: -1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+loginHistorySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
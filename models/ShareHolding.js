@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// A member's share capital in their cooperative bank
+const shareHoldingSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  certificateNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  shares: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shares cannot be negative']
+  },
+  // Amount paid up on the shares held, at the face value in force when each was bought
+  shareCapital: {
+    type: Number,
+    default: 0,
+    min: [0, 'Share capital cannot be negative']
+  },
+  // Savings account used for share payments and dividend credits
+  linkedAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  firstAllottedAt: {
+    type: Date,
+    default: Date.now
+  },
+  totalDividendPaid: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Generate certificate number before validation so the required check passes
+shareHoldingSchema.pre('validate', function(next) {
+  if (!this.certificateNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.certificateNumber = `SC${timestamp}${random}`;
+  }
+  next();
+});
+
+// Indexes for better query performance
+shareHoldingSchema.index({ userId: 1, cooperativeBankId: 1 }, { unique: true });
+shareHoldingSchema.index({ cooperativeBankId: 1, shares: 1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+shareHoldingSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ShareHolding', shareHoldingSchema);
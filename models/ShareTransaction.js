@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// Per-member share ledger: allotments, redemptions and dividend credits
+const shareTransactionSchema = new mongoose.Schema({
+  cooperativeBankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CooperativeBank',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  holding: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareHolding',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['purchase', 'redemption', 'dividend'],
+    required: true
+  },
+  // Shares bought or redeemed; zero for dividends
+  shares: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  faceValue: {
+    type: Number
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  sharesAfter: {
+    type: Number,
+    required: true
+  },
+  shareCapitalAfter: {
+    type: Number,
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  dividendRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DividendRun',
+    required: function() {
+      return this.type === 'dividend';
+    }
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+shareTransactionSchema.index({ holding: 1, createdAt: -1 });
+shareTransactionSchema.index({ cooperativeBankId: 1, type: 1, createdAt: -1 });
+// A member can be paid only once per dividend run
+shareTransactionSchema.index(
+  { dividendRun: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { type: 'dividend' } }
+);
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+shareTransactionSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ShareTransaction', shareTransactionSchema);
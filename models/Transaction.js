@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
@@ -11,18 +12,20 @@ const transactionSchema = new mongoose.Schema({
     ref: 'CooperativeBank',
     required: true
   },
+  // Member account debited by the transaction
   fromAccount: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Account',
     required: function() {
-      return this.transactionType !== 'deposit';
+      return ['withdrawal', 'transfer', 'penalty', 'loan_repayment', 'share_purchase'].includes(this.transactionType);
     }
   },
+  // Member account credited by the transaction
   toAccount: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Account',
     required: function() {
-      return this.transactionType === 'transfer';
+      return ['transfer', 'interest', 'loan_disbursement', 'share_redemption', 'dividend'].includes(this.transactionType);
     }
   },
   amount: {
@@ -32,7 +35,10 @@ const transactionSchema = new mongoose.Schema({
   },
   transactionType: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'transfer', 'interest', 'penalty'],
+    enum: [
+      'deposit', 'withdrawal', 'transfer', 'interest', 'penalty', 'reversal',
+      'loan_disbursement', 'loan_repayment', 'share_purchase', 'share_redemption', 'dividend'
+    ],
     required: true
   },
   description: {
@@ -40,15 +46,84 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
+  // Pending and rejected transactions never moved a balance
   balanceAfter: {
     type: Number,
-    required: true
+    required: function() {
+      return !['pending', 'rejected'].includes(this.status);
+    }
+  },
+  // Balance of the credited account when both legs are member accounts
+  toBalanceAfter: {
+    type: Number
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  // Fixed or recurring deposit whose booking, installment, interest or payout this transaction records
+  depositAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'reversed', 'rejected'],
     default: 'completed'
   },
+  // Original transaction compensated by this reversal
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: function() {
+      return this.transactionType === 'reversal';
+    }
+  },
+  // Reversal that compensated this transaction
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Maker-checker details for transactions that needed a second staff user
+  approval: {
+    reason: {
+      type: String,
+      enum: ['high_value', 'staff_initiated']
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date
+    },
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: {
+      type: Date
+    },
+    remarks: {
+      type: String,
+      maxlength: [500, 'Approval remarks cannot exceed 500 characters']
+    }
+  },
+  reversalReason: {
+    type: String,
+    maxlength: [500, 'Reversal reason cannot exceed 500 characters'],
+    required: function() {
+      return this.transactionType === 'reversal';
+    }
+  },
   referenceNumber: {
     type: String,
     unique: true,
@@ -70,8 +145,8 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate transaction ID before saving
-transactionSchema.pre('save', async function(next) {
+// Generate transaction ID before validation so the required check passes
+transactionSchema.pre('validate', function(next) {
   if (!this.transactionId) {
     const timestamp = Date.now().toString();
     const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
@@ -80,11 +155,28 @@ transactionSchema.pre('save', async function(next) {
   next();
 });
 
+// Signed effect of this transaction on the given account (credit positive)
+transactionSchema.methods.getAccountEffect = function(accountId) {
+  const id = accountId.toString();
+  const toId = this.toAccount && (this.toAccount._id || this.toAccount).toString();
+  const fromId = this.fromAccount && (this.fromAccount._id || this.fromAccount).toString();
+
+  if (toId === id) return this.amount;
+  // Deposits recorded before the ledger stored the credited account in fromAccount
+  if (fromId === id) return this.transactionType === 'deposit' && !toId ? this.amount : -this.amount;
+  return 0;
+};
+
 // Indexes for better query performance
 transactionSchema.index({ cooperativeBankId: 1 });
 transactionSchema.index({ fromAccount: 1, processedAt: -1 });
 transactionSchema.index({ toAccount: 1, processedAt: -1 });
 transactionSchema.index({ transactionType: 1 });
 transactionSchema.index({ processedAt: -1 });
+transactionSchema.index({ reversalOf: 1 });
+transactionSchema.index({ cooperativeBankId: 1, status: 1 });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+transactionSchema.plugin(tenantScope);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
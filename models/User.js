@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const tenantScope = require('./plugins/tenantScope');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -74,10 +75,16 @@ const userSchema = new mongoose.Schema({
     ref: 'CooperativeBank',
     required: [true, 'Cooperative bank is required']
   },
+  // Built-in role or one of the bank's custom roles; permissions come from the bank's role map
   role: {
     type: String,
-    enum: ['member', 'admin', 'manager', 'super_admin'],
-    default: 'member'
+    default: 'member',
+    match: [/^[a-z][a-z0-9_]{1,29}$/, 'Invalid role name']
+  },
+  // Staff assigned to a branch only see that branch's accounts and transactions
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
   },
   memberSince: {
     type: Date,
@@ -85,14 +92,111 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // Tokens issued before this are refused; staff must rotate once it is older than the bank allows
+  passwordChangedAt: Date,
+  // Hashes of recent previous passwords, which may not be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Only a hash of the emailed reset token is kept; it is cleared on use or any password change
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  // Members verify both before they can open accounts or move money
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Only a hash of the emailed verification token is kept
+  emailVerification: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  // Consecutive failed sign-ins; each lockout lasts longer than the one before
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    lastFailedAt: Date
+  },
+  // TOTP second factor; secrets are encrypted and recovery codes hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting its first verified code during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Monthly statements emailed as PDF
+  eStatementOptIn: {
+    type: Boolean,
+    default: false
+  },
+  // Member-specific transaction limits that take precedence over bank settings
+  transactionLimits: {
+    dailyDeposit: { type: Number, min: 0 },
+    dailyWithdrawal: { type: Number, min: 0 },
+    dailyTransfer: { type: Number, min: 0 },
+    monthlyTransaction: { type: Number, min: 0 }
   }
 }, {
   timestamps: true
 });
 
+// A new phone number has to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('phone')) {
+    this.phoneVerified = false;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  // Any outstanding reset link stops working once the password changes
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.passwordReset = undefined;
+  }
   
   try {
     const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
@@ -113,7 +217,30 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
-// Ensure virtual fields are serialized
-userSchema.set('toJSON', { virtuals: true });
+// Ensure virtual fields are serialized, never credentials or second-factor secrets
+userSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.password;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
+    delete ret.passwordReset;
+    delete ret.emailVerification;
+    delete ret.passwordHistory;
+    return ret;
+  }
+});
+
+// Indexes for better query performance
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+userSchema.index({ branchId: 1 }, { sparse: true });
+
+// Reads and writes inside a request are confined to the request's cooperative bank
+userSchema.plugin(tenantScope);
 
 module.exports = mongoose.model('User', userSchema);
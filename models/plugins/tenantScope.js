@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const TenantContext = require('../../utils/tenantContext');
+const { AppError } = require('../../middleware/validation');
+
+const QUERY_OPERATIONS = [
+  'countDocuments', 'distinct', 'find', 'findOne',
+  'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate',
+  'deleteMany', 'deleteOne', 'replaceOne', 'updateMany', 'updateOne'
+];
+
+const toIdString = (value) => (value ? String(value._id || value) : null);
+
+// Bank to confine this operation to; undefined when no request context applies
+const scopedBankId = () => {
+  const context = TenantContext.get();
+  if (!context || context.crossBank) {
+    return undefined;
+  }
+  return toIdString(context.cooperativeBankId);
+};
+
+// Confines queries, aggregates and saves on a bank-owned model to the request's cooperative bank
+const tenantScope = (schema) => {
+  schema.pre(QUERY_OPERATIONS, function() {
+    const bankId = scopedBankId();
+    if (bankId !== undefined) {
+      this.and([{ cooperativeBankId: bankId }]);
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const bankId = scopedBankId();
+    if (bankId !== undefined) {
+      this.pipeline().unshift({ $match: { cooperativeBankId: bankId && new mongoose.Types.ObjectId(bankId) } });
+    }
+  });
+
+  schema.pre('save', function() {
+    const bankId = scopedBankId();
+    if (bankId === undefined) {
+      return;
+    }
+
+    if (!this.cooperativeBankId) {
+      this.cooperativeBankId = bankId;
+    } else if (toIdString(this.cooperativeBankId) !== bankId) {
+      throw new AppError('Records of another cooperative bank cannot be written', 403);
+    }
+  });
+};
+
+module.exports = tenantScope;
@@ -1,16 +1,22 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const Account = require('../models/Account');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const CooperativeBank = require('../models/CooperativeBank');
-const { authenticateToken, authorizeRoles, authorizeUserAccess, authorizeBankAccess } = require('../middleware/auth');
+const { authenticateToken, authenticateTokenOrApiClient, authorizePermission, authorizeUserAccess, requireVerifiedContact, authorizeBankAccess, allowCrossBank, switchBankContext } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const NpaService = require('../services/npaService');
+const StatementService = require('../services/statementService');
+const AuditService = require('../services/auditService');
+const PermissionService = require('../services/permissionService');
+const BranchService = require('../services/branchService');
+const { requireStepUp } = require('../middleware/stepUp');
 
 const router = express.Router();
 
 // Create new account
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requireVerifiedContact, [
   body('accountType')
     .isIn(['savings', 'current', 'fixed_deposit', 'recurring_deposit'])
     .withMessage('Invalid account type'),
@@ -43,9 +49,20 @@ router.post('/', authenticateToken, [
   body('nomineeDetails.aadharNumber')
     .optional()
     .matches(/^[0-9]{12}$/)
-    .withMessage('Please provide a valid 12-digit Aadhar number')
+    .withMessage('Please provide a valid 12-digit Aadhar number'),
+  body('branchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid branch ID')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const { accountType, minimumBalance, interestRate, nomineeDetails } = req.body;
+  const { accountType, minimumBalance, interestRate, nomineeDetails, branchId } = req.body;
+
+  if (accountType === 'fixed_deposit') {
+    return errorResponse(res, 400, 'Fixed deposits are booked through /api/deposits/fixed');
+  }
+  if (accountType === 'recurring_deposit') {
+    return errorResponse(res, 400, 'Recurring deposits are opened through /api/deposits/recurring');
+  }
 
   // Check if user already has an account of this type
   const existingAccount = await Account.findOne({
@@ -58,10 +75,14 @@ router.post('/', authenticateToken, [
     return errorResponse(res, 400, `You already have an active ${accountType} account`);
   }
 
+  // Without a branch the account is opened at the head office
+  const branch = branchId ? await BranchService.findActive(req.cooperativeBankId, branchId) : null;
+
   // Create new account
   const account = new Account({
     userId: req.user._id,
     cooperativeBankId: req.cooperativeBankId,
+    branchId: branch ? branch._id : undefined,
     accountType,
     minimumBalance: minimumBalance || (accountType === 'savings' ? 1000 : 0),
     interestRate: interestRate || (accountType === 'savings' ? 4.0 : 0),
@@ -97,18 +118,11 @@ router.get('/:accountId', authenticateToken, [
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager', 'super_admin'].includes(req.user.role)) {
+  // Check if user owns this account or may view accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'accounts.view_all'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
-  // Check if account belongs to the same cooperative bank (unless super admin)
-  if (req.user.role !== 'super_admin' && 
-      account.cooperativeBankId._id.toString() !== req.cooperativeBankId.toString()) {
-    return errorResponse(res, 403, 'Access denied - account belongs to different cooperative bank');
-  }
-
   successResponse(res, 200, 'Account retrieved successfully', { account });
 }));
 
@@ -122,9 +136,8 @@ router.get('/:accountId/balance', authenticateToken, [
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns this account or may view accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'accounts.view_all'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -136,7 +149,7 @@ router.get('/:accountId/balance', authenticateToken, [
   });
 }));
 
-// Update account details
+// Update account details; nominee changes need a recent step-up
 router.put('/:accountId', authenticateToken, [
   param('accountId').isMongoId().withMessage('Invalid account ID'),
   body('nomineeDetails.name')
@@ -157,16 +170,15 @@ router.put('/:accountId', authenticateToken, [
     .optional()
     .matches(/^[0-9]{12}$/)
     .withMessage('Please provide a valid 12-digit Aadhar number')
-], handleValidationErrors, asyncHandler(async (req, res) => {
+], handleValidationErrors, requireStepUp((req) => req.body.nomineeDetails !== undefined), asyncHandler(async (req, res) => {
   const account = await Account.findById(req.params.accountId);
 
   if (!account) {
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns this account or may update accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'accounts.update_any'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -188,6 +200,127 @@ router.put('/:accountId', authenticateToken, [
   successResponse(res, 200, 'Account updated successfully', { account: updatedAccount });
 }));
 
+// Move an account to another branch; its account number is kept (requires branches.manage) - Bank scoped
+router.put('/:accountId/branch', authenticateToken, switchBankContext, authorizePermission('branches.manage'), authorizeBankAccess, [
+  param('accountId').isMongoId().withMessage('Invalid account ID'),
+  body('branchId').isMongoId().withMessage('Invalid branch ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const account = await Account.findOne({ _id: req.params.accountId, cooperativeBankId: req.cooperativeBankId });
+
+  if (!account) {
+    return errorResponse(res, 404, 'Account not found');
+  }
+
+  const previousBranchId = account.branchId;
+  await BranchService.assignAccount(account, req.body.branchId);
+
+  await AuditService.logBranchEvent(req.user._id, account.cooperativeBankId, 'BRANCH_ASSIGN', account.branchId, {
+    accountId: account._id,
+    fromBranchId: previousBranchId || null,
+    toBranchId: account.branchId
+  }, req);
+
+  successResponse(res, 200, 'Account branch updated successfully', { account });
+}));
+
+// Load an account for a statement; owners and staff of the same bank only
+const findStatementAccount = async (req, res) => {
+  const account = await Account.findById(req.params.accountId);
+
+  if (!account) {
+    errorResponse(res, 404, 'Account not found');
+    return null;
+  }
+
+  if (!(await PermissionService.canAccessOwned(req, account, 'accounts.view_all'))) {
+    errorResponse(res, 403, 'Access denied');
+    return null;
+  }
+
+  return account;
+};
+
+// Statement period from the query string or the request body
+const statementValidation = (location) => [
+  param('accountId').isMongoId().withMessage('Invalid account ID'),
+  location('fromDate').isISO8601().withMessage('From date must be a valid ISO date'),
+  location('toDate').isISO8601().withMessage('To date must be a valid ISO date')
+];
+
+// Get an account statement for a date range as JSON, PDF or CSV
+router.get('/:accountId/statement', authenticateToken, [
+  ...statementValidation(query),
+  query('format').optional().isIn(['json', 'pdf', 'csv']).withMessage('Format must be json, pdf or csv')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const account = await findStatementAccount(req, res);
+  if (!account) return;
+
+  const format = req.query.format || 'json';
+  const statement = await StatementService.buildStatement(account, new Date(req.query.fromDate), new Date(req.query.toDate));
+
+  await AuditService.logAccountEvent(req.user._id, account.cooperativeBankId, 'STATEMENT_REQUEST', account._id, {
+    channel: 'download',
+    format,
+    period: statement.period,
+    accountNumber: account.accountNumber
+  }, req);
+
+  const filename = `statement-${account.accountNumber}-${statement.period.replace(/\s+/g, '_')}`;
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    return res.send(StatementService.toCsv(statement));
+  }
+
+  if (format === 'pdf') {
+    const [bank, member] = await Promise.all([
+      CooperativeBank.findById(account.cooperativeBankId).select('bankName logo theme'),
+      User.findById(account.userId).select('firstName lastName address')
+    ]);
+    const pdf = await StatementService.renderPdf(statement, { bank, member });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.send(pdf);
+  }
+
+  successResponse(res, 200, 'Statement generated successfully', { statement });
+}));
+
+// Email an account statement PDF to the account holder
+router.post('/:accountId/statement/email', authenticateToken, [
+  ...statementValidation(body)
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const account = await findStatementAccount(req, res);
+  if (!account) return;
+
+  const [bank, member] = await Promise.all([
+    CooperativeBank.findById(account.cooperativeBankId).select('bankName logo theme'),
+    User.findById(account.userId).select('firstName lastName email address')
+  ]);
+
+  const statement = await StatementService.buildStatement(account, new Date(req.body.fromDate), new Date(req.body.toDate));
+  const pdf = await StatementService.renderPdf(statement, { bank, member });
+  await StatementService.emailStatement(statement, { bank, member, pdf });
+
+  await AuditService.logAccountEvent(req.user._id, account.cooperativeBankId, 'STATEMENT_REQUEST', account._id, {
+    channel: 'email',
+    period: statement.period,
+    accountNumber: account.accountNumber
+  }, req);
+
+  successResponse(res, 200, 'Statement emailed successfully', {
+    period: statement.period,
+    sentTo: member.email
+  });
+}));
+
 // Deactivate account
 router.put('/:accountId/deactivate', authenticateToken, [
   param('accountId').isMongoId().withMessage('Invalid account ID')
@@ -198,9 +331,8 @@ router.put('/:accountId/deactivate', authenticateToken, [
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns this account or may update accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'accounts.update_any'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -218,19 +350,26 @@ router.put('/:accountId/deactivate', authenticateToken, [
   successResponse(res, 200, 'Account deactivated successfully', { account });
 }));
 
-// Get all accounts (Admin/Manager only) - Bank scoped
-router.get('/admin/all-accounts', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
+// Get all accounts (requires accounts.view_all) - Bank scoped
+router.get('/admin/all-accounts', authenticateTokenOrApiClient, switchBankContext, authorizePermission('accounts.view_all'), authorizeBankAccess, allowCrossBank, [
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const filter = { isActive: true };
+  const filter = { isActive: true, ...BranchService.accountFilter(req) };
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
+  // Bank-wide staff may narrow the list to one branch
+  if (req.query.branchId && !filter.branchId) {
+    filter.branchId = req.query.branchId;
+  }
+
   const accounts = await Account.find(filter)
     .populate('userId', 'firstName lastName email phone')
     .populate('cooperativeBankId', 'bankName bankCode')
@@ -250,12 +389,12 @@ router.get('/admin/all-accounts', authenticateToken, authorizeRoles('admin', 'ma
   });
 }));
 
-// Get account statistics (Admin/Manager only) - Bank scoped
-router.get('/admin/stats', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
-  const filter = { isActive: true };
+// Get account statistics (requires accounts.reports) - Bank scoped
+router.get('/admin/stats', authenticateTokenOrApiClient, switchBankContext, authorizePermission('accounts.reports'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
+  const filter = { isActive: true, ...BranchService.accountFilter(req) };
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -275,12 +414,22 @@ router.get('/admin/stats', authenticateToken, authorizeRoles('admin', 'manager')
     createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
   });
 
+  const accountsByBranch = await BranchService.accountsByBranch(filter);
+
   successResponse(res, 200, 'Account statistics retrieved successfully', {
     totalAccounts,
     totalBalance: totalBalance[0]?.total || 0,
     accountsByType,
+    accountsByBranch,
     newAccountsThisMonth
   });
 }));
 
+// Get NPA classification and overdue ageing report (requires accounts.reports) - Bank scoped
+router.get('/admin/npa-report', authenticateTokenOrApiClient, switchBankContext, authorizePermission('accounts.reports'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
+  const report = await NpaService.getReport(req.cooperativeBankId);
+
+  successResponse(res, 200, 'NPA report retrieved successfully', report);
+}));
+
 module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const ApiClient = require('../models/ApiClient');
+const { authenticateToken, authorizePermission, authorizeBankAccess, switchBankContext } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const ApiClientService = require('../services/apiClientService');
+const PermissionService = require('../services/permissionService');
+const AuditService = require('../services/auditService');
+
+const router = express.Router();
+
+const clientValidation = [
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+  body('scopes.*')
+    .isString()
+    .withMessage('Scopes must be strings'),
+  body('ipAllowlist')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('IP allowlist must be an array of at most 50 entries'),
+  body('ipAllowlist.*')
+    .isString()
+    .withMessage('IP allowlist entries must be strings'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('rateLimit.maxRequests')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Rate limit must be between 1 and 100000 requests'),
+  body('rateLimit.windowSeconds')
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('Rate limit window must be between 1 second and a day')
+];
+
+const findClient = (req) => ApiClient.findOne({ _id: req.params.id, cooperativeBankId: req.cooperativeBankId });
+
+// List the bank's API clients (requires api_clients.manage) - Bank scoped
+router.get('/', authenticateToken, switchBankContext, authorizePermission('api_clients.manage'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const clients = await ApiClient.find({ cooperativeBankId: req.cooperativeBankId })
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ createdAt: -1 });
+
+  successResponse(res, 200, 'API clients retrieved successfully', {
+    clients,
+    availableScopes: ApiClientService.CLIENT_SCOPES
+  });
+}));
+
+// Create a client; the API key is only ever shown in this response
+router.post('/', authenticateToken, switchBankContext, authorizePermission('api_clients.manage'), authorizeBankAccess, [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Client name is required')
+    .isLength({ max: 100 })
+    .withMessage('Client name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  ...clientValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  if (!req.cooperativeBankId) {
+    return errorResponse(res, 400, 'Cooperative bank context required');
+  }
+
+  const { client, apiKey } = await ApiClientService.create(await PermissionService.getPermissions(req), {
+    cooperativeBankId: req.cooperativeBankId,
+    name: req.body.name,
+    scopes: [...new Set(req.body.scopes)],
+    ipAllowlist: req.body.ipAllowlist,
+    expiresAt: req.body.expiresAt || undefined,
+    rateLimit: req.body.rateLimit,
+    createdBy: req.user._id
+  });
+
+  await AuditService.logApiClientEvent(req.user._id, req.cooperativeBankId, 'API_CLIENT_CREATE', client._id, {
+    clientId: client.clientId,
+    scopes: client.scopes,
+    ipAllowlist: client.ipAllowlist,
+    expiresAt: client.expiresAt
+  }, req);
+
+  successResponse(res, 201, 'API client created successfully; store the API key now, it will not be shown again', {
+    client,
+    apiKey
+  });
+}));
+
+// Get an API client
+router.get('/:id', authenticateToken, switchBankContext, authorizePermission('api_clients.manage'), authorizeBankAccess, [
+  param('id').isMongoId().withMessage('Invalid API client ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const client = await findClient(req);
+
+  if (!client) {
+    return errorResponse(res, 404, 'API client not found');
+  }
+
+  successResponse(res, 200, 'API client retrieved successfully', { client });
+}));
+
+// Change a client's name, scopes, allowlist, expiry or rate limit
+router.put('/:id', authenticateToken, switchBankContext, authorizePermission('api_clients.manage'), authorizeBankAccess, [
+  param('id').isMongoId().withMessage('Invalid API client ID'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Client name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Client name cannot exceed 100 characters'),
+  ...clientValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const client = await findClient(req);
+
+  if (!client || !client.isActive) {
+    return errorResponse(res, 404, 'API client not found');
+  }
+
+  const { name, ipAllowlist, rateLimit } = req.body;
+  const updated = await ApiClientService.update(client, await PermissionService.getPermissions(req), {
+    name,
+    scopes: req.body.scopes && [...new Set(req.body.scopes)],
+    ipAllowlist,
+    expiresAt: req.body.expiresAt === undefined ? undefined : req.body.expiresAt || null,
+    rateLimit
+  });
+
+  await AuditService.logApiClientEvent(req.user._id, req.cooperativeBankId, 'API_CLIENT_UPDATE', client._id, {
+    clientId: client.clientId,
+    changes: req.body
+  }, req);
+
+  successResponse(res, 200, 'API client updated successfully', { client: updated });
+}));
+
+// Issue a new secret, optionally keeping the old one valid for a grace period
+router.post('/:id/rotate', authenticateToken, switchBankContext, authorizePermission('api_clients.manage'), authorizeBankAccess, [
+  param('id').isMongoId().withMessage('Invalid API client ID'),
+  body('graceHours')
+    .optional()
+    .isInt({ min: 0, max: 72 })
+    .withMessage('Grace period must be between 0 and 72 hours')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const client = await findClient(req);
+
+  if (!client || !client.isActive) {
+    return errorResponse(res, 404, 'API client not found');
+  }
+
+  const graceHours = parseInt(req.body.graceHours) || 0;
+  const { client: rotated, apiKey } = await ApiClientService.rotate(client, graceHours);
+
+  await AuditService.logApiClientEvent(req.user._id, req.cooperativeBankId, 'API_CLIENT_ROTATE', client._id, {
+    clientId: client.clientId,
+    graceHours
+  }, req);
+
+  successResponse(res, 200, 'API key rotated successfully; store the new key now, it will not be shown again', {
+    client: rotated,
+    apiKey
+  });
+}));
+
+// Revoke a client; its key stops working immediately
+router.delete('/:id', authenticateToken, switchBankContext, authorizePermission('api_clients.manage'), authorizeBankAccess, [
+  param('id').isMongoId().withMessage('Invalid API client ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const client = await findClient(req);
+
+  if (!client || !client.isActive) {
+    return errorResponse(res, 404, 'API client not found');
+  }
+
+  await ApiClientService.revoke(client, req.user._id);
+
+  await AuditService.logApiClientEvent(req.user._id, req.cooperativeBankId, 'API_CLIENT_REVOKE', client._id, {
+    clientId: client.clientId
+  }, req);
+
+  successResponse(res, 200, 'API client revoked successfully');
+}));
+
+module.exports = router;
@@ -2,17 +2,18 @@ const express = require('express');
 const { query, param } = require('express-validator');
 const AuditLog = require('../models/AuditLog');
 const AuditService = require('../services/auditService');
-const { authenticateToken, authorizeRoles, authorizeBankAccess } = require('../middleware/auth');
+const { authenticateToken, authorizePermission, authorizeBankAccess, allowCrossBank, switchBankContext } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Get audit logs (Admin/Manager only) - Bank scoped
-router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, [
+// Get audit logs (requires audit.view) - Bank scoped
+router.get('/', authenticateToken, switchBankContext, authorizePermission('audit.view'), authorizeBankAccess, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('action').optional().isString().withMessage('Action must be a string'),
   query('resourceType').optional().isString().withMessage('Resource type must be a string'),
+  query('impersonatorId').optional().isMongoId().withMessage('Invalid impersonator ID'),
   query('status').optional().isIn(['SUCCESS', 'FAILED', 'PENDING']).withMessage('Invalid status'),
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date')
@@ -34,8 +35,8 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), authorize
   successResponse(res, 200, 'Audit logs retrieved successfully', result);
 }));
 
-// Get audit logs for specific user (Admin/Manager only) - Bank scoped
-router.get('/user/:userId', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, [
+// Get audit logs for specific user (requires audit.view) - Bank scoped
+router.get('/user/:userId', authenticateToken, switchBankContext, authorizePermission('audit.view'), authorizeBankAccess, [
   param('userId').isMongoId().withMessage('Invalid user ID'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
@@ -54,8 +55,8 @@ router.get('/user/:userId', authenticateToken, authorizeRoles('admin', 'manager'
   successResponse(res, 200, 'User audit logs retrieved successfully', result);
 }));
 
-// Get audit statistics (Admin/Manager only) - Bank scoped
-router.get('/stats', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, [
+// Get audit statistics (requires audit.view) - Bank scoped
+router.get('/stats', authenticateToken, switchBankContext, authorizePermission('audit.view'), authorizeBankAccess, [
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
@@ -70,8 +71,8 @@ router.get('/stats', authenticateToken, authorizeRoles('admin', 'manager'), auth
   successResponse(res, 200, 'Audit statistics retrieved successfully', stats);
 }));
 
-// Get audit log by ID (Admin/Manager only) - Bank scoped
-router.get('/:logId', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, [
+// Get audit log by ID (requires audit.view) - Bank scoped
+router.get('/:logId', authenticateToken, switchBankContext, authorizePermission('audit.view'), authorizeBankAccess, [
   param('logId').isMongoId().withMessage('Invalid log ID')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const log = await AuditLog.findOne({
@@ -88,8 +89,8 @@ router.get('/:logId', authenticateToken, authorizeRoles('admin', 'manager'), aut
   successResponse(res, 200, 'Audit log retrieved successfully', { log });
 }));
 
-// Export audit logs (Super Admin only)
-router.get('/export/csv', authenticateToken, authorizeRoles('super_admin'), [
+// Export audit logs (requires audit.export)
+router.get('/export/csv', authenticateToken, switchBankContext, authorizePermission('audit.export'), allowCrossBank, [
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
   query('cooperativeBankId').optional().isMongoId().withMessage('Invalid cooperative bank ID')
@@ -107,18 +108,22 @@ router.get('/export/csv', authenticateToken, authorizeRoles('super_admin'), [
 
   const logs = await AuditLog.find(filters)
     .populate('userId', 'firstName lastName email')
+    .populate('impersonatorId', 'firstName lastName email')
     .populate('cooperativeBankId', 'bankName bankCode')
+    .populate('switchedFromBankId', 'bankName bankCode')
     .sort({ timestamp: -1 })
     .limit(10000); // Limit to prevent memory issues
 
   // Convert to CSV format
-  const csvHeader = 'Timestamp,User,Cooperative Bank,Action,Resource Type,Resource ID,Status,IP Address,Details\n';
+  const csvHeader = 'Timestamp,User,Impersonated By,Cooperative Bank,Switched From Bank,Action,Resource Type,Resource ID,Status,IP Address,Details\n';
   const csvRows = logs.map(log => {
     const details = log.details ? JSON.stringify(log.details).replace(/"/g, '""') : '';
     return [
       log.timestamp.toISOString(),
       log.userId ? `${log.userId.firstName} ${log.userId.lastName}` : 'Unknown',
+      log.impersonatorId ? `${log.impersonatorId.firstName} ${log.impersonatorId.lastName}` : '',
       log.cooperativeBankId ? log.cooperativeBankId.bankName : 'Unknown',
+      log.switchedFromBankId ? log.switchedFromBankId.bankName : '',
       log.action,
       log.resourceType,
       log.resourceId || '',
@@ -135,8 +140,8 @@ router.get('/export/csv', authenticateToken, authorizeRoles('super_admin'), [
   res.send(csvContent);
 }));
 
-// Cleanup old audit logs (Super Admin only)
-router.delete('/cleanup', authenticateToken, authorizeRoles('super_admin'), [
+// Cleanup old audit logs (requires audit.cleanup)
+router.delete('/cleanup', authenticateToken, switchBankContext, authorizePermission('audit.cleanup'), allowCrossBank, [
   query('daysToKeep').optional().isInt({ min: 30, max: 3650 }).withMessage('Days to keep must be between 30 and 3650')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const daysToKeep = parseInt(req.query.daysToKeep) || 365;
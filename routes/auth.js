@@ -1,17 +1,77 @@
 const express = require('express');
-const { body } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { body, query } = require('express-validator');
 const User = require('../models/User');
 const CooperativeBank = require('../models/CooperativeBank');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
 const emailService = require('../services/emailService');
 const AuditService = require('../services/auditService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const StepUpService = require('../services/stepUpService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const PasswordResetService = require('../services/passwordResetService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const PermissionService = require('../services/permissionService');
+const VerificationService = require('../services/verificationService');
+const { requireStepUp } = require('../middleware/stepUp');
 const { logAuthEvent, logProfileEvent } = require('../middleware/audit');
-const { loginRateLimiter, passwordResetRateLimiter } = require('../middleware/rateLimiting');
+const { loginRateLimiter, twoFactorRateLimiter, passwordResetRateLimiter } = require('../middleware/rateLimiting');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Changing the phone number needs a step-up, since it is where alerts and codes can be sent
+const changesPhone = (req) => req.body.phone !== undefined && req.body.phone !== req.user.phone;
+
+const respondLocked = (res, lockedUntil) => {
+  return errorResponse(res, 423, `Account is temporarily locked after repeated failed sign-ins. Try again after ${lockedUntil.toISOString()}`);
+};
+
+// Record the login and issue session tokens once every required factor has passed
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Staff with an expired password must change it before a session is issued
+  const policy = await PasswordPolicyService.loadPolicy(user.cooperativeBankId);
+  if (PasswordPolicyService.isExpired(user, policy)) {
+    return successResponse(res, 200, 'Password change required', {
+      passwordChangeRequired: true,
+      challengeToken: TwoFactorService.issueChallenge(user, 'password_change'),
+      ...extra
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+  await LoginSecurityService.recordSuccess(user, req);
+
+  const tokens = await SessionService.createSession(user, req);
+
+  successResponse(res, 200, 'Login successful', {
+    user: user.toJSON(),
+    cooperativeBank: user.cooperativeBankId,
+    ...tokens,
+    ...extra
+  });
+};
+
+// Open to signed-in users and to users holding a login challenge for this purpose
+const authenticateOrChallenge = (purpose) => asyncHandler(async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const decoded = TwoFactorService.verifyChallenge(req.body.challengeToken, purpose);
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    return errorResponse(res, 401, 'Invalid or expired challenge, please sign in again');
+  }
+
+  req.user = user;
+  req.cooperativeBankId = user.cooperativeBankId;
+  req.loginChallenge = purpose;
+  next();
+});
+
 // Get available cooperative banks for registration
 router.get('/cooperative-banks', asyncHandler(async (req, res) => {
   const banks = await CooperativeBank.find({ 
@@ -44,8 +104,8 @@ const registerValidation = [
     .matches(/^[0-9]{10}$/)
     .withMessage('Please provide a valid 10-digit phone number'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .notEmpty()
+    .withMessage('Password is required'),
   body('dateOfBirth')
     .isISO8601()
     .withMessage('Please provide a valid date of birth'),
@@ -114,6 +174,9 @@ router.post('/register', registerValidation, handleValidationErrors, logAuthEven
     return errorResponse(res, 400, 'Invalid or inactive cooperative bank');
   }
 
+  // Fail before creating the user if no session can be issued
+  SessionService.assertStoreAvailable();
+
   // Check if user already exists
   const existingUser = await User.findOne({
     $or: [
@@ -134,7 +197,6 @@ router.post('/register', registerValidation, handleValidationErrors, logAuthEven
     lastName,
     email,
     phone,
-    password,
     dateOfBirth,
     address,
     aadharNumber,
@@ -143,11 +205,14 @@ router.post('/register', registerValidation, handleValidationErrors, logAuthEven
     monthlyIncome,
     cooperativeBankId
   });
+  await PasswordPolicyService.applyNewPassword(user, password, PasswordPolicyService.getPolicy(cooperativeBank));
 
   await user.save();
 
-  // Generate token
-  const token = generateToken(user._id, cooperativeBankId);
+  const tokens = await SessionService.createSession(user, req);
+
+  // Accounts and transactions stay blocked until the email link and phone code are confirmed
+  const verificationSent = await VerificationService.start(user);
 
   // Send welcome email
   try {
@@ -168,7 +233,8 @@ router.post('/register', registerValidation, handleValidationErrors, logAuthEven
   successResponse(res, 201, 'User registered successfully', {
     user: userData,
     cooperativeBank,
-    token
+    verification: { ...VerificationService.getStatus(user), sent: verificationSent },
+    ...tokens
   });
 }));
 
@@ -180,45 +246,336 @@ router.post('/login', loginRateLimiter, loginValidation, handleValidationErrors,
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await LoginSecurityService.recordAttempt({ email, outcome: 'unknown_user', req });
     return errorResponse(res, 401, 'Invalid email or password');
   }
 
   // Check if account is active
   if (!user.isActive) {
+    await LoginSecurityService.recordAttempt({ user, outcome: 'inactive', req });
     return errorResponse(res, 401, 'Account is deactivated. Please contact support.');
   }
 
+  // A locked account is refused before the password is even checked
+  if (LoginSecurityService.isLocked(user)) {
+    await LoginSecurityService.recordAttempt({ user, outcome: 'locked', req });
+    return respondLocked(res, user.loginSecurity.lockedUntil);
+  }
+
   // Compare password
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
+    const { lockedUntil } = await LoginSecurityService.recordFailure(user, req);
+    if (lockedUntil) {
+      return respondLocked(res, lockedUntil);
+    }
     return errorResponse(res, 401, 'Invalid email or password');
   }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  // Password alone is not enough once 2FA is on or the bank requires it for staff
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return successResponse(res, 200, 'Two-factor authentication required', {
+      twoFactorRequired: true,
+      challengeToken: TwoFactorService.issueChallenge(user, 'verify')
+    });
+  }
 
-  // Generate token
-  const token = generateToken(user._id, user.cooperativeBankId);
+  const bank = await CooperativeBank.findById(user.cooperativeBankId).select('settings.security');
+  if (TwoFactorService.isRequiredFor(user, bank)) {
+    return successResponse(res, 200, 'Two-factor enrolment required', {
+      twoFactorSetupRequired: true,
+      challengeToken: TwoFactorService.issueChallenge(user, 'enrol')
+    });
+  }
 
-  // Return user data (without password)
-  const userData = user.toJSON();
-  delete userData.password;
+  await completeLogin(req, res, user);
+}));
 
-  successResponse(res, 200, 'Login successful', {
-    user: userData,
+// Second login step: exchange the challenge and a TOTP or recovery code for tokens
+router.post('/2fa/verify', twoFactorRateLimiter, [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!code && !recoveryCode) {
+    return errorResponse(res, 400, 'An authentication code or recovery code is required');
+  }
+
+  const decoded = TwoFactorService.verifyChallenge(challengeToken, 'verify');
+  await TwoFactorService.assertChallengeAttempts(decoded);
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const pendingUser = await User.findById(decoded.userId);
+  if (pendingUser && LoginSecurityService.isLocked(pendingUser)) {
+    return respondLocked(res, pendingUser.loginSecurity.lockedUntil);
+  }
+
+  let verified;
+  try {
+    verified = await TwoFactorService.verifySecondFactor(decoded.userId, { code, recoveryCode });
+  } catch (error) {
+    if (pendingUser && error.statusCode === 401) {
+      const { lockedUntil } = await LoginSecurityService.recordFailure(pendingUser, req, 'invalid_two_factor');
+      if (lockedUntil) {
+        return respondLocked(res, lockedUntil);
+      }
+    }
+    throw error;
+  }
+  const { user, method, recoveryCodesRemaining } = verified;
+
+  if (method === 'recovery_code') {
+    await AuditService.logAuthEvent(user._id, user.cooperativeBankId, 'TWO_FACTOR_RECOVERY_USED', {
+      recoveryCodesRemaining
+    }, req);
+    return completeLogin(req, res, user, { recoveryCodesRemaining });
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+// Start TOTP enrolment and return the secret and provisioning URI for a QR code
+router.post('/2fa/setup', authenticateOrChallenge('enrol'), asyncHandler(async (req, res) => {
+  const bank = await CooperativeBank.findById(req.user.cooperativeBankId).select('shortName');
+  const issuer = bank ? bank.shortName : 'Cooperative Banking';
+
+  const enrolment = await TwoFactorService.beginEnrolment(req.user._id, issuer);
+
+  successResponse(res, 200, 'Scan the QR code with your authenticator app, then confirm a code', enrolment);
+}));
+
+// Confirm enrolment with the first code; recovery codes are shown only here
+router.post('/2fa/enable', authenticateOrChallenge('enrol'), [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { recoveryCodes } = await TwoFactorService.completeEnrolment(req.user._id, req.body.code);
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId, 'TWO_FACTOR_ENABLE', {}, req);
+
+  // Staff enrolling from the login challenge are signed in straight away
+  if (req.loginChallenge) {
+    const user = await User.findById(req.user._id);
+    return completeLogin(req, res, user, { recoveryCodes });
+  }
+
+  successResponse(res, 200, 'Two-factor authentication enabled', { recoveryCodes });
+}));
+
+// Turn off 2FA with the password and a current code
+router.post('/2fa/disable', authenticateToken, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const bank = await CooperativeBank.findById(req.cooperativeBankId).select('settings.security');
+
+  try {
+    await TwoFactorService.disable(req.user._id, req.body, bank);
+  } catch (error) {
+    await AuditService.logFailedEvent(req.user._id, req.cooperativeBankId, 'TWO_FACTOR_DISABLE', 'USER', error.message, {}, req);
+    throw error;
+  }
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId, 'TWO_FACTOR_DISABLE', {}, req);
+
+  successResponse(res, 200, 'Two-factor authentication disabled');
+}));
+
+// Replace recovery codes after confirming a current code
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { recoveryCodes } = await TwoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId, 'TWO_FACTOR_RECOVERY_REGENERATE', {}, req);
+
+  successResponse(res, 200, 'Recovery codes regenerated', { recoveryCodes });
+}));
+
+// Send a one-time code for stepping up the current session
+router.post('/step-up/otp', authenticateToken, twoFactorRateLimiter, [
+  body('channel')
+    .optional()
+    .isString()
+    .withMessage('Channel must be a string')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const delivery = await StepUpService.sendOtp(req.user, req.sessionId, req.body.channel);
+
+  successResponse(res, 200, 'Verification code sent', delivery);
+}));
+
+// Re-verify with a password, a delivered OTP or a TOTP code before a sensitive operation
+router.post('/step-up/verify', authenticateToken, twoFactorRateLimiter, [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('otp')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('OTP must be 6 digits'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { password, otp, code } = req.body;
+  if (!password && !otp && !code) {
+    return errorResponse(res, 400, 'A password, OTP or authentication code is required');
+  }
+
+  const bank = await CooperativeBank.findById(req.cooperativeBankId).select('settings.security');
+
+  let stepUp;
+  try {
+    stepUp = await StepUpService.verify(req.user._id, req.sessionId, { password, otp, code }, bank);
+  } catch (error) {
+    await AuditService.logFailedEvent(req.user._id, req.cooperativeBankId, 'STEP_UP_VERIFY', 'USER', error.message, {}, req);
+    throw error;
+  }
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId, 'STEP_UP_VERIFY', { method: stepUp.method }, req);
+
+  successResponse(res, 200, 'Identity confirmed', stepUp);
+}));
+
+// Exchange a refresh token for a new access and refresh token
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { user, tokens } = await SessionService.refresh(req.body.refreshToken, req);
+
+  // A bank that starts requiring 2FA for staff ends sessions that never enrolled
+  const bank = await CooperativeBank.findById(user.cooperativeBankId).select('settings.security');
+  if (TwoFactorService.isRequiredFor(user, bank) && !(user.twoFactor && user.twoFactor.enabled)) {
+    await SessionService.revokeSession(tokens.sessionId, user._id);
+    return errorResponse(res, 401, 'Two-factor enrolment required, please sign in again');
+  }
+
+  if (PasswordPolicyService.isExpired(user, await PasswordPolicyService.loadPolicy(user.cooperativeBankId))) {
+    await SessionService.revokeSession(tokens.sessionId, user._id);
+    return errorResponse(res, 401, 'Password has expired, please sign in again');
+  }
+
+  successResponse(res, 200, 'Token refreshed successfully', {
     cooperativeBank: user.cooperativeBankId,
-    token
+    ...tokens
   });
 }));
 
+// Log out of the current session
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  await SessionService.revokeSession(req.sessionId, req.user._id);
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId, 'LOGOUT', {
+    sessionId: req.sessionId
+  }, req);
+
+  successResponse(res, 200, 'Logged out successfully');
+}));
+
+// Log out of every session of the current user
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await SessionService.revokeAllSessions(req.user._id);
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId, 'LOGOUT_ALL', {
+    sessionsRevoked: revoked
+  }, req);
+
+  successResponse(res, 200, 'Logged out of all sessions', { sessionsRevoked: revoked });
+}));
+
 // Get current user profile
 router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
   successResponse(res, 200, 'Profile retrieved successfully', { user });
 }));
 
+// Email and phone verification status of the current user
+router.get('/verification', authenticateToken, asyncHandler(async (req, res) => {
+  successResponse(res, 200, 'Verification status retrieved successfully', VerificationService.getStatus(req.user));
+}));
+
+// Confirm an email address with the emailed link token
+router.post('/verify-email', twoFactorRateLimiter, [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await VerificationService.verifyEmail(req.body.token);
+
+  await AuditService.logAuthEvent(user._id, user.cooperativeBankId, 'EMAIL_VERIFY', {}, req);
+
+  successResponse(res, 200, 'Email address verified successfully', VerificationService.getStatus(user));
+}));
+
+// Send a new email verification link
+router.post('/verify-email/resend', authenticateToken, twoFactorRateLimiter, asyncHandler(async (req, res) => {
+  await VerificationService.sendEmailVerification(req.user);
+
+  successResponse(res, 200, 'Verification email sent');
+}));
+
+// Text a verification code to the current phone number
+router.post('/verify-phone/send', authenticateToken, twoFactorRateLimiter, asyncHandler(async (req, res) => {
+  const delivery = await VerificationService.sendPhoneOtp(req.user);
+
+  successResponse(res, 200, 'Verification code sent', delivery);
+}));
+
+// Confirm the phone number with the texted code
+router.post('/verify-phone', authenticateToken, twoFactorRateLimiter, [
+  body('code')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Please provide the 6-digit verification code')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await VerificationService.verifyPhone(req.user, req.body.code);
+
+  await AuditService.logAuthEvent(user._id, user.cooperativeBankId, 'PHONE_VERIFY', { phone: user.phone }, req);
+
+  successResponse(res, 200, 'Phone number verified successfully', VerificationService.getStatus(user));
+}));
+
+// Effective permissions of the current user's role
+router.get('/permissions', authenticateToken, asyncHandler(async (req, res) => {
+  const permissions = await PermissionService.getPermissions(req);
+  successResponse(res, 200, 'Permissions retrieved successfully', {
+    role: req.user.role,
+    permissions: [...permissions].sort()
+  });
+}));
+
+// Recent sign-in attempts on the current user's account
+router.get('/login-history', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const result = await LoginSecurityService.getHistory(req.user._id, page, limit);
+  successResponse(res, 200, 'Login history retrieved successfully', result);
+}));
+
 // Update user profile
 router.put('/profile', authenticateToken, [
   body('firstName')
@@ -260,9 +617,13 @@ router.put('/profile', authenticateToken, [
     .isNumeric()
     .withMessage('Monthly income must be a number')
     .isFloat({ min: 0 })
-    .withMessage('Monthly income cannot be negative')
-], handleValidationErrors, logProfileEvent('PROFILE_UPDATE'), asyncHandler(async (req, res) => {
-  const allowedUpdates = ['firstName', 'lastName', 'phone', 'address', 'occupation', 'monthlyIncome'];
+    .withMessage('Monthly income cannot be negative'),
+  body('eStatementOptIn')
+    .optional()
+    .isBoolean()
+    .withMessage('eStatementOptIn must be a boolean')
+], handleValidationErrors, requireStepUp(changesPhone), logProfileEvent('PROFILE_UPDATE'), asyncHandler(async (req, res) => {
+  const allowedUpdates = ['firstName', 'lastName', 'phone', 'address', 'occupation', 'monthlyIncome', 'eStatementOptIn'];
   const updates = {};
 
   Object.keys(req.body).forEach(key => {
@@ -271,13 +632,31 @@ router.put('/profile', authenticateToken, [
     }
   });
 
+  // A new phone number has to be verified again before money can move
+  const phoneChanged = changesPhone(req);
+  if (phoneChanged) {
+    updates.phoneVerified = false;
+  }
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
     updates,
     { new: true, runValidators: true }
   );
 
-  successResponse(res, 200, 'Profile updated successfully', { user });
+  if (phoneChanged) {
+    try {
+      await VerificationService.sendPhoneOtp(user);
+    } catch (smsError) {
+      logger.error('Failed to send phone verification code:', smsError);
+      // The member can request another code
+    }
+  }
+
+  successResponse(res, 200, 'Profile updated successfully', {
+    user,
+    ...(phoneChanged && { verification: VerificationService.getStatus(user) })
+  });
 }));
 
 // Forgot password
@@ -287,29 +666,10 @@ router.post('/forgot-password', passwordResetRateLimiter, [
     .withMessage('Please provide a valid email')
     .normalizeEmail()
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const { email } = req.body;
+  // The same answer for unknown emails, so the endpoint cannot be used to find accounts
+  await PasswordResetService.requestReset(req.body.email);
 
-  const user = await User.findOne({ email });
-  if (!user) {
-    return errorResponse(res, 404, 'User not found with this email');
-  }
-
-  // Generate reset token
-  const resetToken = generateToken(user._id, null, '1h');
-  
-  // Send password reset email
-  try {
-    await emailService.sendPasswordResetEmail(
-      user.email,
-      resetToken,
-      user.fullName
-    );
-    
-    successResponse(res, 200, 'Password reset instructions sent to your email');
-  } catch (emailError) {
-    console.error('Failed to send password reset email:', emailError);
-    return errorResponse(res, 500, 'Failed to send password reset email. Please try again later.');
-  }
+  successResponse(res, 200, 'If an account exists for this email, password reset instructions have been sent');
 }));
 
 // Reset password
@@ -318,40 +678,28 @@ router.post('/reset-password', [
     .notEmpty()
     .withMessage('Reset token is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .notEmpty()
+    .withMessage('New password is required')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const { token, newPassword } = req.body;
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      return errorResponse(res, 400, 'Invalid or expired reset token');
-    }
-
-    user.password = newPassword;
-    await user.save();
+  await PasswordResetService.resetPassword(token, newPassword, req);
 
-    successResponse(res, 200, 'Password reset successfully');
-  } catch (error) {
-    return errorResponse(res, 400, 'Invalid or expired reset token');
-  }
+  successResponse(res, 200, 'Password reset successfully');
 }));
 
-// Change password
-router.put('/change-password', authenticateToken, [
+// Change password; staff whose password expired use the challenge token from login
+router.put('/change-password', authenticateOrChallenge('password_change'), [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .notEmpty()
+    .withMessage('New password is required')
 ], handleValidationErrors, logAuthEvent('PASSWORD_CHANGE'), asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
-  const user = await User.findById(req.user._id).select('+password');
+  const user = await User.findById(req.user._id).select('+password +passwordHistory');
 
   // Verify current password
   const isCurrentPasswordValid = await user.comparePassword(currentPassword);
@@ -360,10 +708,20 @@ router.put('/change-password', authenticateToken, [
   }
 
   // Update password
-  user.password = newPassword;
+  await PasswordPolicyService.applyNewPassword(user, newPassword);
   await user.save();
 
-  successResponse(res, 200, 'Password changed successfully');
+  // Tokens issued before the change stop working, so every session ends and this one is replaced
+  await SessionService.revokeAllSessions(user._id);
+
+  if (req.loginChallenge) {
+    const signedIn = await User.findById(user._id);
+    return completeLogin(req, res, signedIn);
+  }
+
+  const tokens = await SessionService.createSession(user, req);
+
+  successResponse(res, 200, 'Password changed successfully', tokens);
 }));
 
 module.exports = router;
@@ -3,13 +3,18 @@ const { body, param } = require('express-validator');
 const mongoose = require('mongoose');
 const CooperativeBank = require('../models/CooperativeBank');
 const User = require('../models/User');
-const { authenticateToken, authorizeRoles, authorizeBankAccess } = require('../middleware/auth');
+const Account = require('../models/Account');
+const Branch = require('../models/Branch');
+const { authenticateToken, authorizePermission, authorizeBankAccess, allowCrossBank } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const PermissionService = require('../services/permissionService');
+const AuditService = require('../services/auditService');
+const BranchService = require('../services/branchService');
 
 const router = express.Router();
 
-// Create new cooperative bank (Super Admin only)
-router.post('/', authenticateToken, authorizeRoles('super_admin'), [
+// Create new cooperative bank (requires banks.manage)
+router.post('/', authenticateToken, authorizePermission('banks.manage'), allowCrossBank, [
   body('bankName')
     .trim()
     .notEmpty()
@@ -89,8 +94,8 @@ router.post('/', authenticateToken, authorizeRoles('super_admin'), [
   successResponse(res, 201, 'Cooperative bank created successfully', { bank });
 }));
 
-// Get all cooperative banks (Super Admin only)
-router.get('/', authenticateToken, authorizeRoles('super_admin'), asyncHandler(async (req, res) => {
+// Get all cooperative banks (requires banks.manage)
+router.get('/', authenticateToken, authorizePermission('banks.manage'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
@@ -120,7 +125,7 @@ router.get('/', authenticateToken, authorizeRoles('super_admin'), asyncHandler(a
 }));
 
 // Get cooperative bank by ID
-router.get('/:bankId', authenticateToken, [
+router.get('/:bankId', authenticateToken, allowCrossBank, [
   param('bankId').isMongoId().withMessage('Invalid bank ID')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const bank = await CooperativeBank.findById(req.params.bankId)
@@ -142,7 +147,7 @@ router.get('/:bankId', authenticateToken, [
 }));
 
 // Update cooperative bank
-router.put('/:bankId', authenticateToken, authorizeRoles('super_admin'), [
+router.put('/:bankId', authenticateToken, authorizePermission('banks.manage'), allowCrossBank, [
   param('bankId').isMongoId().withMessage('Invalid bank ID'),
   body('bankName')
     .optional()
@@ -195,7 +200,7 @@ router.put('/:bankId', authenticateToken, authorizeRoles('super_admin'), [
 }));
 
 // Update bank settings
-router.put('/:bankId/settings', authenticateToken, authorizeRoles('super_admin'), [
+router.put('/:bankId/settings', authenticateToken, authorizePermission('banks.manage'), allowCrossBank, [
   param('bankId').isMongoId().withMessage('Invalid bank ID'),
   body('defaultInterestRate.savings')
     .optional()
@@ -221,6 +226,17 @@ router.put('/:bankId/settings', authenticateToken, authorizeRoles('super_admin')
     .optional()
     .isNumeric()
     .withMessage('Current minimum balance must be a number'),
+  body('transactionLimits.dailyDeposit')
+    .optional()
+    .isNumeric()
+    .withMessage('Daily deposit limit must be a number'),
+  body('transactionLimits.accountTypeOverrides')
+    .optional()
+    .isArray()
+    .withMessage('Account type overrides must be an array'),
+  body('transactionLimits.accountTypeOverrides.*.accountType')
+    .isIn(['savings', 'current', 'fixed_deposit', 'recurring_deposit'])
+    .withMessage('Invalid account type in limit override'),
   body('transactionLimits.dailyWithdrawal')
     .optional()
     .isNumeric()
@@ -232,7 +248,68 @@ router.put('/:bankId/settings', authenticateToken, authorizeRoles('super_admin')
   body('transactionLimits.monthlyTransaction')
     .optional()
     .isNumeric()
-    .withMessage('Monthly transaction limit must be a number')
+    .withMessage('Monthly transaction limit must be a number'),
+  body('shares.faceValue')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Share face value must be at least 1'),
+  body(['shares.minimumShares', 'shares.maximumSharesPerMember'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Share limits must be positive whole numbers'),
+  body(['npa.subStandardDays', 'npa.doubtfulDays', 'npa.lossDays'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('NPA thresholds must be positive whole numbers of days'),
+  body('npa')
+    .optional()
+    .custom(npa => {
+      const { subStandardDays = 90, doubtfulDays = 455, lossDays = 1185 } = npa;
+      if (!(subStandardDays < doubtfulDays && doubtfulDays < lossDays)) {
+        throw new Error('NPA thresholds must increase from sub-standard to doubtful to loss');
+      }
+      return true;
+    }),
+  body('security.requireTwoFactorForStaff')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactorForStaff must be a boolean'),
+  body('passwordPolicy.minLength')
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .withMessage('Password minimum length must be between 6 and 128'),
+  body(['passwordPolicy.requireUppercase', 'passwordPolicy.requireLowercase', 'passwordPolicy.requireNumber', 'passwordPolicy.requireSymbol'])
+    .optional()
+    .isBoolean()
+    .withMessage('Password character requirements must be booleans'),
+  body('passwordPolicy.historyCount')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('Password history count must be between 0 and 24'),
+  body('passwordPolicy.staffMaxAgeDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Staff password maximum age must be a non-negative number of days'),
+  body('security.stepUp.amountThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Step-up amount threshold must be a non-negative number'),
+  body('security.stepUp.windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Step-up window must be between 1 and 60 minutes'),
+  body('approval.highValueThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('High value threshold must be a non-negative number'),
+  body('approval.requireForStaffInitiated')
+    .optional()
+    .isBoolean()
+    .withMessage('requireForStaffInitiated must be a boolean'),
+  body('rolePermissions')
+    .not()
+    .exists()
+    .withMessage('Role permissions are managed through the roles endpoints')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const bank = await CooperativeBank.findById(req.params.bankId);
 
@@ -250,7 +327,7 @@ router.put('/:bankId/settings', authenticateToken, authorizeRoles('super_admin')
 }));
 
 // Get bank statistics
-router.get('/:bankId/stats', authenticateToken, [
+router.get('/:bankId/stats', authenticateToken, allowCrossBank, [
   param('bankId').isMongoId().withMessage('Invalid bank ID')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const bank = await CooperativeBank.findById(req.params.bankId);
@@ -297,7 +374,7 @@ router.get('/:bankId/stats', authenticateToken, [
 }));
 
 // Search cooperative banks
-router.get('/search/banks', authenticateToken, authorizeRoles('super_admin'), asyncHandler(async (req, res) => {
+router.get('/search/banks', authenticateToken, authorizePermission('banks.manage'), asyncHandler(async (req, res) => {
   const { q, page = 1, limit = 10 } = req.query;
   
   if (!q) {
@@ -352,8 +429,8 @@ router.get('/search/banks', authenticateToken, authorizeRoles('super_admin'), as
   });
 }));
 
-// Get system-wide statistics (Super Admin only)
-router.get('/stats/system', authenticateToken, authorizeRoles('super_admin'), asyncHandler(async (req, res) => {
+// Get system-wide statistics (requires banks.manage)
+router.get('/stats/system', authenticateToken, authorizePermission('banks.manage'), allowCrossBank, asyncHandler(async (req, res) => {
   const totalBanks = await CooperativeBank.countDocuments({ isActive: true });
   const totalUsers = await User.countDocuments({ isActive: true });
   
@@ -381,4 +458,257 @@ router.get('/stats/system', authenticateToken, authorizeRoles('super_admin'), as
   });
 }));
 
+// List the bank's roles and the permission catalogue (requires roles.manage)
+router.get('/:bankId/roles', authenticateToken, authorizePermission('roles.manage'), allowCrossBank, [
+  param('bankId').isMongoId().withMessage('Invalid bank ID')
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const bank = await CooperativeBank.findById(req.params.bankId).select('settings.rolePermissions');
+
+  if (!bank) {
+    return errorResponse(res, 404, 'Cooperative bank not found');
+  }
+
+  const configured = bank.settings.rolePermissions;
+  successResponse(res, 200, 'Roles retrieved successfully', {
+    roles: PermissionService.getRoleMap(bank),
+    customised: configured ? [...configured.keys()] : [],
+    permissions: PermissionService.PERMISSIONS
+  });
+}));
+
+// Create a custom role or override a built-in one (requires roles.manage)
+router.put('/:bankId/roles/:role', authenticateToken, authorizePermission('roles.manage'), allowCrossBank, [
+  param('bankId').isMongoId().withMessage('Invalid bank ID'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permissions must be strings')
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const permissions = [...new Set(req.body.permissions)];
+
+  PermissionService.validateRole(role, permissions, await PermissionService.getPermissions(req));
+
+  const bank = await CooperativeBank.findByIdAndUpdate(
+    req.params.bankId,
+    { $set: { [`settings.rolePermissions.${role}`]: permissions } },
+    { new: true }
+  ).select('settings.rolePermissions');
+
+  if (!bank) {
+    return errorResponse(res, 404, 'Cooperative bank not found');
+  }
+
+  await AuditService.logBankEvent(req.user._id, bank._id, 'BANK_SETTINGS_UPDATE', bank._id, {
+    role,
+    permissions
+  }, req);
+
+  successResponse(res, 200, 'Role updated successfully', {
+    role,
+    permissions: PermissionService.getRoleMap(bank)[role]
+  });
+}));
+
+// Remove a custom role, or restore a built-in role to its defaults (requires roles.manage)
+router.delete('/:bankId/roles/:role', authenticateToken, authorizePermission('roles.manage'), allowCrossBank, [
+  param('bankId').isMongoId().withMessage('Invalid bank ID')
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const bank = await CooperativeBank.findById(req.params.bankId).select('settings.rolePermissions');
+
+  if (!bank) {
+    return errorResponse(res, 404, 'Cooperative bank not found');
+  }
+
+  const configured = bank.settings.rolePermissions;
+  if (!configured || !configured.has(role)) {
+    return errorResponse(res, 404, 'Role has no bank-specific configuration');
+  }
+
+  if (!PermissionService.DEFAULT_ROLE_PERMISSIONS[role]) {
+    const holders = await User.countDocuments({ cooperativeBankId: bank._id, role });
+    if (holders > 0) {
+      return errorResponse(res, 409, `Role is still assigned to ${holders} user(s)`);
+    }
+  }
+
+  await CooperativeBank.updateOne(
+    { _id: bank._id },
+    { $unset: { [`settings.rolePermissions.${role}`]: 1 } }
+  );
+
+  await AuditService.logBankEvent(req.user._id, bank._id, 'BANK_SETTINGS_UPDATE', bank._id, {
+    role,
+    removed: true
+  }, req);
+
+  successResponse(res, 200, 'Role configuration removed successfully');
+}));
+
+// Branch details; on update every field is optional
+const branchValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    param('bankId').isMongoId().withMessage('Invalid bank ID'),
+    ...(isUpdate ? [] : [
+      body('branchCode')
+        .matches(/^[0-9]{3}$/)
+        .withMessage('Branch code must be 3 digits')
+    ]),
+    field('branchName')
+      .trim()
+      .notEmpty()
+      .withMessage('Branch name is required')
+      .isLength({ max: 100 })
+      .withMessage('Branch name cannot exceed 100 characters'),
+    field('ifscCode')
+      .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+      .withMessage('Please provide a valid IFSC code'),
+    field('address.street')
+      .notEmpty()
+      .withMessage('Street address is required'),
+    field('address.city')
+      .notEmpty()
+      .withMessage('City is required'),
+    field('address.state')
+      .notEmpty()
+      .withMessage('State is required'),
+    field('address.pincode')
+      .matches(/^[0-9]{6}$/)
+      .withMessage('Please provide a valid 6-digit pincode'),
+    body('contactDetails.phone')
+      .optional()
+      .matches(/^[0-9]{10}$/)
+      .withMessage('Please provide a valid 10-digit phone number'),
+    body('contactDetails.email')
+      .optional()
+      .isEmail()
+      .withMessage('Please provide a valid email'),
+    field('workingHours.start')
+      .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Opening time must be in HH:MM format'),
+    field('workingHours.end')
+      .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Closing time must be in HH:MM format'),
+    body('workingDays')
+      .optional()
+      .isArray()
+      .withMessage('Working days must be an array'),
+    body('managerId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid manager ID'),
+    body('isHeadOffice')
+      .optional()
+      .isBoolean()
+      .withMessage('isHeadOffice must be a boolean')
+  ];
+};
+
+// List the bank's branches (requires branches.view)
+router.get('/:bankId/branches', authenticateToken, authorizePermission('branches.view'), allowCrossBank, [
+  param('bankId').isMongoId().withMessage('Invalid bank ID')
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const filter = { cooperativeBankId: req.params.bankId };
+  if (req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const branches = await Branch.find(filter)
+    .populate('managerId', 'firstName lastName email phone')
+    .sort({ branchCode: 1 });
+
+  successResponse(res, 200, 'Branches retrieved successfully', { branches });
+}));
+
+// Open a branch (requires branches.manage)
+router.post('/:bankId/branches', authenticateToken, authorizePermission('branches.manage'), allowCrossBank,
+  branchValidation(false), handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const bank = await CooperativeBank.findById(req.params.bankId).select('_id');
+
+  if (!bank) {
+    return errorResponse(res, 404, 'Cooperative bank not found');
+  }
+
+  const branch = await BranchService.create(bank._id, req.body, req.user._id);
+
+  await AuditService.logBranchEvent(req.user._id, bank._id, 'BRANCH_CREATE', branch._id, {
+    branchCode: branch.branchCode,
+    branchName: branch.branchName
+  }, req);
+
+  successResponse(res, 201, 'Branch created successfully', { branch });
+}));
+
+// Get a branch with its staff and account counts (requires branches.view)
+router.get('/:bankId/branches/:branchId', authenticateToken, authorizePermission('branches.view'), allowCrossBank, [
+  param('bankId').isMongoId().withMessage('Invalid bank ID'),
+  param('branchId').isMongoId().withMessage('Invalid branch ID')
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const branch = await Branch.findOne({ _id: req.params.branchId, cooperativeBankId: req.params.bankId })
+    .populate('managerId', 'firstName lastName email phone');
+
+  if (!branch) {
+    return errorResponse(res, 404, 'Branch not found');
+  }
+
+  const staffCount = await User.countDocuments({ branchId: branch._id, isActive: true });
+  const accountCount = await Account.countDocuments({ branchId: branch._id, isActive: true });
+
+  successResponse(res, 200, 'Branch retrieved successfully', {
+    branch,
+    staffCount,
+    accountCount
+  });
+}));
+
+// Update a branch (requires branches.manage)
+router.put('/:bankId/branches/:branchId', authenticateToken, authorizePermission('branches.manage'), allowCrossBank, [
+  param('branchId').isMongoId().withMessage('Invalid branch ID'),
+  ...branchValidation(true)
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const branch = await Branch.findOne({ _id: req.params.branchId, cooperativeBankId: req.params.bankId });
+
+  if (!branch) {
+    return errorResponse(res, 404, 'Branch not found');
+  }
+
+  await BranchService.update(branch, req.body);
+
+  await AuditService.logBranchEvent(req.user._id, branch.cooperativeBankId, 'BRANCH_UPDATE', branch._id, {
+    updatedFields: Object.keys(req.body)
+  }, req);
+
+  successResponse(res, 200, 'Branch updated successfully', { branch });
+}));
+
+// Close a branch; its accounts stay on its books (requires branches.manage)
+router.delete('/:bankId/branches/:branchId', authenticateToken, authorizePermission('branches.manage'), allowCrossBank, [
+  param('bankId').isMongoId().withMessage('Invalid bank ID'),
+  param('branchId').isMongoId().withMessage('Invalid branch ID')
+], handleValidationErrors, authorizeBankAccess, asyncHandler(async (req, res) => {
+  const branch = await Branch.findOne({ _id: req.params.branchId, cooperativeBankId: req.params.bankId, isActive: true });
+
+  if (!branch) {
+    return errorResponse(res, 404, 'Branch not found');
+  }
+
+  // Unassigned staff see the whole bank, so they are never released implicitly
+  const staff = await User.countDocuments({ branchId: branch._id });
+  if (staff > 0) {
+    return errorResponse(res, 409, `Branch still has ${staff} staff member(s) assigned`);
+  }
+
+  await BranchService.deactivate(branch);
+
+  await AuditService.logBranchEvent(req.user._id, branch.cooperativeBankId, 'BRANCH_DEACTIVATE', branch._id, {
+    branchCode: branch.branchCode
+  }, req);
+
+  successResponse(res, 200, 'Branch deactivated successfully', { branch });
+}));
+
 module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Account = require('../models/Account');
+const FixedDepositService = require('../services/fixedDepositService');
+const RecurringDepositService = require('../services/recurringDepositService');
+const PermissionService = require('../services/permissionService');
+const { authenticateToken, authorizePermission, requireVerifiedContact, authorizeBankAccess, switchBankContext } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const fixedDepositValidation = [
+  body('principal')
+    .isFloat({ min: 0.01 })
+    .withMessage('Principal must be greater than 0'),
+  body('tenureMonths')
+    .isInt({ min: 1 })
+    .withMessage('Tenure must be a whole number of months'),
+  body('compoundingFrequency')
+    .optional()
+    .isIn(Object.keys(FixedDepositService.COMPOUNDING_PERIODS))
+    .withMessage('Invalid compounding frequency')
+];
+
+// Preview maturity amount before booking a fixed deposit
+router.post('/fixed/preview', authenticateToken, fixedDepositValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const preview = await FixedDepositService.preview(req.cooperativeBankId, {
+    principal: parseFloat(req.body.principal),
+    tenureMonths: parseInt(req.body.tenureMonths),
+    compoundingFrequency: req.body.compoundingFrequency
+  });
+
+  successResponse(res, 200, 'Fixed deposit preview calculated successfully', { preview });
+}));
+
+// Book a fixed deposit funded from a savings or current account
+router.post('/fixed', authenticateToken, requireVerifiedContact, idempotency(), [
+  ...fixedDepositValidation,
+  body('linkedAccountId')
+    .isMongoId()
+    .withMessage('Invalid linked account ID'),
+  body('maturityInstruction')
+    .optional()
+    .isIn(['payout', 'renew_principal', 'renew_with_interest'])
+    .withMessage('Invalid maturity instruction')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { account, transaction } = await FixedDepositService.book({
+    member: req.user,
+    linkedAccountId: req.body.linkedAccountId,
+    principal: parseFloat(req.body.principal),
+    tenureMonths: parseInt(req.body.tenureMonths),
+    compoundingFrequency: req.body.compoundingFrequency,
+    maturityInstruction: req.body.maturityInstruction,
+    nomineeDetails: req.body.nomineeDetails
+  });
+
+  successResponse(res, 201, 'Fixed deposit booked successfully', { account, transaction });
+}));
+
+// Get the current user's fixed deposits
+router.get('/fixed', authenticateToken, asyncHandler(async (req, res) => {
+  const deposits = await Account.find({ userId: req.user._id, accountType: 'fixed_deposit' })
+    .populate('fixedDeposit.linkedAccount', 'accountNumber accountType')
+    .sort({ createdAt: -1 });
+
+  successResponse(res, 200, 'Fixed deposits retrieved successfully', { deposits });
+}));
+
+// Close a fixed deposit before maturity
+router.post('/fixed/:accountId/close', authenticateToken, [
+  param('accountId').isMongoId().withMessage('Invalid account ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const account = await Account.findOne({ _id: req.params.accountId, accountType: 'fixed_deposit' });
+  if (!account) {
+    return errorResponse(res, 404, 'Fixed deposit not found');
+  }
+
+  // Members close their own deposits; staff only within their bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'deposits.manage'))) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  const result = await FixedDepositService.closePremature(account._id);
+
+  successResponse(res, 200, 'Fixed deposit closed successfully', result);
+}));
+
+// Run maturity processing for the bank now (requires deposits.manage) - Bank scoped
+router.post('/admin/fixed/process-maturities', authenticateToken, switchBankContext, authorizePermission('deposits.manage'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const result = await FixedDepositService.processMaturities(new Date(), req.cooperativeBankId);
+
+  successResponse(res, 200, 'Fixed deposit maturities processed', result);
+}));
+
+// Open a recurring deposit with installments auto-debited from a linked account
+router.post('/recurring', authenticateToken, requireVerifiedContact, idempotency(), [
+  body('linkedAccountId')
+    .isMongoId()
+    .withMessage('Invalid linked account ID'),
+  body('installmentAmount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Installment amount must be greater than 0'),
+  body('tenureMonths')
+    .isInt({ min: 1 })
+    .withMessage('Tenure must be a whole number of months')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const account = await RecurringDepositService.open({
+    member: req.user,
+    linkedAccountId: req.body.linkedAccountId,
+    installmentAmount: parseFloat(req.body.installmentAmount),
+    tenureMonths: parseInt(req.body.tenureMonths),
+    nomineeDetails: req.body.nomineeDetails
+  });
+
+  successResponse(res, 201, 'Recurring deposit opened successfully', {
+    account,
+    summary: RecurringDepositService.getSummary(account)
+  });
+}));
+
+// Get the current user's recurring deposits
+router.get('/recurring', authenticateToken, asyncHandler(async (req, res) => {
+  const deposits = await Account.find({ userId: req.user._id, accountType: 'recurring_deposit' })
+    .sort({ createdAt: -1 });
+
+  successResponse(res, 200, 'Recurring deposits retrieved successfully', {
+    deposits: deposits.map(account => RecurringDepositService.getSummary(account))
+  });
+}));
+
+// Get installment schedule and arrears for a recurring deposit
+router.get('/recurring/:accountId/summary', authenticateToken, [
+  param('accountId').isMongoId().withMessage('Invalid account ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const account = await Account.findOne({ _id: req.params.accountId, accountType: 'recurring_deposit' });
+  if (!account) {
+    return errorResponse(res, 404, 'Recurring deposit not found');
+  }
+
+  // Members see their own deposits; staff only within their bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'accounts.view_all'))) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  successResponse(res, 200, 'Recurring deposit summary retrieved successfully', {
+    summary: RecurringDepositService.getSummary(account)
+  });
+}));
+
+// Run installment collection for the bank now (requires deposits.manage) - Bank scoped
+router.post('/admin/recurring/process-installments', authenticateToken, switchBankContext, authorizePermission('deposits.manage'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const result = await RecurringDepositService.processInstallments(new Date(), req.cooperativeBankId);
+
+  successResponse(res, 200, 'Recurring deposit installments processed', result);
+}));
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const mongoose = require('mongoose');
+const InterestAccrual = require('../models/InterestAccrual');
+const InterestRun = require('../models/InterestRun');
+const InterestService = require('../services/interestService');
+const { authenticateToken, authenticateTokenOrApiClient, authorizePermission, authorizeBankAccess, switchBankContext } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Accrue interest for a date range (requires interest.run) - Bank scoped
+router.post('/admin/accrue', authenticateToken, switchBankContext, authorizePermission('interest.run'), authorizeBankAccess, [
+  body('fromDate').isISO8601().withMessage('From date must be a valid ISO date'),
+  body('toDate').isISO8601().withMessage('To date must be a valid ISO date')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const run = await InterestService.accrue(
+    req.cooperativeBankId,
+    new Date(req.body.fromDate),
+    new Date(req.body.toDate),
+    req.user._id
+  );
+
+  successResponse(res, 200, 'Interest accrual completed', { run });
+}));
+
+// Post accrued interest up to a period end (requires interest.run) - Bank scoped
+router.post('/admin/post', authenticateToken, switchBankContext, authorizePermission('interest.run'), authorizeBankAccess, [
+  body('periodEnd').isISO8601().withMessage('Period end must be a valid ISO date')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const run = await InterestService.post(req.cooperativeBankId, new Date(req.body.periodEnd), req.user._id);
+
+  successResponse(res, 200, 'Interest posting completed', { run });
+}));
+
+// Get interest run reports (requires interest.view) - Bank scoped
+router.get('/admin/runs', authenticateTokenOrApiClient, switchBankContext, authorizePermission('interest.view'), authorizeBankAccess, [
+  query('runType').optional().isIn(['accrual', 'posting']).withMessage('Invalid run type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { cooperativeBankId: req.cooperativeBankId };
+  if (req.query.runType) {
+    filter.runType = req.query.runType;
+  }
+
+  const runs = await InterestRun.find(filter)
+    .populate('startedBy', 'firstName lastName')
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await InterestRun.countDocuments(filter);
+
+  successResponse(res, 200, 'Interest runs retrieved successfully', {
+    runs,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+}));
+
+// Get a single interest run report (requires interest.view) - Bank scoped
+router.get('/admin/runs/:runId', authenticateTokenOrApiClient, switchBankContext, authorizePermission('interest.view'), authorizeBankAccess, [
+  param('runId').isMongoId().withMessage('Invalid run ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const run = await InterestRun.findOne({ _id: req.params.runId, cooperativeBankId: req.cooperativeBankId })
+    .populate('startedBy', 'firstName lastName')
+    .populate('failures.account', 'accountNumber');
+
+  if (!run) {
+    return errorResponse(res, 404, 'Interest run not found');
+  }
+
+  successResponse(res, 200, 'Interest run retrieved successfully', { run });
+}));
+
+// Get accrued but unposted interest per account (requires interest.view) - Bank scoped
+router.get('/admin/accrued', authenticateTokenOrApiClient, switchBankContext, authorizePermission('interest.view'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const accrued = await InterestAccrual.aggregate([
+    { $match: { cooperativeBankId: new mongoose.Types.ObjectId(req.cooperativeBankId), posted: false } },
+    {
+      $group: {
+        _id: '$account',
+        amount: { $sum: '$amount' },
+        days: { $sum: 1 },
+        fromDate: { $min: '$date' },
+        toDate: { $max: '$date' }
+      }
+    },
+    { $lookup: { from: 'accounts', localField: '_id', foreignField: '_id', as: 'account' } },
+    { $unwind: '$account' },
+    {
+      $project: {
+        _id: 0,
+        accountId: '$_id',
+        accountNumber: '$account.accountNumber',
+        amount: { $round: ['$amount', 2] },
+        days: 1,
+        fromDate: 1,
+        toDate: 1
+      }
+    },
+    { $sort: { accountNumber: 1 } }
+  ]);
+
+  successResponse(res, 200, 'Accrued interest retrieved successfully', { accrued });
+}));
+
+module.exports = router;
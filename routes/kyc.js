@@ -4,10 +4,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const KYCDocument = require('../models/KYCDocument');
-const { authenticateToken, authorizeRoles, authorizeBankAccess } = require('../middleware/auth');
+const { authenticateToken, authorizePermission, authorizeBankAccess, allowCrossBank, switchBankContext } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
 const fileUploadService = require('../services/fileUploadService');
 const AuditService = require('../services/auditService');
+const BranchService = require('../services/branchService');
 const { logProfileEvent } = require('../middleware/audit');
 const { fileUploadRateLimiter } = require('../middleware/rateLimiting');
 
@@ -177,17 +178,17 @@ router.delete('/:documentId', authenticateToken, [
   successResponse(res, 200, 'KYC document deleted successfully');
 }));
 
-// Get all KYC documents (Admin/Manager only) - Bank scoped
-router.get('/admin/all-documents', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
+// Get all KYC documents (requires kyc.view_all) - Bank scoped
+router.get('/admin/all-documents', authenticateToken, switchBankContext, authorizePermission('kyc.view_all'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
   const status = req.query.status;
 
-  const filter = { isActive: true };
+  const filter = { isActive: true, ...(await BranchService.memberFilter(req)) };
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -215,8 +216,8 @@ router.get('/admin/all-documents', authenticateToken, authorizeRoles('admin', 'm
   });
 }));
 
-// Review KYC document (Admin/Manager only) - Bank scoped
-router.put('/:documentId/review', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, [
+// Review KYC document (requires kyc.review) - Bank scoped
+router.put('/:documentId/review', authenticateToken, switchBankContext, authorizePermission('kyc.review'), authorizeBankAccess, allowCrossBank, [
   param('documentId').isMongoId().withMessage('Invalid document ID'),
   body('status')
     .isIn(['APPROVED', 'REJECTED', 'UNDER_REVIEW'])
@@ -232,10 +233,10 @@ router.put('/:documentId/review', authenticateToken, authorizeRoles('admin', 'ma
 ], handleValidationErrors, logProfileEvent('KYC_REVIEW'), asyncHandler(async (req, res) => {
   const { status, remarks, rejectionReason } = req.body;
 
-  const filter = { _id: req.params.documentId, isActive: true };
+  const filter = { _id: req.params.documentId, isActive: true, ...(await BranchService.memberFilter(req)) };
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -260,12 +261,12 @@ router.put('/:documentId/review', authenticateToken, authorizeRoles('admin', 'ma
   successResponse(res, 200, 'KYC document reviewed successfully', { document });
 }));
 
-// Get KYC statistics (Admin/Manager only) - Bank scoped
-router.get('/admin/stats', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
-  const filter = { isActive: true };
+// Get KYC statistics (requires kyc.view_all) - Bank scoped
+router.get('/admin/stats', authenticateToken, switchBankContext, authorizePermission('kyc.view_all'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
+  const filter = { isActive: true, ...(await BranchService.memberFilter(req)) };
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -0,0 +1,102 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const JournalEntry = require('../models/JournalEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerService = require('../services/ledgerService');
+const { authenticateTokenOrApiClient, authorizePermission, authorizeBankAccess, switchBankContext } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Get general ledger accounts (requires ledger.view) - Bank scoped
+router.get('/admin/accounts', authenticateTokenOrApiClient, switchBankContext, authorizePermission('ledger.view'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const accounts = await LedgerAccount.find({ cooperativeBankId: req.cooperativeBankId })
+    .sort({ code: 1 });
+
+  successResponse(res, 200, 'Ledger accounts retrieved successfully', { accounts });
+}));
+
+// Get journal entries (requires ledger.view) - Bank scoped
+router.get('/admin/journals', authenticateTokenOrApiClient, switchBankContext, authorizePermission('ledger.view'), authorizeBankAccess, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('accountId').optional().isMongoId().withMessage('Invalid account ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { cooperativeBankId: req.cooperativeBankId };
+
+  if (req.query.entryType) {
+    filter.entryType = req.query.entryType;
+  }
+  if (req.query.accountId) {
+    filter['postings.account'] = req.query.accountId;
+  }
+  if (req.query.startDate && req.query.endDate) {
+    filter.postedAt = {
+      $gte: new Date(req.query.startDate),
+      $lte: new Date(req.query.endDate)
+    };
+  }
+
+  const journals = await JournalEntry.find(filter)
+    .populate('postings.account', 'accountNumber')
+    .populate('postings.ledgerAccount', 'code name')
+    .populate('transaction', 'transactionId transactionType status')
+    .sort({ postedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await JournalEntry.countDocuments(filter);
+
+  successResponse(res, 200, 'Journal entries retrieved successfully', {
+    journals,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+}));
+
+// Get journal entry by ID (requires ledger.view) - Bank scoped
+router.get('/admin/journals/:journalId', authenticateTokenOrApiClient, switchBankContext, authorizePermission('ledger.view'), authorizeBankAccess, [
+  param('journalId').isMongoId().withMessage('Invalid journal ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const journal = await JournalEntry.findOne({
+    _id: req.params.journalId,
+    cooperativeBankId: req.cooperativeBankId
+  })
+  .populate('postings.account', 'accountNumber userId')
+  .populate('postings.ledgerAccount', 'code name type')
+  .populate('transaction')
+  .populate('postedBy', 'firstName lastName');
+
+  if (!journal) {
+    return errorResponse(res, 404, 'Journal entry not found');
+  }
+
+  successResponse(res, 200, 'Journal entry retrieved successfully', { journal });
+}));
+
+// Get trial balance (requires ledger.view) - Bank scoped
+router.get('/admin/trial-balance', authenticateTokenOrApiClient, switchBankContext, authorizePermission('ledger.view'), authorizeBankAccess, [
+  query('asOf').optional().isISO8601().withMessage('As-of date must be a valid ISO date')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const trialBalance = await LedgerService.getTrialBalance(req.cooperativeBankId, req.query.asOf);
+
+  successResponse(res, 200, 'Trial balance retrieved successfully', trialBalance);
+}));
+
+// Verify ledger invariants (requires ledger.view) - Bank scoped
+router.get('/admin/verify', authenticateTokenOrApiClient, switchBankContext, authorizePermission('ledger.view'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const result = await LedgerService.verifyLedger(req.cooperativeBankId);
+
+  successResponse(res, 200, 'Ledger verification completed', result);
+}));
+
+module.exports = router;
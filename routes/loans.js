@@ -0,0 +1,398 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Loan = require('../models/Loan');
+const LoanClassification = require('../models/LoanClassification');
+const LoanProduct = require('../models/LoanProduct');
+const LoanService = require('../services/loanService');
+const NpaService = require('../services/npaService');
+const AuditService = require('../services/auditService');
+const PermissionService = require('../services/permissionService');
+const BranchService = require('../services/branchService');
+const { authenticateToken, authenticateTokenOrApiClient, authorizePermission, requireVerifiedContact, authorizeBankAccess, switchBankContext } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const productValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Product name cannot be empty'),
+  body('interestRate').optional().isFloat({ min: 0 }).withMessage('Interest rate must be a non-negative number'),
+  body('minAmount').optional().isFloat({ min: 1 }).withMessage('Minimum amount must be positive'),
+  body('maxAmount').optional().isFloat({ min: 1 }).withMessage('Maximum amount must be positive'),
+  body('minTenureMonths').optional().isInt({ min: 1 }).withMessage('Minimum tenure must be at least one month'),
+  body('maxTenureMonths').optional().isInt({ min: 1 }).withMessage('Maximum tenure must be at least one month'),
+  body('maxEmiToIncomeRatio').optional().isFloat({ min: 0, max: 1 }).withMessage('EMI to income ratio must be between 0 and 1'),
+  body('loanToValueRatio').optional().isFloat({ min: 0, max: 1 }).withMessage('Loan to value ratio must be between 0 and 1'),
+  body('prepaymentChargeRate').optional().isFloat({ min: 0 }).withMessage('Prepayment charge rate must be a non-negative number'),
+  body('requiredKycDocuments').optional().isArray().withMessage('Required KYC documents must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const PRODUCT_FIELDS = [
+  'name', 'interestRate', 'minAmount', 'maxAmount', 'minTenureMonths', 'maxTenureMonths',
+  'maxEmiToIncomeRatio', 'loanToValueRatio', 'prepaymentChargeRate', 'requiredKycDocuments', 'isActive'
+];
+
+// Load a loan the current user may act on: their own, or any in their bank with `permission`
+const findAccessibleLoan = async (req, res, permission = 'loans.view_all') => {
+  const loan = await Loan.findById(req.params.loanId).populate('product', 'code name productType prepaymentChargeRate');
+  if (!loan) {
+    errorResponse(res, 404, 'Loan not found');
+    return null;
+  }
+
+  const record = {
+    userId: loan.userId,
+    cooperativeBankId: loan.cooperativeBankId,
+    branchId: await BranchService.branchesOf(req, [loan.disbursementAccount])
+  };
+  if (!(await PermissionService.canAccessOwned(req, record, permission))) {
+    errorResponse(res, 403, 'Access denied');
+    return null;
+  }
+
+  return loan;
+};
+
+// Get active loan products of the user's bank
+router.get('/products', authenticateToken, asyncHandler(async (req, res) => {
+  const products = await LoanProduct.find({ cooperativeBankId: req.cooperativeBankId, isActive: true })
+    .sort({ productType: 1, name: 1 });
+
+  successResponse(res, 200, 'Loan products retrieved successfully', { products });
+}));
+
+// Create a loan product (requires loans.manage_products) - Bank scoped
+router.post('/admin/products', authenticateToken, switchBankContext, authorizePermission('loans.manage_products'), authorizeBankAccess, [
+  body('code').trim().notEmpty().withMessage('Product code is required'),
+  body('name').trim().notEmpty().withMessage('Product name is required'),
+  body('productType').isIn(['personal', 'gold', 'loan_against_fd']).withMessage('Invalid product type'),
+  body('interestRate').isFloat({ min: 0 }).withMessage('Interest rate must be a non-negative number'),
+  body('minAmount').isFloat({ min: 1 }).withMessage('Minimum amount must be positive'),
+  body('maxAmount').isFloat({ min: 1 }).withMessage('Maximum amount must be positive'),
+  body('minTenureMonths').isInt({ min: 1 }).withMessage('Minimum tenure must be at least one month'),
+  body('maxTenureMonths').isInt({ min: 1 }).withMessage('Maximum tenure must be at least one month'),
+  ...productValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const existing = await LoanProduct.findOne({
+    cooperativeBankId: req.cooperativeBankId,
+    code: req.body.code.toUpperCase()
+  });
+  if (existing) {
+    return errorResponse(res, 400, 'A loan product with this code already exists');
+  }
+
+  const product = new LoanProduct({
+    cooperativeBankId: req.cooperativeBankId,
+    code: req.body.code,
+    productType: req.body.productType,
+    createdBy: req.user._id
+  });
+  PRODUCT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      product[field] = req.body[field];
+    }
+  });
+  await product.save();
+
+  await AuditService.logLoanEvent(req.user._id, req.cooperativeBankId, 'LOAN_PRODUCT_UPDATE', product._id, {
+    code: product.code,
+    created: true
+  }, req);
+
+  successResponse(res, 201, 'Loan product created successfully', { product });
+}));
+
+// Update a loan product (requires loans.manage_products) - Bank scoped
+router.put('/admin/products/:productId', authenticateToken, switchBankContext, authorizePermission('loans.manage_products'), authorizeBankAccess, [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  ...productValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const product = await LoanProduct.findOne({ _id: req.params.productId, cooperativeBankId: req.cooperativeBankId });
+  if (!product) {
+    return errorResponse(res, 404, 'Loan product not found');
+  }
+
+  // Changes apply to new applications; existing loans keep their contracted terms
+  const updates = {};
+  PRODUCT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      product[field] = req.body[field];
+      updates[field] = req.body[field];
+    }
+  });
+  await product.save();
+
+  await AuditService.logLoanEvent(req.user._id, req.cooperativeBankId, 'LOAN_PRODUCT_UPDATE', product._id, {
+    code: product.code,
+    updates
+  }, req);
+
+  successResponse(res, 200, 'Loan product updated successfully', { product });
+}));
+
+// Apply for a loan
+router.post('/applications', authenticateToken, idempotency(), [
+  body('productId').isMongoId().withMessage('Invalid product ID'),
+  body('amount').isFloat({ min: 1 }).withMessage('Loan amount must be positive'),
+  body('tenureMonths').isInt({ min: 1 }).withMessage('Tenure must be a whole number of months'),
+  body('disbursementAccountId').isMongoId().withMessage('Invalid disbursement account ID'),
+  body('purpose').optional().trim().isLength({ max: 200 }).withMessage('Purpose cannot exceed 200 characters'),
+  body('collateral.value').optional().isFloat({ min: 0 }).withMessage('Collateral value must be a number'),
+  body('collateral.fixedDepositAccountId').optional().isMongoId().withMessage('Invalid fixed deposit account ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const loan = await LoanService.apply({
+    member: req.user,
+    productId: req.body.productId,
+    amount: parseFloat(req.body.amount),
+    tenureMonths: parseInt(req.body.tenureMonths),
+    purpose: req.body.purpose,
+    disbursementAccountId: req.body.disbursementAccountId,
+    collateral: req.body.collateral
+  });
+
+  await AuditService.logLoanEvent(req.user._id, req.cooperativeBankId, 'LOAN_APPLY', loan._id, {
+    loanNumber: loan.loanNumber,
+    amount: loan.principal,
+    tenureMonths: loan.tenureMonths
+  }, req);
+
+  successResponse(res, 201, 'Loan application submitted successfully', { loan });
+}));
+
+// Get the current user's loans
+router.get('/my-loans', authenticateToken, asyncHandler(async (req, res) => {
+  const loans = await Loan.find({ userId: req.user._id })
+    .populate('product', 'code name productType')
+    .select('-schedule')
+    .sort({ createdAt: -1 });
+
+  successResponse(res, 200, 'Loans retrieved successfully', { loans });
+}));
+
+// Get all loans (requires loans.view_all) - Bank scoped
+router.get('/admin/loans', authenticateTokenOrApiClient, switchBankContext, authorizePermission('loans.view_all'), authorizeBankAccess, [
+  query('status').optional().isIn(['applied', 'sanctioned', 'rejected', 'disbursed', 'closed']).withMessage('Invalid loan status'),
+  query('category').optional().isIn(['standard', 'sub_standard', 'doubtful', 'loss']).withMessage('Invalid asset classification'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { cooperativeBankId: req.cooperativeBankId, ...(await BranchService.loanFilter(req)) };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.category) {
+    filter['assetClassification.category'] = req.query.category;
+  }
+
+  const loans = await Loan.find(filter)
+    .populate('userId', 'firstName lastName email')
+    .populate('product', 'code name productType')
+    .select('-schedule')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Loan.countDocuments(filter);
+
+  successResponse(res, 200, 'Loans retrieved successfully', {
+    loans,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+}));
+
+// Branch-bound staff only act on loans disbursed to an account of their branch
+const assertLoanInBranch = async (req) => {
+  const loan = await Loan.findOne({ _id: req.params.loanId, cooperativeBankId: req.cooperativeBankId }).select('disbursementAccount');
+  if (loan) {
+    await BranchService.assertAccountsInBranch(req, [loan.disbursementAccount]);
+  }
+};
+
+// Sanction a loan application (requires loans.sanction) - Bank scoped
+router.post('/admin/loans/:loanId/sanction', authenticateToken, switchBankContext, authorizePermission('loans.sanction'), authorizeBankAccess, [
+  param('loanId').isMongoId().withMessage('Invalid loan ID'),
+  body('remarks').optional().trim().isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await assertLoanInBranch(req);
+
+  const loan = await LoanService.sanction({
+    loanId: req.params.loanId,
+    cooperativeBankId: req.cooperativeBankId,
+    manager: req.user,
+    remarks: req.body.remarks
+  });
+
+  await AuditService.logLoanEvent(req.user._id, req.cooperativeBankId, 'LOAN_SANCTION', loan._id, {
+    loanNumber: loan.loanNumber,
+    amount: loan.principal,
+    remarks: req.body.remarks
+  }, req);
+
+  successResponse(res, 200, 'Loan sanctioned successfully', { loan });
+}));
+
+// Reject a loan application (requires loans.sanction) - Bank scoped
+router.post('/admin/loans/:loanId/reject', authenticateToken, switchBankContext, authorizePermission('loans.sanction'), authorizeBankAccess, [
+  param('loanId').isMongoId().withMessage('Invalid loan ID'),
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+    .isLength({ max: 500 }).withMessage('Rejection reason cannot exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await assertLoanInBranch(req);
+
+  const loan = await LoanService.reject({
+    loanId: req.params.loanId,
+    cooperativeBankId: req.cooperativeBankId,
+    manager: req.user,
+    reason: req.body.reason
+  });
+
+  await AuditService.logLoanEvent(req.user._id, req.cooperativeBankId, 'LOAN_REJECT', loan._id, {
+    loanNumber: loan.loanNumber,
+    reason: req.body.reason
+  }, req);
+
+  successResponse(res, 200, 'Loan rejected successfully', { loan });
+}));
+
+// Disburse a sanctioned loan (requires loans.disburse) - Bank scoped
+router.post('/admin/loans/:loanId/disburse', authenticateToken, switchBankContext, authorizePermission('loans.disburse'), authorizeBankAccess, [
+  param('loanId').isMongoId().withMessage('Invalid loan ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await assertLoanInBranch(req);
+
+  const { loan, transaction } = await LoanService.disburse({
+    loanId: req.params.loanId,
+    cooperativeBankId: req.cooperativeBankId,
+    staff: req.user
+  });
+
+  await AuditService.logLoanEvent(req.user._id, req.cooperativeBankId, 'LOAN_DISBURSE', loan._id, {
+    loanNumber: loan.loanNumber,
+    amount: loan.principal,
+    transactionId: transaction._id
+  }, req);
+
+  successResponse(res, 200, 'Loan disbursed successfully', { loan, transaction });
+}));
+
+// Run loan ageing and NPA classification now (requires loans.run_ageing) - Bank scoped
+router.post('/admin/npa/run-ageing', authenticateToken, switchBankContext, authorizePermission('loans.run_ageing'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const result = await NpaService.runAgeing(new Date(), req.cooperativeBankId);
+
+  successResponse(res, 200, 'Loan ageing completed', result);
+}));
+
+// Get asset classification history of a loan (requires loans.view_all) - Bank scoped
+router.get('/admin/loans/:loanId/classification-history', authenticateTokenOrApiClient, switchBankContext, authorizePermission('loans.view_all'), authorizeBankAccess, [
+  param('loanId').isMongoId().withMessage('Invalid loan ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const loan = await Loan.findOne({ _id: req.params.loanId, cooperativeBankId: req.cooperativeBankId })
+    .select('loanNumber assetClassification disbursementAccount');
+  if (!loan) {
+    return errorResponse(res, 404, 'Loan not found');
+  }
+  await BranchService.assertAccountsInBranch(req, [loan.disbursementAccount]);
+
+  const history = await LoanClassification.find({ loan: loan._id }).sort({ asOf: -1 });
+
+  successResponse(res, 200, 'Classification history retrieved successfully', {
+    loanNumber: loan.loanNumber,
+    current: loan.assetClassification,
+    history
+  });
+}));
+
+// Get loan details with outstanding principal and overdue EMIs
+router.get('/:loanId', authenticateToken, [
+  param('loanId').isMongoId().withMessage('Invalid loan ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const loan = await findAccessibleLoan(req, res);
+  if (!loan) return;
+
+  successResponse(res, 200, 'Loan retrieved successfully', {
+    loan,
+    summary: LoanService.getSummary(loan)
+  });
+}));
+
+// Get the amount needed to close the loan today
+router.get('/:loanId/prepayment-quote', authenticateToken, [
+  param('loanId').isMongoId().withMessage('Invalid loan ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const loan = await findAccessibleLoan(req, res);
+  if (!loan) return;
+
+  if (loan.status !== 'disbursed') {
+    return errorResponse(res, 400, 'Only disbursed loans can be prepaid');
+  }
+
+  successResponse(res, 200, 'Prepayment quote calculated successfully', {
+    quote: LoanService.getPrepaymentQuote(loan, loan.product)
+  });
+}));
+
+// Repay EMIs from the member's savings account
+router.post('/:loanId/repay', authenticateToken, requireVerifiedContact, idempotency(), [
+  param('loanId').isMongoId().withMessage('Invalid loan ID'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const loan = await findAccessibleLoan(req, res, 'loans.collect_repayment');
+  if (!loan) return;
+
+  const result = await LoanService.repay({
+    loanId: loan._id,
+    cooperativeBankId: loan.cooperativeBankId,
+    amount: parseFloat(req.body.amount),
+    processedBy: req.user._id
+  });
+
+  await AuditService.logLoanEvent(req.user._id, loan.cooperativeBankId, 'LOAN_REPAYMENT', loan._id, {
+    loanNumber: loan.loanNumber,
+    amount: parseFloat(req.body.amount),
+    principal: result.allocation.principal,
+    interest: result.allocation.interest
+  }, req);
+
+  successResponse(res, 201, 'Loan repayment posted successfully', {
+    transaction: result.transaction,
+    allocation: result.allocation,
+    summary: LoanService.getSummary(result.loan)
+  });
+}));
+
+// Close the loan early at today's prepayment quote
+router.post('/:loanId/prepay', authenticateToken, requireVerifiedContact, idempotency(), [
+  param('loanId').isMongoId().withMessage('Invalid loan ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const loan = await findAccessibleLoan(req, res, 'loans.collect_repayment');
+  if (!loan) return;
+
+  const result = await LoanService.prepay({
+    loanId: loan._id,
+    cooperativeBankId: loan.cooperativeBankId,
+    processedBy: req.user._id
+  });
+
+  await AuditService.logLoanEvent(req.user._id, loan.cooperativeBankId, 'LOAN_REPAYMENT', loan._id, {
+    loanNumber: loan.loanNumber,
+    prepayment: true,
+    amount: result.quote.totalPayable
+  }, req);
+
+  successResponse(res, 201, 'Loan prepaid and closed successfully', {
+    transaction: result.transaction,
+    quote: result.quote,
+    loan: result.loan
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const mongoose = require('mongoose');
+const DividendRun = require('../models/DividendRun');
+const ShareHolding = require('../models/ShareHolding');
+const ShareTransaction = require('../models/ShareTransaction');
+const CooperativeBank = require('../models/CooperativeBank');
+const ShareService = require('../services/shareService');
+const AuditService = require('../services/auditService');
+const { authenticateToken, authenticateTokenOrApiClient, authorizePermission, requireVerifiedContact, authorizeBankAccess, switchBankContext } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Send a holding's share certificate as a PDF download
+const sendCertificate = async (res, holding) => {
+  const bank = await CooperativeBank.findById(holding.cooperativeBankId)
+    .select('bankName registrationNumber address');
+  const pdf = await ShareService.generateCertificate({ holding, member: holding.userId, bank });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="share-certificate-${holding.certificateNumber}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// Get the current user's share holding and the bank's share terms
+router.get('/my-holding', authenticateToken, asyncHandler(async (req, res) => {
+  const [holding, bank] = await Promise.all([
+    ShareHolding.findOne({ userId: req.user._id, cooperativeBankId: req.cooperativeBankId })
+      .populate('linkedAccount', 'accountNumber accountType'),
+    CooperativeBank.findById(req.cooperativeBankId).select('settings.shares')
+  ]);
+
+  successResponse(res, 200, 'Share holding retrieved successfully', {
+    holding,
+    settings: ShareService.getSettings(bank)
+  });
+}));
+
+// Get the current user's share ledger
+router.get('/my-holding/ledger', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { userId: req.user._id, cooperativeBankId: req.cooperativeBankId };
+
+  const entries = await ShareTransaction.find(filter)
+    .populate('transaction', 'transactionId')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await ShareTransaction.countDocuments(filter);
+
+  successResponse(res, 200, 'Share ledger retrieved successfully', {
+    entries,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+}));
+
+// Download the current user's share certificate
+router.get('/my-holding/certificate', authenticateToken, asyncHandler(async (req, res) => {
+  const holding = await ShareHolding.findOne({ userId: req.user._id, cooperativeBankId: req.cooperativeBankId })
+    .populate('userId', 'firstName lastName memberSince');
+
+  if (!holding || holding.shares === 0) {
+    return errorResponse(res, 404, 'No shares held');
+  }
+
+  await sendCertificate(res, holding);
+}));
+
+// Buy shares paid from a savings account
+router.post('/purchase', authenticateToken, requireVerifiedContact, idempotency(), [
+  body('accountId').isMongoId().withMessage('Invalid account ID'),
+  body('shares').isInt({ min: 1 }).withMessage('Shares must be a positive whole number')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { holding, entry, transaction } = await ShareService.purchase({
+    member: req.user,
+    cooperativeBankId: req.cooperativeBankId,
+    accountId: req.body.accountId,
+    shares: parseInt(req.body.shares),
+    processedBy: req.user._id
+  });
+
+  await AuditService.logShareEvent(req.user._id, req.cooperativeBankId, 'SHARE_PURCHASE', holding._id, {
+    shares: entry.shares,
+    amount: entry.amount,
+    transactionId: transaction.transactionId
+  }, req);
+
+  successResponse(res, 201, 'Shares purchased successfully', { holding, entry, transaction });
+}));
+
+// Redeem shares to the linked savings account
+router.post('/redeem', authenticateToken, requireVerifiedContact, idempotency(), [
+  body('shares').isInt({ min: 1 }).withMessage('Shares must be a positive whole number')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { holding, entry, transaction } = await ShareService.redeem({
+    member: req.user,
+    cooperativeBankId: req.cooperativeBankId,
+    shares: parseInt(req.body.shares),
+    processedBy: req.user._id
+  });
+
+  await AuditService.logShareEvent(req.user._id, req.cooperativeBankId, 'SHARE_REDEMPTION', holding._id, {
+    shares: entry.shares,
+    amount: entry.amount,
+    transactionId: transaction.transactionId
+  }, req);
+
+  successResponse(res, 201, 'Shares redeemed successfully', { holding, entry, transaction });
+}));
+
+// Get the bank's share register (requires shares.view_all) - Bank scoped
+router.get('/admin/holdings', authenticateTokenOrApiClient, switchBankContext, authorizePermission('shares.view_all'), authorizeBankAccess, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { cooperativeBankId: req.cooperativeBankId, shares: { $gt: 0 } };
+
+  const [holdings, total, totals] = await Promise.all([
+    ShareHolding.find(filter)
+      .populate('userId', 'firstName lastName email')
+      .sort({ shares: -1 })
+      .skip(skip)
+      .limit(limit),
+    ShareHolding.countDocuments(filter),
+    ShareHolding.aggregate([
+      { $match: { cooperativeBankId: new mongoose.Types.ObjectId(req.cooperativeBankId), shares: { $gt: 0 } } },
+      { $group: { _id: null, shares: { $sum: '$shares' }, shareCapital: { $sum: '$shareCapital' } } }
+    ])
+  ]);
+
+  successResponse(res, 200, 'Share register retrieved successfully', {
+    holdings,
+    totals: {
+      members: total,
+      shares: totals[0] ? totals[0].shares : 0,
+      shareCapital: totals[0] ? totals[0].shareCapital : 0
+    },
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+}));
+
+// Download a member's share certificate (requires shares.view_all) - Bank scoped
+router.get('/admin/holdings/:holdingId/certificate', authenticateTokenOrApiClient, switchBankContext, authorizePermission('shares.view_all'), authorizeBankAccess, [
+  param('holdingId').isMongoId().withMessage('Invalid holding ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const holding = await ShareHolding.findOne({ _id: req.params.holdingId, cooperativeBankId: req.cooperativeBankId })
+    .populate('userId', 'firstName lastName memberSince');
+
+  if (!holding || holding.shares === 0) {
+    return errorResponse(res, 404, 'Share holding not found');
+  }
+
+  await sendCertificate(res, holding);
+}));
+
+// Declare the annual dividend and credit shareholders (requires shares.declare_dividend) - Bank scoped
+router.post('/admin/dividends', authenticateToken, switchBankContext, authorizePermission('shares.declare_dividend'), authorizeBankAccess, [
+  body('financialYear')
+    .matches(/^\d{4}-\d{2}$/)
+    .withMessage('Financial year must look like 2024-25'),
+  body('rate')
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage('Dividend rate must be between 0.01 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const run = await ShareService.declareDividend({
+    cooperativeBankId: req.cooperativeBankId,
+    financialYear: req.body.financialYear,
+    rate: parseFloat(req.body.rate),
+    declaredBy: req.user._id
+  });
+
+  await AuditService.logShareEvent(req.user._id, req.cooperativeBankId, 'DIVIDEND_DECLARE', run._id, {
+    financialYear: run.financialYear,
+    rate: run.rate,
+    membersPaid: run.membersPaid,
+    totalDividend: run.totalDividend,
+    status: run.status
+  }, req);
+
+  successResponse(res, 200, 'Dividend run completed', { run });
+}));
+
+// Get dividend runs (requires shares.view_all) - Bank scoped
+router.get('/admin/dividends', authenticateTokenOrApiClient, switchBankContext, authorizePermission('shares.view_all'), authorizeBankAccess, asyncHandler(async (req, res) => {
+  const runs = await DividendRun.find({ cooperativeBankId: req.cooperativeBankId })
+    .populate('declaredBy', 'firstName lastName')
+    .sort({ financialYear: -1 });
+
+  successResponse(res, 200, 'Dividend runs retrieved successfully', { runs });
+}));
+
+module.exports = router;
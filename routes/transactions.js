@@ -1,17 +1,54 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
-const { authenticateToken, authorizeRoles, authorizeBankAccess } = require('../middleware/auth');
+const { authenticateToken, authenticateTokenOrApiClient, authorizePermission, requireVerifiedContact, authorizeBankAccess, allowCrossBank, switchBankContext } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
 const emailService = require('../services/emailService');
+const LedgerService = require('../services/ledgerService');
+const TransactionLimitService = require('../services/transactionLimitService');
+const AuditService = require('../services/auditService');
+const ApprovalService = require('../services/approvalService');
+const PermissionService = require('../services/permissionService');
+const BranchService = require('../services/branchService');
 const { transactionRateLimiter } = require('../middleware/rateLimiting');
+const { idempotency } = require('../middleware/idempotency');
+const { requireStepUp, amountAboveThreshold } = require('../middleware/stepUp');
 
 const router = express.Router();
 
+// Fixed and recurring deposits only move money through /api/deposits (booking, installments, closure)
+const DEPOSIT_ACCOUNT_TYPES = ['fixed_deposit', 'recurring_deposit'];
+const DEPOSIT_ACCOUNT_MESSAGE = 'Fixed and recurring deposit accounts can only be operated through /api/deposits';
+
+// Check limits, then either queue the transaction for maker-checker approval or post it, all in one session
+const postWithinLimits = async (req, details, post) => {
+  const { limits, result } = await TransactionLimitService.withinLimits(details, async (session) => {
+    const pending = await ApprovalService.submitIfRequired({ ...details, initiatedBy: req.user }, session);
+    return pending ? { pending } : await post(session);
+  });
+
+  if (result.pending) {
+    await AuditService.logTransactionEvent(
+      req.user._id,
+      result.pending.cooperativeBankId,
+      'TRANSACTION_APPROVAL_REQUEST',
+      result.pending._id,
+      {
+        transactionType: result.pending.transactionType,
+        amount: result.pending.amount,
+        reason: result.pending.approval.reason
+      },
+      req
+    );
+  }
+
+  return { limits, pending: result.pending, transaction: result.transaction };
+};
+
 // Deposit money
-router.post('/deposit', authenticateToken, transactionRateLimiter(60 * 1000, 20), [
+router.post('/deposit', authenticateToken, requireVerifiedContact, idempotency(), transactionRateLimiter(60 * 1000, 20), [
   body('accountId')
     .isMongoId()
     .withMessage('Invalid account ID'),
@@ -40,9 +77,8 @@ router.post('/deposit', authenticateToken, transactionRateLimiter(60 * 1000, 20)
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns this account or may post on accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'transactions.post_on_behalf'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -50,44 +86,29 @@ router.post('/deposit', authenticateToken, transactionRateLimiter(60 * 1000, 20)
     return errorResponse(res, 400, 'Account is deactivated');
   }
 
-  // Check daily transaction limits (basic implementation)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-
-  const todayTransactions = await Transaction.find({
-    fromAccount: accountId,
-    processedAt: { $gte: today, $lt: tomorrow },
-    transactionType: { $in: ['deposit', 'withdrawal', 'transfer'] }
-  });
-
-  const todayAmount = todayTransactions.reduce((sum, txn) => sum + txn.amount, 0);
-  const dailyLimit = 100000; // Default limit, should come from bank settings
-
-  if (todayAmount + amount > dailyLimit) {
-    return errorResponse(res, 400, `Daily transaction limit exceeded. Limit: ${dailyLimit}, Used: ${todayAmount}`);
+  if (DEPOSIT_ACCOUNT_TYPES.includes(account.accountType)) {
+    return errorResponse(res, 400, DEPOSIT_ACCOUNT_MESSAGE);
   }
 
-  // Update account balance
-  const newBalance = account.balance + amount;
-  account.balance = newBalance;
-  account.lastTransactionDate = new Date();
-  await account.save();
-
-  // Create transaction record
-  const transaction = new Transaction({
-    cooperativeBankId: req.cooperativeBankId,
-    fromAccount: accountId,
-    amount,
+  // Within the bank's limits, high-value and staff-initiated deposits wait for a second staff user;
+  // the rest post through the ledger: debit cash in hand, credit the member account
+  const { limits, pending, transaction } = await postWithinLimits(req, {
     transactionType: 'deposit',
+    amount,
+    description,
+    referenceNumber,
+    account
+  }, (session) => LedgerService.deposit({
+    account,
+    amount,
     description,
-    balanceAfter: newBalance,
     referenceNumber,
     processedBy: req.user._id
-  });
-
-  await transaction.save();
+  }, session));
+  if (pending) {
+    return successResponse(res, 202, 'Deposit submitted for approval', { transaction: pending, limits });
+  }
+  const newBalance = transaction.balanceAfter;
 
   // Send transaction notification email
   try {
@@ -111,12 +132,13 @@ router.post('/deposit', authenticateToken, transactionRateLimiter(60 * 1000, 20)
 
   successResponse(res, 201, 'Deposit successful', {
     transaction,
-    newBalance
+    newBalance,
+    limits
   });
 }));
 
-// Withdraw money
-router.post('/withdraw', authenticateToken, transactionRateLimiter(60 * 1000, 15), [
+// Withdraw money; large amounts need a recent step-up, checked before the idempotency key is reserved
+router.post('/withdraw', authenticateToken, requireVerifiedContact, requireStepUp(amountAboveThreshold), idempotency(), transactionRateLimiter(60 * 1000, 15), [
   body('accountId')
     .isMongoId()
     .withMessage('Invalid account ID'),
@@ -140,9 +162,8 @@ router.post('/withdraw', authenticateToken, transactionRateLimiter(60 * 1000, 15
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns this account or may post on accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'transactions.post_on_behalf'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -150,39 +171,43 @@ router.post('/withdraw', authenticateToken, transactionRateLimiter(60 * 1000, 15
     return errorResponse(res, 400, 'Account is deactivated');
   }
 
+  if (DEPOSIT_ACCOUNT_TYPES.includes(account.accountType)) {
+    return errorResponse(res, 400, DEPOSIT_ACCOUNT_MESSAGE);
+  }
+
   // Check sufficient balance
   const availableBalance = account.balance - account.minimumBalance;
   if (amount > availableBalance) {
     return errorResponse(res, 400, `Insufficient balance. Available: ${availableBalance}`);
   }
 
-  // Update account balance
-  const newBalance = account.balance - amount;
-  account.balance = newBalance;
-  account.lastTransactionDate = new Date();
-  await account.save();
-
-  // Create transaction record
-  const transaction = new Transaction({
-    cooperativeBankId: req.cooperativeBankId,
-    fromAccount: accountId,
-    amount,
+  // Within the bank's limits, high-value and staff-initiated withdrawals wait for a second staff user;
+  // the rest post through the ledger: debit the member account, credit cash in hand
+  const { limits, pending, transaction } = await postWithinLimits(req, {
     transactionType: 'withdrawal',
+    amount,
+    description,
+    account
+  }, (session) => LedgerService.withdraw({
+    account,
+    amount,
     description,
-    balanceAfter: newBalance,
     processedBy: req.user._id
-  });
-
-  await transaction.save();
+  }, session));
+  if (pending) {
+    return successResponse(res, 202, 'Withdrawal submitted for approval', { transaction: pending, limits });
+  }
+  const newBalance = transaction.balanceAfter;
 
   successResponse(res, 201, 'Withdrawal successful', {
     transaction,
-    newBalance
+    newBalance,
+    limits
   });
 }));
 
-// Transfer money between accounts
-router.post('/transfer', authenticateToken, transactionRateLimiter(60 * 1000, 10), [
+// Transfer money between accounts; large amounts need a recent step-up
+router.post('/transfer', authenticateToken, requireVerifiedContact, requireStepUp(amountAboveThreshold), idempotency(), transactionRateLimiter(60 * 1000, 10), [
   body('fromAccountId')
     .isMongoId()
     .withMessage('Invalid from account ID'),
@@ -220,9 +245,8 @@ router.post('/transfer', authenticateToken, transactionRateLimiter(60 * 1000, 10
     return errorResponse(res, 404, 'To account not found');
   }
 
-  // Check if user owns the from account or is admin/manager
-  if (fromAccount.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns the from account or may post on accounts in its bank
+  if (!(await PermissionService.canAccessOwned(req, fromAccount, 'transactions.post_on_behalf'))) {
     return errorResponse(res, 403, 'Access denied to from account');
   }
 
@@ -230,55 +254,208 @@ router.post('/transfer', authenticateToken, transactionRateLimiter(60 * 1000, 10
     return errorResponse(res, 400, 'One or both accounts are deactivated');
   }
 
+  if (DEPOSIT_ACCOUNT_TYPES.includes(fromAccount.accountType) || DEPOSIT_ACCOUNT_TYPES.includes(toAccount.accountType)) {
+    return errorResponse(res, 400, DEPOSIT_ACCOUNT_MESSAGE);
+  }
+
+  if (fromAccount.cooperativeBankId.toString() !== toAccount.cooperativeBankId.toString()) {
+    return errorResponse(res, 400, 'Transfers between different cooperative banks are not supported');
+  }
+
   // Check sufficient balance
   const availableBalance = fromAccount.balance - fromAccount.minimumBalance;
   if (amount > availableBalance) {
     return errorResponse(res, 400, `Insufficient balance. Available: ${availableBalance}`);
   }
 
-  // Start transaction
-  const session = await Account.startSession();
-  session.startTransaction();
+  // Limits apply to both the sending and the receiving member; high-value and staff-initiated transfers
+  // wait for a second staff user, the rest post both legs through the ledger in a single journal entry
+  const { limits, pending, transaction } = await postWithinLimits(req, {
+    transactionType: 'transfer',
+    amount,
+    description,
+    account: fromAccount,
+    toAccount
+  }, (session) => LedgerService.transfer({
+    fromAccount,
+    toAccount,
+    amount,
+    description,
+    processedBy: req.user._id
+  }, session));
+  if (pending) {
+    return successResponse(res, 202, 'Transfer submitted for approval', { transaction: pending, limits });
+  }
+
+  successResponse(res, 201, 'Transfer successful', {
+    transaction,
+    fromAccountBalance: transaction.balanceAfter,
+    toAccountBalance: transaction.toBalanceAfter,
+    limits
+  });
+}));
 
-  try {
-    // Update from account balance
-    fromAccount.balance -= amount;
-    fromAccount.lastTransactionDate = new Date();
-    await fromAccount.save({ session });
-
-    // Update to account balance
-    toAccount.balance += amount;
-    toAccount.lastTransactionDate = new Date();
-    await toAccount.save({ session });
-
-    // Create transaction records
-    const transaction = new Transaction({
-      cooperativeBankId: req.cooperativeBankId,
-      fromAccount: fromAccountId,
-      toAccount: toAccountId,
-      amount,
-      transactionType: 'transfer',
-      description,
-      balanceAfter: fromAccount.balance,
-      processedBy: req.user._id
-    });
-
-    await transaction.save({ session });
-
-    await session.commitTransaction();
-
-    successResponse(res, 201, 'Transfer successful', {
-      transaction,
-      fromAccountBalance: fromAccount.balance,
-      toAccountBalance: toAccount.balance
-    });
-
-  } catch (error) {
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    session.endSession();
+// Get maker-checker approval queue (requires transactions.approve) - Bank scoped
+router.get('/admin/approvals', authenticateToken, switchBankContext, authorizePermission('transactions.approve'), authorizeBankAccess, [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid approval status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const status = req.query.status || 'pending';
+
+  const filter = {
+    cooperativeBankId: req.cooperativeBankId,
+    'approval.reason': { $exists: true },
+    ...(await BranchService.transactionFilter(req))
+  };
+
+  if (status === 'pending') {
+    filter.status = 'pending';
+  } else {
+    filter['approval.decision'] = status;
+  }
+
+  const transactions = await Transaction.find(filter)
+    .populate('fromAccount', 'accountNumber userId')
+    .populate('toAccount', 'accountNumber userId')
+    .populate('approval.requestedBy', 'firstName lastName role')
+    .populate('approval.decidedBy', 'firstName lastName role')
+    .sort({ 'approval.requestedAt': -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Transaction.countDocuments(filter);
+
+  successResponse(res, 200, 'Approval queue retrieved successfully', {
+    transactions,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+}));
+
+// Branch-bound staff only act on transactions touching an account of their branch
+const assertTransactionInBranch = async (req) => {
+  const transaction = await Transaction.findOne({ _id: req.params.transactionId, cooperativeBankId: req.cooperativeBankId })
+    .select('fromAccount toAccount');
+  if (transaction) {
+    await BranchService.assertAccountsInBranch(req, [transaction.fromAccount, transaction.toAccount]);
   }
+};
+
+// Approve a pending transaction (requires transactions.approve) - Bank scoped
+router.post('/admin/approvals/:transactionId/approve', authenticateToken, switchBankContext, authorizePermission('transactions.approve'), authorizeBankAccess, [
+  param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks cannot exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await assertTransactionInBranch(req);
+
+  const transaction = await ApprovalService.approve({
+    transactionId: req.params.transactionId,
+    cooperativeBankId: req.cooperativeBankId,
+    checker: req.user,
+    remarks: req.body.remarks
+  });
+
+  await AuditService.logTransactionEvent(
+    req.user._id,
+    req.cooperativeBankId,
+    'TRANSACTION_APPROVE',
+    transaction._id,
+    {
+      transactionType: transaction.transactionType,
+      amount: transaction.amount,
+      requestedBy: transaction.approval.requestedBy,
+      remarks: req.body.remarks
+    },
+    req
+  );
+
+  successResponse(res, 200, 'Transaction approved and posted successfully', { transaction });
+}));
+
+// Reject a pending transaction (requires transactions.approve) - Bank scoped
+router.post('/admin/approvals/:transactionId/reject', authenticateToken, switchBankContext, authorizePermission('transactions.approve'), authorizeBankAccess, [
+  param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+  body('remarks')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection remarks are required')
+    .isLength({ max: 500 })
+    .withMessage('Remarks cannot exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await assertTransactionInBranch(req);
+
+  const transaction = await ApprovalService.reject({
+    transactionId: req.params.transactionId,
+    cooperativeBankId: req.cooperativeBankId,
+    checker: req.user,
+    remarks: req.body.remarks
+  });
+
+  await AuditService.logTransactionEvent(
+    req.user._id,
+    req.cooperativeBankId,
+    'TRANSACTION_REJECT',
+    transaction._id,
+    {
+      transactionType: transaction.transactionType,
+      amount: transaction.amount,
+      requestedBy: transaction.approval.requestedBy,
+      remarks: req.body.remarks
+    },
+    req
+  );
+
+  successResponse(res, 200, 'Transaction rejected successfully', { transaction });
+}));
+
+// Reverse a completed transaction (requires transactions.reverse) - Bank scoped
+router.post('/:transactionId/reverse', authenticateToken, authorizePermission('transactions.reverse'), authorizeBankAccess, [
+  param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reversal reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reversal reason cannot exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await assertTransactionInBranch(req);
+
+  const { original, reversal } = await LedgerService.reverse({
+    transactionId: req.params.transactionId,
+    cooperativeBankId: req.cooperativeBankId,
+    reason: req.body.reason,
+    processedBy: req.user._id
+  });
+
+  await AuditService.logTransactionEvent(
+    req.user._id,
+    req.cooperativeBankId,
+    'TRANSACTION_REVERSAL',
+    original._id,
+    {
+      reversalId: reversal._id,
+      originalType: original.transactionType,
+      amount: original.amount,
+      reason: req.body.reason
+    },
+    req
+  );
+
+  successResponse(res, 201, 'Transaction reversed successfully', {
+    originalTransaction: original,
+    reversal
+  });
 }));
 
 // Get transaction history
@@ -296,9 +473,8 @@ router.get('/history/:accountId', authenticateToken, [
     return errorResponse(res, 404, 'Account not found');
   }
 
-  // Check if user owns this account or is admin/manager
-  if (account.userId.toString() !== req.user._id.toString() && 
-      !['admin', 'manager'].includes(req.user.role)) {
+  // Check if user owns this account or may view transactions in its bank
+  if (!(await PermissionService.canAccessOwned(req, account, 'transactions.view_all'))) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -311,6 +487,8 @@ router.get('/history/:accountId', authenticateToken, [
   })
   .populate('fromAccount', 'accountNumber')
   .populate('toAccount', 'accountNumber')
+  .populate('reversalOf', 'transactionId transactionType')
+  .populate('reversedBy', 'transactionId processedAt')
   .sort({ processedAt: -1 })
   .skip(skip)
   .limit(limit);
@@ -346,9 +524,12 @@ router.get('/:transactionId', authenticateToken, [
   }
 
   // Check if user has access to this transaction
-  const hasAccess = ['admin', 'manager'].includes(req.user.role) ||
-    (transaction.fromAccount && transaction.fromAccount.userId.toString() === req.user._id.toString()) ||
-    (transaction.toAccount && transaction.toAccount.userId.toString() === req.user._id.toString());
+  const hasAccess = (transaction.fromAccount && transaction.fromAccount.userId.toString() === req.user._id.toString()) ||
+    (transaction.toAccount && transaction.toAccount.userId.toString() === req.user._id.toString()) ||
+    await PermissionService.canAccessOwned(req, {
+      cooperativeBankId: transaction.cooperativeBankId,
+      branchId: await BranchService.branchesOf(req, [transaction.fromAccount, transaction.toAccount])
+    }, 'transactions.view_all');
 
   if (!hasAccess) {
     return errorResponse(res, 403, 'Access denied');
@@ -357,16 +538,16 @@ router.get('/:transactionId', authenticateToken, [
   successResponse(res, 200, 'Transaction retrieved successfully', { transaction });
 }));
 
-// Get all transactions (Admin/Manager only) - Bank scoped
-router.get('/admin/all-transactions', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
+// Get all transactions (requires transactions.view_all) - Bank scoped
+router.get('/admin/all-transactions', authenticateTokenOrApiClient, switchBankContext, authorizePermission('transactions.view_all'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const filter = {};
+  const filter = await BranchService.transactionFilter(req);
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -391,12 +572,37 @@ router.get('/admin/all-transactions', authenticateToken, authorizeRoles('admin',
   });
 }));
 
-// Get transaction statistics (Admin/Manager only) - Bank scoped
-router.get('/admin/stats', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
-  const filter = {};
+// Get a member's transaction limits and current usage (requires transactions.reports) - Bank scoped
+router.get('/admin/limits/:userId', authenticateTokenOrApiClient, switchBankContext, authorizePermission('transactions.reports'), authorizeBankAccess, allowCrossBank, [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.userId };
+
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
+    filter.cooperativeBankId = req.cooperativeBankId;
+  }
+
+  const member = await User.findOne(filter).select('firstName lastName cooperativeBankId transactionLimits');
+  if (!member) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  const summary = await TransactionLimitService.getMemberLimitSummary(member);
+
+  successResponse(res, 200, 'Transaction limits retrieved successfully', {
+    userId: member._id,
+    memberOverrides: member.transactionLimits,
+    ...summary
+  });
+}));
+
+// Get transaction statistics (requires transactions.reports) - Bank scoped
+router.get('/admin/stats', authenticateTokenOrApiClient, switchBankContext, authorizePermission('transactions.reports'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
+  const filter = await BranchService.transactionFilter(req);
   
-  // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  // Unless a super admin is working across banks, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -417,9 +623,12 @@ router.get('/admin/stats', authenticateToken, authorizeRoles('admin', 'manager')
     { $group: { _id: null, total: { $sum: '$amount' } } }
   ]);
 
+  const transactionsByBranch = await BranchService.transactionsByBranch(filter);
+
   successResponse(res, 200, 'Transaction statistics retrieved successfully', {
     totalTransactions,
     transactionsByType,
+    transactionsByBranch,
     todayTransactions,
     totalVolume: totalVolume[0]?.total || 0
   });
@@ -1,22 +1,28 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const User = require('../models/User');
 const Account = require('../models/Account');
-const { authenticateToken, authorizeRoles, authorizeUserAccess, authorizeBankAccess } = require('../middleware/auth');
+const { authenticateToken, authorizePermission, authorizeUserAccess, authorizeBankAccess, allowCrossBank, switchBankContext } = require('../middleware/auth');
 const { handleValidationErrors, asyncHandler, successResponse, errorResponse } = require('../middleware/validation');
+const SessionService = require('../services/sessionService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const ImpersonationService = require('../services/impersonationService');
+const PermissionService = require('../services/permissionService');
+const AuditService = require('../services/auditService');
+const BranchService = require('../services/branchService');
 
 const router = express.Router();
 
-// Get all users (Admin/Manager only) - Bank scoped
-router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
+// Get all users (requires users.view) - Bank scoped
+router.get('/', authenticateToken, switchBankContext, authorizePermission('users.view'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const filter = { isActive: true };
+  const filter = { isActive: true, ...(await BranchService.userFilter(req)) };
   
   // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -40,10 +46,10 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), authorize
 }));
 
 // Get user by ID - Bank scoped
-router.get('/:userId', authenticateToken, authorizeUserAccess, [
+router.get('/:userId', authenticateToken, switchBankContext, authorizeUserAccess, allowCrossBank, [
   param('userId').isMongoId().withMessage('Invalid user ID')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.userId)
+  const user = await User.findOne({ _id: req.params.userId, ...(await BranchService.userFilter(req)) })
     .populate('cooperativeBankId', 'bankName bankCode')
     .select('-password');
   
@@ -51,8 +57,8 @@ router.get('/:userId', authenticateToken, authorizeUserAccess, [
     return errorResponse(res, 404, 'User not found');
   }
 
-  // Check if user belongs to the same cooperative bank (unless super admin)
-  if (req.user.role !== 'super_admin' && 
+  // Check if user belongs to the same cooperative bank (unless super admin working across banks)
+  if ((req.user.role !== 'super_admin' || req.bankContext) &&
       user.cooperativeBankId._id.toString() !== req.cooperativeBankId.toString()) {
     return errorResponse(res, 403, 'Access denied - user belongs to different cooperative bank');
   }
@@ -66,18 +72,18 @@ router.get('/:userId', authenticateToken, authorizeUserAccess, [
   });
 }));
 
-// Update user status (Admin/Manager only) - Bank scoped
-router.put('/:userId/status', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, [
+// Update user status (requires users.manage_status) - Bank scoped
+router.put('/:userId/status', authenticateToken, switchBankContext, authorizePermission('users.manage_status'), authorizeBankAccess, allowCrossBank, [
   param('userId').isMongoId().withMessage('Invalid user ID'),
   body('isActive').isBoolean().withMessage('isActive must be a boolean')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const { isActive } = req.body;
   const { userId } = req.params;
 
-  const filter = { _id: userId };
+  const filter = { _id: userId, ...(await BranchService.userFilter(req)) };
   
   // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
@@ -91,40 +97,202 @@ router.put('/:userId/status', authenticateToken, authorizeRoles('admin', 'manage
     return errorResponse(res, 404, 'User not found');
   }
 
-  // If deactivating user, also deactivate their accounts
+  // If deactivating user, also deactivate their accounts and end their sessions
   if (!isActive) {
     await Account.updateMany(
       { userId },
       { isActive: false }
     );
+    await SessionService.revokeAllSessions(userId);
   }
 
   successResponse(res, 200, `User ${isActive ? 'activated' : 'deactivated'} successfully`, { user });
 }));
 
-// Update user role (Admin only) - Bank scoped
-router.put('/:userId/role', authenticateToken, authorizeRoles('admin'), authorizeBankAccess, [
+// Unlock an account locked by failed sign-ins (requires users.unlock) - Bank scoped
+router.post('/:userId/unlock', authenticateToken, switchBankContext, authorizePermission('users.unlock'), authorizeBankAccess, allowCrossBank, [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = { ...(await BranchService.userFilter(req)) };
+
+  // If not super admin, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
+    filter.cooperativeBankId = req.cooperativeBankId;
+  }
+
+  const user = await LoginSecurityService.unlock(req.params.userId, filter);
+
+  if (!user) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  await AuditService.logAuthEvent(req.user._id, req.cooperativeBankId || user.cooperativeBankId, 'USER_UNLOCK', {
+    targetUserId: user._id
+  }, req);
+
+  successResponse(res, 200, 'User account unlocked successfully', { user });
+}));
+
+// Start a short-lived, read-only session as a member (requires users.impersonate) - Bank scoped
+router.post('/:userId/impersonate', authenticateToken, switchBankContext, authorizePermission('users.impersonate'), authorizeBankAccess, allowCrossBank, [
   param('userId').isMongoId().withMessage('Invalid user ID'),
-  body('role').isIn(['member', 'admin', 'manager']).withMessage('Invalid role')
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A reason of 5 to 500 characters is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.userId, ...(await BranchService.userFilter(req)) };
+
+  // If not super admin, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
+    filter.cooperativeBankId = req.cooperativeBankId;
+  }
+
+  const member = await User.findOne(filter);
+
+  if (!member) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  const impersonation = await ImpersonationService.start(req.user, member, req.body.reason);
+
+  await AuditService.logAuthEvent(req.user._id, member.cooperativeBankId, 'IMPERSONATION_START', {
+    targetUserId: member._id,
+    impersonationId: impersonation.impersonationId,
+    reason: req.body.reason,
+    expiresAt: impersonation.expiresAt
+  }, req);
+
+  successResponse(res, 201, 'Impersonation session started', {
+    ...impersonation,
+    member: {
+      _id: member._id,
+      fullName: member.fullName,
+      email: member.email
+    }
+  });
+}));
+
+// End an impersonation session before it expires; only the staff member who started it can
+router.delete('/:userId/impersonate/:impersonationId', authenticateToken, switchBankContext, authorizePermission('users.impersonate'), [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  param('impersonationId').isUUID().withMessage('Invalid impersonation ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const session = await ImpersonationService.end(req.params.impersonationId, {
+    staffId: req.user._id,
+    memberId: req.params.userId
+  });
+
+  if (!session) {
+    return errorResponse(res, 404, 'Impersonation session not found');
+  }
+
+  await AuditService.logAuthEvent(req.user._id, session.cooperativeBankId, 'IMPERSONATION_END', {
+    targetUserId: session.memberId,
+    impersonationId: req.params.impersonationId
+  }, req);
+
+  successResponse(res, 200, 'Impersonation session ended');
+}));
+
+// Get a user's sign-in history (requires users.view) - Bank scoped
+router.get('/:userId/login-history', authenticateToken, switchBankContext, authorizePermission('users.view'), authorizeBankAccess, allowCrossBank, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.userId, ...(await BranchService.userFilter(req)) };
+
+  // If not super admin, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
+    filter.cooperativeBankId = req.cooperativeBankId;
+  }
+
+  if (!(await User.exists(filter))) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const result = await LoginSecurityService.getHistory(req.params.userId, page, limit);
+  successResponse(res, 200, 'Login history retrieved successfully', result);
+}));
+
+// Update user role (requires users.change_role) - Bank scoped
+router.put('/:userId/role', authenticateToken, switchBankContext, authorizePermission('users.change_role'), authorizeBankAccess, allowCrossBank, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').matches(/^[a-z][a-z0-9_]{1,29}$/).withMessage('Invalid role')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const { role } = req.body;
   const { userId } = req.params;
 
-  // Prevent admin from changing their own role
-  if (req.user._id.toString() === userId && role !== 'admin') {
+  // Prevent users from changing their own role
+  if (req.user._id.toString() === userId && role !== req.user.role) {
     return errorResponse(res, 400, 'Cannot change your own role');
   }
 
-  const filter = { _id: userId };
+  if (role === 'super_admin') {
+    return errorResponse(res, 403, 'The super_admin role cannot be assigned');
+  }
+
+  const filter = { _id: userId, ...(await BranchService.userFilter(req)) };
   
   // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  if (req.user.role !== 'super_admin' || req.bankContext) {
+    filter.cooperativeBankId = req.cooperativeBankId;
+  }
+
+  const target = await User.findOne(filter).select('cooperativeBankId');
+  if (!target) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  // Only built-in roles and the bank's own custom roles can be assigned
+  const roles = await PermissionService.loadRoleMap(target.cooperativeBankId);
+  if (!roles[role]) {
+    return errorResponse(res, 400, `Role ${role} is not defined for this bank`);
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { role },
+    { new: true, runValidators: true }
+  ).select('-password');
+
+  successResponse(res, 200, 'User role updated successfully', { user });
+}));
+
+// Update member transaction limit overrides (requires users.set_limits) - Bank scoped
+router.put('/:userId/transaction-limits', authenticateToken, switchBankContext, authorizePermission('users.set_limits'), authorizeBankAccess, allowCrossBank, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body(['dailyDeposit', 'dailyWithdrawal', 'dailyTransfer', 'monthlyTransaction'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Limits must be non-negative numbers')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const updates = { $set: {}, $unset: {} };
+
+  // A null value removes the override so the account type or bank limit applies again
+  ['dailyDeposit', 'dailyWithdrawal', 'dailyTransfer', 'monthlyTransaction'].forEach(limit => {
+    if (req.body[limit] === null) {
+      updates.$unset[`transactionLimits.${limit}`] = '';
+    } else if (req.body[limit] !== undefined) {
+      updates.$set[`transactionLimits.${limit}`] = parseFloat(req.body[limit]);
+    }
+  });
+
+  const filter = { _id: userId, ...(await BranchService.userFilter(req)) };
+
+  // If not super admin, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
   const user = await User.findOneAndUpdate(
     filter,
-    { role },
+    updates,
     { new: true, runValidators: true }
   ).select('-password');
 
@@ -132,11 +300,46 @@ router.put('/:userId/role', authenticateToken, authorizeRoles('admin'), authoriz
     return errorResponse(res, 404, 'User not found');
   }
 
-  successResponse(res, 200, 'User role updated successfully', { user });
+  successResponse(res, 200, 'Transaction limits updated successfully', {
+    user,
+    transactionLimits: user.transactionLimits
+  });
+}));
+
+// Assign a staff member to a branch, or to the whole bank with a null branchId (requires branches.manage) - Bank scoped
+router.put('/:userId/branch', authenticateToken, switchBankContext, authorizePermission('branches.manage'), authorizeBankAccess, allowCrossBank, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('branchId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid branch ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.userId, ...(await BranchService.userFilter(req)) };
+
+  // If not super admin, filter by cooperative bank
+  if (req.user.role !== 'super_admin' || req.bankContext) {
+    filter.cooperativeBankId = req.cooperativeBankId;
+  }
+
+  const user = await User.findOne(filter).select('-password');
+  if (!user) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  const previousBranchId = user.branchId;
+  await BranchService.assignStaff(user, req.body.branchId);
+
+  await AuditService.logBranchEvent(req.user._id, user.cooperativeBankId, 'BRANCH_ASSIGN', user.branchId || previousBranchId, {
+    staffId: user._id,
+    fromBranchId: previousBranchId || null,
+    toBranchId: user.branchId || null
+  }, req);
+
+  successResponse(res, 200, 'Staff branch updated successfully', { user });
 }));
 
-// Search users (Admin/Manager only) - Bank scoped
-router.get('/search/users', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
+// Search users (requires users.view) - Bank scoped
+router.get('/search/users', authenticateToken, switchBankContext, authorizePermission('users.view'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
   const { q, page = 1, limit = 10 } = req.query;
   
   if (!q) {
@@ -163,9 +366,10 @@ router.get('/search/users', authenticateToken, authorizeRoles('admin', 'manager'
   };
 
   // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.$and.push({ cooperativeBankId: req.cooperativeBankId });
   }
+  filter.$and.push(await BranchService.userFilter(req));
 
   const users = await User.find(filter)
     .populate('cooperativeBankId', 'bankName bankCode')
@@ -186,17 +390,17 @@ router.get('/search/users', authenticateToken, authorizeRoles('admin', 'manager'
   });
 }));
 
-// Get user statistics (Admin/Manager only) - Bank scoped
-router.get('/stats/overview', authenticateToken, authorizeRoles('admin', 'manager'), authorizeBankAccess, asyncHandler(async (req, res) => {
-  const filter = { isActive: true };
+// Get user statistics (requires users.view) - Bank scoped
+router.get('/stats/overview', authenticateToken, switchBankContext, authorizePermission('users.view'), authorizeBankAccess, allowCrossBank, asyncHandler(async (req, res) => {
+  const filter = { isActive: true, ...(await BranchService.userFilter(req)) };
   
   // If not super admin, filter by cooperative bank
-  if (req.user.role !== 'super_admin') {
+  if (req.user.role !== 'super_admin' || req.bankContext) {
     filter.cooperativeBankId = req.cooperativeBankId;
   }
 
   const totalUsers = await User.countDocuments(filter);
-  const totalAccounts = await Account.countDocuments({ isActive: true });
+  const totalAccounts = await Account.countDocuments({ isActive: true, ...BranchService.accountFilter(req) });
   const newUsersThisMonth = await User.countDocuments({
     ...filter,
     createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
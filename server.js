@@ -22,6 +22,13 @@ const transactionRoutes = require('./routes/transactions');
 const cooperativeBankRoutes = require('./routes/cooperative-banks');
 const auditRoutes = require('./routes/audit');
 const kycRoutes = require('./routes/kyc');
+const ledgerRoutes = require('./routes/ledger');
+const depositRoutes = require('./routes/deposits');
+const interestRoutes = require('./routes/interest');
+const loanRoutes = require('./routes/loans');
+const shareRoutes = require('./routes/shares');
+const apiClientRoutes = require('./routes/api-clients');
+const { startScheduler } = require('./jobs/scheduler');
 
 const app = express();
 
@@ -72,6 +79,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cooperati
 .then(() => {
   logger.info('MongoDB connected successfully');
   console.log('MongoDB connected successfully');
+  startScheduler();
 })
 .catch(err => {
   logger.error('MongoDB connection error:', err);
@@ -97,6 +105,12 @@ app.use('/api/transactions', transactionRoutes);
 app.use('/api/cooperative-banks', cooperativeBankRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/kyc', kycRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/deposits', depositRoutes);
+app.use('/api/interest', interestRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/api-clients', apiClientRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
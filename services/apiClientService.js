@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const net = require('net');
+const ApiClient = require('../models/ApiClient');
+const CooperativeBank = require('../models/CooperativeBank');
+const AuditService = require('./auditService');
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { hashValue } = require('../utils/encryption');
+
+// Permissions an API client may be granted; only routes that accept API keys honour them
+const CLIENT_SCOPES = [
+  'ledger.view',
+  'interest.view',
+  'accounts.view_all',
+  'accounts.reports',
+  'transactions.view_all',
+  'transactions.reports',
+  'loans.view_all',
+  'shares.view_all'
+];
+
+const MAX_ROTATION_GRACE_HOURS = 72;
+
+// IPv4 clients behind a dual-stack socket show up as ::ffff:a.b.c.d
+const normaliseIp = (ip) => (ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+class ApiClientService {
+  // API keys are "<clientId>.<secret>"; only a hash of the secret is stored
+  static generateCredentials() {
+    const clientId = `ck_${crypto.randomBytes(8).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('hex');
+    return { clientId, secret, apiKey: `${clientId}.${secret}` };
+  }
+
+  // Scopes must be client scopes the granting user holds themselves
+  static validateScopes(scopes, grantedBy) {
+    const invalid = scopes.filter(scope => !CLIENT_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new AppError(`Scopes not available to API clients: ${invalid.join(', ')}`, 400);
+    }
+
+    const notHeld = scopes.filter(scope => !grantedBy.has(scope));
+    if (notHeld.length > 0) {
+      throw new AppError(`You cannot grant permissions you do not hold: ${notHeld.join(', ')}`, 403);
+    }
+  }
+
+  // Parse allowlist entries as single addresses or CIDR ranges
+  static buildBlockList(entries) {
+    const blockList = new net.BlockList();
+
+    for (const entry of entries) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+      const maxPrefix = type === 'ipv4' ? 32 : 128;
+
+      if (!type || (prefix !== undefined && !(/^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+        throw new AppError(`Invalid IP address or range: ${entry}`, 400);
+      }
+
+      if (prefix === undefined) {
+        blockList.addAddress(address, type);
+      } else {
+        blockList.addSubnet(address, Number(prefix), type);
+      }
+    }
+    return blockList;
+  }
+
+  static isIpAllowed(client, ip) {
+    if (!client.ipAllowlist || client.ipAllowlist.length === 0) {
+      return true;
+    }
+
+    const address = normaliseIp(ip);
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    return Boolean(type) && this.buildBlockList(client.ipAllowlist).check(address, type);
+  }
+
+  static async create(grantedBy, { cooperativeBankId, name, scopes, ipAllowlist = [], expiresAt, rateLimit, createdBy }) {
+    this.validateScopes(scopes, grantedBy);
+    this.buildBlockList(ipAllowlist);
+
+    const { clientId, secret, apiKey } = this.generateCredentials();
+    const client = await ApiClient.create({
+      cooperativeBankId,
+      name,
+      clientId,
+      secretHash: hashValue(secret),
+      scopes,
+      ipAllowlist,
+      expiresAt,
+      rateLimit,
+      createdBy
+    });
+
+    return { client, apiKey };
+  }
+
+  static async update(client, grantedBy, { name, scopes, ipAllowlist, expiresAt, rateLimit }) {
+    if (scopes !== undefined) {
+      this.validateScopes(scopes, grantedBy);
+      client.scopes = scopes;
+    }
+    if (ipAllowlist !== undefined) {
+      this.buildBlockList(ipAllowlist);
+      client.ipAllowlist = ipAllowlist;
+    }
+    if (name !== undefined) {
+      client.name = name;
+    }
+    if (expiresAt !== undefined) {
+      client.expiresAt = expiresAt;
+    }
+    if (rateLimit) {
+      Object.assign(client.rateLimit, rateLimit);
+    }
+
+    await client.save();
+    return client;
+  }
+
+  // Issue a new secret; the old one keeps working for graceHours so the partner can cut over
+  static async rotate(client, graceHours = 0) {
+    if (graceHours < 0 || graceHours > MAX_ROTATION_GRACE_HOURS) {
+      throw new AppError(`Grace period must be between 0 and ${MAX_ROTATION_GRACE_HOURS} hours`, 400);
+    }
+
+    const current = await ApiClient.findById(client._id).select('+secretHash');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    current.previousSecretHash = graceHours > 0 ? current.secretHash : undefined;
+    current.previousSecretExpiresAt = graceHours > 0 ? new Date(now.getTime() + graceHours * 60 * 60 * 1000) : undefined;
+    current.secretHash = hashValue(secret);
+    current.rotatedAt = now;
+    await current.save();
+
+    return { client: current, apiKey: `${current.clientId}.${secret}` };
+  }
+
+  static async revoke(client, revokedBy) {
+    client.isActive = false;
+    client.revokedAt = new Date();
+    client.revokedBy = revokedBy;
+    await client.save();
+    return client;
+  }
+
+  static secretMatches(client, secret, now = new Date()) {
+    const hash = Buffer.from(hashValue(secret));
+    const matches = (stored) => Boolean(stored) && crypto.timingSafeEqual(Buffer.from(stored), hash);
+
+    return matches(client.secretHash) ||
+      (client.previousSecretExpiresAt > now && matches(client.previousSecretHash));
+  }
+
+  // Resolve an API key to an active client allowed to call from this address
+  static async authenticate(apiKey, req) {
+    const [clientId, secret] = String(apiKey).split('.');
+    const client = clientId && secret
+      ? await ApiClient.findOne({ clientId }).select('+secretHash +previousSecretHash')
+      : null;
+
+    if (!client) {
+      logger.security('Unknown API key presented', { ip: req.ip, url: req.originalUrl });
+      throw new AppError('Invalid API key', 401);
+    }
+
+    const reject = async (message, statusCode) => {
+      await AuditService.logFailedEvent(client.createdBy, client.cooperativeBankId, 'API_CLIENT_REQUEST', 'API_CLIENT', message, {
+        apiClientId: client._id,
+        clientId: client.clientId,
+        method: req.method,
+        path: req.originalUrl
+      }, req);
+      throw new AppError(message, statusCode);
+    };
+
+    if (!this.secretMatches(client, secret)) {
+      await reject('Invalid API key', 401);
+    }
+    if (!client.isActive) {
+      await reject('API key has been revoked', 401);
+    }
+    if (client.expiresAt && client.expiresAt <= new Date()) {
+      await reject('API key has expired', 401);
+    }
+    if (!this.isIpAllowed(client, req.ip)) {
+      await reject('Requests from this IP address are not allowed', 403);
+    }
+
+    const bank = await CooperativeBank.findById(client.cooperativeBankId).select('isActive');
+    if (!bank || !bank.isActive) {
+      await reject('Cooperative bank is deactivated', 401);
+    }
+
+    return client;
+  }
+
+  static async checkRateLimit(client) {
+    const windowMs = client.rateLimit.windowSeconds * 1000;
+    const result = await redisService.checkRateLimit(`api-client:${client._id}`, client.rateLimit.maxRequests, windowMs);
+    return { ...result, limit: client.rateLimit.maxRequests, windowMs };
+  }
+
+  // Every request made with a key lands in the audit log
+  static async recordUsage(client, req, statusCode) {
+    try {
+      await ApiClient.updateOne({ _id: client._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } });
+    } catch (error) {
+      logger.error('Failed to record API client usage:', error);
+    }
+
+    await AuditService.logApiClientEvent(client.createdBy, client.cooperativeBankId, 'API_CLIENT_REQUEST', client._id, {
+      clientId: client.clientId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode
+    }, req);
+  }
+}
+
+ApiClientService.CLIENT_SCOPES = CLIENT_SCOPES;
+
+module.exports = ApiClientService;
@@ -0,0 +1,158 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const CooperativeBank = require('../models/CooperativeBank');
+const LedgerService = require('./ledgerService');
+const TransactionLimitService = require('./transactionLimitService');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+const { isStaffRole } = require('./permissionService');
+
+class ApprovalService {
+  // Why a transaction needs a second staff user, or null when it can post directly
+  static getApprovalReason(bank, { amount, account, initiatedBy }) {
+    const settings = (bank && bank.settings && bank.settings.approval) || {};
+
+    if (typeof settings.highValueThreshold === 'number' && amount > settings.highValueThreshold) {
+      return 'high_value';
+    }
+
+    const isStaff = isStaffRole(initiatedBy.role);
+    const isOwnAccount = account.userId.toString() === initiatedBy._id.toString();
+    if (settings.requireForStaffInitiated !== false && isStaff && !isOwnAccount) {
+      return 'staff_initiated';
+    }
+
+    return null;
+  }
+
+  // Record the transaction as pending when the bank's approval rules apply
+  static async submitIfRequired({ transactionType, amount, description, referenceNumber, account, toAccount = null, initiatedBy }, session = null) {
+    const bank = await CooperativeBank.findById(account.cooperativeBankId).select('settings.approval');
+    const reason = this.getApprovalReason(bank, { amount, account, initiatedBy });
+
+    if (!reason) {
+      return null;
+    }
+
+    const legs = {
+      deposit: { toAccount: account._id },
+      withdrawal: { fromAccount: account._id },
+      transfer: { fromAccount: account._id, toAccount: toAccount && toAccount._id }
+    };
+
+    const transaction = new Transaction({
+      cooperativeBankId: account.cooperativeBankId,
+      transactionType,
+      amount: roundAmount(amount),
+      description,
+      referenceNumber,
+      ...legs[transactionType],
+      status: 'pending',
+      processedBy: initiatedBy._id,
+      approval: {
+        reason,
+        requestedBy: initiatedBy._id,
+        requestedAt: new Date()
+      }
+    });
+    await transaction.save({ session });
+    return transaction;
+  }
+
+  // Find a pending transaction the checker may decide on, explaining why not otherwise
+  static async claimPending(transactionId, cooperativeBankId, checker, decision, remarks, session) {
+    const transaction = await Transaction.findOneAndUpdate(
+      {
+        _id: transactionId,
+        cooperativeBankId,
+        status: 'pending',
+        'approval.reason': { $exists: true },
+        'approval.decision': { $exists: false },
+        'approval.requestedBy': { $ne: checker._id }
+      },
+      {
+        $set: {
+          'approval.decision': decision,
+          'approval.decidedBy': checker._id,
+          'approval.decidedAt': new Date(),
+          'approval.remarks': remarks
+        }
+      },
+      { new: true, session }
+    );
+
+    if (transaction) {
+      return transaction;
+    }
+
+    const existing = await Transaction.findOne({ _id: transactionId, cooperativeBankId }).session(session);
+    if (!existing || !existing.approval || !existing.approval.reason) {
+      throw new AppError('Pending transaction not found', 404);
+    }
+    if (existing.approval.requestedBy && existing.approval.requestedBy.toString() === checker._id.toString()) {
+      throw new AppError('A transaction cannot be approved or rejected by the user who initiated it', 403);
+    }
+    throw new AppError('Transaction has already been decided', 409);
+  }
+
+  // Approve a pending transaction and post it through the ledger
+  static async approve({ transactionId, cooperativeBankId, checker, remarks }) {
+    return await withTransaction(async (session) => {
+      const transaction = await this.claimPending(transactionId, cooperativeBankId, checker, 'approved', remarks, session);
+
+      const [fromAccount, toAccount] = await Promise.all([
+        transaction.fromAccount ? Account.findById(transaction.fromAccount).session(session) : null,
+        transaction.toAccount ? Account.findById(transaction.toAccount).session(session) : null
+      ]);
+
+      if ((transaction.fromAccount && !fromAccount) || (transaction.toAccount && !toAccount)) {
+        throw new AppError('An account on this transaction no longer exists', 400);
+      }
+
+      const details = {
+        amount: transaction.amount,
+        description: transaction.description,
+        referenceNumber: transaction.referenceNumber,
+        processedBy: transaction.approval.requestedBy,
+        transaction
+      };
+
+      // Limits may have been used up since submission; the pending transaction's own hold is left out
+      const limitDetails = {
+        transactionType: transaction.transactionType,
+        amount: transaction.amount,
+        account: fromAccount || toAccount,
+        toAccount: fromAccount ? toAccount : null,
+        excludeTransactionId: transaction._id
+      };
+
+      // Balances only move now; the ledger re-checks minimum balances at posting time
+      const { result } = await TransactionLimitService.withinLimits(limitDetails, (txnSession) => {
+        if (transaction.transactionType === 'deposit') {
+          return LedgerService.deposit({ ...details, account: toAccount }, txnSession);
+        }
+        if (transaction.transactionType === 'withdrawal') {
+          return LedgerService.withdraw({ ...details, account: fromAccount }, txnSession);
+        }
+        return LedgerService.transfer({ ...details, fromAccount, toAccount }, txnSession);
+      }, session);
+
+      return result.transaction;
+    });
+  }
+
+  // Reject a pending transaction; balances are left untouched
+  static async reject({ transactionId, cooperativeBankId, checker, remarks }) {
+    return await withTransaction(async (session) => {
+      const transaction = await this.claimPending(transactionId, cooperativeBankId, checker, 'rejected', remarks, session);
+
+      transaction.status = 'rejected';
+      await transaction.save({ session });
+
+      return transaction;
+    });
+  }
+}
+
+module.exports = ApprovalService;
@@ -1,34 +1,48 @@
 const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
 
 class AuditService {
+  // Audit entry with the caller's IP, user agent and session; an impersonated request also records
+  // the staff member, and a super admin working in another bank logs there with their home bank
+  static buildAuditData(fields, req = null) {
+    const auditData = { ...fields };
+
+    if (req) {
+      auditData.ipAddress = req.ip || req.connection.remoteAddress;
+      auditData.userAgent = req.get('User-Agent');
+      auditData.sessionId = req.sessionID;
+      if (req.impersonation) {
+        auditData.impersonatorId = req.impersonation.impersonatorId;
+      }
+      if (req.bankContext) {
+        auditData.cooperativeBankId = req.bankContext.cooperativeBankId;
+        auditData.switchedFromBankId = req.bankContext.homeBankId;
+      }
+    }
+
+    return auditData;
+  }
+
   // Log user authentication events
   static async logAuthEvent(userId, cooperativeBankId, action, details = {}, req = null) {
     try {
-      const auditData = {
+      await AuditLog.create(this.buildAuditData({
         userId,
         cooperativeBankId,
         action,
         resourceType: 'USER',
         details,
         status: 'SUCCESS'
-      };
-
-      if (req) {
-        auditData.ipAddress = req.ip || req.connection.remoteAddress;
-        auditData.userAgent = req.get('User-Agent');
-        auditData.sessionId = req.sessionID;
-      }
-
-      await AuditLog.create(auditData);
+      }, req));
     } catch (error) {
-      console.error('Failed to log auth event:', error);
+      logger.error('Failed to log auth event:', error);
     }
   }
 
   // Log account events
   static async logAccountEvent(userId, cooperativeBankId, action, accountId, details = {}, req = null) {
     try {
-      const auditData = {
+      await AuditLog.create(this.buildAuditData({
         userId,
         cooperativeBankId,
         action,
@@ -36,24 +50,16 @@ class AuditService {
         resourceId: accountId,
         details,
         status: 'SUCCESS'
-      };
-
-      if (req) {
-        auditData.ipAddress = req.ip || req.connection.remoteAddress;
-        auditData.userAgent = req.get('User-Agent');
-        auditData.sessionId = req.sessionID;
-      }
-
-      await AuditLog.create(auditData);
+      }, req));
     } catch (error) {
-      console.error('Failed to log account event:', error);
+      logger.error('Failed to log account event:', error);
     }
   }
 
   // Log transaction events
   static async logTransactionEvent(userId, cooperativeBankId, action, transactionId, details = {}, req = null) {
     try {
-      const auditData = {
+      await AuditLog.create(this.buildAuditData({
         userId,
         cooperativeBankId,
         action,
@@ -61,24 +67,50 @@ class AuditService {
         resourceId: transactionId,
         details,
         status: 'SUCCESS'
-      };
+      }, req));
+    } catch (error) {
+      logger.error('Failed to log transaction event:', error);
+    }
+  }
 
-      if (req) {
-        auditData.ipAddress = req.ip || req.connection.remoteAddress;
-        auditData.userAgent = req.get('User-Agent');
-        auditData.sessionId = req.sessionID;
-      }
+  // Log loan events
+  static async logLoanEvent(userId, cooperativeBankId, action, loanId, details = {}, req = null) {
+    try {
+      await AuditLog.create(this.buildAuditData({
+        userId,
+        cooperativeBankId,
+        action,
+        resourceType: 'LOAN',
+        resourceId: loanId,
+        details,
+        status: 'SUCCESS'
+      }, req));
+    } catch (error) {
+      logger.error('Failed to log loan event:', error);
+    }
+  }
 
-      await AuditLog.create(auditData);
+  // Log share capital and dividend events
+  static async logShareEvent(userId, cooperativeBankId, action, resourceId, details = {}, req = null) {
+    try {
+      await AuditLog.create(this.buildAuditData({
+        userId,
+        cooperativeBankId,
+        action,
+        resourceType: 'SHARE',
+        resourceId,
+        details,
+        status: 'SUCCESS'
+      }, req));
     } catch (error) {
-      console.error('Failed to log transaction event:', error);
+      logger.error('Failed to log share event:', error);
     }
   }
 
   // Log bank management events
   static async logBankEvent(userId, cooperativeBankId, action, bankId, details = {}, req = null) {
     try {
-      const auditData = {
+      await AuditLog.create(this.buildAuditData({
         userId,
         cooperativeBankId,
         action,
@@ -86,48 +118,66 @@ class AuditService {
         resourceId: bankId,
         details,
         status: 'SUCCESS'
-      };
+      }, req));
+    } catch (error) {
+      logger.error('Failed to log bank event:', error);
+    }
+  }
 
-      if (req) {
-        auditData.ipAddress = req.ip || req.connection.remoteAddress;
-        auditData.userAgent = req.get('User-Agent');
-        auditData.sessionId = req.sessionID;
-      }
+  // Log branch management and staff or account assignment to branches
+  static async logBranchEvent(userId, cooperativeBankId, action, branchId, details = {}, req = null) {
+    try {
+      await AuditLog.create(this.buildAuditData({
+        userId,
+        cooperativeBankId,
+        action,
+        resourceType: 'BRANCH',
+        resourceId: branchId,
+        details,
+        status: 'SUCCESS'
+      }, req));
+    } catch (error) {
+      logger.error('Failed to log branch event:', error);
+    }
+  }
 
-      await AuditLog.create(auditData);
+  // Log API client management and usage; userId is the staff member who created the client
+  static async logApiClientEvent(userId, cooperativeBankId, action, apiClientId, details = {}, req = null) {
+    try {
+      await AuditLog.create(this.buildAuditData({
+        userId,
+        cooperativeBankId,
+        action,
+        resourceType: 'API_CLIENT',
+        resourceId: apiClientId,
+        details,
+        status: 'SUCCESS'
+      }, req));
     } catch (error) {
-      console.error('Failed to log bank event:', error);
+      logger.error('Failed to log API client event:', error);
     }
   }
 
   // Log profile events
   static async logProfileEvent(userId, cooperativeBankId, action, details = {}, req = null) {
     try {
-      const auditData = {
+      await AuditLog.create(this.buildAuditData({
         userId,
         cooperativeBankId,
         action,
         resourceType: 'PROFILE',
         details,
         status: 'SUCCESS'
-      };
-
-      if (req) {
-        auditData.ipAddress = req.ip || req.connection.remoteAddress;
-        auditData.userAgent = req.get('User-Agent');
-        auditData.sessionId = req.sessionID;
-      }
-
-      await AuditLog.create(auditData);
+      }, req));
     } catch (error) {
-      console.error('Failed to log profile event:', error);
+      logger.error('Failed to log profile event:', error);
     }
   }
 
   // Log failed events
   static async logFailedEvent(userId, cooperativeBankId, action, resourceType, errorMessage, details = {}, req = null) {
     try {
-      const auditData = {
+      await AuditLog.create(this.buildAuditData({
         userId,
         cooperativeBankId,
         action,
@@ -135,17 +185,9 @@ class AuditService {
         details,
         status: 'FAILED',
         errorMessage
-      };
-
-      if (req) {
-        auditData.ipAddress = req.ip || req.connection.remoteAddress;
-        auditData.userAgent = req.get('User-Agent');
-        auditData.sessionId = req.sessionID;
-      }
-
-      await AuditLog.create(auditData);
+      }, req));
     } catch (error) {
-      console.error('Failed to log failed event:', error);
+      logger.error('Failed to log failed event:', error);
     }
   }
 
@@ -157,6 +199,7 @@ class AuditService {
       const query = {};
       
       if (filters.userId) query.userId = filters.userId;
+      if (filters.impersonatorId) query.impersonatorId = filters.impersonatorId;
       if (filters.cooperativeBankId) query.cooperativeBankId = filters.cooperativeBankId;
       if (filters.action) query.action = filters.action;
       if (filters.resourceType) query.resourceType = filters.resourceType;
@@ -170,7 +213,9 @@ class AuditService {
 
       const logs = await AuditLog.find(query)
         .populate('userId', 'firstName lastName email')
+        .populate('impersonatorId', 'firstName lastName email')
         .populate('cooperativeBankId', 'bankName bankCode')
+        .populate('switchedFromBankId', 'bankName bankCode')
         .sort({ timestamp: -1 })
         .skip(skip)
         .limit(limit);
@@ -186,7 +231,7 @@ class AuditService {
         }
       };
     } catch (error) {
-      console.error('Failed to get audit logs:', error);
+      logger.error('Failed to get audit logs:', error);
       throw error;
     }
   }
@@ -229,7 +274,7 @@ class AuditService {
         actionStats: stats
       };
     } catch (error) {
-      console.error('Failed to get audit statistics:', error);
+      logger.error('Failed to get audit statistics:', error);
       throw error;
     }
   }
@@ -244,10 +289,10 @@ class AuditService {
         timestamp: { $lt: cutoffDate }
       });
 
-      console.log(`Cleaned up ${result.deletedCount} old audit logs`);
+      logger.info(`Cleaned up ${result.deletedCount} old audit logs`);
       return result.deletedCount;
     } catch (error) {
-      console.error('Failed to cleanup old audit logs:', error);
+      logger.error('Failed to cleanup old audit logs:', error);
       throw error;
     }
   }
@@ -0,0 +1,241 @@
+const Branch = require('../models/Branch');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const PermissionService = require('./permissionService');
+const { AppError } = require('../middleware/validation');
+
+const BRANCH_FIELDS = ['branchName', 'ifscCode', 'address', 'contactDetails', 'workingHours', 'workingDays'];
+
+class BranchService {
+  // The branch manager must be an active staff member of the same bank
+  static async assertManager(cooperativeBankId, managerId) {
+    const manager = await User.findOne({ _id: managerId, cooperativeBankId, isActive: true }).select('role');
+    if (!manager || !PermissionService.isStaffRole(manager.role)) {
+      throw new AppError('Branch manager must be an active staff member of the bank', 400);
+    }
+  }
+
+  static async create(cooperativeBankId, data, createdBy) {
+    if (data.managerId) {
+      await this.assertManager(cooperativeBankId, data.managerId);
+    }
+
+    const branch = new Branch({
+      cooperativeBankId,
+      branchCode: data.branchCode,
+      managerId: data.managerId,
+      createdBy
+    });
+    for (const field of BRANCH_FIELDS) {
+      if (data[field] !== undefined) {
+        branch[field] = data[field];
+      }
+    }
+
+    // The bank's first branch is its head office
+    branch.isHeadOffice = !(await Branch.exists({ cooperativeBankId }));
+    await branch.save();
+    return branch;
+  }
+
+  static async update(branch, data) {
+    if (data.managerId !== undefined) {
+      if (data.managerId) {
+        await this.assertManager(branch.cooperativeBankId, data.managerId);
+      }
+      branch.managerId = data.managerId || undefined;
+    }
+    // Nested fields such as address are merged, so a partial update keeps the rest
+    for (const field of BRANCH_FIELDS) {
+      if (data[field] !== undefined) {
+        branch.set(field, data[field], { merge: true });
+      }
+    }
+
+    if (data.isHeadOffice === true && !branch.isHeadOffice) {
+      branch.isHeadOffice = true;
+      await Branch.updateMany(
+        { cooperativeBankId: branch.cooperativeBankId, _id: { $ne: branch._id } },
+        { $set: { isHeadOffice: false } }
+      );
+    }
+
+    await branch.save();
+    return branch;
+  }
+
+  // Closing a branch leaves its accounts in place; it just can't take new ones or staff
+  static async deactivate(branch) {
+    if (branch.isHeadOffice) {
+      throw new AppError('The head office cannot be deactivated', 400);
+    }
+
+    branch.isActive = false;
+    await branch.save();
+    return branch;
+  }
+
+  static async findActive(cooperativeBankId, branchId) {
+    const branch = await Branch.findOne({ _id: branchId, cooperativeBankId, isActive: true });
+    if (!branch) {
+      throw new AppError('Branch not found or inactive', 404);
+    }
+    return branch;
+  }
+
+  // Assign a staff member to a branch, or to the whole bank with a null branch
+  static async assignStaff(user, branchId) {
+    if (!PermissionService.isStaffRole(user.role) || user.role === 'super_admin') {
+      throw new AppError('Only bank staff can be assigned to a branch', 400);
+    }
+
+    user.branchId = branchId ? (await this.findActive(user.cooperativeBankId, branchId))._id : undefined;
+    await user.save();
+    return user;
+  }
+
+  // Move an account's books to another branch; the account number does not change
+  static async assignAccount(account, branchId) {
+    const branch = await this.findActive(account.cooperativeBankId, branchId);
+    account.branchId = branch._id;
+    account.branchCode = branch.branchCode;
+    await account.save();
+    return account;
+  }
+
+  // Staff assigned to a branch only see that branch; everyone else sees the whole bank
+  static getStaffBranchId(req) {
+    const { user } = req;
+    if (!user || user.isApiClient || user.role === 'super_admin' || !PermissionService.isStaffRole(user.role)) {
+      return null;
+    }
+    return user.branchId || null;
+  }
+
+  static accountFilter(req) {
+    const branchId = this.getStaffBranchId(req);
+    return branchId ? { branchId } : {};
+  }
+
+  // Transactions belong to the branches of the accounts they touch
+  static async transactionFilter(req) {
+    const branchId = this.getStaffBranchId(req);
+    if (!branchId) {
+      return {};
+    }
+
+    const accountIds = await Account.distinct('_id', { branchId });
+    return { $or: [{ fromAccount: { $in: accountIds } }, { toAccount: { $in: accountIds } }] };
+  }
+
+  // Loans belong to the branch of the account they are disbursed to
+  static async loanFilter(req) {
+    const branchId = this.getStaffBranchId(req);
+    if (!branchId) {
+      return {};
+    }
+
+    const accountIds = await Account.distinct('_id', { branchId });
+    return { disbursementAccount: { $in: accountIds } };
+  }
+
+  // Member-owned records such as KYC documents belong to branches where the member holds an account
+  static async memberFilter(req) {
+    const branchId = this.getStaffBranchId(req);
+    if (!branchId) {
+      return {};
+    }
+
+    return { userId: { $in: await Account.distinct('userId', { branchId }) } };
+  }
+
+  // Users of a branch are its staff and the members holding an account there
+  static async userFilter(req) {
+    const branchId = this.getStaffBranchId(req);
+    if (!branchId) {
+      return {};
+    }
+
+    const memberIds = await Account.distinct('userId', { branchId });
+    return { $or: [{ branchId }, { _id: { $in: memberIds } }] };
+  }
+
+  // Branches of the given accounts, for PermissionService.canAccessOwned; undefined when the user is not branch-bound
+  static async branchesOf(req, accountIds) {
+    if (!this.getStaffBranchId(req)) {
+      return undefined;
+    }
+
+    const ids = accountIds.filter(Boolean).map(id => id._id || id);
+    return Account.distinct('branchId', { _id: { $in: ids } });
+  }
+
+  // Branch-bound staff may only act on records whose accounts include one in their branch
+  static async assertAccountsInBranch(req, accountIds) {
+    const branchId = this.getStaffBranchId(req);
+    if (!branchId) {
+      return;
+    }
+
+    const branches = await this.branchesOf(req, accountIds);
+    if (!branches.some(id => id && id.toString() === branchId.toString())) {
+      throw new AppError('Access denied - record belongs to another branch', 403);
+    }
+  }
+
+  // Accounts and balances per branch; accounts from before branches existed show as unassigned
+  static async accountsByBranch(match) {
+    return Account.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$branchId',
+          branchCode: { $first: '$branchCode' },
+          count: { $sum: 1 },
+          totalBalance: { $sum: '$balance' }
+        }
+      },
+      ...this.branchNameStages()
+    ]);
+  }
+
+  // A transaction counts towards the branch of the account it debits, or of the account it credits when nothing is debited
+  static async transactionsByBranch(match) {
+    return Transaction.aggregate([
+      { $match: match },
+      { $addFields: { branchAccount: { $ifNull: ['$fromAccount', '$toAccount'] } } },
+      { $lookup: { from: 'accounts', localField: 'branchAccount', foreignField: '_id', as: 'account' } },
+      { $unwind: { path: '$account', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: '$account.branchId',
+          branchCode: { $first: '$account.branchCode' },
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$amount' }
+        }
+      },
+      ...this.branchNameStages()
+    ]);
+  }
+
+  static branchNameStages() {
+    return [
+      { $lookup: { from: 'branches', localField: '_id', foreignField: '_id', as: 'branch' } },
+      {
+        $project: {
+          _id: 0,
+          branchId: '$_id',
+          branchCode: { $ifNull: [{ $first: '$branch.branchCode' }, '$branchCode'] },
+          branchName: { $ifNull: [{ $first: '$branch.branchName' }, 'Unassigned'] },
+          count: 1,
+          totalBalance: 1,
+          totalAmount: 1
+        }
+      },
+      { $sort: { branchCode: 1 } }
+    ];
+  }
+}
+
+module.exports = BranchService;
@@ -61,6 +61,35 @@ class EmailService {
     }
   }
 
+  // Send the link that confirms a member's email address
+  async sendEmailVerification(userEmail, verificationToken, userName) {
+    try {
+      const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+      const template = this.loadTemplate('verifyEmail');
+      const html = template({
+        userName,
+        verifyUrl,
+        expiryTime: '24 hours'
+      });
+
+      const mailOptions = {
+        from: `"Cooperative Banking" <${process.env.SMTP_USER}>`,
+        to: userEmail,
+        subject: 'Verify Your Email Address - Cooperative Banking',
+        html,
+        text: `Hello ${userName},\n\nPlease verify your email address by opening the link below:\n${verifyUrl}\n\nThis link will expire in 24 hours. You cannot open accounts or make transactions until your email and phone number are verified.\n\nIf you didn't create an account, please ignore this email.\n\nBest regards,\nCooperative Banking Team`
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Email verification sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Error sending email verification:', error);
+      throw error;
+    }
+  }
+
   // Send welcome email
   async sendWelcomeEmail(userEmail, userName, bankName) {
     try {
@@ -119,12 +148,67 @@ class EmailService {
     }
   }
 
+  // Send a one-time verification code
+  async sendOtpEmail(userEmail, userName, { code, purposeText, expiresInMinutes }) {
+    try {
+      const template = this.loadTemplate('otp');
+      const html = template({
+        userName,
+        code,
+        purposeText,
+        expiresInMinutes
+      });
+
+      const mailOptions = {
+        from: `"Cooperative Banking" <${process.env.SMTP_USER}>`,
+        to: userEmail,
+        subject: 'Your Verification Code - Cooperative Banking',
+        html,
+        text: `Hello ${userName},\n\nUse the code ${code} to ${purposeText}. It will expire in ${expiresInMinutes} minutes.\n\nIf you didn't request this code, change your password and contact us immediately. Our staff will never ask you for this code.\n\nBest regards,\nCooperative Banking Team`
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Verification code email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Error sending verification code email:', error);
+      throw error;
+    }
+  }
+
+  // Alert a member to a sign-in from an unfamiliar device or location
+  async sendLoginAlert(userEmail, userName, loginDetails) {
+    try {
+      const template = this.loadTemplate('loginAlert');
+      const html = template({
+        userName,
+        ...loginDetails
+      });
+
+      const mailOptions = {
+        from: `"Cooperative Banking" <${process.env.SMTP_USER}>`,
+        to: userEmail,
+        subject: 'New Sign-in to Your Account - Cooperative Banking',
+        html,
+        text: `Hello ${userName},\n\nYour account was just signed in to from a new ${loginDetails.newDevice ? 'device' : 'location'}.\n\nTime: ${loginDetails.timestamp}\nDevice: ${loginDetails.userAgent}\nLocation: ${loginDetails.location}\nIP address: ${loginDetails.ipAddress}\n\nIf this wasn't you, change your password immediately, sign out of all devices and contact your branch.\n\nBest regards,\nCooperative Banking Team`
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Login alert sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Error sending login alert:', error);
+      throw error;
+    }
+  }
+
   // Send account statement
   async sendAccountStatement(userEmail, userName, statementData) {
     try {
       const template = this.loadTemplate('accountStatement');
       const html = template({
         userName,
+        bankName: statementData.bankName,
         accountNumber: statementData.accountNumber,
         period: statementData.period,
         transactions: statementData.transactions,
@@ -137,9 +221,9 @@ class EmailService {
         to: userEmail,
         subject: `Account Statement - ${statementData.accountNumber}`,
         html,
-        attachments: statementData.pdfPath ? [{
-          filename: `statement_${statementData.accountNumber}_${statementData.period}.pdf`,
-          path: statementData.pdfPath
+        attachments: (statementData.pdfBuffer || statementData.pdfPath) ? [{
+          filename: `statement_${statementData.accountNumber}_${statementData.period.replace(/\s+/g, '_')}.pdf`,
+          ...(statementData.pdfBuffer ? { content: statementData.pdfBuffer } : { path: statementData.pdfPath })
         }] : []
       };
 
@@ -0,0 +1,326 @@
+const Account = require('../models/Account');
+const CooperativeBank = require('../models/CooperativeBank');
+const LedgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+const { addMonths } = require('../utils/dates');
+
+// Compounding periods per year
+const COMPOUNDING_PERIODS = {
+  monthly: 12,
+  quarterly: 4,
+  half_yearly: 2,
+  yearly: 1
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FixedDepositService {
+  // Compound interest maturity value for an annual percentage rate
+  static calculateMaturityAmount(principal, annualRate, years, compoundingFrequency) {
+    const periods = COMPOUNDING_PERIODS[compoundingFrequency];
+    const amount = principal * Math.pow(1 + annualRate / (100 * periods), periods * years);
+    return roundAmount(amount);
+  }
+
+  // Bank FD settings merged with the bank's current FD rate
+  static getSettings(bank) {
+    const settings = (bank && bank.settings) || {};
+    const fixedDeposit = settings.fixedDeposit || {};
+    return {
+      compoundingFrequency: fixedDeposit.compoundingFrequency,
+      minimumPrincipal: fixedDeposit.minimumPrincipal,
+      minTenureMonths: fixedDeposit.minTenureMonths,
+      maxTenureMonths: fixedDeposit.maxTenureMonths,
+      prematurePenaltyRate: fixedDeposit.prematurePenaltyRate,
+      interestRate: settings.defaultInterestRate ? settings.defaultInterestRate.fixedDeposit : 0
+    };
+  }
+
+  // Terms of a deposit booked today with the bank's current settings
+  static calculateTerms(bank, { principal, tenureMonths, compoundingFrequency, interestRate, startDate = new Date() }) {
+    const settings = this.getSettings(bank);
+    const frequency = compoundingFrequency || settings.compoundingFrequency || 'quarterly';
+    const rate = typeof interestRate === 'number' ? interestRate : settings.interestRate;
+    const maturityAmount = this.calculateMaturityAmount(principal, rate, tenureMonths / 12, frequency);
+
+    return {
+      principal: roundAmount(principal),
+      interestRate: rate,
+      tenureMonths,
+      compoundingFrequency: frequency,
+      startDate,
+      maturityDate: addMonths(startDate, tenureMonths),
+      maturityAmount,
+      interestEarned: roundAmount(maturityAmount - principal)
+    };
+  }
+
+  // Check a requested deposit against the bank's FD rules
+  static validateRequest(bank, { principal, tenureMonths }) {
+    const settings = this.getSettings(bank);
+
+    if (settings.minimumPrincipal && principal < settings.minimumPrincipal) {
+      throw new AppError(`Minimum fixed deposit amount is ${settings.minimumPrincipal}`, 400);
+    }
+    if ((settings.minTenureMonths && tenureMonths < settings.minTenureMonths) ||
+        (settings.maxTenureMonths && tenureMonths > settings.maxTenureMonths)) {
+      throw new AppError(`Tenure must be between ${settings.minTenureMonths} and ${settings.maxTenureMonths} months`, 400);
+    }
+  }
+
+  // Maturity preview for a member before booking
+  static async preview(cooperativeBankId, { principal, tenureMonths, compoundingFrequency }) {
+    const bank = await CooperativeBank.findById(cooperativeBankId).select('settings');
+    if (!bank) {
+      throw new AppError('Cooperative bank not found', 404);
+    }
+
+    this.validateRequest(bank, { principal, tenureMonths });
+    return this.calculateTerms(bank, { principal, tenureMonths, compoundingFrequency });
+  }
+
+  // Book a fixed deposit funded from the member's savings or current account
+  static async book({ member, linkedAccountId, principal, tenureMonths, compoundingFrequency, maturityInstruction = 'payout', nomineeDetails }) {
+    const [bank, linkedAccount] = await Promise.all([
+      CooperativeBank.findById(member.cooperativeBankId).select('settings'),
+      Account.findById(linkedAccountId)
+    ]);
+
+    if (!linkedAccount || linkedAccount.userId.toString() !== member._id.toString()) {
+      throw new AppError('Linked account not found', 404);
+    }
+    if (!['savings', 'current'].includes(linkedAccount.accountType) || !linkedAccount.isActive) {
+      throw new AppError('Fixed deposits must be funded from an active savings or current account', 400);
+    }
+    if (linkedAccount.balance - linkedAccount.minimumBalance < principal) {
+      throw new AppError(`Insufficient balance. Available: ${linkedAccount.balance - linkedAccount.minimumBalance}`, 400);
+    }
+
+    this.validateRequest(bank, { principal, tenureMonths });
+    const terms = this.calculateTerms(bank, { principal, tenureMonths, compoundingFrequency });
+
+    return await withTransaction(async (session) => {
+      const account = new Account({
+        userId: member._id,
+        cooperativeBankId: linkedAccount.cooperativeBankId,
+        accountType: 'fixed_deposit',
+        minimumBalance: 0,
+        interestRate: terms.interestRate,
+        nomineeDetails,
+        fixedDeposit: {
+          principal: terms.principal,
+          interestRate: terms.interestRate,
+          tenureMonths: terms.tenureMonths,
+          compoundingFrequency: terms.compoundingFrequency,
+          startDate: terms.startDate,
+          maturityDate: terms.maturityDate,
+          maturityAmount: terms.maturityAmount,
+          linkedAccount: linkedAccount._id,
+          maturityInstruction,
+          status: 'active',
+          renewalCount: 0
+        }
+      });
+      await account.save({ session });
+
+      const { transaction } = await LedgerService.transfer({
+        fromAccount: linkedAccount,
+        toAccount: account,
+        amount: terms.principal,
+        description: `Fixed deposit booking ${account.accountNumber}`,
+        processedBy: member._id,
+        fields: { depositAccount: account._id }
+      }, session);
+
+      account.balance = terms.principal;
+      return { account, transaction };
+    });
+  }
+
+  // Move the whole deposit to the linked account and close it
+  static async payout(account, amount, description, closedAt, session) {
+    const linkedAccount = await Account.findById(account.fixedDeposit.linkedAccount).session(session);
+    if (!linkedAccount) {
+      throw new AppError('Linked account for fixed deposit payout not found', 400);
+    }
+
+    await LedgerService.transfer({
+      fromAccount: account,
+      toAccount: linkedAccount,
+      amount,
+      description,
+      fields: { depositAccount: account._id }
+    }, session);
+
+    return await Account.findByIdAndUpdate(
+      account._id,
+      {
+        $set: {
+          isActive: false,
+          'fixedDeposit.closedAt': closedAt,
+          'fixedDeposit.payoutAmount': amount
+        }
+      },
+      { new: true, session }
+    );
+  }
+
+  // Credit interest at maturity, then pay out or renew per the member's instruction
+  static async mature(accountId, asOf = new Date()) {
+    return await withTransaction(async (session) => {
+      // Claim the deposit so overlapping runs cannot mature it twice
+      const account = await Account.findOneAndUpdate(
+        {
+          _id: accountId,
+          'fixedDeposit.status': 'active',
+          'fixedDeposit.maturityDate': { $lte: asOf },
+          'fixedDeposit.lienLoan': { $exists: false }
+        },
+        { $set: { 'fixedDeposit.status': 'matured' } },
+        { new: true, session }
+      );
+
+      if (!account) {
+        return null;
+      }
+
+      const fd = account.fixedDeposit;
+      const interest = roundAmount(fd.maturityAmount - fd.principal);
+      if (interest >= 0.01) {
+        await LedgerService.postInterest({
+          account,
+          amount: interest,
+          description: `Fixed deposit interest ${account.accountNumber}`,
+          fields: { depositAccount: account._id }
+        }, session);
+      }
+
+      if (fd.maturityInstruction === 'payout') {
+        return await this.payout(account, fd.maturityAmount, `Fixed deposit maturity ${account.accountNumber}`, asOf, session);
+      }
+
+      // Renewing the principal only pays the interest out to the linked account
+      let principal = fd.maturityAmount;
+      if (fd.maturityInstruction === 'renew_principal') {
+        principal = fd.principal;
+        if (interest >= 0.01) {
+          const linkedAccount = await Account.findById(fd.linkedAccount).session(session);
+          if (!linkedAccount) {
+            throw new AppError('Linked account for fixed deposit payout not found', 400);
+          }
+          await LedgerService.transfer({
+            fromAccount: account,
+            toAccount: linkedAccount,
+            amount: interest,
+            description: `Fixed deposit interest payout ${account.accountNumber}`,
+            fields: { depositAccount: account._id }
+          }, session);
+        }
+      }
+
+      const bank = await CooperativeBank.findById(account.cooperativeBankId).select('settings').session(session);
+      const terms = this.calculateTerms(bank, {
+        principal,
+        tenureMonths: fd.tenureMonths,
+        compoundingFrequency: fd.compoundingFrequency,
+        startDate: fd.maturityDate
+      });
+
+      return await Account.findByIdAndUpdate(
+        account._id,
+        {
+          $set: {
+            interestRate: terms.interestRate,
+            'fixedDeposit.principal': terms.principal,
+            'fixedDeposit.interestRate': terms.interestRate,
+            'fixedDeposit.startDate': terms.startDate,
+            'fixedDeposit.maturityDate': terms.maturityDate,
+            'fixedDeposit.maturityAmount': terms.maturityAmount,
+            'fixedDeposit.status': 'active'
+          },
+          $inc: { 'fixedDeposit.renewalCount': 1 }
+        },
+        { new: true, session }
+      );
+    });
+  }
+
+  // Close a deposit before maturity at the contracted rate less the bank's penalty
+  static async closePremature(accountId, closedAt = new Date()) {
+    return await withTransaction(async (session) => {
+      const account = await Account.findOneAndUpdate(
+        {
+          _id: accountId,
+          'fixedDeposit.status': 'active',
+          'fixedDeposit.maturityDate': { $gt: closedAt },
+          'fixedDeposit.lienLoan': { $exists: false }
+        },
+        { $set: { 'fixedDeposit.status': 'closed_premature' } },
+        { new: true, session }
+      );
+
+      if (!account) {
+        throw new AppError('Only active, unpledged fixed deposits that have not yet matured can be closed early', 400);
+      }
+
+      const fd = account.fixedDeposit;
+      const bank = await CooperativeBank.findById(account.cooperativeBankId).select('settings').session(session);
+      const penaltyRate = this.getSettings(bank).prematurePenaltyRate || 0;
+      const effectiveRate = Math.max(fd.interestRate - penaltyRate, 0);
+      const years = Math.max(closedAt - fd.startDate, 0) / DAY_MS / 365;
+
+      const interest = roundAmount(
+        this.calculateMaturityAmount(fd.principal, effectiveRate, years, fd.compoundingFrequency) - fd.principal
+      );
+      if (interest >= 0.01) {
+        await LedgerService.postInterest({
+          account,
+          amount: interest,
+          description: `Fixed deposit interest on premature closure ${account.accountNumber}`,
+          fields: { depositAccount: account._id }
+        }, session);
+      }
+
+      const payoutAmount = roundAmount(fd.principal + interest);
+      const closed = await this.payout(account, payoutAmount, `Fixed deposit premature closure ${account.accountNumber}`, closedAt, session);
+
+      return { account: closed, effectiveRate, interest, payoutAmount };
+    });
+  }
+
+  // Mature every deposit that is due; failures are logged and retried on the next run
+  static async processMaturities(asOf = new Date(), cooperativeBankId = null) {
+    // Deposits pledged against a loan are held until the loan closes
+    const filter = {
+      'fixedDeposit.status': 'active',
+      'fixedDeposit.maturityDate': { $lte: asOf },
+      'fixedDeposit.lienLoan': { $exists: false }
+    };
+    if (cooperativeBankId) {
+      filter.cooperativeBankId = cooperativeBankId;
+    }
+
+    const due = await Account.find(filter).select('_id accountNumber');
+    const result = { due: due.length, processed: 0, failed: 0 };
+
+    for (const account of due) {
+      try {
+        if (await this.mature(account._id, asOf)) {
+          result.processed += 1;
+        }
+      } catch (error) {
+        result.failed += 1;
+        logger.error(`Fixed deposit maturity failed for ${account.accountNumber}:`, error);
+      }
+    }
+
+    return result;
+  }
+}
+
+FixedDepositService.COMPOUNDING_PERIODS = COMPOUNDING_PERIODS;
+
+module.exports = FixedDepositService;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const redisService = require('./redisService');
+const AuditService = require('./auditService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+
+const IMPERSONATION_TTL_SECONDS = 15 * 60;
+
+// Impersonation tokens may only read
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// A staff member viewing the API as a member; the session lives in Redis so it can be ended early
+class ImpersonationService {
+  static async start(staff, member, reason) {
+    if (member._id.toString() === staff._id.toString()) {
+      throw new AppError('You cannot impersonate yourself', 400);
+    }
+    if (member.role !== 'member') {
+      throw new AppError('Only members can be impersonated', 400);
+    }
+    if (!member.isActive) {
+      throw new AppError('Cannot impersonate a deactivated user', 400);
+    }
+
+    const impersonationId = crypto.randomUUID();
+    const startedAt = new Date();
+    const session = {
+      staffId: staff._id.toString(),
+      memberId: member._id.toString(),
+      cooperativeBankId: String(member.cooperativeBankId._id || member.cooperativeBankId),
+      reason,
+      startedAt: startedAt.toISOString()
+    };
+
+    const saved = await redisService.set(`impersonation:${impersonationId}`, session, IMPERSONATION_TTL_SECONDS);
+    if (!saved) {
+      throw new AppError('Session service unavailable, please try again shortly', 503);
+    }
+
+    const token = jwt.sign(
+      {
+        userId: member._id,
+        impersonatorId: staff._id,
+        iid: impersonationId,
+        type: 'impersonation',
+        readOnly: true
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: IMPERSONATION_TTL_SECONDS }
+    );
+
+    return {
+      token,
+      impersonationId,
+      readOnly: true,
+      expiresAt: new Date(startedAt.getTime() + IMPERSONATION_TTL_SECONDS * 1000)
+    };
+  }
+
+  // The token is only good while its session exists and the staff member is still active
+  static async assertActive(decoded) {
+    const session = await redisService.get(`impersonation:${decoded.iid}`);
+    if (!session || session.memberId !== String(decoded.userId) || session.staffId !== String(decoded.impersonatorId)) {
+      throw new AppError('Impersonation session has ended', 401);
+    }
+
+    if (!(await User.exists({ _id: session.staffId, isActive: true }))) {
+      await this.end(decoded.iid);
+      throw new AppError('Impersonation session has ended', 401);
+    }
+    return session;
+  }
+
+  // End a session; when given, the staff member and member must match the ones it was started for
+  static async end(impersonationId, { staffId, memberId } = {}) {
+    const key = `impersonation:${impersonationId}`;
+    const session = await redisService.get(key);
+    if (!session ||
+        (staffId && session.staffId !== String(staffId)) ||
+        (memberId && session.memberId !== String(memberId))) {
+      return null;
+    }
+
+    await redisService.del(key);
+    return session;
+  }
+
+  static isReadOnlyRequest(req) {
+    return SAFE_METHODS.includes(req.method);
+  }
+
+  // Every request made while impersonating is recorded under both the member and the staff member
+  static async recordRequest(req, statusCode) {
+    try {
+      await AuditLog.create(AuditService.buildAuditData({
+        userId: req.user._id,
+        cooperativeBankId: req.cooperativeBankId,
+        action: 'IMPERSONATION_REQUEST',
+        resourceType: 'USER',
+        resourceId: req.user._id,
+        details: {
+          impersonationId: req.impersonation.id,
+          method: req.method,
+          path: req.originalUrl,
+          statusCode
+        },
+        status: statusCode < 400 ? 'SUCCESS' : 'FAILED'
+      }, req));
+    } catch (error) {
+      logger.error('Failed to record impersonated request:', error);
+    }
+  }
+}
+
+ImpersonationService.IMPERSONATION_TTL_SECONDS = IMPERSONATION_TTL_SECONDS;
+
+module.exports = ImpersonationService;
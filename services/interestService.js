@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const CooperativeBank = require('../models/CooperativeBank');
+const InterestAccrual = require('../models/InterestAccrual');
+const InterestRun = require('../models/InterestRun');
+const JournalEntry = require('../models/JournalEntry');
+const LedgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+const { startOfDay, addDays } = require('../utils/dates');
+
+const MONTHS_PER_PERIOD = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12
+};
+
+class InterestService {
+  // Whether a day closes a posting period; periods follow the April-March financial year
+  static isPostingDate(date, frequency = 'quarterly') {
+    if (addDays(date, 1).getDate() !== 1) {
+      return false;
+    }
+
+    const monthsIntoYear = (date.getMonth() + 1 - 3 + 12) % 12;
+    return monthsIntoYear % MONTHS_PER_PERIOD[frequency] === 0;
+  }
+
+  // One day's interest on an end-of-day balance, kept to four decimals
+  static calculateDailyInterest(balance, annualRate, daysInYear = 365) {
+    if (balance <= 0 || annualRate <= 0) {
+      return 0;
+    }
+    return Math.round((balance * annualRate / 100 / daysInYear) * 10000) / 10000;
+  }
+
+  // End-of-day balances for each day, rebuilt backwards from the current balance and journal postings
+  static async getEndOfDayBalances(account, days) {
+    const postings = await JournalEntry.aggregate([
+      { $match: { 'postings.account': account._id, postedAt: { $gte: days[0] } } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': account._id } },
+      { $project: { postedAt: 1, net: { $subtract: ['$postings.credit', '$postings.debit'] } } },
+      { $sort: { postedAt: -1 } }
+    ]);
+
+    const balances = new Map();
+    let running = account.balance;
+    let index = 0;
+
+    for (let i = days.length - 1; i >= 0; i--) {
+      const dayEnd = addDays(days[i], 1);
+      while (index < postings.length && postings[index].postedAt >= dayEnd) {
+        running -= postings[index].net;
+        index += 1;
+      }
+      balances.set(days[i].getTime(), roundAmount(running));
+    }
+
+    return balances;
+  }
+
+  // Accrue daily interest for a date range; days already accrued are left untouched
+  static async accrue(cooperativeBankId, fromDate, toDate, startedBy = null) {
+    const from = startOfDay(fromDate);
+    const yesterday = addDays(startOfDay(new Date()), -1);
+    const to = startOfDay(toDate) > yesterday ? yesterday : startOfDay(toDate);
+
+    if (from > to) {
+      throw new AppError('Interest can only be accrued for completed days', 400);
+    }
+
+    const bank = await CooperativeBank.findById(cooperativeBankId).select('settings.interest');
+    if (!bank) {
+      throw new AppError('Cooperative bank not found', 404);
+    }
+    const daysInYear = (bank.settings.interest && bank.settings.interest.daysInYear) || 365;
+
+    const run = await InterestRun.create({
+      cooperativeBankId,
+      runType: 'accrual',
+      fromDate: from,
+      toDate: to,
+      startedBy
+    });
+
+    try {
+      const days = [];
+      for (let day = from; day <= to; day = addDays(day, 1)) {
+        days.push(day);
+      }
+
+      const accounts = await Account.find({
+        cooperativeBankId,
+        accountType: 'savings',
+        isActive: true,
+        interestRate: { $gt: 0 }
+      });
+
+      let totalAccrued = 0;
+      for (const account of accounts) {
+        try {
+          const openDays = days.filter(day => addDays(day, 1) > account.openedDate);
+          if (openDays.length === 0) {
+            continue;
+          }
+
+          const balances = await this.getEndOfDayBalances(account, openDays);
+          const accruals = openDays.map(day => {
+            const endOfDayBalance = balances.get(day.getTime());
+            return {
+              date: day,
+              endOfDayBalance,
+              amount: this.calculateDailyInterest(endOfDayBalance, account.interestRate, daysInYear)
+            };
+          });
+
+          const result = await InterestAccrual.bulkWrite(accruals.map(accrual => ({
+            updateOne: {
+              filter: { account: account._id, date: accrual.date },
+              update: {
+                $setOnInsert: {
+                  cooperativeBankId,
+                  endOfDayBalance: accrual.endOfDayBalance,
+                  interestRate: account.interestRate,
+                  amount: accrual.amount,
+                  run: run._id
+                }
+              },
+              upsert: true
+            }
+          })), { ordered: false });
+
+          Object.keys(result.upsertedIds).forEach(operationIndex => {
+            totalAccrued += accruals[operationIndex].amount;
+          });
+          run.accrualsCreated += result.upsertedCount;
+          run.accountsProcessed += 1;
+        } catch (error) {
+          run.failures.push({ account: account._id, message: error.message });
+          logger.error(`Interest accrual failed for ${account.accountNumber}:`, error);
+        }
+      }
+
+      run.totalAccrued = roundAmount(totalAccrued);
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.failures.push({ message: error.message });
+      logger.error('Interest accrual run failed:', error);
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  // Credit all unposted accruals up to the period end as interest transactions
+  static async post(cooperativeBankId, periodEnd, startedBy = null) {
+    const end = startOfDay(periodEnd);
+
+    const run = await InterestRun.create({
+      cooperativeBankId,
+      runType: 'posting',
+      toDate: end,
+      startedBy
+    });
+
+    try {
+      const totals = await InterestAccrual.aggregate([
+        {
+          $match: {
+            cooperativeBankId: new mongoose.Types.ObjectId(cooperativeBankId),
+            posted: false,
+            date: { $lte: end }
+          }
+        },
+        {
+          $group: {
+            _id: '$account',
+            amount: { $sum: '$amount' },
+            accrualIds: { $push: '$_id' },
+            fromDate: { $min: '$date' }
+          }
+        }
+      ]);
+
+      for (const total of totals) {
+        const amount = roundAmount(total.amount);
+
+        // Less than a paisa carries forward to the next period
+        if (amount < 0.01) {
+          continue;
+        }
+
+        try {
+          const account = await Account.findById(total._id);
+          if (!account) {
+            throw new AppError('Account not found', 404);
+          }
+
+          await withTransaction(async (session) => {
+            const { transaction } = await LedgerService.postInterest({
+              account,
+              amount,
+              description: `Savings interest ${total.fromDate.toISOString().slice(0, 10)} to ${end.toISOString().slice(0, 10)}`,
+              processedBy: startedBy || undefined
+            }, session);
+
+            // Only accruals still unposted may be claimed; otherwise another run got there first
+            const result = await InterestAccrual.updateMany(
+              { _id: { $in: total.accrualIds }, posted: false },
+              { $set: { posted: true, postedTransaction: transaction._id } },
+              { session }
+            );
+            if (result.modifiedCount !== total.accrualIds.length) {
+              throw new AppError('Accrued interest has already been posted', 409);
+            }
+          });
+
+          run.postingsCreated += 1;
+          run.totalPosted = roundAmount(run.totalPosted + amount);
+          run.accountsProcessed += 1;
+        } catch (error) {
+          run.failures.push({ account: total._id, message: error.message });
+          logger.error(`Interest posting failed for account ${total._id}:`, error);
+        }
+      }
+
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.failures.push({ message: error.message });
+      logger.error('Interest posting run failed:', error);
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  // Daily job: accrue every completed day since the last run and post at period end
+  static async runScheduled(asOf = new Date()) {
+    const yesterday = addDays(startOfDay(asOf), -1);
+    const banks = await CooperativeBank.find({ isActive: true }).select('settings.interest');
+    const result = { banks: banks.length, accrualRuns: 0, postingRuns: 0 };
+
+    for (const bank of banks) {
+      const lastAccrual = await InterestRun.findOne({
+        cooperativeBankId: bank._id,
+        runType: 'accrual',
+        status: 'completed'
+      }).sort({ toDate: -1 });
+
+      if (!lastAccrual || lastAccrual.toDate < yesterday) {
+        const from = lastAccrual ? addDays(lastAccrual.toDate, 1) : yesterday;
+        await this.accrue(bank._id, from, yesterday);
+        result.accrualRuns += 1;
+      }
+
+      const frequency = (bank.settings.interest && bank.settings.interest.postingFrequency) || 'quarterly';
+      if (this.isPostingDate(yesterday, frequency)) {
+        const posted = await InterestRun.exists({
+          cooperativeBankId: bank._id,
+          runType: 'posting',
+          status: 'completed',
+          toDate: { $gte: yesterday }
+        });
+
+        if (!posted) {
+          await this.post(bank._id, yesterday);
+          result.postingRuns += 1;
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+InterestService.MONTHS_PER_PERIOD = MONTHS_PER_PERIOD;
+
+module.exports = InterestService;
@@ -0,0 +1,453 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+
+// Bank-level general ledger accounts, created on first use
+const SYSTEM_LEDGER_ACCOUNTS = {
+  CASH_IN_HAND: { name: 'Cash in Hand', type: 'asset' },
+  INTEREST_EXPENSE: { name: 'Interest Expense', type: 'expense' },
+  PENALTY_INCOME: { name: 'Penalty Income', type: 'income' },
+  LOANS_ADVANCES: { name: 'Loans and Advances', type: 'asset' },
+  LOAN_INTEREST_INCOME: { name: 'Loan Interest Income', type: 'income' },
+  SHARE_CAPITAL: { name: 'Share Capital', type: 'equity' },
+  DIVIDEND_APPROPRIATION: { name: 'Dividend Appropriation', type: 'equity' }
+};
+
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+// Transactions that also moved loan or share records; reversing only the ledger would leave those out of step
+const NON_REVERSIBLE_TYPES = [
+  'reversal', 'loan_disbursement', 'loan_repayment', 'share_purchase', 'share_redemption', 'dividend'
+];
+
+class LedgerService {
+  // Find or create a system general ledger account for a bank
+  static async getSystemAccount(cooperativeBankId, code, session = null) {
+    const definition = SYSTEM_LEDGER_ACCOUNTS[code];
+    if (!definition) {
+      throw new AppError(`Unknown ledger account code: ${code}`, 500);
+    }
+
+    return await LedgerAccount.findOneAndUpdate(
+      { cooperativeBankId, code },
+      { $setOnInsert: { name: definition.name, type: definition.type, isSystem: true } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, session }
+    );
+  }
+
+  // Apply a single posting to the member or ledger account it targets
+  static async applyPosting(posting, cooperativeBankId, session) {
+    const debit = posting.debit || 0;
+    const credit = posting.credit || 0;
+    const amount = debit || credit;
+
+    if (posting.account) {
+      const filter = { _id: posting.account, cooperativeBankId, isActive: true };
+
+      // Debits must never take the member account below zero (or its minimum balance when asked)
+      if (debit) {
+        filter.$expr = {
+          $gte: [
+            '$balance',
+            posting.enforceMinimumBalance ? { $add: ['$minimumBalance', amount] } : amount
+          ]
+        };
+      }
+
+      const account = await Account.findOneAndUpdate(
+        filter,
+        {
+          $inc: { balance: credit ? amount : -amount },
+          $set: { lastTransactionDate: new Date() }
+        },
+        { new: true, session }
+      );
+
+      if (!account) {
+        throw new AppError('Insufficient balance or account unavailable', 400);
+      }
+
+      return { account: account._id, debit, credit, balanceAfter: roundAmount(account.balance) };
+    }
+
+    const systemAccount = await this.getSystemAccount(cooperativeBankId, posting.ledgerCode, session);
+    const delta = DEBIT_NORMAL_TYPES.includes(systemAccount.type) ? debit - credit : credit - debit;
+
+    const ledgerAccount = await LedgerAccount.findByIdAndUpdate(
+      systemAccount._id,
+      { $inc: { balance: delta } },
+      { new: true, session }
+    );
+
+    return { ledgerAccount: ledgerAccount._id, debit, credit, balanceAfter: roundAmount(ledgerAccount.balance) };
+  }
+
+  // Post a balanced journal entry and record the matching transaction
+  static async postTransaction(details, session = null) {
+    const {
+      cooperativeBankId,
+      transactionType,
+      amount,
+      description,
+      postings,
+      processedBy,
+      referenceNumber,
+      remarks,
+      transaction: existingTransaction,
+      fields = {}
+    } = details;
+
+    const legs = postings.map(posting => ({
+      ...posting,
+      debit: roundAmount(posting.debit || 0),
+      credit: roundAmount(posting.credit || 0)
+    }));
+
+    if (JournalEntry.getImbalance(legs) !== 0) {
+      throw new AppError('Journal entry does not balance', 500);
+    }
+
+    return await withTransaction(async (txnSession) => {
+      const applied = [];
+      for (const leg of legs) {
+        applied.push(await this.applyPosting(leg, cooperativeBankId, txnSession));
+      }
+
+      const debited = applied.find(posting => posting.account && posting.debit);
+      const credited = applied.find(posting => posting.account && posting.credit);
+
+      const transaction = existingTransaction || new Transaction();
+      transaction.set({
+        cooperativeBankId,
+        transactionType,
+        amount: roundAmount(amount),
+        description,
+        fromAccount: debited ? debited.account : undefined,
+        toAccount: credited ? credited.account : undefined,
+        balanceAfter: (debited || credited).balanceAfter,
+        toBalanceAfter: credited ? credited.balanceAfter : undefined,
+        referenceNumber,
+        processedBy,
+        processedAt: new Date(),
+        remarks,
+        status: 'completed',
+        ...fields
+      });
+
+      const journal = new JournalEntry({
+        cooperativeBankId,
+        transaction: transaction._id,
+        entryType: transactionType,
+        narration: description,
+        postings: applied,
+        totalAmount: roundAmount(amount),
+        postedBy: processedBy
+      });
+
+      await journal.save({ session: txnSession });
+
+      transaction.journalEntry = journal._id;
+      await transaction.save({ session: txnSession });
+
+      return { transaction, journal };
+    }, session);
+  }
+
+  // Cash deposit into a member account
+  static async deposit({ account, amount, description, referenceNumber, processedBy, transaction }, session = null) {
+    return await this.postTransaction({
+      cooperativeBankId: account.cooperativeBankId,
+      transactionType: 'deposit',
+      amount,
+      description,
+      referenceNumber,
+      processedBy,
+      transaction,
+      postings: [
+        { ledgerCode: 'CASH_IN_HAND', debit: amount },
+        { account: account._id, credit: amount }
+      ]
+    }, session);
+  }
+
+  // Cash withdrawal from a member account
+  static async withdraw({ account, amount, description, referenceNumber, processedBy, transaction }, session = null) {
+    return await this.postTransaction({
+      cooperativeBankId: account.cooperativeBankId,
+      transactionType: 'withdrawal',
+      amount,
+      description,
+      referenceNumber,
+      processedBy,
+      transaction,
+      postings: [
+        { account: account._id, debit: amount, enforceMinimumBalance: true },
+        { ledgerCode: 'CASH_IN_HAND', credit: amount }
+      ]
+    }, session);
+  }
+
+  // Transfer between two member accounts of the same bank
+  static async transfer({ fromAccount, toAccount, amount, description, referenceNumber, processedBy, transaction, fields }, session = null) {
+    return await this.postTransaction({
+      cooperativeBankId: fromAccount.cooperativeBankId,
+      transactionType: 'transfer',
+      amount,
+      description,
+      referenceNumber,
+      processedBy,
+      transaction,
+      fields,
+      postings: [
+        { account: fromAccount._id, debit: amount, enforceMinimumBalance: true },
+        { account: toAccount._id, credit: amount }
+      ]
+    }, session);
+  }
+
+  // Interest credited to a member account
+  static async postInterest({ account, amount, description, processedBy, fields }, session = null) {
+    return await this.postTransaction({
+      cooperativeBankId: account.cooperativeBankId,
+      transactionType: 'interest',
+      amount,
+      description,
+      processedBy,
+      fields,
+      postings: [
+        { ledgerCode: 'INTEREST_EXPENSE', debit: amount },
+        { account: account._id, credit: amount }
+      ]
+    }, session);
+  }
+
+  // Penalty charged to a member account
+  static async postPenalty({ account, amount, description, processedBy, fields }, session = null) {
+    return await this.postTransaction({
+      cooperativeBankId: account.cooperativeBankId,
+      transactionType: 'penalty',
+      amount,
+      description,
+      processedBy,
+      fields,
+      postings: [
+        { account: account._id, debit: amount },
+        { ledgerCode: 'PENALTY_INCOME', credit: amount }
+      ]
+    }, session);
+  }
+
+  // Reverse a completed transaction with a linked compensating journal
+  static async reverse({ transactionId, cooperativeBankId, reason, processedBy }, session = null) {
+    return await withTransaction(async (txnSession) => {
+      // Claim the original first so concurrent reversals cannot both succeed
+      const original = await Transaction.findOneAndUpdate(
+        {
+          _id: transactionId,
+          cooperativeBankId,
+          status: 'completed',
+          transactionType: { $nin: NON_REVERSIBLE_TYPES },
+          depositAccount: { $exists: false },
+          reversedBy: { $exists: false }
+        },
+        { $set: { status: 'reversed' } },
+        { new: true, session: txnSession }
+      );
+
+      if (!original) {
+        const existing = await Transaction.findOne({ _id: transactionId, cooperativeBankId }).session(txnSession);
+        if (!existing) {
+          throw new AppError('Transaction not found', 404);
+        }
+        if (existing.reversedBy) {
+          throw new AppError('Transaction has already been reversed', 409);
+        }
+        if (NON_REVERSIBLE_TYPES.includes(existing.transactionType)) {
+          throw new AppError(`${existing.transactionType} transactions cannot be reversed`, 400);
+        }
+        // Reversing only the ledger would leave the deposit's schedule and status out of step
+        if (existing.depositAccount) {
+          throw new AppError('Fixed and recurring deposit transactions cannot be reversed', 400);
+        }
+        throw new AppError('Only completed transactions can be reversed', 400);
+      }
+
+      const journal = original.journalEntry
+        ? await JournalEntry.findById(original.journalEntry).session(txnSession)
+        : null;
+      if (!journal) {
+        throw new AppError('Transactions recorded before the ledger cannot be reversed', 400);
+      }
+
+      const ledgerAccounts = await LedgerAccount.find({
+        _id: { $in: journal.postings.filter(posting => posting.ledgerAccount).map(posting => posting.ledgerAccount) }
+      }).session(txnSession);
+      const codesById = new Map(ledgerAccounts.map(account => [account._id.toString(), account.code]));
+
+      // Swap every debit and credit; member debits must respect the minimum balance
+      const postings = journal.postings.map(posting => ({
+        account: posting.account,
+        ledgerCode: posting.ledgerAccount ? codesById.get(posting.ledgerAccount.toString()) : undefined,
+        debit: posting.credit,
+        credit: posting.debit,
+        enforceMinimumBalance: Boolean(posting.account && posting.credit)
+      }));
+
+      const result = await this.postTransaction({
+        cooperativeBankId,
+        transactionType: 'reversal',
+        amount: original.amount,
+        description: `Reversal of ${original.transactionId}`,
+        processedBy,
+        remarks: reason,
+        postings,
+        fields: { reversalOf: original._id, reversalReason: reason }
+      }, txnSession);
+
+      result.journal.reversalOf = journal._id;
+      await result.journal.save({ session: txnSession });
+
+      original.reversedBy = result.transaction._id;
+      await original.save({ session: txnSession });
+
+      return { original, reversal: result.transaction, journal: result.journal };
+    }, session);
+  }
+
+  // Trial balance computed from journal postings
+  static async getTrialBalance(cooperativeBankId, asOf = null) {
+    const match = { cooperativeBankId: new mongoose.Types.ObjectId(cooperativeBankId) };
+    if (asOf) {
+      match.postedAt = { $lte: new Date(asOf) };
+    }
+
+    const [ledgerTotals, memberTotals] = await Promise.all([
+      JournalEntry.aggregate([
+        { $match: match },
+        { $unwind: '$postings' },
+        { $match: { 'postings.ledgerAccount': { $exists: true } } },
+        {
+          $group: {
+            _id: '$postings.ledgerAccount',
+            debit: { $sum: '$postings.debit' },
+            credit: { $sum: '$postings.credit' }
+          }
+        }
+      ]),
+      JournalEntry.aggregate([
+        { $match: match },
+        { $unwind: '$postings' },
+        { $match: { 'postings.account': { $exists: true } } },
+        {
+          $group: {
+            _id: null,
+            debit: { $sum: '$postings.debit' },
+            credit: { $sum: '$postings.credit' }
+          }
+        }
+      ])
+    ]);
+
+    const ledgerAccounts = await LedgerAccount.find({
+      _id: { $in: ledgerTotals.map(total => total._id) }
+    });
+    const accountsById = new Map(ledgerAccounts.map(account => [account._id.toString(), account]));
+
+    const lines = ledgerTotals.map(total => {
+      const account = accountsById.get(total._id.toString());
+      return {
+        code: account ? account.code : 'UNKNOWN',
+        name: account ? account.name : 'Unknown ledger account',
+        type: account ? account.type : null,
+        debit: roundAmount(total.debit),
+        credit: roundAmount(total.credit)
+      };
+    });
+
+    if (memberTotals[0]) {
+      lines.push({
+        code: 'MEMBER_DEPOSITS',
+        name: 'Member Deposits',
+        type: 'liability',
+        debit: roundAmount(memberTotals[0].debit),
+        credit: roundAmount(memberTotals[0].credit)
+      });
+    }
+
+    const totalDebit = roundAmount(lines.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredit = roundAmount(lines.reduce((sum, line) => sum + line.credit, 0));
+
+    return {
+      asOf: asOf ? new Date(asOf) : new Date(),
+      lines: lines.sort((a, b) => a.code.localeCompare(b.code)),
+      totalDebit,
+      totalCredit,
+      isBalanced: totalDebit === totalCredit
+    };
+  }
+
+  // Check every journal balances and member balances agree with their postings
+  static async verifyLedger(cooperativeBankId) {
+    const bankId = new mongoose.Types.ObjectId(cooperativeBankId);
+
+    const unbalancedJournals = await JournalEntry.aggregate([
+      { $match: { cooperativeBankId: bankId } },
+      {
+        $project: {
+          journalNumber: 1,
+          postedAt: 1,
+          totalDebit: { $round: [{ $sum: '$postings.debit' }, 2] },
+          totalCredit: { $round: [{ $sum: '$postings.credit' }, 2] }
+        }
+      },
+      { $match: { $expr: { $ne: ['$totalDebit', '$totalCredit'] } } }
+    ]);
+
+    const postedBalances = await JournalEntry.aggregate([
+      { $match: { cooperativeBankId: bankId } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': { $exists: true } } },
+      {
+        $group: {
+          _id: '$postings.account',
+          net: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } }
+        }
+      }
+    ]);
+
+    const accounts = await Account.find({ cooperativeBankId: bankId }).select('accountNumber balance');
+    const postedById = new Map(postedBalances.map(entry => [entry._id.toString(), entry.net]));
+
+    // Accounts opened before the ledger carry balances without postings and show up here
+    const unreconciledAccounts = accounts
+      .map(account => {
+        const posted = roundAmount(postedById.get(account._id.toString()) || 0);
+        return {
+          accountId: account._id,
+          accountNumber: account.accountNumber,
+          balance: roundAmount(account.balance),
+          postedBalance: posted,
+          difference: roundAmount(account.balance - posted)
+        };
+      })
+      .filter(entry => entry.difference !== 0);
+
+    const journalCount = await JournalEntry.countDocuments({ cooperativeBankId: bankId });
+
+    return {
+      journalCount,
+      unbalancedJournals,
+      unreconciledAccounts,
+      isConsistent: unbalancedJournals.length === 0 && unreconciledAccounts.length === 0
+    };
+  }
+}
+
+LedgerService.SYSTEM_LEDGER_ACCOUNTS = SYSTEM_LEDGER_ACCOUNTS;
+
+module.exports = LedgerService;
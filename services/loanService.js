@@ -0,0 +1,506 @@
+const Account = require('../models/Account');
+const KYCDocument = require('../models/KYCDocument');
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+const LedgerService = require('./ledgerService');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+const { startOfDay, addMonths, daysBetween } = require('../utils/dates');
+
+const UNPAID_STATUSES = ['due', 'partially_paid'];
+
+class LoanService {
+  // Equated monthly installment on a reducing balance
+  static calculateEmi(principal, annualRate, tenureMonths) {
+    const monthlyRate = annualRate / 12 / 100;
+    if (monthlyRate === 0) {
+      return roundAmount(principal / tenureMonths);
+    }
+
+    const factor = Math.pow(1 + monthlyRate, tenureMonths);
+    return roundAmount(principal * monthlyRate * factor / (factor - 1));
+  }
+
+  // Largest principal whose EMI fits within the given monthly amount
+  static calculateMaxPrincipal(monthlyAmount, annualRate, tenureMonths) {
+    if (monthlyAmount <= 0) {
+      return 0;
+    }
+
+    const monthlyRate = annualRate / 12 / 100;
+    if (monthlyRate === 0) {
+      return roundAmount(monthlyAmount * tenureMonths);
+    }
+
+    const factor = Math.pow(1 + monthlyRate, tenureMonths);
+    return roundAmount(monthlyAmount * (factor - 1) / (monthlyRate * factor));
+  }
+
+  // Amortisation schedule; the last installment absorbs rounding
+  static buildSchedule(principal, annualRate, tenureMonths, firstDueDate) {
+    const monthlyRate = annualRate / 12 / 100;
+    const emi = this.calculateEmi(principal, annualRate, tenureMonths);
+    const schedule = [];
+    let balance = roundAmount(principal);
+
+    for (let number = 1; number <= tenureMonths; number++) {
+      const interest = roundAmount(balance * monthlyRate);
+      const principalPart = number === tenureMonths ? balance : Math.min(roundAmount(emi - interest), balance);
+      const closingBalance = roundAmount(balance - principalPart);
+
+      schedule.push({
+        number,
+        dueDate: addMonths(firstDueDate, number - 1),
+        emi: roundAmount(principalPart + interest),
+        principal: principalPart,
+        interest,
+        openingBalance: balance,
+        closingBalance
+      });
+
+      balance = closingBalance;
+    }
+
+    return schedule;
+  }
+
+  // EMIs the member already owes on running or sanctioned loans
+  static async getExistingEmi(userId) {
+    const loans = await Loan.find({ userId, status: { $in: ['sanctioned', 'disbursed'] } }).select('emiAmount');
+    return roundAmount(loans.reduce((sum, loan) => sum + loan.emiAmount, 0));
+  }
+
+  // Required KYC document types the member has no approved upload for
+  static async getMissingKycDocuments(userId, requiredDocuments) {
+    const approved = await KYCDocument.find({
+      userId,
+      documentType: { $in: requiredDocuments },
+      status: 'APPROVED'
+    }).distinct('documentType');
+
+    return requiredDocuments.filter(documentType => !approved.includes(documentType));
+  }
+
+  // Check a fixed deposit can be pledged and return the value it secures
+  static async getFixedDepositCollateral(member, accountId, session = null) {
+    const account = await Account.findOne({
+      _id: accountId,
+      userId: member._id,
+      accountType: 'fixed_deposit',
+      'fixedDeposit.status': 'active',
+      'fixedDeposit.lienLoan': { $exists: false }
+    }).session(session);
+
+    if (!account) {
+      throw new AppError('Fixed deposit is not available as collateral', 400);
+    }
+
+    return account;
+  }
+
+  // Loan application with KYC, income and collateral checks
+  static async apply({ member, productId, amount, tenureMonths, purpose, disbursementAccountId, collateral = {} }) {
+    const product = await LoanProduct.findOne({
+      _id: productId,
+      cooperativeBankId: member.cooperativeBankId,
+      isActive: true
+    });
+    if (!product) {
+      throw new AppError('Loan product not found', 404);
+    }
+
+    if (amount < product.minAmount || amount > product.maxAmount) {
+      throw new AppError(`Loan amount must be between ${product.minAmount} and ${product.maxAmount}`, 400);
+    }
+    if (tenureMonths < product.minTenureMonths || tenureMonths > product.maxTenureMonths) {
+      throw new AppError(`Tenure must be between ${product.minTenureMonths} and ${product.maxTenureMonths} months`, 400);
+    }
+
+    const disbursementAccount = await Account.findOne({
+      _id: disbursementAccountId,
+      userId: member._id,
+      accountType: 'savings',
+      isActive: true
+    });
+    if (!disbursementAccount) {
+      throw new AppError('Loans must be disbursed to an active savings account of the member', 400);
+    }
+
+    const missingDocuments = await this.getMissingKycDocuments(member._id, product.requiredKycDocuments);
+    if (missingDocuments.length > 0) {
+      throw new AppError(`KYC documents not verified: ${missingDocuments.join(', ')}`, 400);
+    }
+
+    const emi = this.calculateEmi(amount, product.interestRate, tenureMonths);
+    const existingEmi = await this.getExistingEmi(member._id);
+    const monthlyIncome = member.monthlyIncome || 0;
+    const emiToIncomeRatio = monthlyIncome > 0 ? (emi + existingEmi) / monthlyIncome : Infinity;
+    const maxEligibleAmount = this.calculateMaxPrincipal(
+      monthlyIncome * product.maxEmiToIncomeRatio - existingEmi,
+      product.interestRate,
+      tenureMonths
+    );
+
+    if (emiToIncomeRatio > product.maxEmiToIncomeRatio) {
+      throw new AppError(
+        `Total EMIs would exceed ${product.maxEmiToIncomeRatio * 100}% of monthly income. Maximum eligible amount: ${maxEligibleAmount}`,
+        400
+      );
+    }
+
+    const loanCollateral = {};
+    if (product.productType === 'gold') {
+      if (!collateral.value || collateral.value <= 0) {
+        throw new AppError('Gold loans require the appraised collateral value', 400);
+      }
+      if (amount > roundAmount(collateral.value * product.loanToValueRatio)) {
+        throw new AppError(`Loan amount cannot exceed ${product.loanToValueRatio * 100}% of the collateral value`, 400);
+      }
+      loanCollateral.description = collateral.description;
+      loanCollateral.value = collateral.value;
+    } else if (product.productType === 'loan_against_fd') {
+      const fixedDeposit = await this.getFixedDepositCollateral(member, collateral.fixedDepositAccountId);
+      if (amount > roundAmount(fixedDeposit.fixedDeposit.principal * product.loanToValueRatio)) {
+        throw new AppError(`Loan amount cannot exceed ${product.loanToValueRatio * 100}% of the deposit principal`, 400);
+      }
+      loanCollateral.fixedDepositAccount = fixedDeposit._id;
+      loanCollateral.value = fixedDeposit.fixedDeposit.principal;
+    }
+
+    return await Loan.create({
+      cooperativeBankId: member.cooperativeBankId,
+      userId: member._id,
+      product: product._id,
+      productType: product.productType,
+      principal: roundAmount(amount),
+      interestRate: product.interestRate,
+      tenureMonths,
+      emiAmount: emi,
+      purpose,
+      disbursementAccount: disbursementAccount._id,
+      collateral: loanCollateral,
+      eligibility: {
+        monthlyIncome,
+        existingEmi,
+        emiToIncomeRatio: Math.round(emiToIncomeRatio * 10000) / 10000,
+        maxEligibleAmount
+      }
+    });
+  }
+
+  // Explain why a loan is not in the state a decision needs
+  static async assertLoanState(loanId, cooperativeBankId, expectedStatuses, session = null) {
+    const loan = await Loan.findOne({ _id: loanId, cooperativeBankId }).session(session);
+    if (!loan) {
+      throw new AppError('Loan not found', 404);
+    }
+    throw new AppError(`Loan is ${loan.status}; expected ${expectedStatuses.join(' or ')}`, 400);
+  }
+
+  // Manager sanction; staff cannot sanction their own loans
+  static async sanction({ loanId, cooperativeBankId, manager, remarks }) {
+    const loan = await Loan.findOneAndUpdate(
+      { _id: loanId, cooperativeBankId, status: 'applied', userId: { $ne: manager._id } },
+      {
+        $set: {
+          status: 'sanctioned',
+          sanctionedBy: manager._id,
+          sanctionedAt: new Date(),
+          sanctionRemarks: remarks
+        }
+      },
+      { new: true }
+    );
+
+    if (!loan) {
+      const existing = await Loan.findOne({ _id: loanId, cooperativeBankId });
+      if (existing && existing.userId.toString() === manager._id.toString()) {
+        throw new AppError('You cannot sanction your own loan', 403);
+      }
+      await this.assertLoanState(loanId, cooperativeBankId, ['applied']);
+    }
+
+    return loan;
+  }
+
+  static async reject({ loanId, cooperativeBankId, manager, reason }) {
+    const loan = await Loan.findOneAndUpdate(
+      { _id: loanId, cooperativeBankId, status: { $in: ['applied', 'sanctioned'] } },
+      {
+        $set: {
+          status: 'rejected',
+          rejectedBy: manager._id,
+          rejectedAt: new Date(),
+          rejectionReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!loan) {
+      await this.assertLoanState(loanId, cooperativeBankId, ['applied', 'sanctioned']);
+    }
+
+    return loan;
+  }
+
+  // Credit a sanctioned loan to the member's savings account and fix the EMI schedule
+  static async disburse({ loanId, cooperativeBankId, staff }) {
+    return await withTransaction(async (session) => {
+      const disbursedAt = new Date();
+      const loan = await Loan.findOneAndUpdate(
+        { _id: loanId, cooperativeBankId, status: 'sanctioned' },
+        { $set: { status: 'disbursed', disbursedBy: staff._id, disbursedAt } },
+        { new: true, session }
+      );
+
+      if (!loan) {
+        await this.assertLoanState(loanId, cooperativeBankId, ['sanctioned'], session);
+      }
+
+      // Pledge the fixed deposit so it cannot be closed while the loan runs
+      if (loan.collateral && loan.collateral.fixedDepositAccount) {
+        const pledged = await Account.findOneAndUpdate(
+          {
+            _id: loan.collateral.fixedDepositAccount,
+            'fixedDeposit.status': 'active',
+            'fixedDeposit.lienLoan': { $exists: false }
+          },
+          { $set: { 'fixedDeposit.lienLoan': loan._id } },
+          { new: true, session }
+        );
+        if (!pledged) {
+          throw new AppError('Fixed deposit is no longer available as collateral', 400);
+        }
+      }
+
+      const { transaction } = await LedgerService.postTransaction({
+        cooperativeBankId,
+        transactionType: 'loan_disbursement',
+        amount: loan.principal,
+        description: `Loan disbursement ${loan.loanNumber}`,
+        processedBy: staff._id,
+        postings: [
+          { ledgerCode: 'LOANS_ADVANCES', debit: loan.principal },
+          { account: loan.disbursementAccount, credit: loan.principal }
+        ],
+        fields: { loan: loan._id }
+      }, session);
+
+      loan.schedule = this.buildSchedule(loan.principal, loan.interestRate, loan.tenureMonths, addMonths(disbursedAt, 1));
+      loan.emiAmount = loan.schedule[0].emi;
+      loan.outstandingPrincipal = loan.principal;
+      loan.disbursementTransaction = transaction._id;
+      await loan.save({ session });
+
+      return { loan, transaction };
+    });
+  }
+
+  // Amount still owed on an installment
+  static getInstallmentDue(installment) {
+    return roundAmount(installment.emi - installment.principalPaid - installment.interestPaid);
+  }
+
+  // Outstanding principal, overdue EMIs and the next installment
+  static getSummary(loan, asOf = new Date()) {
+    const today = startOfDay(asOf);
+    const unpaid = (loan.schedule || []).filter(installment => UNPAID_STATUSES.includes(installment.status));
+    const overdue = unpaid.filter(installment => installment.dueDate < today);
+    const nextDue = unpaid.find(installment => installment.dueDate >= today);
+
+    return {
+      loanId: loan._id,
+      loanNumber: loan.loanNumber,
+      status: loan.status,
+      principal: loan.principal,
+      interestRate: loan.interestRate,
+      emiAmount: loan.emiAmount,
+      outstandingPrincipal: loan.outstandingPrincipal,
+      totalInterestPaid: loan.totalInterestPaid,
+      installmentsPaid: (loan.schedule || []).filter(installment => installment.status === 'paid').length,
+      installmentsRemaining: unpaid.length,
+      overdue: {
+        installments: overdue.length,
+        amount: roundAmount(overdue.reduce((sum, installment) => sum + this.getInstallmentDue(installment), 0)),
+        oldestDueDate: overdue.length > 0 ? overdue[0].dueDate : null,
+        daysPastDue: overdue.length > 0 ? daysBetween(overdue[0].dueDate, today) : 0
+      },
+      nextDue: nextDue ? {
+        number: nextDue.number,
+        dueDate: nextDue.dueDate,
+        amount: this.getInstallmentDue(nextDue)
+      } : null
+    };
+  }
+
+  // Amount needed to close the loan today
+  static getPrepaymentQuote(loan, product, asOf = new Date()) {
+    const today = startOfDay(asOf);
+    const schedule = loan.schedule || [];
+
+    // Interest on installments that fell due but were not paid
+    const overdueInterest = roundAmount(schedule
+      .filter(installment => UNPAID_STATUSES.includes(installment.status) && installment.dueDate <= today)
+      .reduce((sum, installment) => sum + Math.max(installment.interest - installment.interestPaid, 0), 0));
+
+    // Broken-period interest since the last due date on the principal still outstanding
+    const lastDue = schedule.filter(installment => installment.dueDate <= today).pop();
+    const periodStart = lastDue ? lastDue.dueDate : loan.disbursedAt;
+    const accruedInterest = roundAmount(
+      loan.outstandingPrincipal * loan.interestRate / 100 / 365 * Math.max(daysBetween(periodStart, today), 0)
+    );
+
+    const prepaymentCharge = roundAmount(loan.outstandingPrincipal * ((product && product.prepaymentChargeRate) || 0) / 100);
+
+    return {
+      asOf: today,
+      outstandingPrincipal: loan.outstandingPrincipal,
+      overdueInterest,
+      accruedInterest,
+      prepaymentCharge,
+      totalPayable: roundAmount(loan.outstandingPrincipal + overdueInterest + accruedInterest + prepaymentCharge)
+    };
+  }
+
+  // Apply a payment to installments in order, interest before principal
+  static allocateRepayment(loan, amount, paidAt = new Date()) {
+    let remaining = roundAmount(amount);
+    let principal = 0;
+    let interest = 0;
+
+    for (const installment of loan.schedule) {
+      if (remaining <= 0) break;
+      if (!UNPAID_STATUSES.includes(installment.status)) continue;
+
+      const interestDue = roundAmount(installment.interest - installment.interestPaid);
+      const interestPart = Math.min(interestDue, remaining);
+      installment.interestPaid = roundAmount(installment.interestPaid + interestPart);
+      remaining = roundAmount(remaining - interestPart);
+      interest += interestPart;
+
+      const principalDue = roundAmount(installment.principal - installment.principalPaid);
+      const principalPart = Math.min(principalDue, remaining);
+      installment.principalPaid = roundAmount(installment.principalPaid + principalPart);
+      remaining = roundAmount(remaining - principalPart);
+      principal += principalPart;
+
+      if (this.getInstallmentDue(installment) <= 0) {
+        installment.status = 'paid';
+        installment.paidAt = paidAt;
+      } else if (installment.principalPaid > 0 || installment.interestPaid > 0) {
+        installment.status = 'partially_paid';
+      }
+    }
+
+    return { principal: roundAmount(principal), interest: roundAmount(interest), excess: remaining };
+  }
+
+  // Close the loan and release any pledged deposit
+  static async closeLoan(loan, closedAt, session) {
+    loan.status = 'closed';
+    loan.closedAt = closedAt;
+
+    if (loan.collateral && loan.collateral.fixedDepositAccount) {
+      await Account.updateOne(
+        { _id: loan.collateral.fixedDepositAccount, 'fixedDeposit.lienLoan': loan._id },
+        { $unset: { 'fixedDeposit.lienLoan': '' } },
+        { session }
+      );
+    }
+  }
+
+  // Post the journal for a loan payment from the member's savings account
+  static async postRepayment(loan, { amount, principal, interest, charges = 0, description, processedBy }, session) {
+    const postings = [
+      { account: loan.disbursementAccount, debit: amount, enforceMinimumBalance: true },
+      { ledgerCode: 'LOANS_ADVANCES', credit: principal },
+      { ledgerCode: 'LOAN_INTEREST_INCOME', credit: interest },
+      { ledgerCode: 'PENALTY_INCOME', credit: charges }
+    ].filter(posting => posting.debit || posting.credit);
+
+    return await LedgerService.postTransaction({
+      cooperativeBankId: loan.cooperativeBankId,
+      transactionType: 'loan_repayment',
+      amount,
+      description,
+      processedBy,
+      postings,
+      fields: { loan: loan._id }
+    }, session);
+  }
+
+  // EMI repayment debited from the member's savings account
+  static async repay({ loanId, cooperativeBankId, amount, processedBy }) {
+    return await withTransaction(async (session) => {
+      const loan = await Loan.findOne({ _id: loanId, cooperativeBankId, status: 'disbursed' }).session(session);
+      if (!loan) {
+        await this.assertLoanState(loanId, cooperativeBankId, ['disbursed'], session);
+      }
+
+      const paidAt = new Date();
+      const allocation = this.allocateRepayment(loan, amount, paidAt);
+      if (allocation.excess > 0) {
+        throw new AppError('Repayment exceeds the scheduled dues; use prepayment to close the loan early', 400);
+      }
+
+      const { transaction } = await this.postRepayment(loan, {
+        amount: roundAmount(amount),
+        principal: allocation.principal,
+        interest: allocation.interest,
+        description: `Loan repayment ${loan.loanNumber}`,
+        processedBy
+      }, session);
+
+      loan.outstandingPrincipal = roundAmount(loan.outstandingPrincipal - allocation.principal);
+      loan.totalInterestPaid = roundAmount(loan.totalInterestPaid + allocation.interest);
+      loan.lastRepaymentDate = paidAt;
+      if (loan.outstandingPrincipal <= 0) {
+        await this.closeLoan(loan, paidAt, session);
+      }
+      await loan.save({ session });
+
+      return { loan, transaction, allocation };
+    });
+  }
+
+  // Close the loan early at the prepayment quote
+  static async prepay({ loanId, cooperativeBankId, processedBy }) {
+    return await withTransaction(async (session) => {
+      const loan = await Loan.findOne({ _id: loanId, cooperativeBankId, status: 'disbursed' }).session(session);
+      if (!loan) {
+        await this.assertLoanState(loanId, cooperativeBankId, ['disbursed'], session);
+      }
+
+      const product = await LoanProduct.findById(loan.product).session(session);
+      const quote = this.getPrepaymentQuote(loan, product);
+      const paidAt = new Date();
+
+      const { transaction } = await this.postRepayment(loan, {
+        amount: quote.totalPayable,
+        principal: quote.outstandingPrincipal,
+        interest: roundAmount(quote.overdueInterest + quote.accruedInterest),
+        charges: quote.prepaymentCharge,
+        description: `Loan prepayment ${loan.loanNumber}`,
+        processedBy
+      }, session);
+
+      loan.schedule.forEach(installment => {
+        if (UNPAID_STATUSES.includes(installment.status)) {
+          installment.status = 'prepaid';
+          installment.paidAt = paidAt;
+        }
+      });
+      loan.outstandingPrincipal = 0;
+      loan.totalInterestPaid = roundAmount(loan.totalInterestPaid + quote.overdueInterest + quote.accruedInterest);
+      loan.lastRepaymentDate = paidAt;
+      await this.closeLoan(loan, paidAt, session);
+      await loan.save({ session });
+
+      return { loan, transaction, quote };
+    });
+  }
+}
+
+module.exports = LoanService;
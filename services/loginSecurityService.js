@@ -0,0 +1,194 @@
+const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const AuditService = require('./auditService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { hashValue } = require('../utils/encryption');
+
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Network the client connects from: the /24 for IPv4, the /64 for IPv6
+const getNetwork = (ipAddress) => {
+  const ip = String(ipAddress || '').replace(/^::ffff:/, '');
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(ip)) {
+    return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (ip.includes(':')) {
+    return `${ip.split(':').slice(0, 4).join(':')}::/64`;
+  }
+  return 'unknown';
+};
+
+class LoginSecurityService {
+  // Each lockout doubles the previous one, up to a day
+  static getLockoutMinutes(lockoutCount) {
+    return Math.min(BASE_LOCKOUT_MINUTES * Math.pow(2, lockoutCount), MAX_LOCKOUT_MINUTES);
+  }
+
+  static isLocked(user, now = new Date()) {
+    const lockedUntil = user.loginSecurity && user.loginSecurity.lockedUntil;
+    return Boolean(lockedUntil && lockedUntil > now);
+  }
+
+  static getClientContext(req) {
+    const ipAddress = req.ip || (req.connection && req.connection.remoteAddress);
+    const userAgent = req.get('User-Agent') || 'unknown';
+    const country = req.get('CF-IPCountry') || req.get('X-Country-Code');
+
+    return {
+      ipAddress,
+      userAgent,
+      deviceId: hashValue(userAgent),
+      location: country ? country.toUpperCase() : getNetwork(ipAddress)
+    };
+  }
+
+  static async recordAttempt({ user = null, email, outcome, req, extra = {} }) {
+    try {
+      return await LoginHistory.create({
+        userId: user ? user._id : undefined,
+        cooperativeBankId: user ? user.cooperativeBankId : undefined,
+        email: email || (user && user.email),
+        outcome,
+        ...this.getClientContext(req),
+        ...extra
+      });
+    } catch (error) {
+      logger.error('Failed to record login history:', error);
+      return null;
+    }
+  }
+
+  // Count a failed password or code; reaching the limit locks the account and starts a new count
+  static async recordFailure(user, req, outcome = 'invalid_password') {
+    const now = new Date();
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $inc: { 'loginSecurity.failedAttempts': 1 },
+        $set: { 'loginSecurity.lastFailedAt': now }
+      },
+      { new: true }
+    );
+
+    let lockedUntil = null;
+    if (updated && updated.loginSecurity.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      lockedUntil = new Date(now.getTime() + this.getLockoutMinutes(updated.loginSecurity.lockoutCount) * 60 * 1000);
+
+      // Only the request that crossed the limit applies the lockout
+      const locked = await User.updateOne(
+        { _id: user._id, 'loginSecurity.failedAttempts': { $gte: MAX_FAILED_ATTEMPTS } },
+        {
+          $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': lockedUntil },
+          $inc: { 'loginSecurity.lockoutCount': 1 }
+        }
+      );
+      if (locked.modifiedCount === 0) {
+        lockedUntil = null;
+      }
+    }
+
+    await this.recordAttempt({ user, outcome, req });
+    await AuditService.logFailedEvent(
+      user._id,
+      user.cooperativeBankId,
+      'LOGIN',
+      'USER',
+      outcome === 'invalid_two_factor' ? 'Invalid authentication code' : 'Invalid password',
+      { email: user.email, outcome, ...(lockedUntil && { lockedUntil }) },
+      req
+    );
+
+    if (lockedUntil) {
+      logger.security('Account locked after repeated failed logins', {
+        userId: user._id,
+        email: user.email,
+        ip: req.ip,
+        lockedUntil
+      });
+    }
+
+    return {
+      lockedUntil,
+      attemptsRemaining: lockedUntil ? 0 : Math.max(MAX_FAILED_ATTEMPTS - (updated ? updated.loginSecurity.failedAttempts : 0), 0)
+    };
+  }
+
+  // Clear the counters, record the sign-in and alert the member about an unfamiliar device or location
+  static async recordSuccess(user, req) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockoutCount': 0 },
+        $unset: { 'loginSecurity.lockedUntil': '' }
+      }
+    );
+
+    const context = this.getClientContext(req);
+    const hasHistory = await LoginHistory.exists({ userId: user._id, outcome: 'success' });
+
+    let newDevice = false;
+    let newLocation = false;
+    if (hasHistory) {
+      const [knownDevice, knownLocation] = await Promise.all([
+        LoginHistory.exists({ userId: user._id, outcome: 'success', deviceId: context.deviceId }),
+        LoginHistory.exists({ userId: user._id, outcome: 'success', location: context.location })
+      ]);
+      newDevice = !knownDevice;
+      newLocation = !knownLocation;
+    }
+
+    await this.recordAttempt({ user, outcome: 'success', req, extra: { newDevice, newLocation } });
+
+    if (newDevice || newLocation) {
+      try {
+        await emailService.sendLoginAlert(user.email, user.fullName, {
+          newDevice,
+          newLocation,
+          ipAddress: context.ipAddress,
+          userAgent: context.userAgent,
+          location: context.location,
+          timestamp: new Date().toLocaleString('en-IN')
+        });
+      } catch (error) {
+        logger.error('Failed to send login alert:', error);
+      }
+    }
+
+    return { newDevice, newLocation };
+  }
+
+  static async unlock(userId, filter = {}) {
+    return await User.findOneAndUpdate(
+      { _id: userId, ...filter },
+      {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockoutCount': 0 },
+        $unset: { 'loginSecurity.lockedUntil': '' }
+      },
+      { new: true }
+    ).select('-password');
+  }
+
+  static async getHistory(userId, page = 1, limit = 20) {
+    const [history, total] = await Promise.all([
+      LoginHistory.find({ userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-deviceId'),
+      LoginHistory.countDocuments({ userId })
+    ]);
+
+    return {
+      history,
+      pagination: { current: page, pages: Math.ceil(total / limit), total }
+    };
+  }
+}
+
+LoginSecurityService.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+LoginSecurityService.getNetwork = getNetwork;
+
+module.exports = LoginSecurityService;
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const CooperativeBank = require('../models/CooperativeBank');
+const Loan = require('../models/Loan');
+const LoanClassification = require('../models/LoanClassification');
+const LoanService = require('./loanService');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+const DEFAULT_RULES = {
+  subStandardDays: 90,
+  doubtfulDays: 455,
+  lossDays: 1185
+};
+
+// Days-past-due buckets used for ageing; SMA buckets are still standard assets
+const DPD_BUCKETS = [
+  { name: 'current', maxDays: 0 },
+  { name: 'sma_0', maxDays: 30 },
+  { name: 'sma_1', maxDays: 60 },
+  { name: 'sma_2', maxDays: 90 },
+  { name: '91_180', maxDays: 180 },
+  { name: '181_365', maxDays: 365 },
+  { name: 'over_365', maxDays: Infinity }
+];
+
+const CATEGORIES = ['standard', 'sub_standard', 'doubtful', 'loss'];
+
+class NpaService {
+  static getRules(bank) {
+    const npa = (bank && bank.settings && bank.settings.npa) || {};
+    return {
+      subStandardDays: npa.subStandardDays || DEFAULT_RULES.subStandardDays,
+      doubtfulDays: npa.doubtfulDays || DEFAULT_RULES.doubtfulDays,
+      lossDays: npa.lossDays || DEFAULT_RULES.lossDays
+    };
+  }
+
+  static getBucket(daysPastDue) {
+    return DPD_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).name;
+  }
+
+  // A loan is an NPA once it is more than the sub-standard threshold past due
+  static classify(daysPastDue, rules = DEFAULT_RULES) {
+    if (daysPastDue > rules.lossDays) return 'loss';
+    if (daysPastDue > rules.doubtfulDays) return 'doubtful';
+    if (daysPastDue > rules.subStandardDays) return 'sub_standard';
+    return 'standard';
+  }
+
+  // Age one loan and record history when its classification or bucket changes
+  static async ageLoan(loan, rules, asOf) {
+    const summary = LoanService.getSummary(loan, asOf);
+    const daysPastDue = summary.overdue.daysPastDue;
+    const bucket = this.getBucket(daysPastDue);
+    const category = this.classify(daysPastDue, rules);
+    const previous = loan.assetClassification || {};
+
+    const changed = previous.category !== category || previous.bucket !== bucket;
+    const isNpa = category !== 'standard';
+
+    const update = {
+      $set: {
+        'assetClassification.category': category,
+        'assetClassification.daysPastDue': daysPastDue,
+        'assetClassification.bucket': bucket,
+        'assetClassification.classifiedAt': asOf
+      }
+    };
+    // npaSince marks when the loan first turned non-performing and clears once it is regularised
+    if (isNpa && !previous.npaSince) {
+      update.$set['assetClassification.npaSince'] = asOf;
+    } else if (!isNpa && previous.npaSince) {
+      update.$unset = { 'assetClassification.npaSince': '' };
+    }
+
+    await Loan.updateOne({ _id: loan._id }, update);
+
+    if (changed) {
+      await LoanClassification.create({
+        cooperativeBankId: loan.cooperativeBankId,
+        loan: loan._id,
+        userId: loan.userId,
+        asOf,
+        daysPastDue,
+        bucket,
+        category,
+        previousCategory: previous.category,
+        overdueAmount: summary.overdue.amount,
+        outstandingPrincipal: loan.outstandingPrincipal
+      });
+    }
+
+    return { category, bucket, changed };
+  }
+
+  // Nightly ageing of every running loan
+  static async runAgeing(asOf = new Date(), cooperativeBankId = null) {
+    const bankFilter = cooperativeBankId ? { _id: cooperativeBankId } : { isActive: true };
+    const banks = await CooperativeBank.find(bankFilter).select('settings.npa');
+    const result = { loans: 0, reclassified: 0, npa: 0, failed: 0 };
+
+    for (const bank of banks) {
+      const rules = this.getRules(bank);
+      const loans = await Loan.find({ cooperativeBankId: bank._id, status: 'disbursed' });
+
+      for (const loan of loans) {
+        try {
+          const aged = await this.ageLoan(loan, rules, asOf);
+          result.loans += 1;
+          if (aged.changed) result.reclassified += 1;
+          if (aged.category !== 'standard') result.npa += 1;
+        } catch (error) {
+          result.failed += 1;
+          logger.error(`Loan ageing failed for ${loan.loanNumber}:`, error);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Portfolio by asset classification and DPD bucket for a bank
+  static async getReport(cooperativeBankId) {
+    const match = {
+      cooperativeBankId: new mongoose.Types.ObjectId(cooperativeBankId),
+      status: 'disbursed'
+    };
+
+    const [byCategory, byBucket] = await Promise.all([
+      Loan.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$assetClassification.category',
+            loans: { $sum: 1 },
+            outstandingPrincipal: { $sum: '$outstandingPrincipal' }
+          }
+        }
+      ]),
+      Loan.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$assetClassification.bucket',
+            loans: { $sum: 1 },
+            outstandingPrincipal: { $sum: '$outstandingPrincipal' }
+          }
+        }
+      ])
+    ]);
+
+    const categories = CATEGORIES.map(category => {
+      const row = byCategory.find(entry => (entry._id || 'standard') === category);
+      return {
+        category,
+        loans: row ? row.loans : 0,
+        outstandingPrincipal: roundAmount(row ? row.outstandingPrincipal : 0)
+      };
+    });
+
+    const buckets = DPD_BUCKETS.map(({ name }) => {
+      const row = byBucket.find(entry => (entry._id || 'current') === name);
+      return {
+        bucket: name,
+        loans: row ? row.loans : 0,
+        outstandingPrincipal: roundAmount(row ? row.outstandingPrincipal : 0)
+      };
+    });
+
+    const totalOutstanding = roundAmount(categories.reduce((sum, row) => sum + row.outstandingPrincipal, 0));
+    const grossNpa = roundAmount(categories
+      .filter(row => row.category !== 'standard')
+      .reduce((sum, row) => sum + row.outstandingPrincipal, 0));
+
+    return {
+      totalLoans: categories.reduce((sum, row) => sum + row.loans, 0),
+      totalOutstanding,
+      grossNpa,
+      grossNpaRatio: totalOutstanding > 0 ? Math.round(grossNpa / totalOutstanding * 10000) / 100 : 0,
+      categories,
+      buckets
+    };
+  }
+}
+
+NpaService.DPD_BUCKETS = DPD_BUCKETS;
+NpaService.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = NpaService;
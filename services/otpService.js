@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const emailService = require('./emailService');
+const SmsService = require('./smsService');
+const { AppError } = require('../middleware/validation');
+const { hashValue } = require('../utils/encryption');
+
+const OTP_TTL_SECONDS = 5 * 60;
+const MAX_OTP_ATTEMPTS = 5;
+
+// What a one-time code is being used for, as shown to the recipient
+const OTP_PURPOSES = {
+  step_up: 'confirm a sensitive request on your account',
+  phone_verification: 'verify your phone number'
+};
+
+// Delivery channels by name; each sends a code to the user and describes where it went
+const channels = new Map();
+
+const maskEmail = (email) => {
+  const [name, domain] = String(email).split('@');
+  return `${name.slice(0, 2)}${'*'.repeat(Math.max(name.length - 2, 1))}@${domain}`;
+};
+
+const maskPhone = (phone) => `${'*'.repeat(Math.max(String(phone).length - 4, 0))}${String(phone).slice(-4)}`;
+
+class OtpService {
+  static registerChannel(name, channel) {
+    if (!channel || typeof channel.send !== 'function') {
+      throw new Error(`OTP channel ${name} must implement send()`);
+    }
+    channels.set(name, channel);
+  }
+
+  static getChannel(name) {
+    const channel = channels.get(name);
+    if (!channel) {
+      throw new AppError(`Unsupported OTP channel: ${name}`, 400);
+    }
+    return channel;
+  }
+
+  static generateCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  // Issue a one-time code for a purpose; a new code replaces any earlier one for the same key
+  static async issue({ key, user, purpose, channel = 'email' }) {
+    const delivery = this.getChannel(channel);
+    const code = this.generateCode();
+
+    const saved = await redisService.set(`otp:${key}`, { hash: hashValue(code), channel }, OTP_TTL_SECONDS);
+    if (!saved) {
+      throw new AppError('Verification service unavailable, please try again shortly', 503);
+    }
+    await redisService.del(`otp-attempts:${key}`);
+
+    await delivery.send({
+      user,
+      code,
+      purpose,
+      purposeText: OTP_PURPOSES[purpose] || 'verify your identity',
+      expiresInMinutes: OTP_TTL_SECONDS / 60
+    });
+
+    return {
+      channel,
+      destination: delivery.describe ? delivery.describe(user) : undefined,
+      expiresIn: OTP_TTL_SECONDS
+    };
+  }
+
+  // Check a code; it is consumed on success and discarded after too many wrong guesses
+  static async verify(key, code) {
+    const record = await redisService.get(`otp:${key}`);
+    if (!record) {
+      return false;
+    }
+
+    const { allowed } = await redisService.checkRateLimit(`otp-attempts:${key}`, MAX_OTP_ATTEMPTS, OTP_TTL_SECONDS * 1000);
+    if (!allowed) {
+      await redisService.del(`otp:${key}`);
+      return false;
+    }
+
+    const expected = Buffer.from(record.hash);
+    const actual = Buffer.from(hashValue(String(code || '')));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+
+    await redisService.del(`otp:${key}`);
+    await redisService.del(`otp-attempts:${key}`);
+    return true;
+  }
+}
+
+OtpService.registerChannel('email', {
+  send: ({ user, code, purposeText, expiresInMinutes }) =>
+    emailService.sendOtpEmail(user.email, user.firstName, { code, purposeText, expiresInMinutes }),
+  describe: (user) => maskEmail(user.email)
+});
+
+OtpService.registerChannel('sms', {
+  send: ({ user, code, purposeText, expiresInMinutes }) =>
+    SmsService.sendOtp(user.phone, { code, purposeText, expiresInMinutes }),
+  describe: (user) => maskPhone(user.phone)
+});
+
+OtpService.OTP_TTL_SECONDS = OTP_TTL_SECONDS;
+
+module.exports = OtpService;
@@ -0,0 +1,107 @@
+const bcrypt = require('bcryptjs');
+const CooperativeBank = require('../models/CooperativeBank');
+const { AppError } = require('../middleware/validation');
+const { isCommonPassword } = require('../utils/commonPasswords');
+const { isStaffRole } = require('./permissionService');
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  historyCount: 5,
+  staffMaxAgeDays: 90
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PasswordPolicyService {
+  // Bank policy with defaults for anything not configured
+  static getPolicy(bank) {
+    const configured = (bank && bank.settings && bank.settings.passwordPolicy) || {};
+    const policy = {};
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      policy[key] = configured[key] !== undefined && configured[key] !== null ? configured[key] : DEFAULT_POLICY[key];
+    });
+    return policy;
+  }
+
+  static async loadPolicy(cooperativeBankId) {
+    const bank = cooperativeBankId
+      ? await CooperativeBank.findById(cooperativeBankId._id || cooperativeBankId).select('settings.passwordPolicy')
+      : null;
+    return this.getPolicy(bank);
+  }
+
+  // Every rule the password breaks, as messages for the user
+  static validate(password, policy, user = null) {
+    const value = String(password || '');
+    const errors = [];
+
+    if (value.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(value)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(value)) {
+      errors.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+      errors.push('Password must contain a symbol');
+    }
+    if (isCommonPassword(value)) {
+      errors.push('Password is too common');
+    }
+    const emailName = user && user.email ? user.email.split('@')[0].toLowerCase() : '';
+    if (emailName.length >= 4 && value.toLowerCase().includes(emailName)) {
+      errors.push('Password must not contain your email address');
+    }
+
+    return errors;
+  }
+
+  static assertValid(password, policy, user = null) {
+    const errors = this.validate(password, policy, user);
+    if (errors.length > 0) {
+      throw new AppError(errors.join('. '), 400);
+    }
+  }
+
+  // Check the policy and history, then set the new password on the document for the caller to save;
+  // the user must be loaded with +password +passwordHistory
+  static async applyNewPassword(user, newPassword, policy = null) {
+    const effectivePolicy = policy || await this.loadPolicy(user.cooperativeBankId);
+    this.assertValid(newPassword, effectivePolicy, user);
+
+    if (!user.isNew && user.password && effectivePolicy.historyCount > 0) {
+      const recent = [user.password, ...(user.passwordHistory || [])].slice(0, effectivePolicy.historyCount);
+      for (const hash of recent) {
+        if (await bcrypt.compare(newPassword, hash)) {
+          throw new AppError(`Password must not match any of your last ${effectivePolicy.historyCount} passwords`, 400);
+        }
+      }
+      user.passwordHistory = recent.slice(0, Math.max(effectivePolicy.historyCount - 1, 0));
+    }
+
+    user.password = newPassword;
+    return user;
+  }
+
+  // Staff passwords older than the bank's maximum age must be changed before signing in
+  static isExpired(user, policy, now = new Date()) {
+    if (!isStaffRole(user.role) || !policy.staffMaxAgeDays) {
+      return false;
+    }
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return Boolean(changedAt) && now - changedAt > policy.staffMaxAgeDays * DAY_MS;
+  }
+}
+
+PasswordPolicyService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = PasswordPolicyService;
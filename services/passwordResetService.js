@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const SessionService = require('./sessionService');
+const PasswordPolicyService = require('./passwordPolicyService');
+const AuditService = require('./auditService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { hashValue } = require('../utils/encryption');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+class PasswordResetService {
+  // A new token replaces any earlier one; only its hash is stored
+  static async issueToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'passwordReset.tokenHash': hashValue(token),
+          'passwordReset.expiresAt': new Date(Date.now() + RESET_TOKEN_TTL_MS)
+        }
+      }
+    );
+
+    return token;
+  }
+
+  // Email a reset link to an active account; callers answer the same way whether or not one exists
+  static async requestReset(email) {
+    const user = await User.findOne({ email, isActive: true });
+    if (!user) {
+      return;
+    }
+
+    const token = await this.issueToken(user);
+    try {
+      await emailService.sendPasswordResetEmail(user.email, token, user.fullName);
+    } catch (error) {
+      logger.error('Failed to send password reset email:', error);
+    }
+  }
+
+  // Consume the token, set the new password and sign the user out everywhere
+  static async resetPassword(token, newPassword, req = null) {
+    const filter = {
+      'passwordReset.tokenHash': hashValue(String(token)),
+      'passwordReset.expiresAt': { $gt: new Date() },
+      isActive: true
+    };
+
+    const user = await User.findOne(filter).select('+password +passwordHistory');
+    if (!user) {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    // A password the policy rejects leaves the token usable for another attempt
+    await PasswordPolicyService.applyNewPassword(user, newPassword);
+
+    // Claiming the token and clearing it in one step means it can only be used once
+    const claimed = await User.updateOne(filter, { $unset: { passwordReset: '' } });
+    if (claimed.modifiedCount !== 1) {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    await user.save();
+
+    const sessionsRevoked = await SessionService.revokeAllSessions(user._id);
+
+    await AuditService.logAuthEvent(user._id, user.cooperativeBankId, 'PASSWORD_RESET', { sessionsRevoked }, req);
+
+    return user;
+  }
+}
+
+PasswordResetService.RESET_TOKEN_TTL_MS = RESET_TOKEN_TTL_MS;
+
+module.exports = PasswordResetService;
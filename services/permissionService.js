@@ -0,0 +1,169 @@
+const CooperativeBank = require('../models/CooperativeBank');
+const { AppError } = require('../middleware/validation');
+
+// Every permission a role can be granted
+const PERMISSIONS = {
+  'users.view': 'View member profiles and user lists',
+  'users.manage_status': 'Activate and deactivate users',
+  'users.unlock': 'Unlock accounts locked by failed sign-ins',
+  'users.change_role': 'Assign roles to users',
+  'users.set_limits': 'Set member transaction limit overrides',
+  'users.impersonate': 'View the API read-only as a member of the bank',
+  'accounts.view_all': 'View any account in the bank',
+  'accounts.update_any': 'Update nominee details on any account',
+  'accounts.reports': 'Account statistics and NPA report',
+  'transactions.post_on_behalf': 'Deposit, withdraw and transfer on members\' accounts',
+  'transactions.view_all': 'View any transaction in the bank',
+  'transactions.approve': 'Approve or reject transactions awaiting maker-checker approval',
+  'transactions.reverse': 'Reverse completed transactions',
+  'transactions.reports': 'Transaction statistics and member limit usage',
+  'loans.manage_products': 'Create and update loan products',
+  'loans.view_all': 'View all loans and classification history',
+  'loans.sanction': 'Sanction or reject loan applications',
+  'loans.disburse': 'Disburse sanctioned loans',
+  'loans.run_ageing': 'Run NPA ageing on demand',
+  'loans.collect_repayment': 'Repay or prepay loans from members\' accounts',
+  'deposits.manage': 'Close members\' deposits early and run maturity and instalment processing',
+  'interest.view': 'View interest runs and accruals',
+  'interest.run': 'Accrue and post savings interest',
+  'ledger.view': 'View the general ledger, journals and trial balance',
+  'kyc.view_all': 'View all KYC documents and statistics',
+  'kyc.review': 'Approve or reject KYC documents',
+  'shares.view_all': 'View share holdings and dividend runs',
+  'shares.declare_dividend': 'Declare dividends',
+  'audit.view': 'View audit logs',
+  'audit.export': 'Export audit logs',
+  'audit.cleanup': 'Delete old audit logs',
+  'banks.manage': 'Create, list and configure cooperative banks',
+  'roles.manage': 'Configure the bank\'s roles and their permissions',
+  'api_clients.manage': 'Create, rotate and revoke API keys for partner integrations',
+  'branches.view': 'View the bank\'s branches',
+  'branches.manage': 'Create and update branches and assign staff and accounts to them'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Platform-wide permissions only the super admin holds
+const PLATFORM_PERMISSIONS = ['banks.manage', 'audit.export', 'audit.cleanup'];
+
+const SHARED_STAFF_PERMISSIONS = [
+  'users.view', 'users.manage_status', 'users.unlock', 'users.set_limits',
+  'accounts.view_all', 'accounts.update_any', 'accounts.reports',
+  'transactions.post_on_behalf', 'transactions.view_all', 'transactions.approve', 'transactions.reports',
+  'loans.manage_products', 'loans.view_all', 'loans.disburse', 'loans.run_ageing', 'loans.collect_repayment',
+  'deposits.manage', 'interest.view', 'interest.run', 'ledger.view',
+  'kyc.view_all', 'kyc.review', 'shares.view_all', 'audit.view', 'branches.view'
+];
+
+// Built-in roles; banks may override any of them except super_admin and add their own
+const DEFAULT_ROLE_PERMISSIONS = {
+  member: [],
+  admin: [...SHARED_STAFF_PERMISSIONS, 'users.change_role', 'users.impersonate', 'roles.manage', 'api_clients.manage', 'branches.manage'],
+  manager: [...SHARED_STAFF_PERMISSIONS, 'loans.sanction', 'transactions.reverse', 'shares.declare_dividend'],
+  teller: ['users.view', 'accounts.view_all', 'transactions.post_on_behalf', 'transactions.view_all', 'branches.view'],
+  auditor: [
+    'users.view', 'accounts.view_all', 'accounts.reports', 'transactions.view_all', 'transactions.reports',
+    'loans.view_all', 'interest.view', 'ledger.view', 'kyc.view_all', 'shares.view_all', 'audit.view', 'branches.view'
+  ],
+  super_admin: ALL_PERMISSIONS
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+
+// Anyone who is not a plain member works for the bank
+const isStaffRole = (role) => Boolean(role) && role !== 'member';
+
+class PermissionService {
+  // Built-in roles merged with the bank's overrides and custom roles
+  static getRoleMap(bank) {
+    const configured = bank && bank.settings && bank.settings.rolePermissions;
+    const roles = { ...DEFAULT_ROLE_PERMISSIONS };
+
+    if (configured) {
+      for (const [role, permissions] of configured instanceof Map ? configured : Object.entries(configured)) {
+        if (role !== 'super_admin') {
+          roles[role] = [...permissions];
+        }
+      }
+    }
+    return roles;
+  }
+
+  static async loadRoleMap(cooperativeBankId) {
+    const bank = cooperativeBankId
+      ? await CooperativeBank.findById(cooperativeBankId._id || cooperativeBankId).select('settings.rolePermissions')
+      : null;
+    return this.getRoleMap(bank);
+  }
+
+  // Effective permissions for the signed-in user, resolved once per request
+  static async getPermissions(req) {
+    if (!req.permissions) {
+      const roles = req.user.role === 'super_admin'
+        ? DEFAULT_ROLE_PERMISSIONS
+        : await this.loadRoleMap(req.user.cooperativeBankId);
+      req.permissions = new Set(roles[req.user.role] || []);
+    }
+    return req.permissions;
+  }
+
+  static async hasPermission(req, permission) {
+    return (await this.getPermissions(req)).has(permission);
+  }
+
+  // Owners may always act on their own records; anyone else needs the permission within the same bank.
+  // Staff assigned to a branch also need the record to be in their branch: branchId is the record's
+  // branch, or the branches of the accounts it touches, and a record without one is outside every branch.
+  static async canAccessOwned(req, { userId, cooperativeBankId, branchId }, permission) {
+    if (userId && (userId._id || userId).toString() === req.user._id.toString()) {
+      return true;
+    }
+    if (!(await this.hasPermission(req, permission))) {
+      return false;
+    }
+    if (req.user.role === 'super_admin') {
+      return true;
+    }
+
+    if (req.user.branchId) {
+      const branches = [].concat(branchId || []).filter(Boolean);
+      if (!branches.some(id => (id._id || id).toString() === req.user.branchId.toString())) {
+        return false;
+      }
+    }
+
+    const bankId = cooperativeBankId && (cooperativeBankId._id || cooperativeBankId);
+    return Boolean(bankId && req.cooperativeBankId) && bankId.toString() === req.cooperativeBankId.toString();
+  }
+
+  // Check a role definition; a user cannot grant permissions they do not hold themselves
+  static validateRole(role, permissions, grantedBy) {
+    if (!ROLE_NAME_PATTERN.test(role)) {
+      throw new AppError('Role names must be 2-30 lowercase letters, digits or underscores', 400);
+    }
+    if (role === 'super_admin') {
+      throw new AppError('The super_admin role cannot be changed', 400);
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+
+    const platform = permissions.filter(permission => PLATFORM_PERMISSIONS.includes(permission));
+    if (platform.length > 0) {
+      throw new AppError(`Platform permissions cannot be granted to bank roles: ${platform.join(', ')}`, 400);
+    }
+
+    const notHeld = permissions.filter(permission => !grantedBy.has(permission));
+    if (notHeld.length > 0) {
+      throw new AppError(`You cannot grant permissions you do not hold: ${notHeld.join(', ')}`, 403);
+    }
+  }
+}
+
+PermissionService.PERMISSIONS = PERMISSIONS;
+PermissionService.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+PermissionService.isStaffRole = isStaffRole;
+
+module.exports = PermissionService;
@@ -0,0 +1,399 @@
+const Account = require('../models/Account');
+const CooperativeBank = require('../models/CooperativeBank');
+const LedgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+const { addMonths } = require('../utils/dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurringDepositService {
+  // Maturity value with each installment compounded quarterly for the months it is held
+  static calculateMaturityAmount(installmentAmount, annualRate, tenureMonths) {
+    let amount = 0;
+    for (let monthsHeld = tenureMonths; monthsHeld >= 1; monthsHeld--) {
+      amount += installmentAmount * Math.pow(1 + annualRate / 400, monthsHeld / 3);
+    }
+    return roundAmount(amount);
+  }
+
+  // Maturity value of the installments actually paid, each held from its due date as in the full schedule
+  static calculateEarnedAmount(rd) {
+    const paid = rd.installments.filter(installment => installment.status === 'paid');
+    if (paid.length === rd.installments.length) {
+      return rd.maturityAmount;
+    }
+
+    const amount = paid.reduce((sum, installment) => {
+      const monthsHeld = rd.tenureMonths - installment.number + 1;
+      return sum + rd.installmentAmount * Math.pow(1 + rd.interestRate / 400, monthsHeld / 3);
+    }, 0);
+    return roundAmount(amount);
+  }
+
+  static getSettings(bank) {
+    const settings = (bank && bank.settings) || {};
+    const recurringDeposit = settings.recurringDeposit || {};
+    return {
+      minimumInstallment: recurringDeposit.minimumInstallment,
+      minTenureMonths: recurringDeposit.minTenureMonths,
+      maxTenureMonths: recurringDeposit.maxTenureMonths,
+      lateFeePerInstallment: recurringDeposit.lateFeePerInstallment || 0,
+      gracePeriodDays: recurringDeposit.gracePeriodDays || 0,
+      interestRate: settings.defaultInterestRate ? settings.defaultInterestRate.recurringDeposit : 0
+    };
+  }
+
+  // Monthly schedule; the first installment is due on the opening date
+  static buildSchedule(startDate, tenureMonths) {
+    const installments = [];
+    for (let number = 1; number <= tenureMonths; number++) {
+      installments.push({
+        number,
+        dueDate: addMonths(startDate, number - 1),
+        status: 'due'
+      });
+    }
+    return installments;
+  }
+
+  // Open a recurring deposit and collect the first installment from the linked account
+  static async open({ member, linkedAccountId, installmentAmount, tenureMonths, nomineeDetails }) {
+    const [bank, linkedAccount] = await Promise.all([
+      CooperativeBank.findById(member.cooperativeBankId).select('settings'),
+      Account.findById(linkedAccountId)
+    ]);
+
+    if (!linkedAccount || linkedAccount.userId.toString() !== member._id.toString()) {
+      throw new AppError('Linked account not found', 404);
+    }
+    if (!['savings', 'current'].includes(linkedAccount.accountType) || !linkedAccount.isActive) {
+      throw new AppError('Recurring deposits must be linked to an active savings or current account', 400);
+    }
+
+    const settings = this.getSettings(bank);
+    if (settings.minimumInstallment && installmentAmount < settings.minimumInstallment) {
+      throw new AppError(`Minimum installment amount is ${settings.minimumInstallment}`, 400);
+    }
+    if ((settings.minTenureMonths && tenureMonths < settings.minTenureMonths) ||
+        (settings.maxTenureMonths && tenureMonths > settings.maxTenureMonths)) {
+      throw new AppError(`Tenure must be between ${settings.minTenureMonths} and ${settings.maxTenureMonths} months`, 400);
+    }
+
+    const startDate = new Date();
+    const installments = this.buildSchedule(startDate, tenureMonths);
+
+    const account = await withTransaction(async (session) => {
+      const rdAccount = new Account({
+        userId: member._id,
+        cooperativeBankId: linkedAccount.cooperativeBankId,
+        accountType: 'recurring_deposit',
+        minimumBalance: 0,
+        interestRate: settings.interestRate,
+        nomineeDetails,
+        recurringDeposit: {
+          installmentAmount: roundAmount(installmentAmount),
+          interestRate: settings.interestRate,
+          tenureMonths,
+          startDate,
+          maturityDate: addMonths(startDate, tenureMonths),
+          maturityAmount: this.calculateMaturityAmount(installmentAmount, settings.interestRate, tenureMonths),
+          linkedAccount: linkedAccount._id,
+          status: 'active',
+          installments
+        }
+      });
+      await rdAccount.save({ session });
+
+      await this.payInstallment(rdAccount, 1, session);
+      return rdAccount;
+    });
+
+    return await Account.findById(account._id);
+  }
+
+  // Debit one installment from the linked account and mark it paid
+  static async payInstallment(account, number, session = null) {
+    return await withTransaction(async (txnSession) => {
+      const rd = account.recurringDeposit;
+      const linkedAccount = await Account.findById(rd.linkedAccount).session(txnSession);
+      if (!linkedAccount) {
+        throw new AppError('Linked account for recurring deposit not found', 400);
+      }
+
+      const { transaction } = await LedgerService.transfer({
+        fromAccount: linkedAccount,
+        toAccount: account,
+        amount: rd.installmentAmount,
+        description: `Recurring deposit installment ${number} ${account.accountNumber}`,
+        fields: { depositAccount: account._id }
+      }, txnSession);
+
+      const updated = await Account.findOneAndUpdate(
+        {
+          _id: account._id,
+          'recurringDeposit.installments': { $elemMatch: { number, status: { $in: ['due', 'missed'] } } }
+        },
+        {
+          $set: {
+            'recurringDeposit.installments.$.status': 'paid',
+            'recurringDeposit.installments.$.paidAt': new Date(),
+            'recurringDeposit.installments.$.transaction': transaction._id
+          }
+        },
+        { new: true, session: txnSession }
+      );
+
+      // Another run paid it first; abort so the member is not debited twice
+      if (!updated) {
+        throw new AppError(`Installment ${number} has already been paid`, 409);
+      }
+
+      return updated;
+    }, session);
+  }
+
+  // Mark an installment missed and charge the late fee when the linked account can cover it
+  static async markMissed(account, number, lateFee) {
+    const updated = await Account.findOneAndUpdate(
+      {
+        _id: account._id,
+        'recurringDeposit.installments': { $elemMatch: { number, status: 'due' } }
+      },
+      {
+        $set: {
+          'recurringDeposit.installments.$.status': 'missed',
+          'recurringDeposit.installments.$.lateFee': lateFee
+        }
+      },
+      { new: true }
+    );
+
+    return updated || account;
+  }
+
+  // Post an outstanding late fee as a penalty on the linked account
+  static async collectLateFee(account, installment) {
+    return await withTransaction(async (session) => {
+      const linkedAccount = await Account.findById(account.recurringDeposit.linkedAccount).session(session);
+      if (!linkedAccount) {
+        throw new AppError('Linked account for recurring deposit not found', 400);
+      }
+
+      const { transaction } = await LedgerService.postPenalty({
+        account: linkedAccount,
+        amount: installment.lateFee,
+        description: `Late fee for recurring deposit installment ${installment.number} ${account.accountNumber}`,
+        fields: { depositAccount: account._id }
+      }, session);
+
+      const updated = await Account.findOneAndUpdate(
+        {
+          _id: account._id,
+          'recurringDeposit.installments': {
+            $elemMatch: { number: installment.number, lateFeeTransaction: { $exists: false } }
+          }
+        },
+        { $set: { 'recurringDeposit.installments.$.lateFeeTransaction': transaction._id } },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw new AppError(`Late fee for installment ${installment.number} has already been charged`, 409);
+      }
+
+      return updated;
+    });
+  }
+
+  // Credit interest and pay the deposit out to the linked account on the maturity date.
+  // Installments still unpaid by then are closed as missed and earn nothing
+  static async mature(accountId, asOf = new Date()) {
+    return await withTransaction(async (session) => {
+      const account = await Account.findOneAndUpdate(
+        {
+          _id: accountId,
+          'recurringDeposit.status': 'active',
+          'recurringDeposit.maturityDate': { $lte: asOf }
+        },
+        { $set: { 'recurringDeposit.status': 'matured' } },
+        { new: true, session }
+      );
+
+      if (!account) {
+        return null;
+      }
+
+      const rd = account.recurringDeposit;
+      const paidCount = rd.installments.filter(installment => installment.status === 'paid').length;
+      const deposited = roundAmount(rd.installmentAmount * paidCount);
+      const interest = roundAmount(this.calculateEarnedAmount(rd) - deposited);
+      if (interest >= 0.01) {
+        await LedgerService.postInterest({
+          account,
+          amount: interest,
+          description: `Recurring deposit interest ${account.accountNumber}`,
+          fields: { depositAccount: account._id }
+        }, session);
+      }
+
+      const linkedAccount = await Account.findById(rd.linkedAccount).session(session);
+      if (!linkedAccount) {
+        throw new AppError('Linked account for recurring deposit not found', 400);
+      }
+
+      const payoutAmount = roundAmount(deposited + interest);
+      await LedgerService.transfer({
+        fromAccount: account,
+        toAccount: linkedAccount,
+        amount: payoutAmount,
+        description: `Recurring deposit maturity ${account.accountNumber}`,
+        fields: { depositAccount: account._id }
+      }, session);
+
+      return await Account.findByIdAndUpdate(
+        account._id,
+        {
+          $set: {
+            isActive: false,
+            'recurringDeposit.closedAt': asOf,
+            'recurringDeposit.payoutAmount': payoutAmount,
+            'recurringDeposit.installments.$[unpaid].status': 'missed'
+          }
+        },
+        { new: true, session, arrayFilters: [{ 'unpaid.status': 'due' }] }
+      );
+    });
+  }
+
+  // Collect due installments and late fees for one deposit, oldest first
+  static async processAccount(account, settings, asOf) {
+    const result = { paid: 0, missed: 0, lateFees: 0 };
+    let current = account;
+
+    const outstanding = current.recurringDeposit.installments
+      .filter(installment => installment.status !== 'paid' && installment.dueDate <= asOf)
+      .sort((a, b) => a.number - b.number);
+
+    // Once a debit fails the rest can't be paid either, but each still goes missed past its grace period
+    let outOfFunds = false;
+    for (const installment of outstanding) {
+      if (!outOfFunds) {
+        try {
+          current = await this.payInstallment(current, installment.number);
+          result.paid += 1;
+          continue;
+        } catch (error) {
+          if (error.statusCode !== 400) {
+            throw error;
+          }
+          outOfFunds = true;
+        }
+      }
+
+      const graceEnds = new Date(installment.dueDate.getTime() + settings.gracePeriodDays * DAY_MS);
+      if (installment.status === 'due' && asOf > graceEnds) {
+        current = await this.markMissed(current, installment.number, settings.lateFeePerInstallment);
+        result.missed += 1;
+      }
+    }
+
+    const matured = await this.mature(current._id, asOf);
+    if (matured) {
+      result.matured = true;
+      current = matured;
+    }
+
+    // Late fees still outstanding at maturity can usually be covered once the payout has landed
+    const unchargedFees = current.recurringDeposit.installments
+      .filter(installment => installment.lateFee > 0 && !installment.lateFeeTransaction);
+
+    for (const installment of unchargedFees) {
+      try {
+        current = await this.collectLateFee(current, installment);
+        result.lateFees += 1;
+      } catch (error) {
+        if (error.statusCode !== 400) {
+          throw error;
+        }
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  // Auto-debit installments, charge late fees and pay out matured deposits
+  static async processInstallments(asOf = new Date(), cooperativeBankId = null) {
+    const filter = { 'recurringDeposit.status': 'active' };
+    if (cooperativeBankId) {
+      filter.cooperativeBankId = cooperativeBankId;
+    }
+
+    const accounts = await Account.find(filter);
+    const banks = new Map();
+    const result = { accounts: accounts.length, paid: 0, missed: 0, lateFees: 0, matured: 0, failed: 0 };
+
+    for (const account of accounts) {
+      try {
+        const bankId = account.cooperativeBankId.toString();
+        if (!banks.has(bankId)) {
+          banks.set(bankId, this.getSettings(await CooperativeBank.findById(bankId).select('settings')));
+        }
+
+        const accountResult = await this.processAccount(account, banks.get(bankId), asOf);
+        result.paid += accountResult.paid;
+        result.missed += accountResult.missed;
+        result.lateFees += accountResult.lateFees;
+        if (accountResult.matured) {
+          result.matured += 1;
+        }
+      } catch (error) {
+        result.failed += 1;
+        logger.error(`Recurring deposit processing failed for ${account.accountNumber}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  // Schedule, arrears and maturity details for a member
+  static getSummary(account, asOf = new Date()) {
+    const rd = account.recurringDeposit;
+    const installments = rd.installments || [];
+    const overdue = installments.filter(installment => installment.status !== 'paid' && installment.dueDate <= asOf);
+    const paid = installments.filter(installment => installment.status === 'paid');
+    const nextDue = installments.find(installment => installment.status !== 'paid' && installment.dueDate > asOf);
+
+    return {
+      accountId: account._id,
+      accountNumber: account.accountNumber,
+      status: rd.status,
+      installmentAmount: rd.installmentAmount,
+      interestRate: rd.interestRate,
+      tenureMonths: rd.tenureMonths,
+      startDate: rd.startDate,
+      maturityDate: rd.maturityDate,
+      maturityAmount: rd.maturityAmount,
+      balance: account.balance,
+      installmentsPaid: paid.length,
+      totalDeposited: roundAmount(paid.length * rd.installmentAmount),
+      nextDue: nextDue ? { number: nextDue.number, dueDate: nextDue.dueDate, amount: rd.installmentAmount } : null,
+      arrears: {
+        installments: overdue.length,
+        amount: roundAmount(overdue.length * rd.installmentAmount),
+        lateFeesOutstanding: roundAmount(installments
+          .filter(installment => installment.lateFee > 0 && !installment.lateFeeTransaction)
+          .reduce((sum, installment) => sum + installment.lateFee, 0)),
+        lateFeesCharged: roundAmount(installments
+          .filter(installment => installment.lateFeeTransaction)
+          .reduce((sum, installment) => sum + installment.lateFee, 0))
+      },
+      schedule: installments
+    };
+  }
+}
+
+module.exports = RecurringDepositService;
@@ -1,6 +1,16 @@
 const { createClient } = require('redis');
 const logger = require('../utils/logger');
 
+// Compare-and-swap of a session's refresh token ID
+const ROTATE_SESSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current or cjson.decode(current).refreshTokenId ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
 class RedisService {
   constructor() {
     this.client = null;
@@ -168,6 +178,61 @@ class RedisService {
     return await this.del(key);
   }
 
+  // Replace a session only while it still holds the expected refresh token ID, in one atomic step.
+  // Returns true when swapped, false when the token ID no longer matches, null when Redis is unavailable
+  async rotateSession(sessionId, expectedTokenId, sessionData, ttlSeconds = 86400) {
+    if (!this.isConnected) return null;
+
+    try {
+      const result = await this.client.eval(ROTATE_SESSION_SCRIPT, {
+        keys: [`session:${sessionId}`],
+        arguments: [expectedTokenId, JSON.stringify(sessionData), String(ttlSeconds)]
+      });
+      return result === 1;
+    } catch (error) {
+      logger.error('Redis rotate session failed:', error);
+      return null;
+    }
+  }
+
+  // Index of a user's session IDs so all of them can be revoked together
+  async addUserSession(userId, sessionId, ttlSeconds = 86400) {
+    if (!this.isConnected) return false;
+
+    try {
+      const key = `user-sessions:${userId}`;
+      await this.client.sAdd(key, sessionId);
+      await this.client.expire(key, ttlSeconds);
+      return true;
+    } catch (error) {
+      logger.error('Redis add user session failed:', error);
+      return false;
+    }
+  }
+
+  async getUserSessions(userId) {
+    if (!this.isConnected) return [];
+
+    try {
+      return await this.client.sMembers(`user-sessions:${userId}`);
+    } catch (error) {
+      logger.error('Redis get user sessions failed:', error);
+      return [];
+    }
+  }
+
+  async removeUserSession(userId, sessionId) {
+    if (!this.isConnected) return false;
+
+    try {
+      await this.client.sRem(`user-sessions:${userId}`, sessionId);
+      return true;
+    } catch (error) {
+      logger.error('Redis remove user session failed:', error);
+      return false;
+    }
+  }
+
   // User-specific caching
   async setUserCache(userId, data, ttlSeconds = 1800) {
     const key = `user:${userId}`;
@@ -206,6 +271,22 @@ class RedisService {
     return await this.get(key);
   }
 
+  // Idempotency key caching
+  async setIdempotencyRecord(scopeKey, data, ttlSeconds = 86400) {
+    const key = `idempotency:${scopeKey}`;
+    return await this.set(key, data, ttlSeconds);
+  }
+
+  async getIdempotencyRecord(scopeKey) {
+    const key = `idempotency:${scopeKey}`;
+    return await this.get(key);
+  }
+
+  async deleteIdempotencyRecord(scopeKey) {
+    const key = `idempotency:${scopeKey}`;
+    return await this.del(key);
+  }
+
   // API response caching
   async setApiCache(endpoint, params, data, ttlSeconds = 300) {
     const key = `api:${endpoint}:${JSON.stringify(params)}`;
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const redisService = require('./redisService');
+const AuditService = require('./auditService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+
+const getAccessTokenExpiry = () => process.env.JWT_EXPIRE || '15m';
+
+const getRefreshTtlSeconds = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60;
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// A session is one login; every refresh token rotated from it belongs to the same family
+class SessionService {
+  static assertStoreAvailable() {
+    if (!redisService.isConnected) {
+      throw new AppError('Session service unavailable, please try again shortly', 503);
+    }
+  }
+
+  static generateAccessToken(user, sessionId) {
+    const payload = { userId: user._id, sid: sessionId };
+    if (user.cooperativeBankId) {
+      payload.cooperativeBankId = user.cooperativeBankId._id || user.cooperativeBankId;
+    }
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: getAccessTokenExpiry() });
+  }
+
+  static generateRefreshToken(userId, sessionId, tokenId) {
+    return jwt.sign(
+      { userId, sid: sessionId, jti: tokenId, type: 'refresh' },
+      getRefreshSecret(),
+      { expiresIn: getRefreshTtlSeconds() }
+    );
+  }
+
+  // Store the session with the only refresh token that may be used next
+  static async saveSession(sessionId, session) {
+    const ttlSeconds = getRefreshTtlSeconds();
+    const saved = await redisService.setSession(sessionId, session, ttlSeconds);
+    if (!saved) {
+      throw new AppError('Session service unavailable, please try again shortly', 503);
+    }
+    await redisService.addUserSession(session.userId, sessionId, ttlSeconds);
+  }
+
+  static getClientDetails(req) {
+    return req ? {
+      ipAddress: req.ip || (req.connection && req.connection.remoteAddress),
+      userAgent: req.get('User-Agent')
+    } : {};
+  }
+
+  static buildTokens(user, sessionId, refreshTokenId) {
+    return {
+      token: this.generateAccessToken(user, sessionId),
+      refreshToken: this.generateRefreshToken(user._id, sessionId, refreshTokenId),
+      expiresIn: getAccessTokenExpiry(),
+      sessionId
+    };
+  }
+
+  // Start a new session at login or registration
+  static async createSession(user, req = null) {
+    this.assertStoreAvailable();
+
+    const sessionId = crypto.randomUUID();
+    const refreshTokenId = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    await this.saveSession(sessionId, {
+      userId: user._id.toString(),
+      refreshTokenId,
+      createdAt: now,
+      lastRefreshedAt: now,
+      ...this.getClientDetails(req)
+    });
+
+    return this.buildTokens(user, sessionId, refreshTokenId);
+  }
+
+  // Exchange a refresh token for a new pair; presenting a rotated-out token revokes the whole family
+  static async refresh(refreshToken, req = null) {
+    this.assertStoreAvailable();
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, getRefreshSecret());
+    } catch (error) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    const session = await redisService.getSession(decoded.sid);
+    if (!session || session.userId !== String(decoded.userId)) {
+      throw new AppError('Session has been revoked', 401);
+    }
+
+    const user = await User.findById(session.userId).populate('cooperativeBankId', 'bankName bankCode');
+
+    if (session.refreshTokenId !== decoded.jti) {
+      await this.handleReuse(decoded.sid, session.userId, user, req);
+    }
+
+    if (!user || !user.isActive) {
+      await this.revokeSession(decoded.sid, session.userId);
+      throw new AppError('Account is deactivated', 401);
+    }
+
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      await this.revokeSession(decoded.sid, session.userId);
+      throw new AppError('Password was changed, please sign in again', 401);
+    }
+
+    // Swap the token ID only if no concurrent refresh got there first; losing the race counts as reuse
+    const refreshTokenId = crypto.randomUUID();
+    const ttlSeconds = getRefreshTtlSeconds();
+    const rotated = await redisService.rotateSession(decoded.sid, decoded.jti, {
+      ...session,
+      refreshTokenId,
+      lastRefreshedAt: new Date().toISOString(),
+      ...this.getClientDetails(req)
+    }, ttlSeconds);
+    if (rotated === null) {
+      throw new AppError('Session service unavailable, please try again shortly', 503);
+    }
+    if (!rotated) {
+      await this.handleReuse(decoded.sid, session.userId, user, req);
+    }
+    await redisService.addUserSession(session.userId, decoded.sid, ttlSeconds);
+
+    return { user, tokens: this.buildTokens(user, decoded.sid, refreshTokenId) };
+  }
+
+  // A rotated-out refresh token was presented: revoke the whole session and record it
+  static async handleReuse(sessionId, userId, user, req) {
+    await this.revokeSession(sessionId, userId);
+    logger.warn(`Refresh token reuse detected for user ${userId}; session ${sessionId} revoked`);
+    if (user) {
+      await AuditService.logAuthEvent(user._id, user.cooperativeBankId && user.cooperativeBankId._id, 'TOKEN_REUSE_DETECTED', {
+        sessionId
+      }, req);
+    }
+    throw new AppError('Refresh token has already been used; the session has been revoked', 401);
+  }
+
+  // Whether an access token's session is still live
+  static async isSessionActive(sessionId, userId) {
+    this.assertStoreAvailable();
+
+    const session = await redisService.getSession(sessionId);
+    return Boolean(session && session.userId === String(userId));
+  }
+
+  static async revokeSession(sessionId, userId) {
+    await redisService.deleteSession(sessionId);
+    if (userId) {
+      await redisService.removeUserSession(userId, sessionId);
+    }
+  }
+
+  // Revoke every session of a user, e.g. on logout-all or deactivation
+  static async revokeAllSessions(userId) {
+    const sessionIds = await redisService.getUserSessions(userId);
+    for (const sessionId of sessionIds) {
+      await redisService.deleteSession(sessionId);
+    }
+    await redisService.del(`user-sessions:${userId}`);
+    return sessionIds.length;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,362 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Account = require('../models/Account');
+const CooperativeBank = require('../models/CooperativeBank');
+const DividendRun = require('../models/DividendRun');
+const Loan = require('../models/Loan');
+const ShareHolding = require('../models/ShareHolding');
+const ShareTransaction = require('../models/ShareTransaction');
+const LedgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+
+// A running dividend run whose heartbeat is older than this is taken over by the next declaration
+const DIVIDEND_RUN_STALE_MS = 10 * 60 * 1000;
+const DIVIDEND_HEARTBEAT_MS = 60 * 1000;
+
+class ShareService {
+  // Bank share rules with defaults for banks created before shares existed
+  static getSettings(bank) {
+    const shares = (bank && bank.settings && bank.settings.shares) || {};
+    return {
+      faceValue: shares.faceValue || 100,
+      minimumShares: shares.minimumShares || 1,
+      maximumSharesPerMember: shares.maximumSharesPerMember || 10000
+    };
+  }
+
+  // Dividend on paid-up share capital at the declared annual rate
+  static calculateDividend(shareCapital, rate) {
+    return roundAmount(shareCapital * rate / 100);
+  }
+
+  // Shares are redeemed at the average amount paid up on them
+  static getRedemptionValue(holding, shares) {
+    if (shares === holding.shares) {
+      return roundAmount(holding.shareCapital);
+    }
+    return roundAmount(holding.shareCapital * shares / holding.shares);
+  }
+
+  // The member's own active savings account used to pay for shares
+  static async getSavingsAccount(member, accountId, session = null) {
+    const account = await Account.findById(accountId).session(session);
+    if (!account || account.userId.toString() !== member._id.toString()) {
+      throw new AppError('Account not found', 404);
+    }
+    if (account.accountType !== 'savings' || !account.isActive) {
+      throw new AppError('Shares must be paid from an active savings account', 400);
+    }
+    return account;
+  }
+
+  // Allot shares at the bank's face value, paid from the member's savings account
+  static async purchase({ member, cooperativeBankId, accountId, shares, processedBy }) {
+    return await withTransaction(async (session) => {
+      const [bank, account] = await Promise.all([
+        CooperativeBank.findById(cooperativeBankId).select('settings.shares').session(session),
+        this.getSavingsAccount(member, accountId, session)
+      ]);
+      const settings = this.getSettings(bank);
+
+      let holding = await ShareHolding.findOne({ userId: member._id, cooperativeBankId }).session(session);
+      const held = holding ? holding.shares : 0;
+
+      if (held === 0 && shares < settings.minimumShares) {
+        throw new AppError(`A member must hold at least ${settings.minimumShares} shares`, 400);
+      }
+      if (held + shares > settings.maximumSharesPerMember) {
+        throw new AppError(`A member can hold at most ${settings.maximumSharesPerMember} shares`, 400);
+      }
+
+      const amount = roundAmount(shares * settings.faceValue);
+
+      const { transaction } = await LedgerService.postTransaction({
+        cooperativeBankId,
+        transactionType: 'share_purchase',
+        amount,
+        description: `Purchase of ${shares} shares`,
+        processedBy,
+        postings: [
+          { account: account._id, debit: amount, enforceMinimumBalance: true },
+          { ledgerCode: 'SHARE_CAPITAL', credit: amount }
+        ]
+      }, session);
+
+      if (!holding) {
+        holding = new ShareHolding({ cooperativeBankId, userId: member._id, linkedAccount: account._id });
+        await holding.save({ session });
+      }
+
+      // The cap is re-checked on update so concurrent purchases cannot exceed it together
+      holding = await ShareHolding.findOneAndUpdate(
+        { _id: holding._id, shares: { $lte: settings.maximumSharesPerMember - shares } },
+        {
+          $inc: { shares, shareCapital: amount },
+          $set: { linkedAccount: account._id }
+        },
+        { new: true, session }
+      );
+      if (!holding) {
+        throw new AppError(`A member can hold at most ${settings.maximumSharesPerMember} shares`, 400);
+      }
+
+      const [entry] = await ShareTransaction.create([{
+        cooperativeBankId,
+        userId: member._id,
+        holding: holding._id,
+        type: 'purchase',
+        shares,
+        faceValue: settings.faceValue,
+        amount,
+        sharesAfter: holding.shares,
+        shareCapitalAfter: roundAmount(holding.shareCapital),
+        account: account._id,
+        transaction: transaction._id,
+        processedBy
+      }], { session });
+
+      return { holding, entry, transaction };
+    });
+  }
+
+  // Redeem shares back to the member's linked savings account
+  static async redeem({ member, cooperativeBankId, shares, processedBy }) {
+    return await withTransaction(async (session) => {
+      const [bank, current] = await Promise.all([
+        CooperativeBank.findById(cooperativeBankId).select('settings.shares').session(session),
+        ShareHolding.findOne({ userId: member._id, cooperativeBankId }).session(session)
+      ]);
+      const settings = this.getSettings(bank);
+
+      if (!current || current.shares === 0) {
+        throw new AppError('No shares held', 404);
+      }
+      if (shares > current.shares) {
+        throw new AppError(`Only ${current.shares} shares are held`, 400);
+      }
+
+      // Share capital stays with the bank while the member owes it money
+      if (await Loan.exists({ userId: member._id, status: 'disbursed' }).session(session)) {
+        throw new AppError('Shares cannot be redeemed while a loan is outstanding', 400);
+      }
+
+      const remaining = current.shares - shares;
+      if (remaining > 0 && remaining < settings.minimumShares) {
+        throw new AppError(`Redeem all shares or keep at least ${settings.minimumShares}`, 400);
+      }
+
+      const amount = this.getRedemptionValue(current, shares);
+
+      // Claim the holding as read so a concurrent purchase or redemption forces a retry
+      const holding = await ShareHolding.findOneAndUpdate(
+        { _id: current._id, shares: current.shares, shareCapital: current.shareCapital },
+        { $inc: { shares: -shares, shareCapital: -amount } },
+        { new: true, session }
+      );
+      if (!holding) {
+        throw new AppError('Share holding changed while redeeming, please retry', 409);
+      }
+
+      const { transaction } = await LedgerService.postTransaction({
+        cooperativeBankId,
+        transactionType: 'share_redemption',
+        amount,
+        description: `Redemption of ${shares} shares`,
+        processedBy,
+        postings: [
+          { ledgerCode: 'SHARE_CAPITAL', debit: amount },
+          { account: holding.linkedAccount, credit: amount }
+        ]
+      }, session);
+
+      const [entry] = await ShareTransaction.create([{
+        cooperativeBankId,
+        userId: member._id,
+        holding: holding._id,
+        type: 'redemption',
+        shares,
+        faceValue: roundAmount(amount / shares),
+        amount,
+        sharesAfter: holding.shares,
+        shareCapitalAfter: roundAmount(holding.shareCapital),
+        account: holding.linkedAccount,
+        transaction: transaction._id,
+        processedBy
+      }], { session });
+
+      return { holding, entry, transaction };
+    });
+  }
+
+  // Credit one member's dividend; the ledger entry's unique index stops double payment
+  static async payDividend(run, holding) {
+    const amount = this.calculateDividend(holding.shareCapital, run.rate);
+    if (amount < 0.01) {
+      return 0;
+    }
+
+    await withTransaction(async (session) => {
+      const { transaction } = await LedgerService.postTransaction({
+        cooperativeBankId: run.cooperativeBankId,
+        transactionType: 'dividend',
+        amount,
+        description: `Dividend ${run.financialYear} at ${run.rate}%`,
+        processedBy: run.declaredBy,
+        postings: [
+          { ledgerCode: 'DIVIDEND_APPROPRIATION', debit: amount },
+          { account: holding.linkedAccount, credit: amount }
+        ]
+      }, session);
+
+      const updated = await ShareHolding.findByIdAndUpdate(
+        holding._id,
+        { $inc: { totalDividendPaid: amount } },
+        { new: true, session }
+      );
+
+      await ShareTransaction.create([{
+        cooperativeBankId: run.cooperativeBankId,
+        userId: holding.userId,
+        holding: holding._id,
+        type: 'dividend',
+        amount,
+        sharesAfter: updated.shares,
+        shareCapitalAfter: roundAmount(updated.shareCapital),
+        account: holding.linkedAccount,
+        transaction: transaction._id,
+        dividendRun: run._id,
+        processedBy: run.declaredBy
+      }], { session });
+    });
+
+    return amount;
+  }
+
+  // Declare the annual dividend and credit every shareholder; a failed or abandoned run resumes when declared again
+  static async declareDividend({ cooperativeBankId, financialYear, rate, declaredBy }) {
+    let run = await DividendRun.findOne({ cooperativeBankId, financialYear });
+    const staleBefore = new Date(Date.now() - DIVIDEND_RUN_STALE_MS);
+
+    if (run) {
+      if (run.status === 'completed') {
+        throw new AppError(`Dividend for ${financialYear} has already been paid`, 409);
+      }
+      if (run.rate !== rate) {
+        throw new AppError(`Dividend for ${financialYear} was declared at ${run.rate}%`, 409);
+      }
+      if (run.status === 'running' && run.heartbeatAt > staleBefore) {
+        throw new AppError(`Dividend for ${financialYear} is already being paid`, 409);
+      }
+
+      // Only one declaration wins the takeover of a failed run or one left running by a crash
+      run = await DividendRun.findOneAndUpdate(
+        {
+          _id: run._id,
+          $or: [{ status: 'failed' }, { status: 'running', heartbeatAt: { $lte: staleBefore } }]
+        },
+        { $set: { status: 'running', failures: [], heartbeatAt: new Date() } },
+        { new: true }
+      );
+      if (!run) {
+        throw new AppError(`Dividend for ${financialYear} is already being paid`, 409);
+      }
+    } else {
+      run = await DividendRun.create({ cooperativeBankId, financialYear, rate, declaredBy });
+    }
+
+    const paid = await ShareTransaction.find({ dividendRun: run._id }).distinct('holding');
+    const paidHoldings = new Set(paid.map(id => id.toString()));
+    const holdings = await ShareHolding.find({ cooperativeBankId, shares: { $gt: 0 } });
+
+    let lastBeat = Date.now();
+
+    for (const holding of holdings) {
+      if (paidHoldings.has(holding._id.toString())) {
+        continue;
+      }
+
+      try {
+        await this.payDividend(run, holding);
+      } catch (error) {
+        run.failures.push({ holding: holding._id, message: error.message });
+        logger.error(`Dividend payment failed for holding ${holding.certificateNumber}:`, error);
+      }
+
+      if (Date.now() - lastBeat >= DIVIDEND_HEARTBEAT_MS) {
+        lastBeat = Date.now();
+        await DividendRun.updateOne({ _id: run._id }, { $set: { heartbeatAt: new Date(lastBeat) } });
+      }
+    }
+
+    // Count from the ledger of this run, so payments made before a crash are included
+    const [totals] = await ShareTransaction.aggregate([
+      { $match: { dividendRun: run._id } },
+      { $group: { _id: null, membersPaid: { $sum: 1 }, totalDividend: { $sum: '$amount' } } }
+    ]);
+    run.membersPaid = totals ? totals.membersPaid : 0;
+    run.totalDividend = totals ? roundAmount(totals.totalDividend) : 0;
+
+    run.status = run.failures.length > 0 ? 'failed' : 'completed';
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  // Printable share certificate for a holding
+  static async generateCertificate({ holding, member, bank }) {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([842, 595]);
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const { width, height } = page.getSize();
+
+    const centered = (text, y, font, size) => {
+      page.drawText(text, { x: (width - font.widthOfTextAtSize(text, size)) / 2, y, size, font });
+    };
+
+    page.drawRectangle({
+      x: 24,
+      y: 24,
+      width: width - 48,
+      height: height - 48,
+      borderColor: rgb(0.1, 0.2, 0.45),
+      borderWidth: 3
+    });
+
+    centered(bank.bankName, height - 90, bold, 24);
+    centered(`Registration No. ${bank.registrationNumber}`, height - 115, regular, 11);
+    if (bank.address) {
+      centered(`${bank.address.street}, ${bank.address.city}, ${bank.address.state} - ${bank.address.pincode}`, height - 132, regular, 11);
+    }
+    centered('SHARE CERTIFICATE', height - 185, bold, 28);
+
+    page.drawText(`Certificate No. ${holding.certificateNumber}`, { x: 70, y: height - 230, size: 12, font: regular });
+    const issued = `Date of issue: ${new Date().toISOString().slice(0, 10)}`;
+    page.drawText(issued, { x: width - 70 - regular.widthOfTextAtSize(issued, 12), y: height - 230, size: 12, font: regular });
+
+    const lines = [
+      `This is to certify that ${member.firstName} ${member.lastName}`,
+      `is the registered holder of ${holding.shares} fully paid-up shares of ${bank.bankName},`,
+      `with a total paid-up value of Rs. ${roundAmount(holding.shareCapital).toFixed(2)},`,
+      'subject to the bye-laws of the society.'
+    ];
+    lines.forEach((line, index) => centered(line, height - 290 - index * 26, regular, 15));
+
+    page.drawText('Member since', { x: 70, y: 130, size: 11, font: regular });
+    page.drawText(new Date(member.memberSince || holding.firstAllottedAt).toISOString().slice(0, 10), {
+      x: 70,
+      y: 112,
+      size: 11,
+      font: bold
+    });
+
+    page.drawLine({ start: { x: width - 270, y: 130 }, end: { x: width - 70, y: 130 }, thickness: 1 });
+    page.drawText('Authorised Signatory', { x: width - 230, y: 112, size: 11, font: regular });
+
+    return Buffer.from(await pdfDoc.save());
+  }
+}
+
+module.exports = ShareService;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// SMS providers by name; each implements send({ to, message }). A gateway integration
+// registers itself with registerProvider and is selected with SMS_PROVIDER.
+const providers = new Map();
+
+class SmsService {
+  static registerProvider(name, provider) {
+    if (!provider || typeof provider.send !== 'function') {
+      throw new Error(`SMS provider ${name} must implement send()`);
+    }
+    providers.set(name, provider);
+  }
+
+  static getProvider() {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const provider = providers.get(name);
+    if (!provider) {
+      throw new Error(`SMS provider ${name} is not registered`);
+    }
+    return provider;
+  }
+
+  static async send(to, message) {
+    return await this.getProvider().send({ to, message });
+  }
+
+  static async sendOtp(phone, { code, purposeText, expiresInMinutes }) {
+    return await this.send(
+      phone,
+      `${code} is your Cooperative Banking code to ${purposeText}. It expires in ${expiresInMinutes} minutes. Never share it with anyone.`
+    );
+  }
+}
+
+// Development stand-ins: log the message, or append it to an outbox file
+SmsService.registerProvider('console', {
+  send: async ({ to, message }) => {
+    logger.info(`SMS to ${to}: ${message}`);
+    return { provider: 'console' };
+  }
+});
+
+SmsService.registerProvider('file', {
+  send: async ({ to, message }) => {
+    const outbox = process.env.SMS_OUTBOX_FILE || path.join(process.env.LOG_DIR || 'logs', 'sms-outbox.log');
+    await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+    await fs.promises.appendFile(outbox, `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`);
+    return { provider: 'file' };
+  }
+});
+
+module.exports = SmsService;
@@ -0,0 +1,393 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Account = require('../models/Account');
+const AuditLog = require('../models/AuditLog');
+const CooperativeBank = require('../models/CooperativeBank');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const AuditService = require('./auditService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { startOfDay, addDays } = require('../utils/dates');
+
+// Transactions that moved the account balance; a reversed original did, and its reversal is listed separately
+const POSTED_STATUSES = ['completed', 'reversed'];
+
+const MAX_STATEMENT_DAYS = 366;
+
+const PAGE = { width: 595, height: 842, margin: 40 };
+
+const COLUMNS = [
+  { key: 'date', label: 'Date', x: 40, width: 62 },
+  { key: 'transactionId', label: 'Reference', x: 102, width: 112 },
+  { key: 'description', label: 'Description', x: 214, width: 150 },
+  { key: 'debit', label: 'Debit', x: 364, width: 62, align: 'right' },
+  { key: 'credit', label: 'Credit', x: 426, width: 62, align: 'right' },
+  { key: 'balance', label: 'Balance', x: 488, width: 67, align: 'right' }
+];
+
+// Calendar date in server local time, matching how statement periods are cut
+const formatDate = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+
+const formatAmount = (amount) => roundAmount(amount).toFixed(2);
+
+// Theme colours are stored as #rrggbb
+const hexToRgb = (hex, fallback = '#1976d2') => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '') || /^#?([0-9a-f]{6})$/i.exec(fallback);
+  const value = parseInt(match[1], 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+};
+
+// Standard PDF fonts only cover Latin-1
+const toPdfText = (text) => String(text || '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+// Quote CSV cells and stop spreadsheets from evaluating text as formulas
+const toCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class StatementService {
+  // Statement period as whole days; the end date is inclusive
+  static resolvePeriod(fromDate, toDate) {
+    const from = startOfDay(fromDate);
+    const to = startOfDay(toDate);
+
+    if (from > to) {
+      throw new AppError('From date must be on or before to date', 400);
+    }
+    if ((to - from) / (24 * 60 * 60 * 1000) >= MAX_STATEMENT_DAYS) {
+      throw new AppError(`A statement can cover at most ${MAX_STATEMENT_DAYS} days`, 400);
+    }
+
+    return { from, to, end: addDays(to, 1) };
+  }
+
+  // Statement lines with a running balance from the opening balance
+  static buildLines(accountId, openingBalance, transactions) {
+    let balance = openingBalance;
+    let totalCredits = 0;
+    let totalDebits = 0;
+
+    const lines = transactions.map(transaction => {
+      const effect = transaction.getAccountEffect(accountId);
+      balance = roundAmount(balance + effect);
+      if (effect > 0) totalCredits += effect;
+      if (effect < 0) totalDebits -= effect;
+
+      return {
+        date: transaction.processedAt,
+        transactionId: transaction.transactionId,
+        transactionType: transaction.transactionType,
+        description: transaction.description,
+        debit: effect < 0 ? roundAmount(-effect) : 0,
+        credit: effect > 0 ? roundAmount(effect) : 0,
+        balance
+      };
+    });
+
+    return {
+      lines,
+      totalCredits: roundAmount(totalCredits),
+      totalDebits: roundAmount(totalDebits),
+      closingBalance: roundAmount(balance)
+    };
+  }
+
+  // Opening and closing balances are rebuilt backwards from the current balance
+  static async buildStatement(account, fromDate, toDate) {
+    const { from, to, end } = this.resolvePeriod(fromDate, toDate);
+    const accountFilter = {
+      $or: [{ fromAccount: account._id }, { toAccount: account._id }],
+      status: { $in: POSTED_STATUSES }
+    };
+
+    const [later, transactions] = await Promise.all([
+      Transaction.find({ ...accountFilter, processedAt: { $gte: end } })
+        .select('amount transactionType fromAccount toAccount'),
+      Transaction.find({ ...accountFilter, processedAt: { $gte: from, $lt: end } })
+        .select('transactionId amount transactionType description fromAccount toAccount processedAt')
+        .sort({ processedAt: 1 })
+    ]);
+
+    const laterEffect = later.reduce((sum, transaction) => sum + transaction.getAccountEffect(account._id), 0);
+    const periodEffect = transactions.reduce((sum, transaction) => sum + transaction.getAccountEffect(account._id), 0);
+    const openingBalance = roundAmount(account.balance - laterEffect - periodEffect);
+
+    const { lines, totalCredits, totalDebits, closingBalance } = this.buildLines(account._id, openingBalance, transactions);
+
+    return {
+      accountNumber: account.accountNumber,
+      accountType: account.accountType,
+      from,
+      to,
+      period: `${formatDate(from)} to ${formatDate(to)}`,
+      openingBalance,
+      closingBalance,
+      totalCredits,
+      totalDebits,
+      lines
+    };
+  }
+
+  static toCsv(statement) {
+    const rows = [
+      ['Date', 'Reference', 'Type', 'Description', 'Debit', 'Credit', 'Balance'],
+      [formatDate(statement.from), '', '', 'Opening balance', '', '', formatAmount(statement.openingBalance)],
+      ...statement.lines.map(line => [
+        formatDate(line.date),
+        line.transactionId,
+        line.transactionType,
+        line.description,
+        line.debit ? formatAmount(line.debit) : '',
+        line.credit ? formatAmount(line.credit) : '',
+        formatAmount(line.balance)
+      ]),
+      [formatDate(statement.to), '', '', 'Closing balance', formatAmount(statement.totalDebits), formatAmount(statement.totalCredits), formatAmount(statement.closingBalance)]
+    ];
+
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Fetch the bank logo for the statement header; a missing or unreadable logo is left out
+  static async loadLogo(pdfDoc, logoUrl) {
+    if (!logoUrl || !/^https?:\/\//i.test(logoUrl)) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(logoUrl, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) {
+        return null;
+      }
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const isPng = bytes[0] === 0x89 && bytes[1] === 0x50;
+      return isPng ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+    } catch (error) {
+      logger.warn(`Could not load bank logo for statement: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Branded PDF statement using the bank's theme colours and logo
+  static async renderPdf(statement, { bank, member }) {
+    const pdfDoc = await PDFDocument.create();
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const theme = bank.theme || {};
+    const primary = hexToRgb(theme.primaryColor);
+    const logo = await this.loadLogo(pdfDoc, bank.logo);
+
+    let page;
+    let y;
+
+    const text = (value, x, size = 9, font = regular, color = rgb(0.2, 0.2, 0.2)) => {
+      page.drawText(toPdfText(value), { x, y, size, font, color });
+    };
+
+    // Cut text to a column width, marking the cut with dots
+    const fit = (value, width, font, size) => {
+      let result = toPdfText(value);
+      if (font.widthOfTextAtSize(result, size) <= width) return result;
+      while (result.length > 0 && font.widthOfTextAtSize(`${result}...`, size) > width) {
+        result = result.slice(0, -1);
+      }
+      return `${result}...`;
+    };
+
+    const drawTableHeader = () => {
+      page.drawRectangle({ x: PAGE.margin, y: y - 4, width: PAGE.width - PAGE.margin * 2, height: 16, color: primary });
+      COLUMNS.forEach(column => {
+        const x = column.align === 'right'
+          ? column.x + column.width - 4 - bold.widthOfTextAtSize(column.label, 9)
+          : column.x + 2;
+        text(column.label, x, 9, bold, rgb(1, 1, 1));
+      });
+      y -= 18;
+    };
+
+    const addPage = () => {
+      page = pdfDoc.addPage([PAGE.width, PAGE.height]);
+      y = PAGE.height - PAGE.margin;
+    };
+
+    addPage();
+
+    // Header band
+    page.drawRectangle({ x: 0, y: PAGE.height - 90, width: PAGE.width, height: 90, color: primary });
+    let titleX = PAGE.margin;
+    if (logo) {
+      const scaled = logo.scaleToFit(120, 56);
+      page.drawImage(logo, { x: PAGE.margin, y: PAGE.height - 73, width: scaled.width, height: scaled.height });
+      titleX += scaled.width + 14;
+    }
+    y = PAGE.height - 45;
+    text(bank.bankName, titleX, 18, bold, rgb(1, 1, 1));
+    y -= 20;
+    text('Account Statement', titleX, 11, regular, rgb(1, 1, 1));
+
+    // Member and account details
+    y = PAGE.height - 120;
+    const address = member.address
+      ? [member.address.street, member.address.city, member.address.state, member.address.pincode].filter(Boolean).join(', ')
+      : '';
+    text(`${member.firstName} ${member.lastName}`, PAGE.margin, 11, bold);
+    text(`Account number: ${statement.accountNumber}`, 330, 10);
+    y -= 15;
+    text(address, PAGE.margin, 9);
+    text(`Account type: ${statement.accountType.replace(/_/g, ' ')}`, 330, 10);
+    y -= 15;
+    text(`Period: ${statement.period}`, 330, 10);
+    y -= 15;
+    text(`Generated: ${formatDate(new Date())}`, 330, 10);
+
+    // Summary
+    y -= 28;
+    const summary = [
+      ['Opening balance', statement.openingBalance],
+      ['Total credits', statement.totalCredits],
+      ['Total debits', statement.totalDebits],
+      ['Closing balance', statement.closingBalance]
+    ];
+    summary.forEach(([label], index) => {
+      const x = PAGE.margin + index * 129;
+      text(label, x, 9, regular, rgb(0.4, 0.4, 0.4));
+    });
+    y -= 14;
+    summary.forEach(([, amount], index) => {
+      const x = PAGE.margin + index * 129;
+      text(formatAmount(amount), x, 12, bold, primary);
+    });
+
+    y -= 30;
+    drawTableHeader();
+
+    if (statement.lines.length === 0) {
+      text('No transactions in this period.', PAGE.margin + 2, 9);
+      y -= 14;
+    }
+
+    statement.lines.forEach((line, index) => {
+      if (y < PAGE.margin + 30) {
+        addPage();
+        drawTableHeader();
+      }
+
+      if (index % 2 === 1) {
+        page.drawRectangle({ x: PAGE.margin, y: y - 4, width: PAGE.width - PAGE.margin * 2, height: 14, color: rgb(0.96, 0.96, 0.96) });
+      }
+
+      const values = {
+        date: formatDate(line.date),
+        transactionId: line.transactionId,
+        description: line.description,
+        debit: line.debit ? formatAmount(line.debit) : '',
+        credit: line.credit ? formatAmount(line.credit) : '',
+        balance: formatAmount(line.balance)
+      };
+
+      COLUMNS.forEach(column => {
+        const value = fit(values[column.key], column.width - 6, regular, 8);
+        const x = column.align === 'right'
+          ? column.x + column.width - 4 - regular.widthOfTextAtSize(value, 8)
+          : column.x + 2;
+        text(value, x, 8);
+      });
+      y -= 14;
+    });
+
+    // Footer with page numbers
+    const pages = pdfDoc.getPages();
+    pages.forEach((current, index) => {
+      const footer = `${toPdfText(bank.bankName)} - computer generated statement, no signature required. Page ${index + 1} of ${pages.length}`;
+      current.drawText(footer, { x: PAGE.margin, y: 20, size: 7, font: regular, color: rgb(0.5, 0.5, 0.5) });
+    });
+
+    return Buffer.from(await pdfDoc.save());
+  }
+
+  // Email a statement PDF to the account holder
+  static async emailStatement(statement, { bank, member, pdf }) {
+    await emailService.sendAccountStatement(member.email, `${member.firstName} ${member.lastName}`, {
+      bankName: bank.bankName,
+      accountNumber: statement.accountNumber,
+      period: statement.period,
+      transactions: statement.lines.map(line => ({
+        ...line,
+        date: formatDate(line.date),
+        debit: line.debit ? formatAmount(line.debit) : '',
+        credit: line.credit ? formatAmount(line.credit) : '',
+        balance: formatAmount(line.balance)
+      })),
+      openingBalance: formatAmount(statement.openingBalance),
+      closingBalance: formatAmount(statement.closingBalance),
+      pdfBuffer: pdf
+    });
+  }
+
+  // Monthly job: email last month's statement of every active account to members who opted in
+  static async sendMonthlyEStatements(asOf = new Date()) {
+    const from = new Date(asOf.getFullYear(), asOf.getMonth() - 1, 1);
+    const to = new Date(asOf.getFullYear(), asOf.getMonth(), 0);
+    const period = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}`;
+
+    const members = await User.find({ eStatementOptIn: true, isActive: true })
+      .select('firstName lastName email address cooperativeBankId');
+    const banks = new Map();
+    const result = { members: members.length, sent: 0, skipped: 0, failed: 0 };
+
+    for (const member of members) {
+      const accounts = await Account.find({ userId: member._id, isActive: true });
+
+      for (const account of accounts) {
+        try {
+          // The audit entry doubles as the record that this month's statement went out
+          const alreadySent = await AuditLog.exists({
+            action: 'STATEMENT_REQUEST',
+            resourceType: 'ACCOUNT',
+            resourceId: account._id,
+            'details.channel': 'e_statement',
+            'details.period': period
+          });
+          if (alreadySent) {
+            result.skipped += 1;
+            continue;
+          }
+
+          const bankKey = account.cooperativeBankId.toString();
+          if (!banks.has(bankKey)) {
+            banks.set(bankKey, await CooperativeBank.findById(account.cooperativeBankId).select('bankName logo theme'));
+          }
+          const bank = banks.get(bankKey);
+
+          const statement = await this.buildStatement(account, from, to);
+          const pdf = await this.renderPdf(statement, { bank, member });
+          await this.emailStatement(statement, { bank, member, pdf });
+
+          await AuditService.logAccountEvent(member._id, account.cooperativeBankId, 'STATEMENT_REQUEST', account._id, {
+            channel: 'e_statement',
+            period,
+            accountNumber: account.accountNumber
+          });
+          result.sent += 1;
+        } catch (error) {
+          result.failed += 1;
+          logger.error(`E-statement failed for account ${account.accountNumber}:`, error);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+StatementService.MAX_STATEMENT_DAYS = MAX_STATEMENT_DAYS;
+
+module.exports = StatementService;
@@ -0,0 +1,78 @@
+const redisService = require('./redisService');
+const OtpService = require('./otpService');
+const TwoFactorService = require('./twoFactorService');
+const { AppError } = require('../middleware/validation');
+
+const DEFAULT_SETTINGS = {
+  amountThreshold: 25000,
+  windowMinutes: 5
+};
+
+// A step-up is a recent re-verification recorded against the current session only
+class StepUpService {
+  static getSettings(bank) {
+    const security = (bank && bank.settings && bank.settings.security) || {};
+    const stepUp = security.stepUp || {};
+    return {
+      amountThreshold: typeof stepUp.amountThreshold === 'number' ? stepUp.amountThreshold : DEFAULT_SETTINGS.amountThreshold,
+      windowMinutes: stepUp.windowMinutes || DEFAULT_SETTINGS.windowMinutes
+    };
+  }
+
+  static isAmountAboveThreshold(amount, bank) {
+    const value = parseFloat(amount);
+    return Number.isFinite(value) && value > this.getSettings(bank).amountThreshold;
+  }
+
+  // Ways the user can step up; TOTP only once it is enrolled
+  static getMethods(user) {
+    const methods = ['password', 'otp'];
+    if (user.twoFactor && user.twoFactor.enabled) {
+      methods.push('totp');
+    }
+    return methods;
+  }
+
+  static async isVerified(sessionId) {
+    return Boolean(sessionId) && await redisService.exists(`step-up:${sessionId}`);
+  }
+
+  static async sendOtp(user, sessionId, channel = 'email') {
+    // Codes only go to a phone number the user has proved they hold
+    if (channel === 'sms' && !user.phoneVerified) {
+      throw new AppError('Verify your phone number before receiving codes by SMS', 400);
+    }
+    return await OtpService.issue({ key: `step-up:${sessionId}`, user, purpose: 'step_up', channel });
+  }
+
+  // Re-verify with a password, a delivered OTP or a TOTP code and open the step-up window
+  static async verify(userId, sessionId, { password, otp, code }, bank) {
+    const user = await TwoFactorService.loadUser(userId);
+
+    let method = null;
+    if (password && await user.comparePassword(password)) {
+      method = 'password';
+    } else if (otp && await OtpService.verify(`step-up:${sessionId}`, otp)) {
+      method = 'otp';
+    } else if (code && await TwoFactorService.verifyTotp(user, code)) {
+      method = 'totp';
+    }
+
+    if (!method) {
+      throw new AppError('Verification failed', 401);
+    }
+
+    const { windowMinutes } = this.getSettings(bank);
+    const verifiedAt = new Date();
+    const saved = await redisService.set(`step-up:${sessionId}`, { method, verifiedAt }, windowMinutes * 60);
+    if (!saved) {
+      throw new AppError('Verification service unavailable, please try again shortly', 503);
+    }
+
+    return { method, verifiedAt, expiresAt: new Date(verifiedAt.getTime() + windowMinutes * 60 * 1000) };
+  }
+}
+
+StepUpService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = StepUpService;
@@ -0,0 +1,208 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const CooperativeBank = require('../models/CooperativeBank');
+const { AppError } = require('../middleware/validation');
+const { roundAmount } = require('../utils/money');
+const { withTransaction } = require('../utils/dbSession');
+
+const LIMIT_TYPES = ['dailyDeposit', 'dailyWithdrawal', 'dailyTransfer', 'monthlyTransaction'];
+
+// Limits consumed by the debit (or only) leg of each transaction type
+const LIMITS_BY_TRANSACTION = {
+  deposit: ['dailyDeposit', 'monthlyTransaction'],
+  withdrawal: ['dailyWithdrawal', 'monthlyTransaction'],
+  transfer: ['dailyTransfer', 'monthlyTransaction']
+};
+
+const LIMIT_LABELS = {
+  dailyDeposit: 'Daily deposit',
+  dailyWithdrawal: 'Daily withdrawal',
+  dailyTransfer: 'Daily transfer',
+  monthlyTransaction: 'Monthly transaction'
+};
+
+class TransactionLimitService {
+  // Effective limits: member override, then account type override, then bank default
+  static resolveLimits(bank, accountType, member) {
+    const defaults = (bank && bank.settings && bank.settings.transactionLimits) || {};
+    const typeOverride = (defaults.accountTypeOverrides || [])
+      .find(override => override.accountType === accountType) || {};
+    const memberOverride = (member && member.transactionLimits) || {};
+
+    const limits = {};
+    LIMIT_TYPES.forEach(type => {
+      const limit = [memberOverride[type], typeOverride[type], defaults[type]]
+        .find(value => typeof value === 'number');
+      limits[type] = typeof limit === 'number' ? limit : null;
+    });
+
+    return limits;
+  }
+
+  // Amount a member has already moved against each limit; a pending transaction being approved is left out
+  static async getUsage(userId, asOf = new Date(), { session = null, excludeTransactionId = null } = {}) {
+    const dayStart = new Date(asOf);
+    dayStart.setHours(0, 0, 0, 0);
+    const monthStart = new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+    const nextMonth = new Date(asOf.getFullYear(), asOf.getMonth() + 1, 1);
+
+    const accounts = await Account.find({ userId }).select('_id').session(session);
+    const ownAccounts = new Set(accounts.map(account => account._id.toString()));
+    const accountIds = accounts.map(account => account._id);
+
+    const transactions = await Transaction.find({
+      $or: [
+        { fromAccount: { $in: accountIds } },
+        { toAccount: { $in: accountIds } }
+      ],
+      transactionType: { $in: Object.keys(LIMITS_BY_TRANSACTION) },
+      // Pending approvals hold their headroom so a queue cannot exceed the limit
+      status: { $in: ['completed', 'pending'] },
+      processedAt: { $gte: monthStart, $lt: nextMonth },
+      ...(excludeTransactionId && { _id: { $ne: excludeTransactionId } })
+    }).select('transactionType amount fromAccount toAccount processedAt').session(session);
+
+    const usage = { dailyDeposit: 0, dailyWithdrawal: 0, dailyTransfer: 0, monthlyTransaction: 0 };
+
+    transactions.forEach(txn => {
+      const isToday = txn.processedAt >= dayStart;
+      const fromOwn = txn.fromAccount && ownAccounts.has(txn.fromAccount.toString());
+
+      // Each transaction counts once towards the monthly limit, whichever leg is the member's
+      usage.monthlyTransaction += txn.amount;
+
+      if (!isToday) return;
+
+      if (txn.transactionType === 'deposit') {
+        usage.dailyDeposit += txn.amount;
+      } else if (txn.transactionType === 'withdrawal' && fromOwn) {
+        usage.dailyWithdrawal += txn.amount;
+      } else if (txn.transactionType === 'transfer' && fromOwn) {
+        usage.dailyTransfer += txn.amount;
+      }
+    });
+
+    Object.keys(usage).forEach(type => {
+      usage[type] = roundAmount(usage[type]);
+    });
+
+    return usage;
+  }
+
+  // Headroom for one leg of a transaction; lists the limits it would breach
+  static async evaluateLeg(account, limitTypes, amount, options = {}) {
+    const [bank, member, usage] = await Promise.all([
+      CooperativeBank.findById(account.cooperativeBankId).select('settings.transactionLimits'),
+      User.findById(account.userId).select('transactionLimits').session(options.session || null),
+      this.getUsage(account.userId, new Date(), options)
+    ]);
+
+    const limits = this.resolveLimits(bank, account.accountType, member);
+    const headroom = {};
+    const exceeded = [];
+
+    limitTypes.forEach(type => {
+      if (limits[type] === null) return;
+
+      const used = roundAmount(usage[type] + amount);
+      headroom[type] = {
+        limit: limits[type],
+        used,
+        remaining: roundAmount(Math.max(limits[type] - used, 0))
+      };
+
+      if (used > limits[type]) {
+        exceeded.push(`${LIMIT_LABELS[type]} limit exceeded. Limit: ${limits[type]}, Used: ${usage[type]}`);
+      }
+    });
+
+    return { headroom, exceeded };
+  }
+
+  // Check both legs of a money movement; throws when any limit would be exceeded.
+  // Inside a session the members are locked first, so the check holds until the session commits
+  static async enforce({ transactionType, amount, account, toAccount = null, session = null, excludeTransactionId = null }) {
+    if (session) {
+      await this.lockMembers([account.userId, toAccount && toAccount.userId], session);
+    }
+
+    const options = { session, excludeTransactionId };
+    const value = roundAmount(amount);
+    const source = await this.evaluateLeg(account, LIMITS_BY_TRANSACTION[transactionType], value, options);
+    const result = { account: source.headroom };
+    const exceeded = [...source.exceeded];
+
+    // The receiving member's monthly limit is consumed by the credit leg of a transfer
+    if (toAccount && toAccount.userId.toString() !== account.userId.toString()) {
+      const destination = await this.evaluateLeg(toAccount, ['monthlyTransaction'], value, options);
+      result.toAccount = destination.headroom;
+      exceeded.push(...destination.exceeded.map(message => `Receiving account: ${message}`));
+    }
+
+    if (exceeded.length > 0) {
+      throw new AppError(exceeded.join('; '), 400);
+    }
+
+    return result;
+  }
+
+  // Write to each member's document so a concurrent session checking the same member hits a write conflict
+  // instead of reading usage that is about to change
+  static async lockMembers(userIds, session) {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    for (const userId of ids) {
+      await User.updateOne({ _id: userId }, { $currentDate: { updatedAt: true } }, { session, timestamps: false });
+    }
+  }
+
+  // Check limits and run work(session) in one MongoDB transaction, so the movement cannot slip past
+  // a limit that a concurrent movement is using up; resolves to { limits, result }
+  static async withinLimits(details, work, session = null) {
+    try {
+      return await withTransaction(async (txnSession) => {
+        const limits = await this.enforce({ ...details, session: txnSession });
+        return { limits, result: await work(txnSession) };
+      }, session);
+    } catch (error) {
+      if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+        throw new AppError('Another transaction for this member is in progress, please try again', 409);
+      }
+      throw error;
+    }
+  }
+
+  // Current limits, usage and headroom for every active account of a member
+  static async getMemberLimitSummary(member) {
+    const [bank, accounts, usage] = await Promise.all([
+      CooperativeBank.findById(member.cooperativeBankId).select('settings.transactionLimits'),
+      Account.find({ userId: member._id, isActive: true }).select('accountNumber accountType'),
+      this.getUsage(member._id)
+    ]);
+
+    return {
+      usage,
+      accounts: accounts.map(account => {
+        const limits = this.resolveLimits(bank, account.accountType, member);
+        const headroom = {};
+        LIMIT_TYPES.forEach(type => {
+          headroom[type] = {
+            limit: limits[type],
+            used: usage[type],
+            remaining: limits[type] === null ? null : roundAmount(Math.max(limits[type] - usage[type], 0))
+          };
+        });
+        return {
+          accountId: account._id,
+          accountNumber: account.accountNumber,
+          accountType: account.accountType,
+          limits: headroom
+        };
+      })
+    };
+  }
+}
+
+TransactionLimitService.LIMIT_TYPES = LIMIT_TYPES;
+
+module.exports = TransactionLimitService;
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const redisService = require('./redisService');
+const { AppError } = require('../middleware/validation');
+const { generateSecret, verifyCode, buildOtpAuthUri } = require('../utils/totp');
+const { encrypt, decrypt, hashValue } = require('../utils/encryption');
+const { isStaffRole } = require('./permissionService');
+
+const CHALLENGE_EXPIRY = '5m';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+  // Whether the bank forces this user to use a second factor
+  static isRequiredFor(user, bank) {
+    const security = (bank && bank.settings && bank.settings.security) || {};
+    return isStaffRole(user.role) && Boolean(security.requireTwoFactorForStaff);
+  }
+
+  // Short-lived token proving the password step passed; 'verify' asks for a code, 'enrol' for enrolment
+  static issueChallenge(user, purpose) {
+    return jwt.sign(
+      { userId: user._id, purpose, type: 'mfa_challenge', jti: crypto.randomUUID() },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRY }
+    );
+  }
+
+  static verifyChallenge(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new AppError('Invalid or expired challenge, please sign in again', 401);
+    }
+    if (decoded.type !== 'mfa_challenge' || decoded.purpose !== purpose) {
+      throw new AppError('Invalid or expired challenge, please sign in again', 401);
+    }
+    return decoded;
+  }
+
+  // Each challenge allows a handful of code attempts before the user must sign in again
+  static async assertChallengeAttempts(decoded) {
+    const { allowed } = await redisService.checkRateLimit(
+      `mfa-challenge:${decoded.jti}`,
+      MAX_CHALLENGE_ATTEMPTS,
+      5 * 60 * 1000
+    );
+    if (!allowed) {
+      throw new AppError('Too many invalid codes, please sign in again', 429);
+    }
+  }
+
+  static async loadUser(userId) {
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or inactive', 401);
+    }
+    return user;
+  }
+
+  // Plain codes are shown once; only their hashes are stored
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashValue(code)) };
+  }
+
+  // Start enrolment with a fresh secret that is activated by the first valid code
+  static async beginEnrolment(userId, issuer) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encrypt(secret) } });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer })
+    };
+  }
+
+  static async completeEnrolment(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+
+    return { recoveryCodes: codes };
+  }
+
+  // Accept a current TOTP code once; a replayed code from the same time step is refused
+  static async verifyTotp(user, code) {
+    if (!user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    const step = verifyCode(decrypt(user.twoFactor.secret), code);
+    if (step === null) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Each recovery code works once
+  static async useRecoveryCode(user, recoveryCode) {
+    const hash = hashValue(String(recoveryCode || '').trim().toLowerCase());
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Second step of login with either a TOTP code or a recovery code
+  static async verifySecondFactor(userId, { code, recoveryCode }) {
+    const user = await this.loadUser(userId);
+
+    if (code && await this.verifyTotp(user, code)) {
+      return { user, method: 'totp' };
+    }
+    if (recoveryCode && await this.useRecoveryCode(user, recoveryCode)) {
+      return { user, method: 'recovery_code', recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 };
+    }
+
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  // Turning 2FA off needs the password and a current code, and is refused where the bank requires it
+  static async disable(userId, { password, code }, bank) {
+    const user = await this.loadUser(userId);
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (this.isRequiredFor(user, bank)) {
+      throw new AppError('Your bank requires two-factor authentication for staff', 403);
+    }
+    if (!(await user.comparePassword(password))) {
+      throw new AppError('Invalid password', 401);
+    }
+    if (!(await this.verifyTotp(user, code))) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': ''
+        }
+      }
+    );
+  }
+
+  // Replace all recovery codes after confirming a current code
+  static async regenerateRecoveryCodes(userId, code) {
+    const user = await this.loadUser(userId);
+    if (!(await this.verifyTotp(user, code))) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    return { recoveryCodes: codes };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OtpService = require('./otpService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/validation');
+const { hashValue } = require('../utils/encryption');
+
+const EMAIL_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Codes are tied to the number they were sent to, so changing it again voids them
+const phoneOtpKey = (user) => `phone-verify:${user._id}:${user.phone}`;
+
+class VerificationService {
+  static isVerified(user) {
+    return Boolean(user.emailVerified && user.phoneVerified);
+  }
+
+  static getStatus(user) {
+    return {
+      emailVerified: Boolean(user.emailVerified),
+      phoneVerified: Boolean(user.phoneVerified)
+    };
+  }
+
+  // Email a verification link; a new link replaces any earlier one
+  static async sendEmailVerification(user) {
+    if (user.emailVerified) {
+      throw new AppError('Email address is already verified', 400);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'emailVerification.tokenHash': hashValue(token),
+          'emailVerification.expiresAt': new Date(Date.now() + EMAIL_TOKEN_TTL_MS)
+        }
+      }
+    );
+
+    await emailService.sendEmailVerification(user.email, token, user.fullName || user.firstName);
+  }
+
+  // Mark the email verified; the token works once
+  static async verifyEmail(token) {
+    const user = await User.findOneAndUpdate(
+      {
+        'emailVerification.tokenHash': hashValue(token),
+        'emailVerification.expiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerification: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('Verification link is invalid or has expired', 400);
+    }
+    return user;
+  }
+
+  // Text a one-time code to the user's current phone number
+  static async sendPhoneOtp(user) {
+    if (user.phoneVerified) {
+      throw new AppError('Phone number is already verified', 400);
+    }
+
+    return await OtpService.issue({ key: phoneOtpKey(user), user, purpose: 'phone_verification', channel: 'sms' });
+  }
+
+  static async verifyPhone(user, code) {
+    if (!(await OtpService.verify(phoneOtpKey(user), code))) {
+      throw new AppError('Invalid or expired verification code', 400);
+    }
+
+    // Only the number the code was sent to is marked verified
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, phone: user.phone },
+      { $set: { phoneVerified: true } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('Phone number changed, please request a new code', 409);
+    }
+    return updated;
+  }
+
+  // Start whichever verifications are outstanding; delivery failures leave the user to resend
+  static async start(user) {
+    const sent = { email: false, phone: false };
+
+    if (!user.emailVerified) {
+      try {
+        await this.sendEmailVerification(user);
+        sent.email = true;
+      } catch (error) {
+        logger.error('Failed to send email verification:', error);
+      }
+    }
+
+    if (!user.phoneVerified) {
+      try {
+        await this.sendPhoneOtp(user);
+        sent.phone = true;
+      } catch (error) {
+        logger.error('Failed to send phone verification code:', error);
+      }
+    }
+
+    return sent;
+  }
+}
+
+VerificationService.EMAIL_TOKEN_TTL_MS = EMAIL_TOKEN_TTL_MS;
+
+module.exports = VerificationService;
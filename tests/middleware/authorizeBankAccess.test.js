@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { authorizeBankAccess } = require('../../middleware/auth');
+
+describe('authorizeBankAccess', () => {
+  const bankId = new mongoose.Types.ObjectId();
+
+  const buildRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it('should let a user into their own bank when authenticateToken populated it', () => {
+    const req = {
+      user: { role: 'admin', cooperativeBankId: { _id: bankId, bankName: 'Test Cooperative Bank', isActive: true } },
+      params: { bankId: bankId.toString() }
+    };
+    const next = jest.fn();
+
+    authorizeBankAccess(req, buildRes(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept an unpopulated bank id', () => {
+    const req = { user: { role: 'admin', cooperativeBankId: bankId }, params: {}, cooperativeBankId: bankId };
+    const next = jest.fn();
+
+    authorizeBankAccess(req, buildRes(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should refuse another bank', () => {
+    const req = {
+      user: { role: 'admin', cooperativeBankId: { _id: bankId } },
+      params: { bankId: new mongoose.Types.ObjectId().toString() }
+    };
+    const res = buildRes();
+    const next = jest.fn();
+
+    authorizeBankAccess(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../services/redisService', () => require('../utils/redisMock'));
+
+// In-memory stand-in for the key collection, enforcing the unique (bank, user, key) index
+jest.mock('../../models/IdempotencyKey', () => {
+  const records = new Map();
+  const idOf = ({ cooperativeBankId, userId, key }) => `${cooperativeBankId}:${userId}:${key}`;
+  return {
+    records,
+    create: async (data) => {
+      const _id = idOf(data);
+      if (records.has(_id)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const record = { ...data, _id, status: 'processing', save: async () => record };
+      records.set(_id, record);
+      return record;
+    },
+    findOne: async (scope) => records.get(idOf(scope)) || null,
+    deleteOne: async ({ _id }) => records.delete(_id)
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../../models/IdempotencyKey');
+const redisService = require('../../services/redisService');
+const { idempotency } = require('../../middleware/idempotency');
+
+describe('idempotency', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let calls;
+  let release;
+
+  // A payment endpoint whose outcome the test picks through the body
+  const buildApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/pay', (req, res, next) => {
+      req.user = { _id: userId };
+      next();
+    }, idempotency(), async (req, res, next) => {
+      calls += 1;
+      if (req.body.wait) {
+        await new Promise(resolve => { release = resolve; });
+      }
+      if (req.body.outcome === 'failed') {
+        return next(new Error('ledger unavailable'));
+      }
+      const status = req.body.outcome === 'declined' ? 400 : 201;
+      res.status(status).json({ success: status === 201, call: calls });
+    });
+    app.use((err, req, res, next) => res.status(500).json({ success: false }));
+    return app;
+  };
+
+  const pay = (app, body, key = 'key-1') => request(app).post('/pay').set('Idempotency-Key', key).send(body);
+
+  // Release happens once the response has closed
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    calls = 0;
+    release = null;
+    IdempotencyKey.records.clear();
+    redisService.store.clear();
+  });
+
+  it('should replay the first successful response without running the handler again', async () => {
+    const app = buildApp();
+
+    const first = await pay(app, { amount: 100 }).expect(201);
+    const retry = await pay(app, { amount: 100 }).expect(201);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('should refuse the same key with a different payload', async () => {
+    const app = buildApp();
+    await pay(app, { amount: 100 }).expect(201);
+
+    const response = await pay(app, { amount: 999 }).expect(422);
+
+    expect(response.body.message).toContain('different request payload');
+    expect(calls).toBe(1);
+  });
+
+  it('should turn away a duplicate that arrives while the first is still running', async () => {
+    const app = buildApp();
+    const first = pay(app, { amount: 100, wait: true }).then(response => response);
+    while (!release) {
+      await settle();
+    }
+
+    const duplicate = await pay(app, { amount: 100, wait: true }).expect(409);
+    release();
+
+    expect(duplicate.body.message).toContain('still being processed');
+    expect((await first).status).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  it.each([
+    ['declined', 400],
+    ['failed', 500]
+  ])('should release the key after a %s request so it can be retried', async (outcome, status) => {
+    const app = buildApp();
+
+    await pay(app, { amount: 100, outcome }).expect(status);
+    await settle();
+
+    expect(IdempotencyKey.records.size).toBe(0);
+    await pay(app, { amount: 100, outcome }).expect(status);
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const CooperativeBank = require('../../models/CooperativeBank');
+const TenantContext = require('../../utils/tenantContext');
+const { switchBankContext, allowCrossBank } = require('../../middleware/auth');
+
+describe('switchBankContext', () => {
+  const homeBankId = new mongoose.Types.ObjectId();
+  const otherBankId = new mongoose.Types.ObjectId();
+
+  const buildReq = (role, bankHeader) => ({
+    user: { _id: new mongoose.Types.ObjectId(), role },
+    cooperativeBankId: homeBankId,
+    get: (name) => (name === 'X-Bank-Id' ? bankHeader : undefined)
+  });
+
+  const buildRes = () => {
+    const res = { headers: {} };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    return res;
+  };
+
+  const mockBank = (bank) => jest.spyOn(CooperativeBank, 'findById').mockReturnValue({
+    select: () => Promise.resolve(bank)
+  });
+
+  it('should leave the request untouched without the header', async () => {
+    const req = buildReq('super_admin');
+    const next = jest.fn();
+
+    await switchBankContext(req, buildRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.bankContext).toBeUndefined();
+    expect(req.cooperativeBankId).toBe(homeBankId);
+  });
+
+  it('should move a super admin into an active bank and scope the request to it', async () => {
+    mockBank({ _id: otherBankId, bankName: 'Other Bank', status: 'active', isActive: true });
+    const req = buildReq('super_admin', otherBankId.toString());
+    const res = buildRes();
+    let context;
+
+    await switchBankContext(req, res, () => { context = TenantContext.get(); });
+
+    expect(req.cooperativeBankId).toBe(otherBankId);
+    expect(req.bankContext).toEqual(expect.objectContaining({ cooperativeBankId: otherBankId, homeBankId }));
+    expect(res.headers['X-Bank-Id']).toBe(otherBankId.toString());
+    expect(context).toEqual(expect.objectContaining({ cooperativeBankId: otherBankId, crossBank: false }));
+  });
+
+  it('should keep a switched super admin inside the selected bank on cross-bank routes', async () => {
+    mockBank({ _id: otherBankId, bankName: 'Other Bank', status: 'active', isActive: true });
+    const req = buildReq('super_admin', otherBankId.toString());
+    let context;
+
+    await switchBankContext(req, buildRes(), () => allowCrossBank(req, {}, () => { context = TenantContext.get(); }));
+
+    expect(context.crossBank).toBe(false);
+  });
+
+  it('should reject unknown and inactive banks', async () => {
+    mockBank(null);
+    let res = buildRes();
+    await switchBankContext(buildReq('super_admin', otherBankId.toString()), res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    mockBank({ _id: otherBankId, status: 'suspended', isActive: true });
+    res = buildRes();
+    await switchBankContext(buildReq('super_admin', otherBankId.toString()), res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    res = buildRes();
+    await switchBankContext(buildReq('super_admin', 'not-a-bank'), res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should only let other users name their own bank', async () => {
+    const next = jest.fn();
+    await switchBankContext(buildReq('admin', homeBankId.toString()), buildRes(), next);
+    expect(next).toHaveBeenCalled();
+
+    const res = buildRes();
+    await switchBankContext(buildReq('admin', otherBankId.toString()), res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Account = require('../../models/Account');
+const Branch = require('../../models/Branch');
+const CooperativeBank = require('../../models/CooperativeBank');
+const BranchService = require('../../services/branchService');
+
+describe('Account Model', () => {
+  const bankId = new mongoose.Types.ObjectId();
+  const mainBranchId = new mongoose.Types.ObjectId();
+  const marketBranchId = new mongoose.Types.ObjectId();
+
+  const openAccount = (overrides = {}) => new Account({
+    userId: new mongoose.Types.ObjectId(),
+    cooperativeBankId: bankId,
+    ...overrides
+  }).save();
+
+  beforeEach(async () => {
+    await CooperativeBank.collection.insertOne({ _id: bankId, bankCode: 'ABCDEF', isActive: true });
+    await Branch.collection.insertMany([
+      { _id: mainBranchId, cooperativeBankId: bankId, branchCode: '001', isHeadOffice: true, isActive: true },
+      { _id: marketBranchId, cooperativeBankId: bankId, branchCode: '002', isHeadOffice: false, isActive: true }
+    ]);
+  });
+
+  describe('Account numbers', () => {
+    it('should combine the bank prefix, branch code and a running number', async () => {
+      const first = await openAccount({ branchId: marketBranchId });
+      const second = await openAccount({ branchId: marketBranchId });
+
+      expect(first.accountNumber).toBe('ABC002000001');
+      expect(second.accountNumber).toBe('ABC002000002');
+      expect(second.branchCode).toBe('002');
+    });
+
+    it('should book accounts without a branch at the head office', async () => {
+      const account = await openAccount();
+
+      expect(account.branchId.toString()).toBe(mainBranchId.toString());
+      expect(account.accountNumber).toBe('ABC001000001');
+    });
+
+    it('should not reuse a number after an account moves to another branch', async () => {
+      const moved = await openAccount({ branchId: marketBranchId });
+      await openAccount({ branchId: marketBranchId });
+
+      await BranchService.assignAccount(moved, mainBranchId);
+      const next = await openAccount({ branchId: marketBranchId });
+
+      expect(moved.accountNumber).toBe('ABC002000001');
+      expect(next.accountNumber).toBe('ABC002000003');
+    });
+
+    it('should continue after numbers issued before the counter existed', async () => {
+      await Account.collection.insertOne({
+        accountNumber: 'ABC002000041',
+        userId: new mongoose.Types.ObjectId(),
+        cooperativeBankId: bankId,
+        branchCode: '002'
+      });
+
+      const account = await openAccount({ branchId: marketBranchId });
+
+      expect(account.accountNumber).toBe('ABC002000042');
+    });
+  });
+});
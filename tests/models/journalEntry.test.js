@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../../models/JournalEntry');
+const LedgerService = require('../../services/ledgerService');
+
+describe('JournalEntry Model', () => {
+  const bankId = new mongoose.Types.ObjectId();
+  const memberAccountId = new mongoose.Types.ObjectId();
+  const cashAccountId = new mongoose.Types.ObjectId();
+
+  const buildJournal = (postings) => new JournalEntry({
+    cooperativeBankId: bankId,
+    entryType: 'deposit',
+    narration: 'Cash deposit',
+    totalAmount: 500,
+    postings
+  });
+
+  describe('Double-entry invariant', () => {
+    it('should accept a journal whose debits equal its credits', async () => {
+      const journal = buildJournal([
+        { ledgerAccount: cashAccountId, debit: 500 },
+        { account: memberAccountId, credit: 500 }
+      ]);
+
+      await expect(journal.validate()).resolves.toBeUndefined();
+      expect(journal.journalNumber).toMatch(/^JRN\d+$/);
+    });
+
+    it('should reject a journal that does not sum to zero', async () => {
+      const journal = buildJournal([
+        { ledgerAccount: cashAccountId, debit: 500 },
+        { account: memberAccountId, credit: 499.99 }
+      ]);
+
+      await expect(journal.validate()).rejects.toThrow('does not balance');
+    });
+
+    it('should reject a posting that is both a debit and a credit', async () => {
+      const journal = buildJournal([
+        { ledgerAccount: cashAccountId, debit: 500, credit: 500 },
+        { account: memberAccountId, credit: 0, debit: 0 }
+      ]);
+
+      await expect(journal.validate()).rejects.toThrow('either a debit or a credit');
+    });
+
+    it('should reject a posting without a target account', async () => {
+      const journal = buildJournal([
+        { debit: 500 },
+        { account: memberAccountId, credit: 500 }
+      ]);
+
+      await expect(journal.validate()).rejects.toThrow('exactly one member or ledger account');
+    });
+
+    it('should compare amounts in paise to avoid floating point drift', () => {
+      const imbalance = JournalEntry.getImbalance([
+        { debit: 0.1 },
+        { debit: 0.2 },
+        { credit: 0.3 }
+      ]);
+
+      expect(imbalance).toBe(0);
+    });
+  });
+
+  describe('LedgerService.postTransaction', () => {
+    it('should refuse to post an unbalanced journal', async () => {
+      await expect(LedgerService.postTransaction({
+        cooperativeBankId: bankId,
+        transactionType: 'deposit',
+        amount: 100,
+        description: 'Unbalanced',
+        postings: [
+          { ledgerCode: 'CASH_IN_HAND', debit: 100 },
+          { account: memberAccountId, credit: 90 }
+        ]
+      })).rejects.toThrow('Journal entry does not balance');
+    });
+  });
+});
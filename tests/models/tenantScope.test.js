@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Account = require('../../models/Account');
+const AuditLog = require('../../models/AuditLog');
+const TenantContext = require('../../utils/tenantContext');
+
+describe('Tenant scoping', () => {
+  const bankA = new mongoose.Types.ObjectId();
+  const bankB = new mongoose.Types.ObjectId();
+  const accountA = new mongoose.Types.ObjectId();
+  const accountB = new mongoose.Types.ObjectId();
+
+  const asMemberOf = (cooperativeBankId, fn) =>
+    TenantContext.run({ cooperativeBankId, role: 'member', crossBank: false }, fn);
+
+  beforeEach(async () => {
+    await Account.collection.insertMany([
+      { _id: accountA, accountNumber: 'A1', cooperativeBankId: bankA, balance: 100, status: 'active' },
+      { _id: accountB, accountNumber: 'B1', cooperativeBankId: bankB, balance: 900, status: 'active' }
+    ]);
+  });
+
+  it('should hide records of other banks from reads', async () => {
+    await asMemberOf(bankA, async () => {
+      expect(await Account.findById(accountB)).toBeNull();
+      expect(await Account.countDocuments({})).toBe(1);
+
+      const [totals] = await Account.aggregate([{ $group: { _id: null, balance: { $sum: '$balance' } } }]);
+      expect(totals.balance).toBe(100);
+    });
+  });
+
+  it('should not update records of other banks', async () => {
+    await asMemberOf(bankA, async () => {
+      const result = await Account.updateOne({ _id: accountB }, { $set: { balance: 0 } });
+      expect(result.matchedCount).toBe(0);
+    });
+
+    expect((await Account.findById(accountB)).balance).toBe(900);
+  });
+
+  it('should refuse to save a record for another bank', async () => {
+    await asMemberOf(bankA, async () => {
+      const log = new AuditLog({
+        userId: new mongoose.Types.ObjectId(),
+        cooperativeBankId: bankB,
+        action: 'LOGIN',
+        resourceType: 'USER'
+      });
+
+      await expect(log.save()).rejects.toThrow('Records of another cooperative bank cannot be written');
+    });
+  });
+
+  it('should only let super admins work across banks', async () => {
+    await TenantContext.run({ cooperativeBankId: bankA, role: 'super_admin', crossBank: false }, () =>
+      TenantContext.crossBank(async () => {
+        expect(await Account.countDocuments({})).toBe(2);
+      })
+    );
+
+    await asMemberOf(bankA, async () => {
+      expect(() => TenantContext.crossBank(() => Account.countDocuments({}))).toThrow('Only super admins');
+    });
+  });
+
+  it('should not scope code running outside a request', async () => {
+    expect(await Account.countDocuments({})).toBe(2);
+  });
+});
@@ -1,12 +1,23 @@
+// Sessions live in Redis; keep them in memory for these tests
+jest.mock('../../services/redisService', () => require('../utils/redisMock'));
+
 const request = require('supertest');
 const app = require('../../server');
-const { createTestBank, createTestUser, generateTestToken, createAuthHeaders } = require('../utils/testHelpers');
+const User = require('../../models/User');
+const redisService = require('../../services/redisService');
+const PasswordResetService = require('../../services/passwordResetService');
+const { createTestBank, createTestUser, createTestSession, createAuthHeaders } = require('../utils/testHelpers');
 
 describe('Auth Routes', () => {
   let testBank;
   let testUser;
 
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
   beforeEach(async () => {
+    redisService.store.clear();
     testBank = await createTestBank();
     testUser = await createTestUser(testBank._id);
   });
@@ -18,7 +29,7 @@ describe('Auth Routes', () => {
         lastName: 'Smith',
         email: 'jane.smith@test.com',
         phone: '9876543211',
-        password: 'password123',
+        password: 'Secure#Pass2024',
         dateOfBirth: '1995-05-15',
         address: {
           street: '456 Test Avenue',
@@ -43,6 +54,36 @@ describe('Auth Routes', () => {
       expect(response.body.message).toBe('User registered successfully');
       expect(response.body.data.user.email).toBe(userData.email);
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should refuse to register while sessions cannot be issued', async () => {
+      redisService.isConnected = false;
+
+      try {
+        const response = await request(app)
+          .post('/api/auth/register')
+          .send({
+            firstName: 'Jane',
+            lastName: 'Smith',
+            email: 'jane.smith@test.com',
+            phone: '9876543211',
+            password: 'Secure#Pass2024',
+            dateOfBirth: '1995-05-15',
+            address: { street: '456 Test Avenue', city: 'Test City', state: 'Test State', pincode: '123456' },
+            aadharNumber: '123456789013',
+            panNumber: 'ABCDE1235F',
+            occupation: 'Teacher',
+            monthlyIncome: 40000,
+            cooperativeBankId: testBank._id
+          })
+          .expect(503);
+
+        expect(response.body.success).toBe(false);
+        expect(await User.exists({ email: 'jane.smith@test.com' })).toBeNull();
+      } finally {
+        redisService.isConnected = true;
+      }
     });
 
     it('should fail registration with duplicate email', async () => {
@@ -111,6 +152,10 @@ describe('Auth Routes', () => {
       expect(response.body.message).toBe('Login successful');
       expect(response.body.data.user.email).toBe(testUser.email);
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(await redisService.getSession(response.body.data.sessionId)).toEqual(
+        expect.objectContaining({ userId: testUser._id.toString() })
+      );
     });
 
     it('should fail login with invalid credentials', async () => {
@@ -146,7 +191,7 @@ describe('Auth Routes', () => {
 
   describe('GET /api/auth/profile', () => {
     it('should get user profile with valid token', async () => {
-      const token = generateTestToken(testUser._id, testBank._id);
+      const { token } = await createTestSession(testUser);
       const headers = createAuthHeaders(token);
 
       const response = await request(app)
@@ -178,6 +223,64 @@ describe('Auth Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe('Invalid token');
     });
+
+    it('should fail to get profile once the session is logged out', async () => {
+      const { token } = await createTestSession(testUser);
+      const headers = createAuthHeaders(token);
+
+      await request(app).post('/api/auth/logout').set(headers).expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set(headers)
+        .expect(401);
+
+      expect(response.body.message).toBe('Session has been revoked');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token within the same session', async () => {
+      const session = await createTestSession(testUser);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.sessionId).toBe(session.sessionId);
+      expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set(createAuthHeaders(response.body.data.token))
+        .expect(200);
+    });
+
+    it('should revoke the session when a rotated-out refresh token is reused', async () => {
+      const session = await createTestSession(testUser);
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      expect(reuse.body.message).toBe('Refresh token has already been used; the session has been revoked');
+
+      // The token issued by the legitimate rotation dies with the session
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/auth/profile')
+        .set(createAuthHeaders(rotated.body.data.token))
+        .expect(401);
+    });
   });
 
   describe('POST /api/auth/forgot-password', () => {
@@ -188,29 +291,29 @@ describe('Auth Routes', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Password reset instructions sent to your email');
+      expect(response.body.message).toBe('If an account exists for this email, password reset instructions have been sent');
     });
 
-    it('should fail for non-existent email', async () => {
+    it('should give the same response for a non-existent email', async () => {
       const response = await request(app)
         .post('/api/auth/forgot-password')
         .send({ email: 'nonexistent@test.com' })
-        .expect(404);
+        .expect(200);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.message).toBe('User not found with this email');
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('If an account exists for this email, password reset instructions have been sent');
     });
   });
 
   describe('POST /api/auth/reset-password', () => {
     it('should reset password with valid token', async () => {
-      const resetToken = generateTestToken(testUser._id, null, '1h');
+      const resetToken = await PasswordResetService.issueToken(testUser);
       
       const response = await request(app)
         .post('/api/auth/reset-password')
         .send({
           token: resetToken,
-          newPassword: 'newpassword123'
+          newPassword: 'NewSecure#2024'
         })
         .expect(200);
 
@@ -218,12 +321,41 @@ describe('Auth Routes', () => {
       expect(response.body.message).toBe('Password reset successfully');
     });
 
+    it('should not accept the same token twice', async () => {
+      const resetToken = await PasswordResetService.issueToken(testUser);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'NewSecure#2024' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'Another#Pass2024' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    it('should invalidate the token when the password is changed', async () => {
+      const resetToken = await PasswordResetService.issueToken(testUser);
+
+      const user = await User.findById(testUser._id);
+      user.password = 'changedpassword123';
+      await user.save();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'NewSecure#2024' })
+        .expect(400);
+    });
+
     it('should fail with invalid token', async () => {
       const response = await request(app)
         .post('/api/auth/reset-password')
         .send({
           token: 'invalid-token',
-          newPassword: 'newpassword123'
+          newPassword: 'NewSecure#2024'
         })
         .expect(400);
 
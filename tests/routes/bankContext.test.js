@@ -0,0 +1,60 @@
+// Sessions live in Redis; keep them in memory for these tests
+jest.mock('../../services/redisService', () => require('../utils/redisMock'));
+
+const request = require('supertest');
+const app = require('../../server');
+const redisService = require('../../services/redisService');
+const { createTestBank, createTestUser, createTestSession, createAuthHeaders } = require('../utils/testHelpers');
+
+describe('X-Bank-Id', () => {
+  let bank;
+  let otherBank;
+  let headers;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(async () => {
+    redisService.store.clear();
+
+    bank = await createTestBank();
+    otherBank = await createTestBank({
+      bankName: 'Other Cooperative Bank',
+      shortName: 'OCB',
+      registrationNumber: 'REG654321',
+      licenseNumber: 'LIC654321',
+      bankingDetails: { ifscCode: 'OCB0004321', micrCode: '987654321' }
+    });
+
+    const admin = await createTestUser(bank._id, { role: 'admin' });
+    const { token } = await createTestSession(admin);
+    headers = createAuthHeaders(token);
+  });
+
+  it.each([
+    '/api/users',
+    '/api/audit',
+    '/api/api-clients'
+  ])('should refuse a bank admin naming another bank on %s', async (path) => {
+    const response = await request(app)
+      .get(path)
+      .set(headers)
+      .set('X-Bank-Id', otherBank._id.toString())
+      .expect(403);
+
+    expect(response.body.message).toBe('Only super admin can switch bank context');
+  });
+
+  it('should let a bank admin into routes scoped to their own bank', async () => {
+    await request(app)
+      .get(`/api/cooperative-banks/${bank._id}/roles`)
+      .set(headers)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/cooperative-banks/${otherBank._id}/roles`)
+      .set(headers)
+      .expect(403);
+  });
+});
@@ -0,0 +1,76 @@
+// Sessions live in Redis; keep them in memory for these tests
+jest.mock('../../services/redisService', () => require('../utils/redisMock'));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const Account = require('../../models/Account');
+const Loan = require('../../models/Loan');
+const redisService = require('../../services/redisService');
+const { createTestBank, createTestUser, createTestSession, createAuthHeaders } = require('../utils/testHelpers');
+
+describe('Loan repayments by staff', () => {
+  const accountId = new mongoose.Types.ObjectId();
+  const loanId = new mongoose.Types.ObjectId();
+  let bank;
+
+  const headersFor = async (role, email) => {
+    const user = await createTestUser(bank._id, { role, email });
+    const { token } = await createTestSession(user);
+    return createAuthHeaders(token);
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(async () => {
+    redisService.store.clear();
+
+    bank = await createTestBank();
+    const member = await createTestUser(bank._id);
+
+    await Account.collection.insertOne({
+      _id: accountId,
+      accountNumber: 'TCB001000001',
+      userId: member._id,
+      cooperativeBankId: bank._id,
+      accountType: 'savings',
+      balance: 50000,
+      status: 'active',
+      isActive: true
+    });
+    await Loan.collection.insertOne({
+      _id: loanId,
+      loanNumber: 'LNTEST0001',
+      userId: member._id,
+      cooperativeBankId: bank._id,
+      product: new mongoose.Types.ObjectId(),
+      productType: 'personal',
+      principal: 10000,
+      interestRate: 12,
+      tenureMonths: 12,
+      emiAmount: 888.49,
+      disbursementAccount: accountId,
+      status: 'disbursed',
+      schedule: [],
+      outstandingPrincipal: 10000
+    });
+  });
+
+  it('should let an auditor view but not repay or prepay a member\'s loan', async () => {
+    const headers = await headersFor('auditor', 'auditor@test.com');
+
+    const view = await request(app).get(`/api/loans/${loanId}`).set(headers);
+    expect(view.status).toBe(200);
+
+    const repay = await request(app).post(`/api/loans/${loanId}/repay`).set(headers).send({ amount: 500 });
+    expect(repay.status).toBe(403);
+
+    const prepay = await request(app).post(`/api/loans/${loanId}/prepay`).set(headers).send({});
+    expect(prepay.status).toBe(403);
+
+    const account = await Account.collection.findOne({ _id: accountId });
+    expect(account.balance).toBe(50000);
+  });
+});
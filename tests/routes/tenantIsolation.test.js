@@ -0,0 +1,85 @@
+// Sessions live in Redis; keep them in memory for these tests
+jest.mock('../../services/redisService', () => require('../utils/redisMock'));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const Account = require('../../models/Account');
+const Transaction = require('../../models/Transaction');
+const redisService = require('../../services/redisService');
+const { createTestBank, createTestUser, createTestSession, createAuthHeaders } = require('../utils/testHelpers');
+
+describe('Tenant isolation', () => {
+  const otherAccountId = new mongoose.Types.ObjectId();
+  const otherTransactionId = new mongoose.Types.ObjectId();
+  let headers;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(async () => {
+    redisService.store.clear();
+
+    const bank = await createTestBank();
+    const otherBank = await createTestBank({
+      bankName: 'Other Cooperative Bank',
+      shortName: 'OCB',
+      registrationNumber: 'REG654321',
+      licenseNumber: 'LIC654321',
+      bankingDetails: { ifscCode: 'OCB0004321', micrCode: '987654321' }
+    });
+
+    // An admin of the first bank holds accounts.view_all and transactions.view_all
+    const admin = await createTestUser(bank._id, { role: 'admin' });
+    const { token } = await createTestSession(admin);
+    headers = createAuthHeaders(token);
+
+    await Account.collection.insertOne({
+      _id: otherAccountId,
+      accountNumber: 'OCB001000001',
+      userId: new mongoose.Types.ObjectId(),
+      cooperativeBankId: otherBank._id,
+      accountType: 'savings',
+      balance: 5000,
+      status: 'active',
+      isActive: true
+    });
+    await Transaction.collection.insertOne({
+      _id: otherTransactionId,
+      transactionId: 'TXNOTHERBANK1',
+      toAccount: otherAccountId,
+      cooperativeBankId: otherBank._id,
+      type: 'deposit',
+      amount: 5000,
+      status: 'completed'
+    });
+  });
+
+  it('should not find another bank\'s transaction', async () => {
+    const response = await request(app)
+      .get(`/api/transactions/${otherTransactionId}`)
+      .set(headers)
+      .expect(404);
+
+    expect(response.body.message).toBe('Transaction not found');
+  });
+
+  it('should not find another bank\'s account history', async () => {
+    const response = await request(app)
+      .get(`/api/transactions/history/${otherAccountId}`)
+      .set(headers)
+      .expect(404);
+
+    expect(response.body.message).toBe('Account not found');
+  });
+
+  it('should not find another bank\'s account balance', async () => {
+    const response = await request(app)
+      .get(`/api/accounts/${otherAccountId}/balance`)
+      .set(headers)
+      .expect(404);
+
+    expect(response.body.message).toBe('Account not found');
+  });
+});
@@ -0,0 +1,60 @@
+// Sessions live in Redis; keep them in memory for these tests
+jest.mock('../../services/redisService', () => require('../utils/redisMock'));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const Account = require('../../models/Account');
+const redisService = require('../../services/redisService');
+const { createTestBank, createTestUser, createTestSession, createAuthHeaders } = require('../utils/testHelpers');
+
+describe('Transactions on deposit accounts', () => {
+  const savingsId = new mongoose.Types.ObjectId();
+  const fixedDepositId = new mongoose.Types.ObjectId();
+  let headers;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(async () => {
+    redisService.store.clear();
+
+    const bank = await createTestBank();
+    const member = await createTestUser(bank._id, { emailVerified: true, phoneVerified: true });
+    const { token } = await createTestSession(member);
+    headers = createAuthHeaders(token);
+
+    const account = {
+      userId: member._id,
+      cooperativeBankId: bank._id,
+      balance: 50000,
+      minimumBalance: 0,
+      status: 'active',
+      isActive: true
+    };
+    await Account.collection.insertMany([
+      { ...account, _id: savingsId, accountNumber: 'TCB001000001', accountType: 'savings' },
+      { ...account, _id: fixedDepositId, accountNumber: 'TCB003000001', accountType: 'fixed_deposit' }
+    ]);
+  });
+
+  it('should reject deposits, withdrawals and transfers on a fixed deposit', async () => {
+    const deposit = await request(app).post('/api/transactions/deposit').set(headers)
+      .send({ accountId: fixedDepositId.toString(), amount: 100 });
+    const withdraw = await request(app).post('/api/transactions/withdraw').set(headers)
+      .send({ accountId: fixedDepositId.toString(), amount: 100 });
+    const transferOut = await request(app).post('/api/transactions/transfer').set(headers)
+      .send({ fromAccountId: fixedDepositId.toString(), toAccountId: savingsId.toString(), amount: 100 });
+    const transferIn = await request(app).post('/api/transactions/transfer').set(headers)
+      .send({ fromAccountId: savingsId.toString(), toAccountId: fixedDepositId.toString(), amount: 100 });
+
+    for (const response of [deposit, withdraw, transferOut, transferIn]) {
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/\/api\/deposits/);
+    }
+
+    const fixedDeposit = await Account.collection.findOne({ _id: fixedDepositId });
+    expect(fixedDeposit.balance).toBe(50000);
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../services/redisService', () => ({}));
+
+const ApiClientService = require('../../services/apiClientService');
+const { hashValue } = require('../../utils/encryption');
+
+describe('ApiClientService', () => {
+  describe('generateCredentials', () => {
+    it('should build the API key from the client id and secret', () => {
+      const { clientId, secret, apiKey } = ApiClientService.generateCredentials();
+
+      expect(clientId).toMatch(/^ck_[0-9a-f]{16}$/);
+      expect(secret).toHaveLength(64);
+      expect(apiKey).toBe(`${clientId}.${secret}`);
+    });
+  });
+
+  describe('validateScopes', () => {
+    const granter = new Set(['ledger.view', 'loans.sanction']);
+
+    it('should accept client scopes the granter holds', () => {
+      expect(() => ApiClientService.validateScopes(['ledger.view'], granter)).not.toThrow();
+    });
+
+    it('should reject scopes outside the client list or not held', () => {
+      expect(() => ApiClientService.validateScopes(['loans.sanction'], granter)).toThrow(/not available to API clients/);
+      expect(() => ApiClientService.validateScopes(['interest.view'], granter)).toThrow(/do not hold/);
+    });
+  });
+
+  describe('isIpAllowed', () => {
+    const client = { ipAllowlist: ['203.0.113.0/24', '198.51.100.7', '2001:db8::/32'] };
+
+    it('should match single addresses and ranges, including IPv4-mapped addresses', () => {
+      expect(ApiClientService.isIpAllowed(client, '203.0.113.42')).toBe(true);
+      expect(ApiClientService.isIpAllowed(client, '::ffff:198.51.100.7')).toBe(true);
+      expect(ApiClientService.isIpAllowed(client, '2001:db8::1')).toBe(true);
+      expect(ApiClientService.isIpAllowed(client, '198.51.100.8')).toBe(false);
+    });
+
+    it('should allow any address when the allowlist is empty', () => {
+      expect(ApiClientService.isIpAllowed({ ipAllowlist: [] }, '192.0.2.1')).toBe(true);
+    });
+
+    it('should reject malformed entries', () => {
+      expect(() => ApiClientService.buildBlockList(['10.0.0.0/33'])).toThrow(/Invalid IP address/);
+      expect(() => ApiClientService.buildBlockList(['not-an-ip'])).toThrow(/Invalid IP address/);
+    });
+  });
+
+  describe('secretMatches', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+
+    it('should accept the previous secret only during the rotation grace period', () => {
+      const client = {
+        secretHash: hashValue('new-secret'),
+        previousSecretHash: hashValue('old-secret'),
+        previousSecretExpiresAt: new Date('2026-01-01T12:00:00Z')
+      };
+
+      expect(ApiClientService.secretMatches(client, 'new-secret', now)).toBe(true);
+      expect(ApiClientService.secretMatches(client, 'old-secret', now)).toBe(true);
+      expect(ApiClientService.secretMatches(client, 'old-secret', new Date('2026-01-02T00:00:00Z'))).toBe(false);
+      expect(ApiClientService.secretMatches(client, 'other-secret', now)).toBe(false);
+    });
+  });
+});
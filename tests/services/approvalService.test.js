@@ -0,0 +1,120 @@
+// Run transactional work inline; there is no replica set in unit tests
+jest.mock('../../utils/dbSession', () => ({
+  withTransaction: (work, session) => work(session || {})
+}));
+
+const mongoose = require('mongoose');
+const Account = require('../../models/Account');
+const Transaction = require('../../models/Transaction');
+const ApprovalService = require('../../services/approvalService');
+const LedgerService = require('../../services/ledgerService');
+const TransactionLimitService = require('../../services/transactionLimitService');
+const { AppError } = require('../../middleware/validation');
+
+describe('ApprovalService', () => {
+  const memberId = new mongoose.Types.ObjectId();
+  const account = { userId: memberId };
+  const member = { _id: memberId, role: 'member' };
+  const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+  const bank = { settings: { approval: { highValueThreshold: 50000, requireForStaffInitiated: true } } };
+
+  describe('getApprovalReason', () => {
+    it('should let members move amounts up to the threshold directly', () => {
+      expect(ApprovalService.getApprovalReason(bank, { amount: 50000, account, initiatedBy: member })).toBeNull();
+    });
+
+    it('should hold amounts above the threshold', () => {
+      expect(ApprovalService.getApprovalReason(bank, { amount: 50000.01, account, initiatedBy: member })).toBe('high_value');
+    });
+
+    it('should hold staff-initiated transactions on another member\'s account', () => {
+      expect(ApprovalService.getApprovalReason(bank, { amount: 100, account, initiatedBy: manager })).toBe('staff_initiated');
+    });
+
+    it('should allow banks to switch off the staff-initiated rule', () => {
+      const relaxed = { settings: { approval: { highValueThreshold: 50000, requireForStaffInitiated: false } } };
+
+      expect(ApprovalService.getApprovalReason(relaxed, { amount: 100, account, initiatedBy: manager })).toBeNull();
+    });
+  });
+
+  describe('deciding', () => {
+    const bankId = new mongoose.Types.ObjectId();
+    const fromAccount = { _id: new mongoose.Types.ObjectId(), userId: memberId };
+    const toAccount = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+
+    const pendingTransfer = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      transactionType: 'transfer',
+      amount: 75000,
+      description: 'Rent',
+      fromAccount: fromAccount._id,
+      toAccount: toAccount._id,
+      status: 'pending',
+      approval: { reason: 'high_value', requestedBy: memberId },
+      save: jest.fn()
+    });
+
+    const decide = (action) => ApprovalService[action]({
+      transactionId: new mongoose.Types.ObjectId(),
+      cooperativeBankId: bankId,
+      checker: manager,
+      remarks: 'Checked with the member'
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Account, 'findById').mockImplementation(id => ({
+        session: async () => [fromAccount, toAccount].find(account => account._id.equals(id))
+      }));
+    });
+
+    it('should re-check limits without the pending hold and post the transfer', async () => {
+      const pending = pendingTransfer();
+      const claim = jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(pending);
+      const enforce = jest.spyOn(TransactionLimitService, 'enforce').mockResolvedValue({});
+      const transfer = jest.spyOn(LedgerService, 'transfer').mockResolvedValue({ transaction: pending });
+
+      await expect(decide('approve')).resolves.toBe(pending);
+
+      expect(claim.mock.calls[0][0]['approval.requestedBy']).toEqual({ $ne: manager._id });
+      expect(enforce).toHaveBeenCalledWith(expect.objectContaining({
+        transactionType: 'transfer',
+        amount: 75000,
+        account: fromAccount,
+        toAccount,
+        excludeTransactionId: pending._id
+      }));
+      expect(transfer).toHaveBeenCalledWith(expect.objectContaining({ fromAccount, toAccount, transaction: pending }), expect.anything());
+    });
+
+    it('should not post an approval that would now exceed a limit', async () => {
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(pendingTransfer());
+      jest.spyOn(TransactionLimitService, 'enforce').mockRejectedValue(new AppError('Daily transfer limit exceeded', 400));
+      const transfer = jest.spyOn(LedgerService, 'transfer');
+
+      await expect(decide('approve')).rejects.toThrow('Daily transfer limit exceeded');
+      expect(transfer).not.toHaveBeenCalled();
+    });
+
+    it('should reject without moving any balance', async () => {
+      const pending = pendingTransfer();
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(pending);
+      const transfer = jest.spyOn(LedgerService, 'transfer');
+
+      const rejected = await decide('reject');
+
+      expect(rejected.status).toBe('rejected');
+      expect(pending.save).toHaveBeenCalled();
+      expect(transfer).not.toHaveBeenCalled();
+    });
+
+    it('should not let the maker decide on their own transaction', async () => {
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Transaction, 'findOne').mockReturnValue({
+        session: async () => ({ approval: { reason: 'high_value', requestedBy: manager._id } })
+      });
+
+      await expect(decide('approve')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../models/AuditLog');
+const AuditService = require('../../services/auditService');
+
+describe('AuditService', () => {
+  const homeBankId = new mongoose.Types.ObjectId();
+  const otherBankId = new mongoose.Types.ObjectId();
+
+  const buildReq = (overrides = {}) => ({
+    ip: '10.0.0.1',
+    sessionID: 'session-1',
+    get: (name) => (name === 'User-Agent' ? 'jest' : undefined),
+    ...overrides
+  });
+
+  describe('buildAuditData', () => {
+    it('should leave the fields alone without a request', () => {
+      const fields = { action: 'LOGIN', cooperativeBankId: homeBankId };
+
+      expect(AuditService.buildAuditData(fields)).toEqual(fields);
+    });
+
+    it('should add request details, the impersonator and the switched bank', () => {
+      const impersonatorId = new mongoose.Types.ObjectId();
+      const req = buildReq({
+        impersonation: { impersonatorId },
+        bankContext: { cooperativeBankId: otherBankId, homeBankId }
+      });
+
+      expect(AuditService.buildAuditData({ action: 'ACCOUNT_UPDATE', cooperativeBankId: homeBankId }, req)).toEqual({
+        action: 'ACCOUNT_UPDATE',
+        cooperativeBankId: otherBankId,
+        switchedFromBankId: homeBankId,
+        impersonatorId,
+        ipAddress: '10.0.0.1',
+        userAgent: 'jest',
+        sessionId: 'session-1'
+      });
+    });
+  });
+
+  it('should log events in the bank a super admin switched to', async () => {
+    const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    const req = buildReq({ bankContext: { cooperativeBankId: otherBankId, homeBankId } });
+
+    await AuditService.logLoanEvent(new mongoose.Types.ObjectId(), homeBankId, 'LOAN_REPAYMENT', null, {}, req);
+
+    expect(create.mock.calls[0][0]).toEqual(expect.objectContaining({
+      resourceType: 'LOAN',
+      cooperativeBankId: otherBankId,
+      switchedFromBankId: homeBankId
+    }));
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Account = require('../../models/Account');
+const Branch = require('../../models/Branch');
+const BranchService = require('../../services/branchService');
+const PermissionService = require('../../services/permissionService');
+
+describe('BranchService', () => {
+  const bankId = new mongoose.Types.ObjectId();
+  const branchId = new mongoose.Types.ObjectId();
+
+  const requestFor = (role, overrides = {}) => ({
+    user: { _id: new mongoose.Types.ObjectId(), role, cooperativeBankId: bankId, ...overrides },
+    cooperativeBankId: bankId,
+    permissions: new Set(['accounts.view_all'])
+  });
+
+  describe('Branch visibility', () => {
+    it('should confine only staff assigned to a branch', () => {
+      expect(BranchService.accountFilter(requestFor('teller', { branchId }))).toEqual({ branchId });
+      expect(BranchService.accountFilter(requestFor('admin'))).toEqual({});
+      expect(BranchService.accountFilter(requestFor('member', { branchId }))).toEqual({});
+      expect(BranchService.accountFilter(requestFor('super_admin', { branchId }))).toEqual({});
+    });
+
+    it('should match transactions on either side of the branch\'s accounts', async () => {
+      const accountIds = [new mongoose.Types.ObjectId()];
+      const distinct = jest.spyOn(Account, 'distinct').mockResolvedValue(accountIds);
+
+      const filter = await BranchService.transactionFilter(requestFor('teller', { branchId }));
+
+      expect(distinct).toHaveBeenCalledWith('_id', { branchId });
+      expect(filter).toEqual({ $or: [{ fromAccount: { $in: accountIds } }, { toAccount: { $in: accountIds } }] });
+    });
+
+    it('should keep branch staff away from accounts of other branches', async () => {
+      const req = requestFor('teller', { branchId });
+      const account = { userId: new mongoose.Types.ObjectId(), cooperativeBankId: bankId };
+
+      await expect(PermissionService.canAccessOwned(req, { ...account, branchId }, 'accounts.view_all')).resolves.toBe(true);
+      await expect(PermissionService.canAccessOwned(req, { ...account, branchId: new mongoose.Types.ObjectId() }, 'accounts.view_all')).resolves.toBe(false);
+    });
+
+    it('should deny branch staff records without a branch and accept any matching branch of a list', async () => {
+      const req = requestFor('teller', { branchId });
+      const record = { userId: new mongoose.Types.ObjectId(), cooperativeBankId: bankId };
+
+      await expect(PermissionService.canAccessOwned(req, record, 'accounts.view_all')).resolves.toBe(false);
+      await expect(PermissionService.canAccessOwned(req, { ...record, branchId: [new mongoose.Types.ObjectId(), branchId] }, 'accounts.view_all')).resolves.toBe(true);
+    });
+
+    it('should refuse to act on records whose accounts are all in other branches', async () => {
+      const distinct = jest.spyOn(Account, 'distinct').mockResolvedValue([new mongoose.Types.ObjectId()]);
+      const accountId = new mongoose.Types.ObjectId();
+
+      await expect(BranchService.assertAccountsInBranch(requestFor('teller', { branchId }), [accountId, null]))
+        .rejects.toThrow('another branch');
+      expect(distinct).toHaveBeenCalledWith('branchId', { _id: { $in: [accountId] } });
+
+      distinct.mockResolvedValue([branchId]);
+      await expect(BranchService.assertAccountsInBranch(requestFor('teller', { branchId }), [accountId])).resolves.toBeUndefined();
+      await expect(BranchService.assertAccountsInBranch(requestFor('admin'), [accountId])).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Assignments', () => {
+    it('should only assign staff to branches', async () => {
+      await expect(BranchService.assignStaff({ role: 'member' }, branchId)).rejects.toThrow('Only bank staff');
+      await expect(BranchService.assignStaff({ role: 'super_admin' }, branchId)).rejects.toThrow('Only bank staff');
+    });
+
+    it('should refuse inactive or unknown branches', async () => {
+      jest.spyOn(Branch, 'findOne').mockResolvedValue(null);
+      const account = { cooperativeBankId: bankId, save: jest.fn() };
+
+      await expect(BranchService.assignAccount(account, branchId)).rejects.toThrow('Branch not found or inactive');
+      expect(account.save).not.toHaveBeenCalled();
+    });
+
+    it('should move an account\'s books without changing its number', async () => {
+      jest.spyOn(Branch, 'findOne').mockResolvedValue({ _id: branchId, branchCode: '007' });
+      const account = { accountNumber: 'ABC001000042', cooperativeBankId: bankId, save: jest.fn() };
+
+      await BranchService.assignAccount(account, branchId);
+
+      expect(account).toEqual(expect.objectContaining({ branchId, branchCode: '007', accountNumber: 'ABC001000042' }));
+      expect(account.save).toHaveBeenCalled();
+    });
+  });
+
+  it('should not deactivate the head office', async () => {
+    await expect(BranchService.deactivate({ isHeadOffice: true })).rejects.toThrow('head office');
+  });
+
+  it('should reject a branch that closes before it opens', async () => {
+    const branch = new Branch({
+      cooperativeBankId: bankId,
+      branchCode: '002',
+      branchName: 'Market Road',
+      ifscCode: 'ABCD0000002',
+      address: { street: '1 Market Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+      workingHours: { start: '17:00', end: '10:00' }
+    });
+
+    await expect(branch.validate()).rejects.toThrow('Branch must close after it opens');
+  });
+});
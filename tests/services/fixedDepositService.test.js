@@ -0,0 +1,50 @@
+const FixedDepositService = require('../../services/fixedDepositService');
+
+describe('FixedDepositService', () => {
+  const bank = {
+    settings: {
+      defaultInterestRate: { fixedDeposit: 6.5 },
+      fixedDeposit: {
+        compoundingFrequency: 'quarterly',
+        minimumPrincipal: 1000,
+        minTenureMonths: 1,
+        maxTenureMonths: 120,
+        prematurePenaltyRate: 1
+      }
+    }
+  };
+
+  describe('calculateMaturityAmount', () => {
+    it('should compound quarterly', () => {
+      expect(FixedDepositService.calculateMaturityAmount(100000, 6.5, 1, 'quarterly')).toBe(106660.16);
+    });
+
+    it('should compound yearly', () => {
+      expect(FixedDepositService.calculateMaturityAmount(10000, 10, 2, 'yearly')).toBe(12100);
+    });
+  });
+
+  describe('calculateTerms', () => {
+    it('should use the bank rate and default compounding frequency', () => {
+      const startDate = new Date(2024, 0, 15);
+      const terms = FixedDepositService.calculateTerms(bank, { principal: 100000, tenureMonths: 12, startDate });
+
+      expect(terms.interestRate).toBe(6.5);
+      expect(terms.compoundingFrequency).toBe('quarterly');
+      expect(terms.maturityDate).toEqual(new Date(2025, 0, 15));
+      expect(terms.interestEarned).toBe(6660.16);
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should reject principal below the bank minimum', () => {
+      expect(() => FixedDepositService.validateRequest(bank, { principal: 500, tenureMonths: 12 }))
+        .toThrow('Minimum fixed deposit amount is 1000');
+    });
+
+    it('should reject tenure outside the bank range', () => {
+      expect(() => FixedDepositService.validateRequest(bank, { principal: 5000, tenureMonths: 121 }))
+        .toThrow('Tenure must be between 1 and 120 months');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../services/redisService', () => {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => { store.set(key, value); return true; },
+    del: async (key) => { store.delete(key); return true; }
+  };
+});
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const redisService = require('../../services/redisService');
+const User = require('../../models/User');
+const ImpersonationService = require('../../services/impersonationService');
+
+describe('ImpersonationService', () => {
+  const bankId = new mongoose.Types.ObjectId();
+  const staff = { _id: new mongoose.Types.ObjectId(), role: 'admin', cooperativeBankId: bankId };
+  const member = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: 'member',
+    isActive: true,
+    cooperativeBankId: bankId,
+    ...overrides
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(() => {
+    redisService.store.clear();
+  });
+
+  it('should issue a marked, read-only token tied to a live session', async () => {
+    const target = member();
+    const { token, impersonationId, readOnly } = await ImpersonationService.start(staff, target, 'Member reported a missing deposit');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    expect(readOnly).toBe(true);
+    expect(decoded).toEqual(expect.objectContaining({
+      type: 'impersonation',
+      readOnly: true,
+      iid: impersonationId,
+      userId: target._id.toString(),
+      impersonatorId: staff._id.toString()
+    }));
+    expect(decoded.exp - decoded.iat).toBe(ImpersonationService.IMPERSONATION_TTL_SECONDS);
+
+    const exists = jest.spyOn(User, 'exists').mockResolvedValue({ _id: staff._id });
+    await expect(ImpersonationService.assertActive(decoded)).resolves.toEqual(expect.objectContaining({ reason: 'Member reported a missing deposit' }));
+    exists.mockRestore();
+  });
+
+  it('should only impersonate other, active members', async () => {
+    await expect(ImpersonationService.start(staff, member({ role: 'teller' }), 'reason')).rejects.toThrow('Only members');
+    await expect(ImpersonationService.start(staff, member({ isActive: false }), 'reason')).rejects.toThrow('deactivated');
+    await expect(ImpersonationService.start(staff, { ...staff, role: 'member', isActive: true }, 'reason')).rejects.toThrow('yourself');
+  });
+
+  it('should refuse tokens once the session is ended by the staff member who started it', async () => {
+    const target = member();
+    const { token, impersonationId } = await ImpersonationService.start(staff, target, 'Checking statement layout');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    await expect(ImpersonationService.end(impersonationId, { staffId: new mongoose.Types.ObjectId() })).resolves.toBeNull();
+    await expect(ImpersonationService.end(impersonationId, { staffId: staff._id, memberId: target._id })).resolves.not.toBeNull();
+    await expect(ImpersonationService.assertActive(decoded)).rejects.toThrow('Impersonation session has ended');
+  });
+
+  it('should only allow safe methods', () => {
+    expect(ImpersonationService.isReadOnlyRequest({ method: 'GET' })).toBe(true);
+    expect(ImpersonationService.isReadOnlyRequest({ method: 'POST' })).toBe(false);
+    expect(ImpersonationService.isReadOnlyRequest({ method: 'DELETE' })).toBe(false);
+  });
+});
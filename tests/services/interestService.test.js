@@ -0,0 +1,34 @@
+const InterestService = require('../../services/interestService');
+
+describe('InterestService', () => {
+  describe('calculateDailyInterest', () => {
+    it('should compute one day of interest on the end-of-day balance', () => {
+      expect(InterestService.calculateDailyInterest(100000, 4, 365)).toBe(10.9589);
+    });
+
+    it('should not accrue on zero or negative balances', () => {
+      expect(InterestService.calculateDailyInterest(0, 4)).toBe(0);
+      expect(InterestService.calculateDailyInterest(-50, 4)).toBe(0);
+    });
+  });
+
+  describe('isPostingDate', () => {
+    it('should post quarterly at the end of June, September, December and March', () => {
+      expect(InterestService.isPostingDate(new Date(2024, 5, 30), 'quarterly')).toBe(true);
+      expect(InterestService.isPostingDate(new Date(2024, 8, 30), 'quarterly')).toBe(true);
+      expect(InterestService.isPostingDate(new Date(2024, 11, 31), 'quarterly')).toBe(true);
+      expect(InterestService.isPostingDate(new Date(2025, 2, 31), 'quarterly')).toBe(true);
+      expect(InterestService.isPostingDate(new Date(2024, 6, 31), 'quarterly')).toBe(false);
+    });
+
+    it('should only post on the last day of a month', () => {
+      expect(InterestService.isPostingDate(new Date(2024, 5, 29), 'monthly')).toBe(false);
+      expect(InterestService.isPostingDate(new Date(2024, 1, 29), 'monthly')).toBe(true);
+    });
+
+    it('should post yearly at the financial year end', () => {
+      expect(InterestService.isPostingDate(new Date(2025, 2, 31), 'yearly')).toBe(true);
+      expect(InterestService.isPostingDate(new Date(2024, 11, 31), 'yearly')).toBe(false);
+    });
+  });
+});
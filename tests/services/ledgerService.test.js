@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const LedgerAccount = require('../../models/LedgerAccount');
+const JournalEntry = require('../../models/JournalEntry');
+const Transaction = require('../../models/Transaction');
+const LedgerService = require('../../services/ledgerService');
+
+describe('LedgerService.reverse', () => {
+  const bankId = new mongoose.Types.ObjectId();
+  const fromAccount = new mongoose.Types.ObjectId();
+  const toAccount = new mongoose.Types.ObjectId();
+  // Joining a caller's session keeps withTransaction from starting a real one
+  const session = {};
+
+  const inSession = (value) => ({ session: () => Promise.resolve(value) });
+
+  const reverse = (transactionId) => LedgerService.reverse({
+    transactionId,
+    cooperativeBankId: bankId,
+    reason: 'Posted to the wrong account',
+    processedBy: new mongoose.Types.ObjectId()
+  }, session);
+
+  it('should post the mirror journal of a transfer and link both transactions', async () => {
+    const original = {
+      _id: new mongoose.Types.ObjectId(),
+      transactionId: 'TXN1',
+      amount: 250,
+      journalEntry: new mongoose.Types.ObjectId(),
+      save: jest.fn()
+    };
+    const claim = jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(original);
+    jest.spyOn(JournalEntry, 'findById').mockReturnValue(inSession({
+      _id: original.journalEntry,
+      postings: [
+        { account: fromAccount, debit: 250, credit: 0 },
+        { account: toAccount, debit: 0, credit: 250 }
+      ]
+    }));
+    jest.spyOn(LedgerAccount, 'find').mockReturnValue(inSession([]));
+    const reversal = { transaction: { _id: new mongoose.Types.ObjectId() }, journal: { save: jest.fn() } };
+    const post = jest.spyOn(LedgerService, 'postTransaction').mockResolvedValue(reversal);
+
+    await reverse(original._id);
+
+    expect(claim.mock.calls[0][0]).toEqual(expect.objectContaining({ depositAccount: { $exists: false } }));
+    expect(post.mock.calls[0][0]).toEqual(expect.objectContaining({
+      transactionType: 'reversal',
+      amount: 250,
+      postings: [
+        expect.objectContaining({ account: fromAccount, debit: 0, credit: 250, enforceMinimumBalance: false }),
+        expect.objectContaining({ account: toAccount, debit: 250, credit: 0, enforceMinimumBalance: true })
+      ]
+    }));
+    expect(original.reversedBy).toBe(reversal.transaction._id);
+    expect(reversal.journal.reversalOf).toBe(original.journalEntry);
+  });
+
+  it('should refuse to reverse a transaction twice', async () => {
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Transaction, 'findOne').mockReturnValue(inSession({
+      transactionType: 'transfer',
+      reversedBy: new mongoose.Types.ObjectId()
+    }));
+
+    await expect(reverse(new mongoose.Types.ObjectId())).rejects.toMatchObject({
+      message: 'Transaction has already been reversed',
+      statusCode: 409
+    });
+  });
+
+  it('should refuse loan and deposit transactions', async () => {
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+    const findOne = jest.spyOn(Transaction, 'findOne').mockReturnValue(inSession({ transactionType: 'loan_disbursement' }));
+
+    await expect(reverse(new mongoose.Types.ObjectId())).rejects.toThrow('loan_disbursement transactions cannot be reversed');
+
+    findOne.mockReturnValue(inSession({ transactionType: 'transfer', depositAccount: new mongoose.Types.ObjectId() }));
+    await expect(reverse(new mongoose.Types.ObjectId())).rejects.toMatchObject({
+      message: 'Fixed and recurring deposit transactions cannot be reversed',
+      statusCode: 400
+    });
+  });
+});
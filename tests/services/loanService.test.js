@@ -0,0 +1,63 @@
+const LoanService = require('../../services/loanService');
+
+describe('LoanService', () => {
+  describe('calculateEmi', () => {
+    it('should compute a reducing-balance EMI', () => {
+      expect(LoanService.calculateEmi(100000, 12, 12)).toBe(8884.88);
+    });
+
+    it('should split the principal evenly at zero interest', () => {
+      expect(LoanService.calculateEmi(12000, 0, 12)).toBe(1000);
+    });
+  });
+
+  describe('buildSchedule', () => {
+    it('should amortise the full principal with decreasing interest', () => {
+      const schedule = LoanService.buildSchedule(100000, 12, 12, new Date(2024, 0, 31));
+      const totalPrincipal = schedule.reduce((sum, installment) => sum + installment.principal, 0);
+
+      expect(schedule).toHaveLength(12);
+      expect(schedule[0].interest).toBe(1000);
+      expect(schedule[1].dueDate).toEqual(new Date(2024, 1, 29));
+      expect(schedule[11].closingBalance).toBe(0);
+      expect(Math.round(totalPrincipal * 100) / 100).toBe(100000);
+      expect(schedule[11].interest).toBeLessThan(schedule[0].interest);
+    });
+  });
+
+  describe('allocateRepayment', () => {
+    it('should pay interest before principal on the oldest installment', () => {
+      const loan = {
+        schedule: LoanService.buildSchedule(100000, 12, 12, new Date(2024, 0, 31))
+          .map(installment => ({ ...installment, principalPaid: 0, interestPaid: 0, status: 'due' }))
+      };
+
+      const allocation = LoanService.allocateRepayment(loan, 1500);
+
+      expect(allocation).toEqual({ principal: 500, interest: 1000, excess: 0 });
+      expect(loan.schedule[0].status).toBe('partially_paid');
+      expect(loan.schedule[1].status).toBe('due');
+    });
+  });
+
+  describe('getPrepaymentQuote', () => {
+    it('should add broken-period interest and the prepayment charge', () => {
+      const loan = {
+        outstandingPrincipal: 36500,
+        interestRate: 10,
+        disbursedAt: new Date(2024, 0, 1),
+        schedule: [
+          { dueDate: new Date(2024, 1, 1), interest: 300, interestPaid: 300, status: 'paid' },
+          { dueDate: new Date(2024, 2, 1), interest: 300, interestPaid: 0, status: 'due' }
+        ]
+      };
+
+      const quote = LoanService.getPrepaymentQuote(loan, { prepaymentChargeRate: 2 }, new Date(2024, 2, 11));
+
+      expect(quote.overdueInterest).toBe(300);
+      expect(quote.accruedInterest).toBe(100);
+      expect(quote.prepaymentCharge).toBe(730);
+      expect(quote.totalPayable).toBe(37630);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+jest.mock('../../services/emailService', () => ({}));
+
+const LoginSecurityService = require('../../services/loginSecurityService');
+
+const buildRequest = (ip, headers = {}) => ({
+  ip,
+  get: (name) => headers[name]
+});
+
+describe('LoginSecurityService', () => {
+  it('should double each lockout up to a day', () => {
+    expect(LoginSecurityService.getLockoutMinutes(0)).toBe(15);
+    expect(LoginSecurityService.getLockoutMinutes(2)).toBe(60);
+    expect(LoginSecurityService.getLockoutMinutes(10)).toBe(24 * 60);
+  });
+
+  it('should treat only a future lockedUntil as locked', () => {
+    const now = new Date('2024-06-01T10:00:00Z');
+
+    expect(LoginSecurityService.isLocked({ loginSecurity: { lockedUntil: new Date('2024-06-01T10:05:00Z') } }, now)).toBe(true);
+    expect(LoginSecurityService.isLocked({ loginSecurity: { lockedUntil: new Date('2024-06-01T09:55:00Z') } }, now)).toBe(false);
+    expect(LoginSecurityService.isLocked({}, now)).toBe(false);
+  });
+
+  describe('getClientContext', () => {
+    it('should prefer the proxy country and fall back to the client network', () => {
+      const withCountry = LoginSecurityService.getClientContext(buildRequest('1.2.3.4', { 'CF-IPCountry': 'in', 'User-Agent': 'Mobile' }));
+      expect(withCountry.location).toBe('IN');
+
+      const withoutCountry = LoginSecurityService.getClientContext(buildRequest('::ffff:10.20.30.40', { 'User-Agent': 'Mobile' }));
+      expect(withoutCountry.location).toBe('10.20.30.0/24');
+      expect(withoutCountry.deviceId).toBe(withCountry.deviceId);
+    });
+  });
+});
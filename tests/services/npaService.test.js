@@ -0,0 +1,28 @@
+const NpaService = require('../../services/npaService');
+
+describe('NpaService', () => {
+  describe('getBucket', () => {
+    it('should bucket loans by days past due', () => {
+      expect(NpaService.getBucket(0)).toBe('current');
+      expect(NpaService.getBucket(30)).toBe('sma_0');
+      expect(NpaService.getBucket(61)).toBe('sma_2');
+      expect(NpaService.getBucket(91)).toBe('91_180');
+      expect(NpaService.getBucket(400)).toBe('over_365');
+    });
+  });
+
+  describe('classify', () => {
+    it('should keep loans up to 90 days past due as standard', () => {
+      expect(NpaService.classify(90)).toBe('standard');
+      expect(NpaService.classify(91)).toBe('sub_standard');
+    });
+
+    it('should move loans to doubtful and loss after the bank thresholds', () => {
+      const rules = { subStandardDays: 60, doubtfulDays: 180, lossDays: 365 };
+
+      expect(NpaService.classify(61, rules)).toBe('sub_standard');
+      expect(NpaService.classify(181, rules)).toBe('doubtful');
+      expect(NpaService.classify(366, rules)).toBe('loss');
+    });
+  });
+});
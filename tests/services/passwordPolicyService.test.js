@@ -0,0 +1,61 @@
+const bcrypt = require('bcryptjs');
+const PasswordPolicyService = require('../../services/passwordPolicyService');
+
+describe('PasswordPolicyService', () => {
+  const policy = PasswordPolicyService.getPolicy(null);
+
+  describe('validate', () => {
+    it('should report every rule a password breaks', () => {
+      expect(PasswordPolicyService.validate('short', policy)).toEqual([
+        'Password must be at least 8 characters long',
+        'Password must contain an uppercase letter',
+        'Password must contain a number'
+      ]);
+      expect(PasswordPolicyService.validate('Kestrel#River42', policy)).toEqual([]);
+    });
+
+    it('should reject common passwords and ones containing the email name', () => {
+      expect(PasswordPolicyService.validate('Password123', policy)).toContain('Password is too common');
+      expect(PasswordPolicyService.validate('Jsmith2024!', policy, { email: 'jsmith@test.com' }))
+        .toContain('Password must not contain your email address');
+    });
+
+    it('should apply bank overrides', () => {
+      const bank = { settings: { passwordPolicy: { minLength: 12, requireSymbol: true } } };
+      const strict = PasswordPolicyService.getPolicy(bank);
+
+      expect(strict.historyCount).toBe(5);
+      expect(PasswordPolicyService.validate('Kestrel42', strict)).toEqual([
+        'Password must be at least 12 characters long',
+        'Password must contain a symbol'
+      ]);
+    });
+  });
+
+  describe('applyNewPassword', () => {
+    it('should refuse recent passwords and keep the history bounded', async () => {
+      const current = await bcrypt.hash('Current#Pass1', 4);
+      const previous = await bcrypt.hash('Previous#Pass1', 4);
+      const user = { isNew: false, password: current, passwordHistory: [previous] };
+      const shortHistory = { ...policy, historyCount: 2 };
+
+      await expect(PasswordPolicyService.applyNewPassword(user, 'Previous#Pass1', shortHistory))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      await PasswordPolicyService.applyNewPassword(user, 'Brand#NewPass1', shortHistory);
+      expect(user.password).toBe('Brand#NewPass1');
+      expect(user.passwordHistory).toEqual([current]);
+    });
+  });
+
+  describe('isExpired', () => {
+    it('should expire only staff passwords older than the maximum age', () => {
+      const now = new Date('2024-06-01');
+      const old = new Date('2024-01-01');
+
+      expect(PasswordPolicyService.isExpired({ role: 'manager', passwordChangedAt: old }, policy, now)).toBe(true);
+      expect(PasswordPolicyService.isExpired({ role: 'member', passwordChangedAt: old }, policy, now)).toBe(false);
+      expect(PasswordPolicyService.isExpired({ role: 'admin', createdAt: old }, { ...policy, staffMaxAgeDays: 0 }, now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const PermissionService = require('../../services/permissionService');
+
+describe('PermissionService', () => {
+  const bankId = new mongoose.Types.ObjectId();
+
+  const requestFor = (role, permissions, overrides = {}) => ({
+    user: { _id: new mongoose.Types.ObjectId(), role },
+    cooperativeBankId: bankId,
+    permissions: new Set(permissions),
+    ...overrides
+  });
+
+  describe('getRoleMap', () => {
+    it('should merge bank overrides and custom roles without touching super_admin', () => {
+      const bank = {
+        settings: {
+          rolePermissions: new Map([
+            ['teller', ['accounts.view_all']],
+            ['cashier', ['transactions.post_on_behalf']],
+            ['super_admin', []]
+          ])
+        }
+      };
+
+      const roles = PermissionService.getRoleMap(bank);
+
+      expect(roles.teller).toEqual(['accounts.view_all']);
+      expect(roles.cashier).toEqual(['transactions.post_on_behalf']);
+      expect(roles.super_admin).toEqual(Object.keys(PermissionService.PERMISSIONS));
+      expect(roles.manager).toContain('loans.sanction');
+    });
+
+    it('should fall back to the defaults without a bank', () => {
+      expect(PermissionService.getRoleMap(null)).toEqual(PermissionService.DEFAULT_ROLE_PERMISSIONS);
+    });
+  });
+
+  describe('validateRole', () => {
+    const granter = new Set(['accounts.view_all', 'users.view']);
+
+    it('should accept permissions the granter holds', () => {
+      expect(() => PermissionService.validateRole('cashier', ['accounts.view_all'], granter)).not.toThrow();
+    });
+
+    it('should reject super_admin, unknown, platform and unheld permissions', () => {
+      expect(() => PermissionService.validateRole('super_admin', [], granter)).toThrow(/cannot be changed/);
+      expect(() => PermissionService.validateRole('Bad Name', [], granter)).toThrow(/Role names/);
+      expect(() => PermissionService.validateRole('cashier', ['accounts.fly'], granter)).toThrow(/Unknown permissions/);
+      expect(() => PermissionService.validateRole('cashier', ['banks.manage'], granter)).toThrow(/Platform permissions/);
+
+      try {
+        PermissionService.validateRole('cashier', ['loans.sanction'], granter);
+      } catch (error) {
+        expect(error.statusCode).toBe(403);
+      }
+      expect.assertions(5);
+    });
+  });
+
+  describe('canAccessOwned', () => {
+    it('should let owners through without any permission', async () => {
+      const req = requestFor('member', []);
+      await expect(PermissionService.canAccessOwned(req, { userId: req.user._id }, 'accounts.view_all')).resolves.toBe(true);
+    });
+
+    it('should require the permission and the same bank for other users\' records', async () => {
+      const record = { userId: new mongoose.Types.ObjectId(), cooperativeBankId: bankId };
+
+      await expect(PermissionService.canAccessOwned(requestFor('member', []), record, 'accounts.view_all')).resolves.toBe(false);
+      await expect(PermissionService.canAccessOwned(requestFor('teller', ['accounts.view_all']), record, 'accounts.view_all')).resolves.toBe(true);
+      await expect(PermissionService.canAccessOwned(
+        requestFor('teller', ['accounts.view_all'], { cooperativeBankId: new mongoose.Types.ObjectId() }),
+        record,
+        'accounts.view_all'
+      )).resolves.toBe(false);
+    });
+
+    it('should keep auditors from repaying other members\' loans', async () => {
+      const auditor = PermissionService.DEFAULT_ROLE_PERMISSIONS.auditor;
+      const loan = { userId: new mongoose.Types.ObjectId(), cooperativeBankId: bankId };
+
+      expect(auditor).toContain('loans.view_all');
+      await expect(PermissionService.canAccessOwned(requestFor('auditor', auditor), loan, 'loans.view_all')).resolves.toBe(true);
+      await expect(PermissionService.canAccessOwned(requestFor('auditor', auditor), loan, 'loans.collect_repayment')).resolves.toBe(false);
+      await expect(PermissionService.canAccessOwned(
+        requestFor('manager', PermissionService.DEFAULT_ROLE_PERMISSIONS.manager),
+        loan,
+        'loans.collect_repayment'
+      )).resolves.toBe(true);
+    });
+  });
+});
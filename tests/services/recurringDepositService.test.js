@@ -0,0 +1,164 @@
+// Run transactional work inline; there is no replica set in unit tests
+jest.mock('../../utils/dbSession', () => ({
+  withTransaction: (work, session) => work(session || {})
+}));
+
+const mongoose = require('mongoose');
+const Account = require('../../models/Account');
+const LedgerService = require('../../services/ledgerService');
+const RecurringDepositService = require('../../services/recurringDepositService');
+const { AppError } = require('../../middleware/validation');
+
+describe('RecurringDepositService', () => {
+  describe('buildSchedule', () => {
+    it('should create one monthly installment per month of tenure', () => {
+      const schedule = RecurringDepositService.buildSchedule(new Date(2024, 0, 31), 3);
+
+      expect(schedule.map(installment => installment.number)).toEqual([1, 2, 3]);
+      expect(schedule[1].dueDate).toEqual(new Date(2024, 1, 29));
+      expect(schedule[2].dueDate).toEqual(new Date(2024, 2, 31));
+      expect(schedule.every(installment => installment.status === 'due')).toBe(true);
+    });
+  });
+
+  describe('calculateMaturityAmount', () => {
+    it('should compound each installment for the months it is held', () => {
+      expect(RecurringDepositService.calculateMaturityAmount(1000, 6, 12)).toBe(12395.23);
+    });
+  });
+
+  describe('getSummary', () => {
+    it('should report overdue installments and outstanding late fees as arrears', () => {
+      const account = {
+        _id: 'rd1',
+        accountNumber: 'COP000000010',
+        balance: 1000,
+        recurringDeposit: {
+          installmentAmount: 1000,
+          status: 'active',
+          installments: [
+            { number: 1, dueDate: new Date(2024, 0, 10), status: 'paid' },
+            { number: 2, dueDate: new Date(2024, 1, 10), status: 'missed', lateFee: 50 },
+            { number: 3, dueDate: new Date(2024, 2, 10), status: 'due' }
+          ]
+        }
+      };
+
+      const summary = RecurringDepositService.getSummary(account, new Date(2024, 1, 20));
+
+      expect(summary.installmentsPaid).toBe(1);
+      expect(summary.arrears).toEqual({
+        installments: 1,
+        amount: 1000,
+        lateFeesOutstanding: 50,
+        lateFeesCharged: 0
+      });
+      expect(summary.nextDue.number).toBe(3);
+    });
+  });
+
+  describe('mature', () => {
+    const schedule = (statuses) => statuses.map((status, index) => ({ number: index + 1, status }));
+
+    const deposit = (statuses) => ({
+      _id: new mongoose.Types.ObjectId(),
+      accountNumber: 'COP000000011',
+      recurringDeposit: {
+        installmentAmount: 1000,
+        interestRate: 6,
+        tenureMonths: 12,
+        maturityAmount: RecurringDepositService.calculateMaturityAmount(1000, 6, 12),
+        linkedAccount: new mongoose.Types.ObjectId(),
+        installments: schedule(statuses)
+      }
+    });
+
+    it('should earn the full maturity amount only when every installment is paid', () => {
+      const full = deposit(Array(12).fill('paid'));
+      const partial = deposit([...Array(10).fill('paid'), 'missed', 'due']);
+
+      expect(RecurringDepositService.calculateEarnedAmount(full.recurringDeposit)).toBe(12395.23);
+      // Installments 11 and 12 would have been held for 2 and 1 months
+      expect(RecurringDepositService.calculateEarnedAmount(partial.recurringDeposit)).toBe(
+        Math.round((12395.23 - 1000 * Math.pow(1.015, 2 / 3) - 1000 * Math.pow(1.015, 1 / 3)) * 100) / 100
+      );
+    });
+
+    it('should mature on schedule with missed installments, paying interest on what was paid', async () => {
+      const account = deposit([...Array(10).fill('paid'), 'missed', 'due']);
+      const claim = jest.spyOn(Account, 'findOneAndUpdate').mockResolvedValue(account);
+      jest.spyOn(Account, 'findById').mockReturnValue({ session: async () => ({ _id: account.recurringDeposit.linkedAccount }) });
+      const close = jest.spyOn(Account, 'findByIdAndUpdate').mockResolvedValue({});
+      const postInterest = jest.spyOn(LedgerService, 'postInterest').mockResolvedValue({});
+      const transfer = jest.spyOn(LedgerService, 'transfer').mockResolvedValue({});
+
+      await RecurringDepositService.mature(account._id, new Date());
+
+      const earned = RecurringDepositService.calculateEarnedAmount(account.recurringDeposit);
+      expect(claim.mock.calls[0][0]).not.toHaveProperty(['recurringDeposit.installments.status']);
+      expect(postInterest.mock.calls[0][0].amount).toBe(Math.round((earned - 10000) * 100) / 100);
+      expect(transfer.mock.calls[0][0].amount).toBe(earned);
+      expect(close.mock.calls[0][1].$set).toEqual(expect.objectContaining({
+        isActive: false,
+        'recurringDeposit.payoutAmount': earned,
+        'recurringDeposit.installments.$[unpaid].status': 'missed'
+      }));
+    });
+  });
+
+  describe('collectLateFee', () => {
+    it('should tag the late fee with the deposit so it cannot be reversed', async () => {
+      const account = {
+        _id: new mongoose.Types.ObjectId(),
+        accountNumber: 'COP000000013',
+        recurringDeposit: { linkedAccount: new mongoose.Types.ObjectId() }
+      };
+      jest.spyOn(Account, 'findById').mockReturnValue({ session: async () => ({ _id: account.recurringDeposit.linkedAccount }) });
+      const postPenalty = jest.spyOn(LedgerService, 'postPenalty').mockResolvedValue({ transaction: { _id: new mongoose.Types.ObjectId() } });
+      jest.spyOn(Account, 'findOneAndUpdate').mockResolvedValue(account);
+
+      await RecurringDepositService.collectLateFee(account, { number: 2, lateFee: 50 });
+
+      expect(postPenalty.mock.calls[0][0]).toEqual(expect.objectContaining({
+        amount: 50,
+        fields: { depositAccount: account._id }
+      }));
+    });
+  });
+
+  describe('processAccount', () => {
+    const settings = { gracePeriodDays: 5, lateFeePerInstallment: 50 };
+    const asOf = new Date('2024-05-01');
+
+    it('should mark every overdue installment missed when the savings account is empty', async () => {
+      const account = {
+        _id: new mongoose.Types.ObjectId(),
+        accountNumber: 'COP000000012',
+        recurringDeposit: {
+          linkedAccount: new mongoose.Types.ObjectId(),
+          installments: [
+            { number: 1, dueDate: new Date('2024-01-01'), status: 'due', lateFee: 0 },
+            { number: 2, dueDate: new Date('2024-02-01'), status: 'due', lateFee: 0 },
+            { number: 3, dueDate: new Date('2024-03-01'), status: 'due', lateFee: 0 },
+            { number: 4, dueDate: new Date('2024-06-01'), status: 'due', lateFee: 0 }
+          ]
+        }
+      };
+      const pay = jest.spyOn(RecurringDepositService, 'payInstallment')
+        .mockRejectedValue(new AppError('Insufficient balance', 400));
+      const markMissed = jest.spyOn(RecurringDepositService, 'markMissed').mockImplementation(async (current, number, lateFee) => {
+        Object.assign(current.recurringDeposit.installments[number - 1], { status: 'missed', lateFee });
+        return current;
+      });
+      jest.spyOn(RecurringDepositService, 'mature').mockResolvedValue(null);
+      jest.spyOn(RecurringDepositService, 'collectLateFee').mockRejectedValue(new AppError('Insufficient balance', 400));
+
+      const result = await RecurringDepositService.processAccount(account, settings, asOf);
+
+      expect(pay).toHaveBeenCalledTimes(1);
+      expect(markMissed.mock.calls.map(call => [call[1], call[2]])).toEqual([[1, 50], [2, 50], [3, 50]]);
+      expect(result).toEqual({ paid: 0, missed: 3, lateFees: 0 });
+      expect(account.recurringDeposit.installments[3].status).toBe('due');
+    });
+  });
+});
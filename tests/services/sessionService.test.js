@@ -0,0 +1,88 @@
+const jwt = require('jsonwebtoken');
+
+// In-memory stand-in for Redis; plain functions because the jest config resets mocks
+jest.mock('../../services/redisService', () => {
+  const sessions = new Map();
+  const userSessions = new Map();
+  return {
+    isConnected: true,
+    setSession: async (id, data) => {
+      sessions.set(id, JSON.parse(JSON.stringify(data)));
+      return true;
+    },
+    getSession: async (id) => sessions.get(id) || null,
+    rotateSession: async (id, expectedTokenId, data) => {
+      if (!sessions.has(id) || sessions.get(id).refreshTokenId !== expectedTokenId) return false;
+      sessions.set(id, JSON.parse(JSON.stringify(data)));
+      return true;
+    },
+    deleteSession: async (id) => sessions.delete(id),
+    addUserSession: async (userId, id) => {
+      if (!userSessions.has(userId)) userSessions.set(userId, new Set());
+      userSessions.get(userId).add(id);
+      return true;
+    },
+    getUserSessions: async (userId) => Array.from(userSessions.get(String(userId)) || []),
+    removeUserSession: async (userId, id) => userSessions.get(String(userId))?.delete(id),
+    del: async (key) => userSessions.delete(key.replace('user-sessions:', ''))
+  };
+});
+
+jest.mock('../../models/User', () => ({
+  findById: () => ({
+    populate: async () => ({ _id: 'user-1', isActive: true, cooperativeBankId: { _id: 'bank-1' } })
+  })
+}));
+
+jest.mock('../../services/auditService', () => ({ logAuthEvent: async () => {} }));
+
+const SessionService = require('../../services/sessionService');
+
+describe('SessionService', () => {
+  const user = { _id: 'user-1', cooperativeBankId: 'bank-1' };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should issue an access token bound to the session', async () => {
+    const tokens = await SessionService.createSession(user);
+    const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET);
+
+    expect(decoded.sid).toBe(tokens.sessionId);
+    expect(await SessionService.isSessionActive(tokens.sessionId, 'user-1')).toBe(true);
+  });
+
+  it('should rotate refresh tokens and revoke the session when an old one is reused', async () => {
+    const first = await SessionService.createSession(user);
+    const { tokens: second } = await SessionService.refresh(first.refreshToken);
+
+    expect(second.sessionId).toBe(first.sessionId);
+    await expect(SessionService.refresh(first.refreshToken)).rejects.toThrow('already been used');
+    await expect(SessionService.refresh(second.refreshToken)).rejects.toThrow('revoked');
+    expect(await SessionService.isSessionActive(first.sessionId, 'user-1')).toBe(false);
+  });
+
+  it('should let only one of two concurrent refreshes with the same token through', async () => {
+    const first = await SessionService.createSession(user);
+
+    const results = await Promise.allSettled([
+      SessionService.refresh(first.refreshToken),
+      SessionService.refresh(first.refreshToken)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toContain('already been used');
+    expect(await SessionService.isSessionActive(first.sessionId, 'user-1')).toBe(false);
+  });
+
+  it('should revoke every session on logout-all', async () => {
+    const a = await SessionService.createSession(user);
+    const b = await SessionService.createSession(user);
+
+    await SessionService.revokeAllSessions('user-1');
+
+    expect(await SessionService.isSessionActive(a.sessionId, 'user-1')).toBe(false);
+    expect(await SessionService.isSessionActive(b.sessionId, 'user-1')).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const DividendRun = require('../../models/DividendRun');
+const ShareHolding = require('../../models/ShareHolding');
+const ShareTransaction = require('../../models/ShareTransaction');
+const ShareService = require('../../services/shareService');
+
+describe('ShareService', () => {
+  describe('calculateDividend', () => {
+    it('should apply the declared rate to paid-up share capital', () => {
+      expect(ShareService.calculateDividend(2500, 12)).toBe(300);
+      expect(ShareService.calculateDividend(1050, 7.5)).toBe(78.75);
+    });
+  });
+
+  describe('getRedemptionValue', () => {
+    it('should redeem at the average amount paid per share', () => {
+      const holding = { shares: 30, shareCapital: 3500 };
+
+      expect(ShareService.getRedemptionValue(holding, 10)).toBe(1166.67);
+      expect(ShareService.getRedemptionValue(holding, 30)).toBe(3500);
+    });
+  });
+
+  describe('declareDividend', () => {
+    const declaration = {
+      cooperativeBankId: new mongoose.Types.ObjectId(),
+      financialYear: '2024-25',
+      rate: 8,
+      declaredBy: new mongoose.Types.ObjectId()
+    };
+
+    const runningRun = (heartbeatAt) => ({
+      _id: new mongoose.Types.ObjectId(),
+      status: 'running',
+      rate: 8,
+      heartbeatAt,
+      failures: [],
+      save: jest.fn(async () => {})
+    });
+
+    it('should refuse a run that is still being paid', async () => {
+      jest.spyOn(DividendRun, 'findOne').mockResolvedValue(runningRun(new Date()));
+      const takeOver = jest.spyOn(DividendRun, 'findOneAndUpdate');
+
+      await expect(ShareService.declareDividend(declaration)).rejects.toMatchObject({ statusCode: 409 });
+      expect(takeOver).not.toHaveBeenCalled();
+    });
+
+    it('should take over a run abandoned in running and count earlier payments', async () => {
+      const run = runningRun(new Date(Date.now() - 60 * 60 * 1000));
+      jest.spyOn(DividendRun, 'findOne').mockResolvedValue(run);
+      const takeOver = jest.spyOn(DividendRun, 'findOneAndUpdate').mockResolvedValue(run);
+      jest.spyOn(ShareTransaction, 'find').mockReturnValue({ distinct: async () => [] });
+      jest.spyOn(ShareHolding, 'find').mockResolvedValue([]);
+      jest.spyOn(ShareTransaction, 'aggregate').mockResolvedValue([{ _id: null, membersPaid: 3, totalDividend: 240.5 }]);
+
+      const result = await ShareService.declareDividend(declaration);
+
+      expect(takeOver.mock.calls[0][0].$or).toEqual([
+        { status: 'failed' },
+        { status: 'running', heartbeatAt: { $lte: expect.any(Date) } }
+      ]);
+      expect(result).toEqual(expect.objectContaining({ status: 'completed', membersPaid: 3, totalDividend: 240.5 }));
+      expect(run.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('generateCertificate', () => {
+    it('should produce a one-page PDF', async () => {
+      const pdf = await ShareService.generateCertificate({
+        holding: { certificateNumber: 'SC1700000000000001', shares: 25, shareCapital: 2500, firstAllottedAt: new Date() },
+        member: { firstName: 'Asha', lastName: 'Patil', memberSince: new Date(2020, 3, 1) },
+        bank: {
+          bankName: 'Shree Sahakari Bank',
+          registrationNumber: 'MH/123/2001',
+          address: { street: '1 Market Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' }
+        }
+      });
+
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
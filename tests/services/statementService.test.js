@@ -0,0 +1,62 @@
+const StatementService = require('../../services/statementService');
+
+const accountId = '64b000000000000000000001';
+
+const makeTransaction = (fields) => ({
+  ...fields,
+  getAccountEffect(id) {
+    if (this.toAccount === id) return this.amount;
+    if (this.fromAccount === id) return -this.amount;
+    return 0;
+  }
+});
+
+describe('StatementService', () => {
+  describe('buildLines', () => {
+    it('should carry a running balance from the opening balance', () => {
+      const transactions = [
+        makeTransaction({ transactionId: 'TXN1', transactionType: 'deposit', toAccount: accountId, amount: 500, processedAt: new Date(2024, 3, 2) }),
+        makeTransaction({ transactionId: 'TXN2', transactionType: 'withdrawal', fromAccount: accountId, amount: 200, processedAt: new Date(2024, 3, 5) })
+      ];
+
+      const result = StatementService.buildLines(accountId, 1000, transactions);
+
+      expect(result.lines.map(line => line.balance)).toEqual([1500, 1300]);
+      expect(result.lines[1].debit).toBe(200);
+      expect(result.totalCredits).toBe(500);
+      expect(result.totalDebits).toBe(200);
+      expect(result.closingBalance).toBe(1300);
+    });
+  });
+
+  describe('resolvePeriod', () => {
+    it('should reject a period longer than a year', () => {
+      expect(() => StatementService.resolvePeriod(new Date(2023, 0, 1), new Date(2024, 0, 2))).toThrow('at most');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should escape quotes and neutralise formulas', () => {
+      const csv = StatementService.toCsv({
+        from: new Date(2024, 3, 1),
+        to: new Date(2024, 3, 30),
+        openingBalance: 1000,
+        closingBalance: 900,
+        totalCredits: 0,
+        totalDebits: 100,
+        lines: [{
+          date: new Date(2024, 3, 3),
+          transactionId: 'TXN1',
+          transactionType: 'withdrawal',
+          description: '=HYPERLINK("x")',
+          debit: 100,
+          credit: 0,
+          balance: 900
+        }]
+      });
+
+      expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+      expect(csv.split('\r\n')[1]).toContain('Opening balance');
+    });
+  });
+});
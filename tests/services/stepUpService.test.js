@@ -0,0 +1,80 @@
+jest.mock('../../services/emailService', () => ({}));
+jest.mock('../../services/redisService', () => {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => { store.set(key, value); return true; },
+    del: async (key) => { store.delete(key); return true; },
+    exists: async (key) => store.has(key),
+    checkRateLimit: async (key, limit) => {
+      const count = (store.get(key) || 0) + 1;
+      store.set(key, count);
+      return { allowed: count <= limit, remaining: Math.max(limit - count, 0) };
+    }
+  };
+});
+
+const redisService = require('../../services/redisService');
+const StepUpService = require('../../services/stepUpService');
+const OtpService = require('../../services/otpService');
+
+describe('StepUpService', () => {
+  beforeEach(() => {
+    redisService.store.clear();
+  });
+
+  describe('getSettings', () => {
+    it('should fall back to defaults and honour bank overrides', () => {
+      expect(StepUpService.getSettings(null)).toEqual({ amountThreshold: 25000, windowMinutes: 5 });
+
+      const bank = { settings: { security: { stepUp: { amountThreshold: 0, windowMinutes: 10 } } } };
+      expect(StepUpService.getSettings(bank)).toEqual({ amountThreshold: 0, windowMinutes: 10 });
+    });
+
+    it('should only require a step-up above the threshold', () => {
+      expect(StepUpService.isAmountAboveThreshold('25000', null)).toBe(false);
+      expect(StepUpService.isAmountAboveThreshold(25000.01, null)).toBe(true);
+      expect(StepUpService.isAmountAboveThreshold('abc', null)).toBe(false);
+    });
+  });
+
+  it('should offer TOTP only to enrolled users', () => {
+    expect(StepUpService.getMethods({ twoFactor: { enabled: true } })).toEqual(['password', 'otp', 'totp']);
+    expect(StepUpService.getMethods({})).toEqual(['password', 'otp']);
+  });
+
+  describe('OtpService', () => {
+    it('should send through the chosen channel and accept the code once', async () => {
+      const sent = [];
+      OtpService.registerChannel('test', { send: async (message) => { sent.push(message); } });
+
+      const delivery = await OtpService.issue({ key: 'step-up:s1', user: {}, purpose: 'step_up', channel: 'test' });
+
+      expect(delivery).toMatchObject({ channel: 'test', expiresIn: 300 });
+      expect(sent[0].code).toMatch(/^\d{6}$/);
+      const wrong = sent[0].code === '000000' ? '111111' : '000000';
+      expect(await OtpService.verify('step-up:s1', wrong)).toBe(false);
+      expect(await OtpService.verify('step-up:s1', sent[0].code)).toBe(true);
+      expect(await OtpService.verify('step-up:s1', sent[0].code)).toBe(false);
+    });
+
+    it('should discard the code after too many wrong guesses', async () => {
+      const sent = [];
+      OtpService.registerChannel('test', { send: async (message) => { sent.push(message); } });
+      await OtpService.issue({ key: 'step-up:s2', user: {}, purpose: 'step_up', channel: 'test' });
+
+      const wrong = sent[0].code === '000000' ? '111111' : '000000';
+      for (let i = 0; i < 5; i++) {
+        await OtpService.verify('step-up:s2', wrong);
+      }
+
+      expect(await OtpService.verify('step-up:s2', sent[0].code)).toBe(false);
+    });
+
+    it('should reject unknown channels', async () => {
+      await expect(OtpService.issue({ key: 'k', user: {}, purpose: 'step_up', channel: 'pigeon' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
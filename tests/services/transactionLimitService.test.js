@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Account = require('../../models/Account');
+const Transaction = require('../../models/Transaction');
+const User = require('../../models/User');
+const TransactionLimitService = require('../../services/transactionLimitService');
+const { AppError } = require('../../middleware/validation');
+
+describe('TransactionLimitService', () => {
+  const bank = {
+    settings: {
+      transactionLimits: {
+        dailyDeposit: 100000,
+        dailyWithdrawal: 50000,
+        dailyTransfer: 100000,
+        monthlyTransaction: 1000000,
+        accountTypeOverrides: [
+          { accountType: 'current', dailyWithdrawal: 200000 }
+        ]
+      }
+    }
+  };
+
+  describe('resolveLimits', () => {
+    it('should fall back to the bank defaults', () => {
+      const limits = TransactionLimitService.resolveLimits(bank, 'savings', null);
+
+      expect(limits.dailyWithdrawal).toBe(50000);
+      expect(limits.dailyDeposit).toBe(100000);
+    });
+
+    it('should apply account type overrides over bank defaults', () => {
+      const limits = TransactionLimitService.resolveLimits(bank, 'current', null);
+
+      expect(limits.dailyWithdrawal).toBe(200000);
+      expect(limits.dailyTransfer).toBe(100000);
+    });
+
+    it('should apply member overrides over account type overrides', () => {
+      const member = { transactionLimits: { dailyWithdrawal: 10000, monthlyTransaction: 0 } };
+      const limits = TransactionLimitService.resolveLimits(bank, 'current', member);
+
+      expect(limits.dailyWithdrawal).toBe(10000);
+      expect(limits.monthlyTransaction).toBe(0);
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should count pending approvals but not the one being approved', async () => {
+      const accountId = new mongoose.Types.ObjectId();
+      const approvingId = new mongoose.Types.ObjectId();
+      jest.spyOn(Account, 'find').mockReturnValue({ select: () => ({ session: async () => [{ _id: accountId }] }) });
+      const find = jest.spyOn(Transaction, 'find').mockReturnValue({
+        select: () => ({
+          session: async () => [
+            { transactionType: 'withdrawal', amount: 2000, fromAccount: accountId, processedAt: new Date() },
+            { transactionType: 'withdrawal', amount: 500, fromAccount: accountId, processedAt: new Date() }
+          ]
+        })
+      });
+
+      const usage = await TransactionLimitService.getUsage('member-1', new Date(), { excludeTransactionId: approvingId });
+
+      expect(find.mock.calls[0][0]).toEqual(expect.objectContaining({
+        status: { $in: ['completed', 'pending'] },
+        _id: { $ne: approvingId }
+      }));
+      expect(usage.dailyWithdrawal).toBe(2500);
+    });
+  });
+
+  describe('withinLimits', () => {
+    // Joining a caller's session keeps withTransaction from starting a real one
+    const session = {};
+    const sender = { userId: new mongoose.Types.ObjectId() };
+    const receiver = { userId: new mongoose.Types.ObjectId() };
+
+    it('should lock both members and check usage inside the session', async () => {
+      const lock = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      const evaluate = jest.spyOn(TransactionLimitService, 'evaluateLeg').mockResolvedValue({ headroom: {}, exceeded: [] });
+      const work = jest.fn().mockResolvedValue('posted');
+
+      const { result } = await TransactionLimitService.withinLimits(
+        { transactionType: 'transfer', amount: 100, account: sender, toAccount: receiver }, work, session
+      );
+
+      expect(result).toBe('posted');
+      expect(lock).toHaveBeenCalledTimes(2);
+      expect(lock.mock.calls.map(call => call[2].session)).toEqual([session, session]);
+      expect(evaluate).toHaveBeenCalledWith(sender, ['dailyTransfer', 'monthlyTransaction'], 100, { session, excludeTransactionId: null });
+      expect(work).toHaveBeenCalledWith(session);
+    });
+
+    it('should not post when a limit is exceeded', async () => {
+      jest.spyOn(TransactionLimitService, 'enforce').mockRejectedValue(new AppError('Daily transfer limit exceeded', 400));
+      const work = jest.fn();
+
+      await expect(TransactionLimitService.withinLimits({ transactionType: 'transfer', amount: 100, account: sender }, work, session))
+        .rejects.toThrow('Daily transfer limit exceeded');
+      expect(work).not.toHaveBeenCalled();
+    });
+
+    it('should turn a write conflict with a concurrent movement into a retryable error', async () => {
+      const conflict = Object.assign(new Error('Write conflict'), { hasErrorLabel: label => label === 'TransientTransactionError' });
+      jest.spyOn(TransactionLimitService, 'enforce').mockRejectedValue(conflict);
+
+      await expect(TransactionLimitService.withinLimits({ transactionType: 'deposit', amount: 100, account: sender }, jest.fn(), session))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
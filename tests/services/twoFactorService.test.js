@@ -0,0 +1,46 @@
+const TwoFactorService = require('../../services/twoFactorService');
+const { base32Encode, generateCode, verifyCode, buildOtpAuthUri } = require('../../utils/totp');
+const { hashValue } = require('../../utils/encryption');
+
+describe('TwoFactorService', () => {
+  describe('TOTP', () => {
+    // RFC 6238 SHA1 test vector, truncated to six digits
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    it('should match the RFC 6238 reference code', () => {
+      expect(generateCode(secret, 1)).toBe('287082');
+    });
+
+    it('should accept one step of clock drift and reject older codes', () => {
+      const now = 90 * 1000;
+      expect(verifyCode(secret, generateCode(secret, 2), now)).toBe(2);
+      expect(verifyCode(secret, generateCode(secret, 0), now)).toBeNull();
+      expect(verifyCode(secret, 'abcdef', now)).toBeNull();
+    });
+
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = buildOtpAuthUri({ secret, accountName: 'staff@bank.com', issuer: 'TCB' });
+      expect(uri).toMatch(/^otpauth:\/\/totp\/TCB%3Astaff%40bank\.com\?secret=/);
+    });
+  });
+
+  describe('isRequiredFor', () => {
+    const bank = { settings: { security: { requireTwoFactorForStaff: true } } };
+
+    it('should require 2FA only for staff when the bank enforces it', () => {
+      expect(TwoFactorService.isRequiredFor({ role: 'manager' }, bank)).toBe(true);
+      expect(TwoFactorService.isRequiredFor({ role: 'member' }, bank)).toBe(false);
+      expect(TwoFactorService.isRequiredFor({ role: 'admin' }, { settings: {} })).toBe(false);
+    });
+  });
+
+  describe('generateRecoveryCodes', () => {
+    it('should return unique codes with matching hashes', () => {
+      const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+      expect(new Set(codes).size).toBe(10);
+      expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(hashes[0]).toBe(hashValue(codes[0]));
+    });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../../services/emailService', () => ({}));
+jest.mock('../../services/redisService', () => {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => { store.set(key, value); return true; },
+    del: async (key) => { store.delete(key); return true; },
+    checkRateLimit: async (key, limit) => {
+      const count = (store.get(key) || 0) + 1;
+      store.set(key, count);
+      return { allowed: count <= limit, remaining: Math.max(limit - count, 0) };
+    }
+  };
+});
+
+const mongoose = require('mongoose');
+const redisService = require('../../services/redisService');
+const User = require('../../models/User');
+const SmsService = require('../../services/smsService');
+const VerificationService = require('../../services/verificationService');
+
+describe('VerificationService', () => {
+  const outbox = [];
+  const previousProvider = process.env.SMS_PROVIDER;
+
+  beforeAll(() => {
+    SmsService.registerProvider('test', { send: async (sms) => { outbox.push(sms); } });
+    process.env.SMS_PROVIDER = 'test';
+  });
+
+  afterAll(() => {
+    process.env.SMS_PROVIDER = previousProvider;
+  });
+
+  beforeEach(() => {
+    redisService.store.clear();
+    outbox.length = 0;
+  });
+
+  const member = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Asha',
+    phone: '9876543210',
+    emailVerified: true,
+    phoneVerified: false,
+    ...overrides
+  });
+
+  const lastCode = () => outbox[outbox.length - 1].message.match(/^(\d{6})/)[1];
+
+  it('should only treat users with both email and phone verified as verified', () => {
+    expect(VerificationService.isVerified(member())).toBe(false);
+    expect(VerificationService.isVerified(member({ phoneVerified: true }))).toBe(true);
+  });
+
+  it('should text a code to the phone and mark it verified with that code', async () => {
+    const user = member();
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ ...user, phoneVerified: true });
+
+    const delivery = await VerificationService.sendPhoneOtp(user);
+    expect(delivery).toEqual(expect.objectContaining({ channel: 'sms', destination: '******3210' }));
+    expect(outbox[0].to).toBe('9876543210');
+
+    const verified = await VerificationService.verifyPhone(user, lastCode());
+
+    expect(verified.phoneVerified).toBe(true);
+    expect(update).toHaveBeenCalledWith(
+      { _id: user._id, phone: '9876543210' },
+      { $set: { phoneVerified: true } },
+      { new: true }
+    );
+    update.mockRestore();
+  });
+
+  it('should not accept a code sent to a previous phone number', async () => {
+    const user = member();
+    await VerificationService.sendPhoneOtp(user);
+
+    await expect(VerificationService.verifyPhone({ ...user, phone: '9123456780' }, lastCode()))
+      .rejects.toThrow('Invalid or expired verification code');
+  });
+
+  it('should refuse to resend for an already verified phone', async () => {
+    await expect(VerificationService.sendPhoneOtp(member({ phoneVerified: true })))
+      .rejects.toThrow('Phone number is already verified');
+    expect(outbox).toHaveLength(0);
+  });
+});
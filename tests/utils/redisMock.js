@@ -0,0 +1,48 @@
+// In-memory stand-in for services/redisService in route tests; plain functions because the jest config resets mocks
+const store = new Map();
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const redisMock = {
+  store,
+  isConnected: true,
+  connect: async () => true,
+  checkRateLimit: async (key, limit) => ({ allowed: true, remaining: limit }),
+  get: async (key) => (store.has(key) ? copy(store.get(key)) : null),
+  set: async (key, value) => {
+    store.set(key, copy(value));
+    return true;
+  },
+  del: async (key) => store.delete(key),
+  exists: async (key) => store.has(key),
+  expire: async () => true,
+
+  setSession: (sessionId, data) => redisMock.set(`session:${sessionId}`, data),
+  getSession: (sessionId) => redisMock.get(`session:${sessionId}`),
+  deleteSession: (sessionId) => redisMock.del(`session:${sessionId}`),
+  rotateSession: async (sessionId, expectedTokenId, data) => {
+    const current = store.get(`session:${sessionId}`);
+    if (!current || current.refreshTokenId !== expectedTokenId) {
+      return false;
+    }
+    store.set(`session:${sessionId}`, copy(data));
+    return true;
+  },
+  addUserSession: async (userId, sessionId) => {
+    const key = `user-sessions:${userId}`;
+    store.set(key, [...new Set([...(store.get(key) || []), sessionId])]);
+    return true;
+  },
+  getUserSessions: async (userId) => store.get(`user-sessions:${userId}`) || [],
+  removeUserSession: async (userId, sessionId) => {
+    const key = `user-sessions:${userId}`;
+    store.set(key, (store.get(key) || []).filter(id => id !== sessionId));
+    return true;
+  },
+
+  setIdempotencyRecord: (scopeKey, data) => redisMock.set(`idempotency:${scopeKey}`, data),
+  getIdempotencyRecord: (scopeKey) => redisMock.get(`idempotency:${scopeKey}`),
+  deleteIdempotencyRecord: (scopeKey) => redisMock.del(`idempotency:${scopeKey}`)
+};
+
+module.exports = redisMock;
@@ -1,7 +1,7 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const CooperativeBank = require('../models/CooperativeBank');
-const Account = require('../models/Account');
+const User = require('../../models/User');
+const CooperativeBank = require('../../models/CooperativeBank');
+const Account = require('../../models/Account');
+const SessionService = require('../../services/sessionService');
 
 // Test data factories
 const createTestBank = async (overrides = {}) => {
@@ -77,14 +77,9 @@ const createTestAccount = async (userId, bankId, overrides = {}) => {
   return await Account.create(defaultData);
 };
 
-// Generate test JWT token
-const generateTestToken = (userId, cooperativeBankId = null) => {
-  return jwt.sign(
-    { userId, cooperativeBankId },
-    process.env.JWT_SECRET || 'test-secret',
-    { expiresIn: '1h' }
-  );
-};
+// Start a session the way login does, so authenticateToken accepts its access token;
+// route tests mock services/redisService with tests/utils/redisMock
+const createTestSession = (user) => SessionService.createSession(user);
 
 // Test request helpers
 const createAuthHeaders = (token) => ({
@@ -96,6 +91,6 @@ module.exports = {
   createTestBank,
   createTestUser,
   createTestAccount,
-  generateTestToken,
+  createTestSession,
   createAuthHeaders
 };
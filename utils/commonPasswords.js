@@ -0,0 +1,34 @@
+// Frequently used and breached passwords, compared case-insensitively
+const COMMON_PASSWORDS = new Set([
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+  '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+  '696969', 'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890',
+  'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx',
+  '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou',
+  '2000', 'charlie', 'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars',
+  'klaster', '112233', 'george', 'computer', 'michelle', 'jessica', 'pepper', '1111',
+  'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777', 'pass', 'maggie',
+  '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer', 'love',
+  'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321',
+  'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'welcome', 'welcome1', 'welcome123',
+  'password1', 'password123', 'password@123', 'admin', 'admin123', 'admin@123',
+  'administrator', 'root', 'toor', 'changeme', 'changeme123', 'default', 'guest', 'login',
+  'passw0rd', 'p@ssw0rd', 'p@ssword', 'qwerty123', 'qwerty1', 'abcd1234', 'abcdef',
+  'abcdefg', 'abcdefgh', '1q2w3e4r', '1q2w3e4r5t', 'zaq12wsx', 'iloveyou1', 'india',
+  'india123', 'india@123', 'bharat', 'mumbai', 'delhi', 'ganesh', 'krishna', 'sairam',
+  'omsairam', 'jaihind', 'hello123', 'test', 'test123', 'test@123', 'demo', 'demo123',
+  'bank', 'bank123', 'bank@123', 'banking', 'cooperative', 'secret', 'secret123',
+  'letmein123', 'monkey123', 'dragon123', 'sunshine1', 'football1', 'baseball1',
+  'princess1', 'superman1', 'master123', 'qwe123', 'asd123', 'zxc123', '111222', '123654',
+  '147258', '147258369', '159357', '222222', '333333', '444444', '888888', '999999',
+  '0000000', '00000000', '12341234', '123123123', '11223344', '1234qwer', 'q1w2e3r4',
+  'q1w2e3r4t5', 'asdf1234', 'asdfghjkl'
+]);
+
+const isCommonPassword = (password) => COMMON_PASSWORDS.has(String(password).toLowerCase());
+
+module.exports = {
+  COMMON_PASSWORDS,
+  isCommonPassword
+};
@@ -0,0 +1,35 @@
+// Midnight at the start of the given day (server local time)
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Add calendar months, clamping to the last day of shorter months (31 Jan + 1 = 29 Feb)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Whole days from one date to another
+const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+};
+
+module.exports = {
+  startOfDay,
+  addDays,
+  addMonths,
+  daysBetween
+};
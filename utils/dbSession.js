@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Run work inside a MongoDB transaction, joining the caller's session when one is given
+const withTransaction = async (work, existingSession = null) => {
+  if (existingSession) {
+    return await work(existingSession);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets stored at rest, e.g. TOTP seeds
+const ALGORITHM = 'aes-256-gcm';
+
+const getKey = () => {
+  const secret = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('DATA_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Returns iv:tag:ciphertext, each base64 encoded
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// One-way hash for values that are only ever compared, e.g. recovery codes
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hashValue
+};
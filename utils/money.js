@@ -0,0 +1,14 @@
+// Round a monetary amount to two decimal places
+const roundAmount = (amount) => {
+  return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+};
+
+// Convert an amount to integer paise for exact comparisons
+const toPaise = (amount) => {
+  return Math.round(Number(amount) * 100);
+};
+
+module.exports = {
+  roundAmount,
+  toPaise
+};
@@ -0,0 +1,36 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { AppError } = require('../middleware/validation');
+
+// The cooperative bank the current request is confined to. Code running outside a request
+// (jobs, sign-in, registration) has no context and is not scoped.
+const storage = new AsyncLocalStorage();
+
+const run = (context, fn) => storage.run(context, fn);
+
+const get = () => storage.getStore();
+
+// Context for an authenticated request
+const fromRequest = (req) => ({
+  cooperativeBankId: req.cooperativeBankId || null,
+  role: req.user.role,
+  crossBank: false
+});
+
+// Explicit escape hatch for super admin work spanning banks; fn runs without tenant scoping
+const crossBank = (fn) => {
+  const context = storage.getStore();
+  if (!context) {
+    return fn();
+  }
+  if (context.role !== 'super_admin') {
+    throw new AppError('Only super admins can work across cooperative banks', 403);
+  }
+  return storage.run({ ...context, crossBank: true }, fn);
+};
+
+module.exports = {
+  run,
+  get,
+  fromRequest,
+  crossBank
+};